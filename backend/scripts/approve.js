@@ -0,0 +1,60 @@
+/**
+ * Approval CLI - Manually release a transfer held by its consensus tier
+ *
+ * Usage:
+ *   node scripts/approve.js --event 0x... --approver alice [--note "checked with sender"]
+ *
+ * Requires DYNAMODB_TABLE_NAME. The approval item triggers the validator
+ * through DynamoDB Streams; the transfer executes once it also has the
+ * signatures its tier needs.
+ */
+
+const dynamoService = require('../src/shared/services/dynamoService');
+const consensusTiers = require('../src/shared/config/consensusTiers');
+
+const ARG_NAMES = {
+  '--event': 'eventId',
+  '--approver': 'approver',
+  '--note': 'note'
+};
+
+function parseArgs(argv) {
+  const params = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = ARG_NAMES[argv[i]];
+    if (!name) {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    params[name] = argv[i + 1];
+  }
+  return params;
+}
+
+async function main() {
+  const { eventId, approver, note } = parseArgs(process.argv.slice(2));
+  if (!eventId || !approver) {
+    throw new Error('Usage: approve.js --event <eventId> --approver <name> [--note <text>]');
+  }
+
+  const eventData = await dynamoService.getEventData(eventId);
+  if (!eventData || !eventData.event) {
+    throw new Error(`Event not found: ${eventId}`);
+  }
+
+  const tier = consensusTiers.getTierForAmount(eventData.event.amount);
+  if (!tier.hold) {
+    console.log(`ℹ️  Event is in the ${tier.id} tier, which does not need approval`);
+    return;
+  }
+
+  await dynamoService.createApproval({ eventId, approver, note });
+  console.log(`✅ Approval by ${approver} recorded for ${eventId} (${tier.id} tier)`);
+  if (eventData.execution?.status === 'HELD') {
+    console.log('   The validator releases it on the next stream batch');
+  }
+}
+
+main().catch((error) => {
+  console.error('\n❌ Approval failed:', error.message);
+  process.exit(1);
+});
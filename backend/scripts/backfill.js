@@ -0,0 +1,70 @@
+/**
+ * Backfill CLI - Recover bridge events missed by the poller
+ *
+ * Usage:
+ *   node scripts/backfill.js --chain arbitrum --from 1000 --to 5000 --relayer 1 [--chunk 500]
+ *
+ * Requires the same environment as the EventPoller Lambda
+ * (RPC URLs, contract addresses, DYNAMODB_TABLE_NAME, the relayer's own signer backend).
+ */
+
+const backfillRunner = require('../src/functions/backfill/backfillRunner');
+
+const ARG_NAMES = {
+  '--chain': 'chain',
+  '--from': 'fromBlock',
+  '--to': 'toBlock',
+  '--relayer': 'relayerId',
+  '--chunk': 'chunkSize'
+};
+
+function parseArgs(argv) {
+  const params = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = ARG_NAMES[argv[i]];
+    if (!name) {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    params[name] = argv[i + 1];
+  }
+  params.relayerId = params.relayerId || process.env.RELAYER_ID;
+  // The process signs as this relayer only; a different RELAYER_ID is refused at signing
+  process.env.RELAYER_ID = process.env.RELAYER_ID || params.relayerId;
+  return params;
+}
+
+function printSummary(summary) {
+  console.log('\n📋 Backfill summary');
+  console.log(`   Chain:             ${summary.chain}`);
+  console.log(`   Relayer:           ${summary.relayerId}`);
+  console.log(`   Blocks:            ${summary.fromBlock} → ${summary.toBlock} (requested ${summary.requestedToBlock})`);
+  console.log(`   Chunks:            ${summary.chunks} x ${summary.chunkSize} blocks`);
+  console.log(`   Events found:      ${summary.eventsFound}`);
+  console.log(`   Newly stored:      ${summary.eventsStored}`);
+  console.log(`   Already stored:    ${summary.eventsAlreadyStored}`);
+  console.log(`   Newly signed:      ${summary.eventsSigned}`);
+  console.log(`   Already signed:    ${summary.eventsAlreadySigned}`);
+  console.log(`   Flagged mismatch:  ${summary.eventsFlagged}`);
+  console.log(`   Failed receipt:    ${summary.eventsRejected}`);
+  console.log(`   Failed:            ${summary.eventsFailed} events, ${summary.failedSignatures} signatures, ${summary.failedChunks.length} chunks`);
+
+  for (const chunk of summary.failedChunks) {
+    console.log(`   ⚠️  Chunk ${chunk.fromBlock}-${chunk.toBlock} failed: ${chunk.error}`);
+  }
+
+  console.log(summary.complete ? '\n✅ Backfill complete' : '\n❌ Backfill incomplete, re-run to retry');
+}
+
+async function main() {
+  const params = parseArgs(process.argv.slice(2));
+  const summary = await backfillRunner.run(params);
+  printSummary(summary);
+  return summary.complete ? 0 : 1;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('\n❌ Backfill failed:', error.message, error.details || '');
+    process.exit(1);
+  });
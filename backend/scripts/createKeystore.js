@@ -0,0 +1,43 @@
+/**
+ * Keystore CLI - Encrypt a relayer key into a JSON keystore
+ *
+ * Usage:
+ *   RELAYER_PRIVATE_KEY=0x... RELAYER_KEYSTORE_PASSWORD=... node scripts/createKeystore.js --out relayer1.json
+ *
+ * Without RELAYER_PRIVATE_KEY a new random key is generated. Point the relayer
+ * at the file with SIGNER_TYPE=keystore and RELAYER_KEYSTORE_PATH.
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const outIndex = argv.indexOf('--out');
+  const outPath = outIndex >= 0 ? argv[outIndex + 1] : null;
+  const password = process.env.RELAYER_KEYSTORE_PASSWORD;
+
+  if (!outPath) {
+    throw new Error('Missing --out <path>');
+  }
+  if (!password) {
+    throw new Error('RELAYER_KEYSTORE_PASSWORD is required');
+  }
+  if (fs.existsSync(outPath)) {
+    throw new Error(`Refusing to overwrite ${outPath}`);
+  }
+
+  const wallet = process.env.RELAYER_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY)
+    : ethers.Wallet.createRandom();
+
+  const json = await wallet.encrypt(password);
+  fs.writeFileSync(outPath, json, { mode: 0o600 });
+
+  console.log(`🔐 Keystore for ${wallet.address} written to ${outPath}`);
+}
+
+main().catch((error) => {
+  console.error('\n❌ Keystore creation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+/**
+ * Listener CLI - Run the WebSocket event listener as a long-lived process
+ *
+ * Usage:
+ *   node scripts/listener.js --relayer 1
+ *
+ * Requires the same environment as the EventPoller Lambda (including the
+ * relayer's own signer backend, see src/shared/signers) plus
+ * {CHAIN}_WS_URL for each chain to subscribe to. Keep the scheduled
+ * poller enabled: it catches up anything the listener misses.
+ */
+
+const { createListeners } = require('../src/functions/eventPoller/eventListener');
+
+function parseArgs(argv) {
+  const index = argv.indexOf('--relayer');
+  const relayerId = index >= 0 ? argv[index + 1] : process.env.RELAYER_ID;
+  if (!relayerId) {
+    throw new Error('Missing --relayer (or RELAYER_ID)');
+  }
+  return { relayerId: String(relayerId) };
+}
+
+async function main() {
+  const { relayerId } = parseArgs(process.argv.slice(2));
+  // The process signs as this relayer only; a different RELAYER_ID is refused at signing
+  process.env.RELAYER_ID = process.env.RELAYER_ID || relayerId;
+  const listeners = createListeners(relayerId);
+
+  if (listeners.length === 0) {
+    throw new Error('No chain has a WebSocket URL configured');
+  }
+
+  const shutdown = async (signal) => {
+    console.log(`\n🛑 ${signal} received, stopping listeners`);
+    await Promise.all(listeners.map(listener => listener.stop()));
+    process.exit(0);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  await Promise.all(listeners.map(listener => listener.start()));
+  console.log(`👂 Listening as relayer ${relayerId} on: ${listeners.map(listener => listener.chain).join(', ')}`);
+}
+
+main().catch((error) => {
+  console.error('\n❌ Listener failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+/**
+ * Refund CLI - Request a relayer-attested refund of a lock that was never minted
+ *
+ * Usage:
+ *   node scripts/refund.js --event 0x... --requester alice [--reason "recipient is a contract"]
+ *
+ * Requires DYNAMODB_TABLE_NAME. Relayers pick the request up on their next poll:
+ * they first cancel the mint on the destination bridge, then refund the lock to
+ * its sender on the source bridge, and the event is marked REFUNDED. The bridge
+ * fee is not refunded.
+ */
+
+const dynamoService = require('../src/shared/services/dynamoService');
+const routeConfig = require('../src/shared/config/routes');
+
+const ARG_NAMES = {
+  '--event': 'eventId',
+  '--requester': 'requester',
+  '--reason': 'reason'
+};
+
+// Events that have already moved value or never existed on the canonical chain
+const FINAL_STATUSES = ['MINTED', 'UNLOCKED', 'ORPHANED', 'REFUNDED'];
+
+function parseArgs(argv) {
+  const params = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = ARG_NAMES[argv[i]];
+    if (!name) {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    params[name] = argv[i + 1];
+  }
+  return params;
+}
+
+async function main() {
+  const { eventId, requester, reason } = parseArgs(process.argv.slice(2));
+  if (!eventId || !requester) {
+    throw new Error('Usage: refund.js --event <eventId> --requester <name> [--reason <text>]');
+  }
+
+  const eventData = await dynamoService.getEventData(eventId);
+  if (!eventData || !eventData.event) {
+    throw new Error(`Event not found: ${eventId}`);
+  }
+
+  const route = routeConfig.getRouteForEvent(eventData.event);
+  if (!route.refund) {
+    throw new Error(`Transfers on route ${route.id} cannot be refunded`);
+  }
+  if (FINAL_STATUSES.includes(eventData.event.status)) {
+    throw new Error(`Event is ${eventData.event.status} and cannot be refunded`);
+  }
+
+  const request = await dynamoService.createRefundRequest({ eventId, requester, reason });
+  if (!request) {
+    console.log(`ℹ️  Refund already requested for ${eventId} (${eventData.refund?.status})`);
+    return;
+  }
+
+  console.log(`✅ Refund of ${eventId} requested by ${requester}`);
+  console.log('   Relayers cancel the mint, then refund the sender on their next polls');
+}
+
+main().catch((error) => {
+  console.error('\n❌ Refund request failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,114 @@
+/**
+ * Relayer Registry CLI - Inspect and change the relayer set
+ *
+ * Usage:
+ *   node scripts/relayers.js list
+ *   node scripts/relayers.js init   [--threshold 2]
+ *   node scripts/relayers.js add    --relayer 4 --address 0x... [--threshold 3]
+ *   node scripts/relayers.js rotate --relayer 2 --address 0x... [--threshold 2]
+ *   node scripts/relayers.js revoke --relayer 2 [--address 0x...] [--threshold 2]
+ *
+ * Requires DYNAMODB_TABLE_NAME; `init` also reads RELAYER_{n}_ADDRESS and
+ * REQUIRED_SIGNATURES to build epoch 0. Every change starts a new epoch.
+ * The bridges keep their own relayer set: the printed follow-up lists the
+ * calls a RELAYER_ADMIN_ROLE holder must make on both bridge contracts.
+ */
+
+const relayerRegistry = require('../src/shared/services/relayerRegistry');
+
+const ARG_NAMES = {
+  '--relayer': 'relayerId',
+  '--address': 'address',
+  '--threshold': 'threshold'
+};
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const params = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    const name = ARG_NAMES[rest[i]];
+    if (!name) {
+      throw new Error(`Unknown argument: ${rest[i]}`);
+    }
+    params[name] = rest[i + 1];
+  }
+  if (params.threshold !== undefined) {
+    params.threshold = parseInt(params.threshold);
+  }
+  return { command, params };
+}
+
+function requireParams(params, names) {
+  for (const name of names) {
+    if (!params[name]) {
+      throw new Error(`Missing --${name === 'relayerId' ? 'relayer' : name}`);
+    }
+  }
+}
+
+function printRegistry(snapshot) {
+  const registry = snapshot.toJSON();
+  console.log(`\n📒 Relayer registry (${registry.source})`);
+  console.log(`   Current epoch:     ${registry.currentEpoch}`);
+  console.log(`   Threshold:         ${registry.threshold} of ${snapshot.getEpoch().members.length}`);
+  console.log('\n   Relayer  Status    Joined  Address');
+  for (const relayer of registry.relayers) {
+    console.log(`   ${relayer.relayerId.padEnd(8)} ${relayer.status.padEnd(9)} ${String(relayer.joinedEpoch).padEnd(7)} ${relayer.address}`);
+  }
+}
+
+function printOnChainSteps(change, snapshot) {
+  const threshold = snapshot.getThreshold();
+  console.log('\n⛓️  Apply on both bridges (RELAYER_ADMIN_ROLE):');
+  if (change.action === 'add') {
+    console.log(`   addRelayer(${change.address})`);
+  } else if (change.action === 'rotate') {
+    console.log(`   addRelayer(${change.address})`);
+    console.log(`   removeRelayer(${change.previousAddress})  # once transfers signed before epoch ${snapshot.currentEpoch} are executed`);
+  } else if (change.action === 'revoke') {
+    console.log(`   removeRelayer(${change.address})  # now: the key is compromised or retired`);
+  }
+  console.log(`   setThreshold(${threshold})  # if it differs`);
+}
+
+async function main() {
+  const { command, params } = parseArgs(process.argv.slice(2));
+  let snapshot;
+
+  switch (command) {
+    case 'list':
+      snapshot = await relayerRegistry.getSnapshot({ refresh: true });
+      break;
+    case 'init':
+      snapshot = await relayerRegistry.init(params);
+      break;
+    case 'add':
+      requireParams(params, ['relayerId', 'address']);
+      snapshot = await relayerRegistry.addRelayer(params);
+      break;
+    case 'rotate':
+      requireParams(params, ['relayerId', 'address']);
+      snapshot = await relayerRegistry.rotateRelayer(params);
+      break;
+    case 'revoke':
+      requireParams(params, ['relayerId']);
+      snapshot = await relayerRegistry.revokeRelayer(params);
+      break;
+    default:
+      throw new Error('Usage: relayers.js <list|init|add|rotate|revoke> [options]');
+  }
+
+  printRegistry(snapshot);
+  const { change } = snapshot.getEpoch();
+  if (command !== 'list' && change && change.action !== 'init') {
+    printOnChainSteps(change, snapshot);
+  }
+}
+
+main().catch((error) => {
+  console.error('\n❌ Registry command failed:', error.message);
+  if (error.details) {
+    console.error('   Details:', JSON.stringify(error.details));
+  }
+  process.exit(1);
+});
@@ -0,0 +1,119 @@
+/**
+ * Web3Signer Stub - Minimal local stand-in for a Web3Signer eth1 endpoint
+ *
+ * Usage:
+ *   RELAYER_PRIVATE_KEY=0x... node scripts/web3signerStub.js [--port 9000] [--chain-id 31337]
+ *
+ * Serves GET /upcheck and the JSON-RPC methods the relayer uses:
+ * eth_accounts, eth_sign, eth_signTypedData and eth_signTransaction.
+ * For development and tests only; it holds the key in memory like the env signer.
+ */
+
+const http = require('http');
+const { ethers } = require('ethers');
+
+function rpcError(id, message) {
+  return { jsonrpc: '2.0', id, error: { code: -32000, message } };
+}
+
+/**
+ * Build the stub server for a set of private keys
+ * @param {Array<string>} privateKeys - Keys the stub signs with
+ * @param {Object} options
+ * @param {number} options.chainId - Chain ID for signed transactions
+ * @returns {http.Server} Server that is not yet listening
+ */
+function createWeb3SignerStub(privateKeys, { chainId = 31337 } = {}) {
+  const wallets = new Map(
+    privateKeys.map(key => {
+      const wallet = new ethers.Wallet(key);
+      return [wallet.address.toLowerCase(), wallet];
+    })
+  );
+
+  const walletFor = address => wallets.get(String(address).toLowerCase());
+
+  const methods = {
+    eth_accounts: async () => [...wallets.values()].map(wallet => wallet.address),
+
+    eth_sign: async ([address, data]) => {
+      const wallet = walletFor(address);
+      if (!wallet) throw new Error(`No key for ${address}`);
+      return wallet.signMessage(ethers.getBytes(data));
+    },
+
+    eth_signTypedData: async ([address, payload]) => {
+      const wallet = walletFor(address);
+      if (!wallet) throw new Error(`No key for ${address}`);
+      const { EIP712Domain, ...types } = payload.types;
+      return wallet.signTypedData(payload.domain, types, payload.message);
+    },
+
+    eth_signTransaction: async ([tx]) => {
+      const wallet = walletFor(tx.from);
+      if (!wallet) throw new Error(`No key for ${tx.from}`);
+      return wallet.signTransaction({
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+        nonce: tx.nonce === undefined ? undefined : Number(tx.nonce),
+        gasLimit: tx.gas,
+        gasPrice: tx.gasPrice,
+        maxFeePerGas: tx.maxFeePerGas,
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+        chainId
+      });
+    }
+  };
+
+  return http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/upcheck') {
+      res.writeHead(200, { 'content-type': 'text/plain' });
+      res.end('OK');
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      let request = {};
+      let response;
+      try {
+        request = JSON.parse(body);
+        const method = methods[request.method];
+        response = method
+          ? { jsonrpc: '2.0', id: request.id, result: await method(request.params || []) }
+          : rpcError(request.id, `Method not supported: ${request.method}`);
+      } catch (error) {
+        response = rpcError(request.id, error.message);
+      }
+
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+}
+
+function parseArgs(argv) {
+  const option = (name, fallback) => {
+    const index = argv.indexOf(name);
+    return index >= 0 ? parseInt(argv[index + 1]) : fallback;
+  };
+  return { port: option('--port', 9000), chainId: option('--chain-id', 31337) };
+}
+
+if (require.main === module) {
+  const privateKey = process.env.RELAYER_PRIVATE_KEY;
+  if (!privateKey) {
+    console.error('❌ RELAYER_PRIVATE_KEY is required');
+    process.exit(1);
+  }
+
+  const { port, chainId } = parseArgs(process.argv.slice(2));
+  const server = createWeb3SignerStub([privateKey], { chainId });
+  server.listen(port, () => {
+    console.log(`🔏 Web3Signer stub for ${new ethers.Wallet(privateKey).address} on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createWeb3SignerStub };
@@ -35,23 +35,15 @@ async function healthCheck() {
       checks.status = 'degraded';
     }
 
-    // Check Arbitrum RPC connectivity
-    try {
-      await web3Service.getCurrentBlock('arbitrum');
-      checks.checks.arbitrumRpc = 'healthy';
-    } catch (error) {
-      checks.checks.arbitrumRpc = 'unhealthy';
-      checks.status = 'degraded';
-    }
-
-    // Check Ethereum RPC connectivity
-    try {
-      await web3Service.getCurrentBlock('ethereum');
-      checks.checks.ethereumRpc = 'healthy';
-    } catch (error) {
-      checks.checks.ethereumRpc = 'unhealthy';
-      checks.status = 'degraded';
+    // Check RPC providers for every chain
+    const providerStatus = await web3Service.getProviderStatus({ probe: true });
+    for (const [chain, pool] of Object.entries(providerStatus)) {
+      checks.checks[`${chain}Rpc`] = pool.status;
+      if (pool.status === 'unhealthy') {
+        checks.status = 'degraded';
+      }
     }
+    checks.providers = providerStatus;
 
     const statusCode = checks.status === 'healthy' ? 200 : 503;
 
@@ -81,6 +73,7 @@ async function getSystemInfo() {
       web3Service.getCurrentBlock('arbitrum').catch(() => null),
       web3Service.getCurrentBlock('ethereum').catch(() => null)
     ]);
+    const providerStatus = await web3Service.getProviderStatus();
 
     return {
       statusCode: 200,
@@ -91,12 +84,14 @@ async function getSystemInfo() {
           arbitrum: {
             chainId: 421614,
             currentBlock: arbitrumBlock,
-            status: arbitrumBlock ? 'connected' : 'disconnected'
+            status: arbitrumBlock ? 'connected' : 'disconnected',
+            rpc: providerStatus.arbitrum
           },
           ethereum: {
             chainId: 11155111,
             currentBlock: ethBlock,
-            status: ethBlock ? 'connected' : 'disconnected'
+            status: ethBlock ? 'connected' : 'disconnected',
+            rpc: providerStatus.ethereum
           }
         },
         environment: {
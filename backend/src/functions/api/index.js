@@ -14,6 +14,9 @@
 
 const statusHandler = require('./status');
 const healthHandler = require('./health');
+const relayersHandler = require('./relayers');
+const proofHandler = require('./proof');
+const quoteHandler = require('./quote');
 const logger = require('../../shared/utils/logger');
 
 /**
@@ -33,6 +36,7 @@ exports.handler = async (event) => {
     const queryParams = event.queryStringParameters || {};
 
     let response;
+    const incidentsMatch = path && path.match(/^\/relayers\/([^/]+)\/incidents$/);
 
     // Route requests
     if (path === '/health' && method === 'GET') {
@@ -52,9 +56,21 @@ exports.handler = async (event) => {
         response = await statusHandler.getRecentEvents(chain, status, limit);
       }
     }
+    else if (path === '/proof' && method === 'GET') {
+      response = queryParams.eventId
+        ? await proofHandler.getProof(queryParams.eventId)
+        : { statusCode: 400, body: { error: 'eventId is required' } };
+    }
+    else if (path === '/quote' && method === 'GET') {
+      response = await quoteHandler.getQuote(queryParams);
+    }
     else if (path === '/stats' && method === 'GET') {
       response = await statusHandler.getBridgeStats();
     }
+    else if (incidentsMatch && method === 'GET') {
+      const limit = parseInt(queryParams.limit) || 50;
+      response = await relayersHandler.getRelayerIncidents(decodeURIComponent(incidentsMatch[1]), limit);
+    }
     else {
       response = {
         statusCode: 404,
@@ -66,7 +82,10 @@ exports.handler = async (event) => {
             'GET /system-info',
             'GET /status?eventId={id}',
             'GET /status?chain={ARBITRUM|ETHEREUM}&status={status}&limit={limit}',
-            'GET /stats'
+            'GET /proof?eventId={id}',
+            'GET /quote?route={routeId}&token={tokenId}&amount={wei}',
+            'GET /stats',
+            'GET /relayers/{id}/incidents'
           ]
         }
       };
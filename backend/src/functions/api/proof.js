@@ -0,0 +1,121 @@
+/**
+ * Proof Handler - Claim proofs for permissionless execution
+ * Implements Facade Pattern over consensus validation and proof building
+ *
+ * A proof is only served when the validator would execute the event itself:
+ * consensus for its tier is reached, any hold is released, and the event is
+ * not orphaned, quarantined, vetoed or being refunded.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only decides whether and what proof to serve
+ * - Dependency Inversion: Depends on service abstractions
+ */
+
+const dynamoService = require('../../shared/services/dynamoService');
+const relayerRegistry = require('../../shared/services/relayerRegistry');
+const proofService = require('../../shared/services/proofService');
+const consensusValidator = require('../validator/consensus');
+const conflictDetector = require('../validator/conflicts');
+const logger = require('../../shared/utils/logger');
+
+const BLOCKED_STATUSES = ['ORPHANED', 'QUARANTINED', 'REFUNDED'];
+const EXECUTED_STATUSES = ['MINTED', 'UNLOCKED'];
+
+function notClaimable(eventId, reason, details = {}) {
+  return {
+    statusCode: 409,
+    body: {
+      error: 'Event cannot be claimed',
+      eventId,
+      reason,
+      ...details
+    }
+  };
+}
+
+/**
+ * Get the signature bundle and calldata to submit an event on its destination chain
+ */
+async function getProof(eventId) {
+  try {
+    const eventData = await dynamoService.getEventData(eventId);
+    if (!eventData || !eventData.event) {
+      return {
+        statusCode: 404,
+        body: {
+          error: 'Event not found',
+          eventId
+        }
+      };
+    }
+
+    const { event, execution } = eventData;
+    if (EXECUTED_STATUSES.includes(event.status)) {
+      return notClaimable(eventId, 'ALREADY_EXECUTED', { txHash: execution?.txHash || null });
+    }
+    if (BLOCKED_STATUSES.includes(event.status)) {
+      return notClaimable(eventId, event.status);
+    }
+    if (eventData.verificationFailures.length > 0) {
+      return notClaimable(eventId, 'VETOED');
+    }
+    if (eventData.refund && eventData.refund.status !== 'REJECTED') {
+      return notClaimable(eventId, 'REFUND_REQUESTED', { refundStatus: eventData.refund.status });
+    }
+
+    const registry = await relayerRegistry.getSnapshot();
+    if (conflictDetector.detectConflicts(event, eventData.signatures, registry).hasConflict) {
+      return notClaimable(eventId, 'CONFLICTING_ATTESTATIONS');
+    }
+
+    const heldSince = execution?.status === 'HELD' ? execution.heldSince : null;
+    const consensusResult = await consensusValidator.validateFullConsensus(event, eventData.signatures, registry, { heldSince });
+    const action = consensusValidator.determineAction(consensusResult, event.status, {
+      heldSince,
+      approvals: eventData.approvals
+    });
+
+    // Any execution record other than HELD means the validator already released the event
+    const released = action.action === 'HOLD' && execution && execution.status !== 'HELD';
+    if (action.action === 'WAIT' || (action.action === 'HOLD' && !released)) {
+      return notClaimable(eventId, action.action === 'WAIT' ? 'CONSENSUS_NOT_REACHED' : 'HELD', {
+        tier: action.tier,
+        missing: action.missing
+      });
+    }
+    if (action.action === 'ERROR') {
+      return notClaimable(eventId, 'UNKNOWN_STATUS');
+    }
+
+    const proof = proofService.buildProof(event, eventData.signatures, registry);
+
+    let claimed = null;
+    try {
+      claimed = await proofService.isProcessedOnDestination(event);
+    } catch (error) {
+      logger.warn('Could not check destination for claimed event', { eventId, error: error.message });
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        ...proof,
+        tier: action.tier,
+        claimed,
+        execution: execution ? { status: execution.status, updatedAt: execution.updatedAt } : null
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to build claim proof', error, { eventId });
+    return {
+      statusCode: 500,
+      body: {
+        error: 'Failed to build claim proof'
+      }
+    };
+  }
+}
+
+module.exports = {
+  getProof
+};
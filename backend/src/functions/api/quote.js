@@ -0,0 +1,65 @@
+/**
+ * Quote Handler - Fee and net amount of a transfer before the user signs
+ * Implements Facade Pattern over route, token and fee configuration
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only validates quote requests and shapes the answer
+ * - Dependency Inversion: Depends on service and config abstractions
+ */
+
+const routeConfig = require('../../shared/config/routes');
+const tokenConfig = require('../../shared/config/tokens');
+const feeService = require('../../shared/services/feeService');
+const logger = require('../../shared/utils/logger');
+
+function badRequest(error, details = {}) {
+  return {
+    statusCode: 400,
+    body: {
+      error,
+      ...details
+    }
+  };
+}
+
+/**
+ * Quote a transfer
+ * @param {Object} params - { route, token, amount } with amount in wei; token defaults to the default token
+ */
+async function getQuote({ route: routeId, token: tokenId, amount } = {}) {
+  const route = routeConfig.getRoutes().find(r => r.id === routeId);
+  if (!route) {
+    return badRequest('Unknown route', { availableRoutes: routeConfig.getRoutes().map(r => r.id) });
+  }
+
+  if (!/^[0-9]+$/.test(amount || '') || BigInt(amount) === 0n) {
+    return badRequest('amount must be a positive integer in wei');
+  }
+
+  const token = tokenId ? tokenConfig.getToken(tokenId) : tokenConfig.getTokens()[0];
+  if (!token) {
+    return badRequest('Unknown token', { availableTokens: tokenConfig.getTokens().map(t => t.id) });
+  }
+
+  try {
+    return {
+      statusCode: 200,
+      body: {
+        ...(await feeService.quote(route, token, BigInt(amount))),
+        tokenRoute: tokenConfig.getTokenRouteKey(route.id, token.id)
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to quote transfer', error, { route: routeId, token: token.id, amount });
+    return {
+      statusCode: 500,
+      body: {
+        error: 'Failed to quote transfer'
+      }
+    };
+  }
+}
+
+module.exports = {
+  getQuote
+};
@@ -0,0 +1,54 @@
+/**
+ * Relayers Handler - Relayer misbehavior history
+ * Implements Repository Pattern for data access
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only handles relayer queries
+ * - Open/Closed: Can extend with new relayer views
+ * - Dependency Inversion: Depends on service abstractions
+ */
+
+const dynamoService = require('../../shared/services/dynamoService');
+const logger = require('../../shared/utils/logger');
+
+/**
+ * Get incidents recorded against a relayer, most recent first
+ */
+async function getRelayerIncidents(relayerId, limit = 50) {
+  try {
+    const incidents = await dynamoService.getRelayerIncidents(relayerId, Math.min(limit, 100));
+
+    return {
+      statusCode: 200,
+      body: {
+        relayerId,
+        count: incidents.length,
+        incidents: incidents.map(incident => ({
+          type: incident.type,
+          eventId: incident.eventId,
+          chain: incident.chain,
+          txHash: incident.txHash,
+          signedHash: incident.signedHash,
+          expectedHash: incident.expectedHash,
+          signature: incident.signature,
+          recoveredAddress: incident.recoveredAddress,
+          epoch: incident.epoch ?? null,
+          agreeingRelayers: incident.agreeingRelayers || [],
+          detectedAt: incident.detectedAt
+        }))
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to get relayer incidents', error, { relayerId });
+    return {
+      statusCode: 500,
+      body: {
+        error: 'Failed to retrieve relayer incidents'
+      }
+    };
+  }
+}
+
+module.exports = {
+  getRelayerIncidents
+};
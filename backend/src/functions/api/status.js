@@ -9,6 +9,13 @@
  */
 
 const dynamoService = require('../../shared/services/dynamoService');
+const relayerRegistry = require('../../shared/services/relayerRegistry');
+const consensusTiers = require('../../shared/config/consensusTiers');
+const routeConfig = require('../../shared/config/routes');
+const tokenConfig = require('../../shared/config/tokens');
+const rateLimitPolicy = require('../../shared/services/rateLimitPolicy');
+const feeService = require('../../shared/services/feeService');
+const consensusValidator = require('../validator/consensus');
 const logger = require('../../shared/utils/logger');
 
 /**
@@ -28,6 +35,8 @@ async function getEventStatus(eventId) {
       };
     }
 
+    const consensus = await describeConsensus(eventData);
+
     return {
       statusCode: 200,
       body: {
@@ -36,21 +45,60 @@ async function getEventStatus(eventId) {
           txHash: eventData.event.txHash,
           chain: eventData.event.chain,
           amount: eventData.event.amount,
+          fee: eventData.event.fee || '0',
+          tokenId: eventData.event.tokenId || null,
+          token: eventData.event.token || null,
+          destinationToken: eventData.event.destinationToken || null,
+          tokenRoute: eventData.event.tokenRoute || null,
           fromAddress: eventData.event.fromAddress,
           toAddress: eventData.event.toAddress,
           status: eventData.event.status,
+          quarantineReason: eventData.event.quarantineReason || null,
           createdAt: eventData.event.createdAt,
           updatedAt: eventData.event.updatedAt
         },
         signatures: eventData.signatures.map(sig => ({
           relayerId: sig.relayerId,
-          timestamp: sig.timestamp
+          timestamp: sig.timestamp,
+          epoch: sig.epoch ?? null,
+          messageHash: sig.messageHash || null,
+          valid: !sig.invalidReason,
+          invalidReason: sig.invalidReason || null,
+          recoveredAddress: sig.recoveredAddress || null
         })),
         signatureCount: eventData.signatures.length,
+        validSignatureCount: eventData.signatures.filter(sig => !sig.invalidReason).length,
+        metadataMismatches: eventData.mismatches.map(mismatch => ({
+          relayerId: mismatch.relayerId,
+          mismatches: mismatch.mismatches,
+          timestamp: mismatch.timestamp
+        })),
+        verificationFailures: eventData.verificationFailures.map(failure => ({
+          relayerId: failure.relayerId,
+          failures: failure.failures,
+          timestamp: failure.timestamp
+        })),
+        consensus,
         execution: eventData.execution ? {
           status: eventData.execution.status,
           txHash: eventData.execution.txHash,
+          holdReason: eventData.execution.holdReason || null,
+          releaseAt: eventData.execution.releaseAt || null,
           updatedAt: eventData.execution.updatedAt
+        } : null,
+        refund: eventData.refund ? {
+          status: eventData.refund.status,
+          requester: eventData.refund.requester,
+          reason: eventData.refund.reason,
+          rejectReason: eventData.refund.rejectReason || null,
+          requestedAt: eventData.refund.requestedAt,
+          cancelTxHash: eventData.refund.cancelTxHash || null,
+          refundTxHash: eventData.refund.refundTxHash || null,
+          signatures: eventData.cancellations.map(sig => ({
+            relayerId: sig.relayerId,
+            phase: sig.phase,
+            timestamp: sig.timestamp
+          }))
         } : null
       }
     };
@@ -65,6 +113,38 @@ async function getEventStatus(eventId) {
   }
 }
 
+/**
+ * Consensus tier that applies to an event and what it still needs
+ * Counts signatures the validator has not flagged as invalid
+ */
+async function describeConsensus(eventData) {
+  const registry = await relayerRegistry.getSnapshot();
+  const tier = consensusTiers.getTierForAmount(eventData.event.amount);
+  const validSignatures = eventData.signatures.filter(sig => !sig.invalidReason);
+  const requiredSignatures = consensusValidator.getRequiredSignatures(
+    tier,
+    registry,
+    validSignatures.map(sig => sig.epoch)
+  );
+  const release = consensusValidator.getReleaseState(tier, {
+    heldSince: eventData.execution?.heldSince || null,
+    approvals: eventData.approvals
+  });
+
+  return {
+    tier: consensusTiers.describeTier(tier),
+    validSignatures: validSignatures.length,
+    requiredSignatures,
+    approvals: eventData.approvals.map(approval => ({
+      approver: approval.approver,
+      note: approval.note,
+      timestamp: approval.timestamp
+    })),
+    releaseAt: release.releaseAt,
+    missing: consensusValidator.getMissingRequirements(tier, validSignatures.length, requiredSignatures, release)
+  };
+}
+
 /**
  * Get recent events by chain and status
  */
@@ -86,6 +166,8 @@ async function getRecentEvents(chain, status = 'PENDING_MINT', limit = 20) {
           eventId: event.eventId,
           txHash: event.txHash,
           amount: event.amount,
+          fee: event.fee || '0',
+          tokenId: event.tokenId || null,
           fromAddress: event.fromAddress,
           status: event.status,
           createdAt: event.createdAt
@@ -114,6 +196,15 @@ async function getBridgeStats() {
       dynamoService.getEventsByChainAndStatus('ETHEREUM', 'PENDING_UNLOCK', 10)
     ]);
 
+    const [rateLimits, fees] = await Promise.all([getRateLimitStatus(), getFeeStatus()]);
+
+    // Events stored before token routes existed only carried the default token
+    const pendingByTokenRoute = {};
+    for (const event of [...arbitrumPending, ...ethPending]) {
+      const key = event.tokenRoute || event.routeId || event.chain;
+      pendingByTokenRoute[key] = (pendingByTokenRoute[key] || 0) + 1;
+    }
+
     return {
       statusCode: 200,
       body: {
@@ -124,7 +215,11 @@ async function getBridgeStats() {
         ethereum: {
           pendingEvents: ethPending.length
         },
-        totalPending: arbitrumPending.length + ethPending.length
+        totalPending: arbitrumPending.length + ethPending.length,
+        pendingByTokenRoute,
+        tokens: tokenConfig.getTokens(),
+        rateLimits,
+        fees
       }
     };
   } catch (error) {
@@ -138,6 +233,50 @@ async function getBridgeStats() {
   }
 }
 
+/**
+ * Volume caps and usage per token route
+ * A route whose bridges cannot be read reports its error instead of failing the stats
+ */
+async function getRateLimitStatus() {
+  const status = {};
+
+  for (const route of routeConfig.getRoutes()) {
+    for (const token of tokenConfig.getTokens()) {
+      const key = tokenConfig.getTokenRouteKey(route.id, token.id);
+      try {
+        status[key] = await rateLimitPolicy.getTokenRouteStatus(route, token);
+      } catch (error) {
+        logger.warn('Could not read rate limits', { tokenRoute: key, error: error.message });
+        status[key] = { error: 'Rate limits unavailable' };
+      }
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Fee schedule and fees collected per token route
+ * A route whose fees cannot be read reports its error instead of failing the stats
+ */
+async function getFeeStatus() {
+  const status = {};
+
+  for (const route of routeConfig.getRoutes()) {
+    for (const token of tokenConfig.getTokens()) {
+      const key = tokenConfig.getTokenRouteKey(route.id, token.id);
+      try {
+        status[key] = await feeService.getTokenRouteStatus(route, token, key);
+      } catch (error) {
+        logger.warn('Could not read fees', { tokenRoute: key, error: error.message });
+        status[key] = { error: 'Fees unavailable' };
+      }
+    }
+  }
+
+  return status;
+}
+
 module.exports = {
   getEventStatus,
   getRecentEvents,
@@ -0,0 +1,145 @@
+/**
+ * Backfill Runner - Recovers bridge events that fell outside the poller window
+ * Walks a historical block range in chunks and stores/signs anything missing
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only replays historical block ranges
+ * - Open/Closed: Reuses route-driven pollers, so new routes need no changes here
+ * - Dependency Inversion: Depends on poller and service abstractions
+ */
+
+const { getPoller, getPollers } = require('../eventPoller/eventPoller');
+const eventSigner = require('../eventPoller/eventSigner');
+const web3Service = require('../../shared/services/web3Service');
+const chainConfig = require('../../shared/config/chains');
+const logger = require('../../shared/utils/logger');
+const { ValidationError } = require('../../shared/utils/errors');
+
+class BackfillRunner {
+  /**
+   * Validate and normalize backfill parameters
+   * Implements Guard Pattern
+   */
+  validateParams({ chain, fromBlock, toBlock, relayerId, chunkSize }) {
+    const chainKey = (chain || '').toLowerCase();
+    if (!getPoller(chainKey)) {
+      throw new ValidationError('Unsupported chain for backfill', {
+        chain,
+        supported: getPollers().map(poller => poller.chain)
+      });
+    }
+
+    if (!relayerId) {
+      throw new ValidationError('Missing relayerId for backfill');
+    }
+
+    const from = Number(fromBlock);
+    const to = Number(toBlock);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || from > to) {
+      throw new ValidationError('Invalid block range for backfill', { fromBlock, toBlock });
+    }
+
+    const policy = chainConfig.getPollingPolicy(chainKey);
+    const size = chunkSize ? Number(chunkSize) : policy.maxBlocksPerPoll;
+    if (!Number.isInteger(size) || size < 1) {
+      throw new ValidationError('Invalid chunkSize for backfill', { chunkSize });
+    }
+
+    return {
+      chain: chainKey,
+      fromBlock: from,
+      toBlock: to,
+      relayerId: String(relayerId),
+      chunkSize: size,
+      policy
+    };
+  }
+
+  /**
+   * Run backfill over [fromBlock, toBlock]
+   * Idempotent against existing EVENT# and SIGNATURE# items
+   */
+  async run(params) {
+    const {
+      chain, fromBlock, toBlock: requestedToBlock, relayerId, chunkSize, policy
+    } = this.validateParams(params);
+    const poller = getPoller(chain);
+
+    // Never backfill past the chain's safe block
+    const { safeBlock } = await web3Service.getSafeBlock(chain, policy);
+    const toBlock = Math.min(requestedToBlock, safeBlock);
+
+    const summary = {
+      chain,
+      relayerId,
+      fromBlock,
+      toBlock,
+      requestedToBlock,
+      chunkSize,
+      chunks: 0,
+      eventsFound: 0,
+      eventsStored: 0,
+      eventsAlreadyStored: 0,
+      eventsSigned: 0,
+      eventsAlreadySigned: 0,
+      eventsFlagged: 0,
+      eventsRejected: 0,
+      eventsFailed: 0,
+      failedSignatures: 0,
+      failedChunks: [],
+      storedEventIds: [],
+      signedEventIds: []
+    };
+
+    logger.info('Starting backfill', { chain, relayerId, fromBlock, toBlock, chunkSize });
+
+    for (let chunkFrom = fromBlock; chunkFrom <= toBlock; chunkFrom += chunkSize) {
+      const chunkTo = Math.min(chunkFrom + chunkSize - 1, toBlock);
+      summary.chunks++;
+
+      try {
+        const pollResult = await poller.poll(chunkFrom, chunkTo);
+        const signResult = await eventSigner.signEvents(pollResult.events || [], relayerId);
+
+        const newEvents = pollResult.events.filter(event => event.isNew);
+        summary.eventsFound += pollResult.eventsFound;
+        summary.eventsStored += newEvents.length;
+        summary.eventsAlreadyStored += pollResult.events.length - newEvents.length;
+        summary.eventsFailed += pollResult.eventsFailed;
+        summary.eventsSigned += signResult.signedEvents.length;
+        summary.eventsAlreadySigned += signResult.alreadySigned;
+        summary.eventsFlagged += signResult.flaggedEvents.length;
+        summary.eventsRejected += signResult.rejectedEvents.length;
+        summary.failedSignatures += signResult.failedSignatures;
+        summary.storedEventIds.push(...newEvents.map(event => event.eventId));
+        summary.signedEventIds.push(...signResult.signedEvents.map(event => event.eventId));
+      } catch (error) {
+        logger.error('Backfill chunk failed', error, { chain, chunkFrom, chunkTo });
+        summary.failedChunks.push({
+          fromBlock: chunkFrom,
+          toBlock: chunkTo,
+          error: error.message
+        });
+      }
+    }
+
+    summary.complete = summary.failedChunks.length === 0 &&
+      summary.eventsFailed === 0 &&
+      summary.failedSignatures === 0;
+
+    logger.info('Backfill completed', {
+      chain,
+      relayerId,
+      fromBlock,
+      toBlock,
+      eventsFound: summary.eventsFound,
+      eventsStored: summary.eventsStored,
+      eventsSigned: summary.eventsSigned,
+      complete: summary.complete
+    });
+
+    return summary;
+  }
+}
+
+module.exports = new BackfillRunner();
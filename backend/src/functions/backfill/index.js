@@ -0,0 +1,66 @@
+/**
+ * Backfill Lambda Handler
+ * Invoked manually with { chain, fromBlock, toBlock, relayerId?, chunkSize? }
+ *
+ * One function is deployed per relayer with only that relayer's key (RELAYER_ID),
+ * like the pollers; invoke each relayer's function to reach the signing threshold.
+ * A relayerId in the payload must name this function's relayer.
+ *
+ * Design Patterns:
+ * - Command Pattern: Payload describes one backfill run
+ * - Facade Pattern: Delegates to BackfillRunner
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Adapts Lambda invocations to the backfill runner
+ * - Dependency Inversion: Depends on runner abstraction
+ */
+
+const backfillRunner = require('./backfillRunner');
+const logger = require('../../shared/utils/logger');
+const { ValidationError } = require('../../shared/utils/errors');
+
+/**
+ * Lambda handler function
+ * @param {Object} event - Backfill request payload
+ */
+exports.handler = async (event) => {
+  const startTime = Date.now();
+  logger.info('Backfill Lambda invoked', { event });
+
+  try {
+    const relayerId = process.env.RELAYER_ID;
+    if (event.relayerId && String(event.relayerId) !== relayerId) {
+      throw new ValidationError('This backfill function signs as another relayer', {
+        requested: String(event.relayerId),
+        relayerId,
+        functionName: `${process.env.STAGE || 'dev'}-Backfill-Relayer${event.relayerId}`
+      });
+    }
+
+    const summary = await backfillRunner.run({
+      chain: event.chain,
+      fromBlock: event.fromBlock,
+      toBlock: event.toBlock,
+      relayerId,
+      chunkSize: event.chunkSize
+    });
+
+    return {
+      statusCode: 200,
+      body: {
+        ...summary,
+        duration: Date.now() - startTime
+      }
+    };
+  } catch (error) {
+    logger.error('Backfill Lambda failed', error);
+    return {
+      statusCode: error instanceof ValidationError ? 400 : 500,
+      body: {
+        error: error.message,
+        details: error.details,
+        duration: Date.now() - startTime
+      }
+    };
+  }
+};
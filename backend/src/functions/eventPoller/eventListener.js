@@ -0,0 +1,294 @@
+/**
+ * Event Listener - Long-running WebSocket subscription mode
+ * Implements Observer Pattern for near-real-time event detection
+ *
+ * Each chain listener subscribes to its routes' events and new block headers.
+ * A notification only marks its block as pending; once the block passes the
+ * chain's safety policy, the range is processed by the same poller and signer
+ * the cron Lambda uses. Logs are therefore re-read over the HTTP provider pool
+ * and deduplicated against stored events and signatures. The listener never
+ * moves the poller cursor, so the scheduled poller stays the catch-up safety net.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only turns subscriptions into block ranges to process
+ * - Open/Closed: Subscribes to whatever the route table lists for the chain
+ * - Dependency Inversion: Depends on poller, signer and config abstractions
+ */
+
+const { ethers } = require('ethers');
+const { getPollers } = require('./eventPoller');
+const eventSigner = require('./eventSigner');
+const web3Service = require('../../shared/services/web3Service');
+const chainConfig = require('../../shared/config/chains');
+const logger = require('../../shared/utils/logger');
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+class ChainListener {
+  constructor(poller, relayerId) {
+    this.poller = poller;
+    this.chain = poller.chain;
+    this.relayerId = relayerId;
+    this.config = chainConfig.getConfigByChainKey(this.chain);
+    this.policy = chainConfig.getPollingPolicy(this.chain);
+
+    this.provider = null;
+    this.heartbeat = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.stopped = true;
+
+    // Pending block range waiting for the safety policy
+    this.pendingFrom = null;
+    this.pendingTo = null;
+    this.lastSeenBlock = null;
+    this.processing = false;
+
+    // Backoff for a pending range that keeps failing
+    this.retryAttempts = 0;
+    this.retryAt = 0;
+  }
+
+  /**
+   * Connect and subscribe
+   */
+  async start() {
+    this.stopped = false;
+    await this.connect();
+  }
+
+  /**
+   * Unsubscribe and close the socket
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    await this.disconnect();
+    logger.info('Event listener stopped', { chain: this.chain });
+  }
+
+  async connect() {
+    try {
+      const network = { chainId: this.config.chainId, name: this.config.name };
+      const provider = new ethers.WebSocketProvider(this.config.wsUrl, network, { staticNetwork: true });
+      this.provider = provider;
+
+      // Subscribe only once the socket is open; requests queued on a socket
+      // that never opens are rejected unhandled when the provider is destroyed
+      await new Promise((resolve, reject) => {
+        provider.websocket.once('open', resolve);
+        provider.websocket.once('error', reject);
+      });
+
+      // ethers does not reconnect WebSocket providers, so watch the socket directly
+      provider.websocket.on('close', (code) => this.handleDisconnect(provider, `socket closed (${code})`));
+      provider.websocket.on('error', (error) => this.handleDisconnect(provider, error.message));
+
+      for (const route of this.poller.routes) {
+        const { address, abi } = web3Service.getContractConfig(route.sourceChain, route.contractType);
+        const contract = new ethers.Contract(address, abi, provider);
+        await contract.on(route.eventName, (...args) => {
+          const { log } = args[args.length - 1];
+          this.handleLog(route, log);
+        });
+      }
+      await provider.on('block', (blockNumber) => this.handleBlock(blockNumber));
+
+      this.heartbeat = setInterval(() => this.checkHeartbeat(provider), HEARTBEAT_INTERVAL_MS);
+      this.reconnectAttempts = 0;
+
+      logger.info('Event listener subscribed', {
+        chain: this.chain,
+        routes: this.poller.routes.map(route => route.eventName)
+      });
+    } catch (error) {
+      this.handleDisconnect(this.provider, error.message);
+    }
+  }
+
+  async disconnect() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+
+    const provider = this.provider;
+    this.provider = null;
+    if (provider) {
+      try {
+        // destroy() drops subscriptions itself; unsubscribing first leaves
+        // eth_unsubscribe requests that reject once the socket is gone
+        await provider.destroy();
+      } catch (error) {
+        logger.debug('Error while closing WebSocket provider', { chain: this.chain, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Reconnect with exponential backoff
+   * Blocks missed while disconnected are queued once the next block arrives
+   */
+  handleDisconnect(provider, reason) {
+    if (this.stopped || provider !== this.provider) {
+      return;
+    }
+
+    const delay = Math.min(Math.pow(2, this.reconnectAttempts) * 1000, MAX_RECONNECT_DELAY_MS);
+    this.reconnectAttempts++;
+    logger.warn('Event listener disconnected, reconnecting', {
+      chain: this.chain,
+      reason,
+      attempt: this.reconnectAttempts,
+      delayMs: delay
+    });
+
+    this.disconnect().finally(() => {
+      this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    });
+  }
+
+  /**
+   * Detect silently dropped sockets
+   */
+  async checkHeartbeat(provider) {
+    try {
+      await Promise.race([
+        provider.getBlockNumber(),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('heartbeat timeout')), HEARTBEAT_INTERVAL_MS / 2))
+      ]);
+    } catch (error) {
+      this.handleDisconnect(provider, error.message);
+    }
+  }
+
+  handleLog(route, log) {
+    if (log.removed) {
+      logger.info('Subscribed log removed by reorg, leaving to range processing', {
+        chain: this.chain,
+        txHash: log.transactionHash
+      });
+      return;
+    }
+
+    logger.info('Bridge event received over WebSocket', {
+      chain: this.chain,
+      route: route.id,
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber
+    });
+    this.markPending(log.blockNumber, log.blockNumber);
+  }
+
+  handleBlock(blockNumber) {
+    // Queue any blocks skipped while the socket was down
+    if (this.lastSeenBlock !== null && blockNumber > this.lastSeenBlock + 1) {
+      this.markPending(this.lastSeenBlock + 1, blockNumber - 1);
+    }
+    this.lastSeenBlock = Math.max(this.lastSeenBlock ?? blockNumber, blockNumber);
+
+    if (this.pendingFrom !== null && !this.processing && Date.now() >= this.retryAt) {
+      this.processPending(blockNumber).catch(error => {
+        logger.error('Listener failed to process pending blocks', error, { chain: this.chain });
+        this.scheduleRetry();
+      });
+    }
+  }
+
+  /**
+   * Hold off new heads with exponential backoff after a failed range
+   * The scheduled poller still covers the range in the meantime
+   */
+  scheduleRetry() {
+    const delay = Math.min(Math.pow(2, this.retryAttempts) * 1000, MAX_RETRY_DELAY_MS);
+    this.retryAttempts++;
+    this.retryAt = Date.now() + delay;
+    logger.warn('Listener backing off pending blocks', {
+      chain: this.chain,
+      pendingFrom: this.pendingFrom,
+      attempt: this.retryAttempts,
+      delayMs: delay
+    });
+  }
+
+  markPending(fromBlock, toBlock) {
+    this.pendingFrom = this.pendingFrom === null ? fromBlock : Math.min(this.pendingFrom, fromBlock);
+    this.pendingTo = this.pendingTo === null ? toBlock : Math.max(this.pendingTo, toBlock);
+  }
+
+  /**
+   * Process the pending range up to the chain's safe block
+   * Uses the same poll/sign path as the scheduled poller
+   */
+  async processPending(headBlock) {
+    this.processing = true;
+    try {
+      const safeBlock = this.policy.finalityTag
+        ? (await web3Service.getSafeBlock(this.chain, this.policy)).safeBlock
+        : headBlock - this.policy.confirmations;
+
+      if (safeBlock < this.pendingFrom) {
+        return;
+      }
+
+      const fromBlock = this.pendingFrom;
+      const toBlock = Math.min(this.pendingTo, safeBlock);
+
+      const pollResult = await this.poller.poll(fromBlock, toBlock);
+      const signResult = await eventSigner.signEvents(pollResult.events, this.relayerId);
+
+      // Keep blocks from the first failed event pending for the next attempt
+      const commitBlock = this.poller.getCommitBlock(fromBlock, toBlock, [
+        ...pollResult.failedBlocks,
+        ...signResult.failedBlocks
+      ]);
+      if (commitBlock >= this.pendingTo) {
+        this.pendingFrom = null;
+        this.pendingTo = null;
+      } else {
+        this.pendingFrom = commitBlock + 1;
+      }
+      if (commitBlock < toBlock) {
+        this.scheduleRetry();
+      } else {
+        this.retryAttempts = 0;
+        this.retryAt = 0;
+      }
+
+      logger.info('Listener processed confirmed blocks', {
+        chain: this.chain,
+        relayerId: this.relayerId,
+        fromBlock,
+        toBlock,
+        eventsFound: pollResult.eventsFound,
+        eventsSigned: signResult.signedEvents.length,
+        eventsAlreadySigned: signResult.alreadySigned,
+        eventsFlagged: signResult.flaggedEvents.length,
+        eventsRejected: signResult.rejectedEvents.length
+      });
+    } finally {
+      this.processing = false;
+    }
+  }
+}
+
+/**
+ * Build a listener for every source chain with a WebSocket URL configured
+ * Implements Factory Pattern
+ */
+function createListeners(relayerId) {
+  return getPollers()
+    .filter(poller => {
+      const { wsUrl } = chainConfig.getConfigByChainKey(poller.chain);
+      if (!wsUrl) {
+        logger.warn('No WebSocket URL configured, chain left to the scheduled poller', { chain: poller.chain });
+      }
+      return Boolean(wsUrl);
+    })
+    .map(poller => new ChainListener(poller, relayerId));
+}
+
+module.exports = {
+  ChainListener,
+  createListeners
+};
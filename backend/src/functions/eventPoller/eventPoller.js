@@ -0,0 +1,246 @@
+/**
+ * Event Poller - Generic poller engine driven by the route table
+ * Implements Observer Pattern for event detection
+ *
+ * One poller instance exists per source chain. It shares a block range and
+ * cursor across every route on that chain and maps each route's event args
+ * into the common event entity.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only polls and stores bridge events
+ * - Open/Closed: New chains and event types are route entries, not code
+ * - Dependency Inversion: Depends on service and config abstractions
+ */
+
+const web3Service = require('../../shared/services/web3Service');
+const dynamoService = require('../../shared/services/dynamoService');
+const chainConfig = require('../../shared/config/chains');
+const routeConfig = require('../../shared/config/routes');
+const tokenConfig = require('../../shared/config/tokens');
+const logger = require('../../shared/utils/logger');
+const { EventProcessingError } = require('../../shared/utils/errors');
+
+class EventPoller {
+  constructor(chain, routes) {
+    this.chain = chain;
+    this.routes = routes;
+  }
+
+  /**
+   * Poll every route on this chain over one block range
+   * Implements polling strategy with block range management
+   */
+  async poll(fromBlock, toBlock) {
+    try {
+      logger.info('Starting event poll', {
+        chain: this.chain,
+        routes: this.routes.map(route => route.id),
+        fromBlock,
+        toBlock
+      });
+
+      const processedEvents = [];
+      const routeResults = {};
+      const failedBlocks = [];
+      let eventsFound = 0;
+      let failedEvents = 0;
+
+      for (const route of this.routes) {
+        const events = await web3Service.queryEvents(
+          route.sourceChain,
+          route.contractType,
+          route.eventName,
+          {},
+          fromBlock,
+          toBlock
+        );
+
+        logger.info(`Found ${events.length} ${route.eventName} events`, {
+          route: route.id,
+          fromBlock,
+          toBlock
+        });
+
+        let routeProcessed = 0;
+        for (const event of events) {
+          try {
+            const processed = await this.processEvent(route, event);
+            if (processed) {
+              processedEvents.push(processed);
+              routeProcessed++;
+            }
+          } catch (error) {
+            failedEvents++;
+            failedBlocks.push(event.blockNumber);
+            logger.error('Failed to process individual event', error, {
+              route: route.id,
+              txHash: event.transactionHash
+            });
+            // Continue processing other events
+          }
+        }
+
+        eventsFound += events.length;
+        routeResults[route.id] = {
+          eventName: route.eventName,
+          eventsFound: events.length,
+          eventsProcessed: routeProcessed
+        };
+      }
+
+      return {
+        success: true,
+        eventsFound,
+        eventsProcessed: processedEvents.length,
+        eventsFailed: failedEvents,
+        failedBlocks,
+        routes: routeResults,
+        events: processedEvents
+      };
+    } catch (error) {
+      logger.error('Event polling failed', error, { chain: this.chain, fromBlock, toBlock });
+      throw new EventProcessingError(`${this.chain} polling failed`, {
+        fromBlock,
+        toBlock,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * Process individual route event
+   * Implements Command Pattern
+   */
+  async processEvent(route, event) {
+    try {
+      const parsedEvent = web3Service.parseEventLog(event);
+
+      // Extract event data through the route's arg mapping
+      const args = routeConfig.mapEventArgs(route, parsedEvent.args);
+      const tokenRoute = tokenConfig.resolveTokenRoute(route, args.token);
+      const eventData = {
+        ...args,
+        tokenId: tokenRoute.tokenId,
+        destinationToken: tokenRoute.destinationToken,
+        tokenRoute: tokenRoute.key,
+        txHash: parsedEvent.transactionHash,
+        chain: route.chainLabel,
+        status: route.status,
+        routeId: route.id,
+        blockNumber: parsedEvent.blockNumber,
+        blockHash: parsedEvent.blockHash,
+        logIndex: parsedEvent.logIndex
+      };
+
+      // Store event metadata if no relayer has done so yet
+      const created = await dynamoService.createEvent(eventData);
+      eventData.isNew = created !== null;
+
+      // Every relayer records the volume so the rate limit policy sees it
+      await dynamoService.recordTransferVolume(eventData);
+
+      if (eventData.isNew) {
+        logger.info('Event processed and stored', {
+          route: route.id,
+          tokenRoute: eventData.tokenRoute,
+          eventId: eventData.eventId,
+          txHash: eventData.txHash,
+          amount: eventData.amount
+        });
+      } else {
+        logger.debug('Event metadata already stored by another run', { eventId: eventData.eventId });
+      }
+
+      return eventData;
+    } catch (error) {
+      logger.error('Failed to process event', error, { route: route.id });
+      throw new EventProcessingError('Failed to process event', {
+        route: route.id,
+        transactionHash: event.transactionHash
+      });
+    }
+  }
+
+  /**
+   * Get safe block range for polling
+   * Resumes from the relayer's persisted cursor and honours the chain's safety policy
+   */
+  async getPollingRange(relayerId) {
+    try {
+      const policy = chainConfig.getPollingPolicy(this.chain);
+      const { currentBlock, safeBlock, mode } = await web3Service.getSafeBlock(this.chain, policy);
+      const cursor = await dynamoService.getPollerCursor(this.chain, relayerId);
+
+      const safety = {
+        mode,
+        confirmations: policy.confirmations,
+        finalityTag: policy.finalityTag,
+        blockTime: policy.blockTime,
+        maxBlocksPerPoll: policy.maxBlocksPerPoll,
+        safeBlock
+      };
+
+      // Start from cursor + 1, or look back a block-time-sized window on first run
+      let fromBlock = cursor
+        ? cursor.lastProcessedBlock + 1
+        : Math.max(0, safeBlock - policy.initialLookbackBlocks);
+
+      // Never poll past the safe block
+      let toBlock = Math.min(fromBlock + policy.maxBlocksPerPoll - 1, safeBlock);
+
+      // Ensure valid range
+      if (fromBlock > toBlock) {
+        logger.debug('No new blocks to poll', { fromBlock, toBlock, currentBlock, safety });
+        return { fromBlock, toBlock, currentBlock, safety, isEmpty: true };
+      }
+
+      return { fromBlock, toBlock, currentBlock, safety, isEmpty: false };
+    } catch (error) {
+      logger.error('Failed to get polling range', error, { chain: this.chain, relayerId });
+      throw new EventProcessingError('Failed to get polling range');
+    }
+  }
+
+  /**
+   * Last block of a polled range that can be committed
+   * Stops just before the first block with an event that failed to store or sign,
+   * so a failing event only holds back the blocks from its own onwards
+   * @param {number[]} failedBlocks - Blocks of failed events (from poll and signEvents)
+   * @returns {number} Block to commit; fromBlock - 1 when nothing can be committed
+   */
+  getCommitBlock(fromBlock, toBlock, failedBlocks) {
+    if (!failedBlocks.length) {
+      return toBlock;
+    }
+    // A failure without a block could be anywhere in the range
+    if (!failedBlocks.every(Number.isInteger)) {
+      return fromBlock - 1;
+    }
+    return Math.max(fromBlock - 1, Math.min(...failedBlocks) - 1);
+  }
+
+  /**
+   * Advance the relayer's cursor over blocks that are fully stored and signed
+   */
+  async commitPollingRange(relayerId, toBlock) {
+    return dynamoService.updatePollerCursor(this.chain, relayerId, toBlock);
+  }
+}
+
+/**
+ * Build one poller per source chain from the route table
+ * Implements Factory Pattern
+ */
+function createPollers() {
+  return routeConfig.getSourceChains().map(chain =>
+    new EventPoller(chain, routeConfig.getRoutesForChain(chain))
+  );
+}
+
+const pollers = createPollers();
+
+module.exports = {
+  EventPoller,
+  getPollers: () => pollers,
+  getPoller: (chain) => pollers.find(poller => poller.chain === chain.toLowerCase()) || null
+};
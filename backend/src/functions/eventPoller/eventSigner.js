@@ -0,0 +1,194 @@
+/**
+ * Event Signer - Verifies events against stored metadata, receipts and volume caps, then signs
+ * Shared by the scheduled poller and the historical backfill
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only decides whether and how a relayer signs an event
+ * - Open/Closed: New verification checks can be added before signing
+ * - Dependency Inversion: Depends on service abstractions
+ */
+
+const signingService = require('../../shared/services/signingService');
+const dynamoService = require('../../shared/services/dynamoService');
+const relayerRegistry = require('../../shared/services/relayerRegistry');
+const rateLimitPolicy = require('../../shared/services/rateLimitPolicy');
+const receiptVerifier = require('./receiptVerifier');
+const logger = require('../../shared/utils/logger');
+
+class EventSigner {
+  /**
+   * Sign events discovered on-chain
+   * Idempotent: events this relayer already signed are skipped
+   */
+  async signEvents(events, relayerId) {
+    const signedEvents = [];
+    const flaggedEvents = [];
+    const rejectedEvents = [];
+    const failedBlocks = [];
+    let alreadySigned = 0;
+    let failedSignatures = 0;
+
+    const epoch = events.length ? await this.getSigningEpoch(relayerId) : null;
+
+    for (const eventData of events) {
+      try {
+        // Events stored by another relayer must match what this relayer read on-chain
+        if (!eventData.isNew) {
+          const mismatches = await this.verifyStoredMetadata(eventData);
+          if (mismatches.length > 0) {
+            await dynamoService.createMetadataMismatch({
+              eventId: eventData.eventId,
+              relayerId,
+              mismatches
+            });
+            flaggedEvents.push({ eventId: eventData.eventId, mismatches });
+            continue;
+          }
+        }
+
+        if (await dynamoService.hasSignature(eventData.eventId, relayerId)) {
+          alreadySigned++;
+          logger.debug('Event already signed by relayer, skipping', {
+            eventId: eventData.eventId,
+            relayerId
+          });
+          continue;
+        }
+
+        // A key that is retiring, revoked or unknown must not sign new events
+        if (epoch === null) {
+          failedSignatures++;
+          failedBlocks.push(eventData.blockNumber);
+          continue;
+        }
+
+        // Never sign a log this relayer cannot confirm from the transaction receipt
+        const verification = await receiptVerifier.verify(eventData);
+        if (!verification.verified) {
+          await dynamoService.createVerificationFailure({
+            eventId: eventData.eventId,
+            relayerId,
+            failures: verification.failures
+          });
+          rejectedEvents.push({ eventId: eventData.eventId, failures: verification.failures });
+          continue;
+        }
+
+        // Never sign a transfer the source bridge should have refused under its volume caps
+        const policy = await rateLimitPolicy.checkOutbound(eventData);
+        if (!policy.allowed) {
+          await dynamoService.createVerificationFailure({
+            eventId: eventData.eventId,
+            relayerId,
+            failures: policy.failures
+          });
+          rejectedEvents.push({ eventId: eventData.eventId, failures: policy.failures });
+          continue;
+        }
+
+        const signatureData = await signingService.signEventData(relayerId, eventData);
+
+        // Store signature in DynamoDB; null when an overlapping run already stored it
+        const stored = await dynamoService.createSignature({
+          eventId: eventData.eventId,
+          relayerId,
+          signature: signatureData.signature,
+          publicKey: signatureData.publicKey,
+          signatureVersion: signatureData.signatureVersion,
+          messageHash: signatureData.messageHash,
+          epoch
+        });
+
+        if (!stored) {
+          alreadySigned++;
+          continue;
+        }
+
+        signedEvents.push({
+          eventId: eventData.eventId,
+          signed: true
+        });
+
+        logger.info('Event signed and stored', {
+          eventId: eventData.eventId,
+          relayerId
+        });
+      } catch (error) {
+        failedSignatures++;
+        failedBlocks.push(eventData.blockNumber);
+        logger.error('Failed to sign event', error, { eventId: eventData.eventId });
+      }
+    }
+
+    return {
+      signedEvents,
+      flaggedEvents,
+      rejectedEvents,
+      alreadySigned,
+      failedSignatures,
+      failedBlocks
+    };
+  }
+
+  /**
+   * Registry epoch this relayer's key signs under, or null if the key is not active
+   */
+  async getSigningEpoch(relayerId) {
+    const registry = await relayerRegistry.getSnapshot();
+    const address = await signingService.getRelayerAddress(relayerId);
+    const epoch = registry.getSigningEpoch(relayerId, address);
+
+    if (epoch === null) {
+      logger.error('Relayer key is not active in the current registry epoch, not signing', null, {
+        relayerId,
+        address,
+        currentEpoch: registry.currentEpoch
+      });
+    }
+    return epoch;
+  }
+
+  /**
+   * Compare on-chain event data with the metadata another relayer stored
+   * Returns the list of fields that disagree
+   */
+  async verifyStoredMetadata(eventData) {
+    const storedEvent = await dynamoService.getEventMetadata(eventData.eventId);
+    if (!storedEvent) {
+      return [{ field: 'METADATA', expected: 'present', actual: null }];
+    }
+
+    const hexFields = ['txHash', 'token', 'destinationToken', 'fromAddress', 'toAddress', 'blockHash'];
+    const fields = [
+      'txHash', 'chain', 'token', 'destinationToken', 'amount', 'fee', 'fromAddress', 'toAddress',
+      'blockNumber', 'blockHash', 'logIndex', 'nonce'
+    ];
+    const mismatches = [];
+
+    for (const field of fields) {
+      // Events stored before a field was persisted are compared on what they have
+      if (storedEvent[field] === undefined) continue;
+
+      const expected = String(eventData[field]);
+      const actual = String(storedEvent[field]);
+      const isEqual = hexFields.includes(field)
+        ? expected.toLowerCase() === actual.toLowerCase()
+        : expected === actual;
+
+      if (!isEqual) {
+        mismatches.push({ field, expected, actual });
+      }
+    }
+
+    if (mismatches.length > 0) {
+      logger.warn('Stored event metadata does not match chain data', {
+        eventId: eventData.eventId,
+        mismatches
+      });
+    }
+
+    return mismatches;
+  }
+}
+
+module.exports = new EventSigner();
@@ -3,20 +3,19 @@
  * Triggered by EventBridge every 30 seconds
  * 
  * Design Patterns:
- * - Strategy Pattern: Different pollers for different chains
- * - Factory Pattern: Creates appropriate poller based on input
- * - Template Method: Common polling flow with chain-specific implementations
+ * - Strategy Pattern: Route table describes what each chain emits
+ * - Factory Pattern: One poller per source chain built from the route table
+ * - Template Method: Common polling flow for every route
  * 
  * SOLID Principles:
  * - Single Responsibility: Orchestrates event polling
- * - Open/Closed: New chains can be added without modification
+ * - Open/Closed: New chains and routes are added in config/routes.js
  * - Dependency Inversion: Depends on poller abstractions
  */
 
-const arbitrumPoller = require('./bscPoller');
-const ethPoller = require('./ethPoller');
-const signingService = require('../../shared/services/signingService');
-const dynamoService = require('../../shared/services/dynamoService');
+const { getPollers } = require('./eventPoller');
+const eventSigner = require('./eventSigner');
+const refundSigner = require('./refundSigner');
 const logger = require('../../shared/utils/logger');
 
 /**
@@ -32,26 +31,35 @@ exports.handler = async (event) => {
     const relayerId = event.relayerId || process.env.RELAYER_ID || '1';
     logger.info('Processing as relayer', { relayerId });
 
-    // Poll both chains
-    const results = await Promise.allSettled([
-      pollAndSignEvents(arbitrumPoller, relayerId),
-      pollAndSignEvents(ethPoller, relayerId)
-    ]);
-
-    // Process results
-    const arbitrumResult = results[0];
-    const ethResult = results[1];
+    // Poll every source chain in the route table
+    const pollers = getPollers();
+    const results = await Promise.allSettled(
+      pollers.map(poller => pollAndSignEvents(poller, relayerId))
+    );
 
     const response = {
       statusCode: 200,
       body: {
         relayerId,
-        arbitrum: arbitrumResult.status === 'fulfilled' ? arbitrumResult.value : { error: arbitrumResult.reason?.message },
-        ethereum: ethResult.status === 'fulfilled' ? ethResult.value : { error: ethResult.reason?.message },
         duration: Date.now() - startTime
       }
     };
 
+    pollers.forEach((poller, index) => {
+      const result = results[index];
+      response.body[poller.chain] = result.status === 'fulfilled'
+        ? result.value
+        : { error: result.reason?.message };
+    });
+
+    // Sign the next phase of refund requests raised by operators
+    try {
+      response.body.refunds = await refundSigner.signOpenRefunds(relayerId);
+    } catch (error) {
+      logger.error('Failed to sign refunds', error, { relayerId });
+      response.body.refunds = { error: error.message };
+    }
+
     logger.info('EventPoller completed', response.body);
     return response;
 
@@ -73,13 +81,14 @@ exports.handler = async (event) => {
  */
 async function pollAndSignEvents(poller, relayerId) {
   try {
-    // Get polling range
-    const range = await poller.getPollingRange();
-    if (!range) {
+    // Get polling range from the relayer's persisted cursor
+    const range = await poller.getPollingRange(relayerId);
+    if (range.isEmpty) {
       return {
         chain: poller.chain,
         message: 'No new blocks to poll',
-        eventsProcessed: 0
+        eventsProcessed: 0,
+        safetyPolicy: range.safety
       };
     }
 
@@ -87,41 +96,48 @@ async function pollAndSignEvents(poller, relayerId) {
     const pollResult = await poller.poll(range.fromBlock, range.toBlock);
 
     // Sign each event discovered
-    const signedEvents = [];
-    for (const eventData of pollResult.events || []) {
-      try {
-        const signatureData = await signingService.signEventData(relayerId, eventData);
-        
-        // Store signature in DynamoDB
-        await dynamoService.createSignature({
-          eventId: eventData.eventId,
-          relayerId,
-          signature: signatureData.signature,
-          publicKey: signatureData.publicKey
-        });
-
-        signedEvents.push({
-          eventId: eventData.eventId,
-          signed: true
-        });
+    const signResult = await eventSigner.signEvents(pollResult.events || [], relayerId);
 
-        logger.info('Event signed and stored', { 
-          eventId: eventData.eventId, 
-          relayerId 
-        });
-      } catch (error) {
-        logger.error('Failed to sign event', error, { eventId: eventData.eventId });
-      }
+    // Advance the cursor up to the first block with a failed event, so the next run
+    // retries from there without re-polling the blocks that were fully processed
+    const commitBlock = poller.getCommitBlock(range.fromBlock, range.toBlock, [
+      ...pollResult.failedBlocks,
+      ...signResult.failedBlocks
+    ]);
+    const cursorAdvanced = commitBlock >= range.fromBlock;
+    if (cursorAdvanced) {
+      await poller.commitPollingRange(relayerId, commitBlock);
+    }
+    if (commitBlock < range.toBlock) {
+      logger.warn('Range not fully processed, cursor stopped before first failed block', {
+        chain: poller.chain,
+        relayerId,
+        fromBlock: range.fromBlock,
+        toBlock: range.toBlock,
+        cursorBlock: commitBlock,
+        eventsFailed: pollResult.eventsFailed,
+        failedSignatures: signResult.failedSignatures
+      });
     }
 
     return {
       chain: poller.chain,
       fromBlock: range.fromBlock,
       toBlock: range.toBlock,
+      currentBlock: range.currentBlock,
+      safetyPolicy: range.safety,
       eventsFound: pollResult.eventsFound,
       eventsProcessed: pollResult.eventsProcessed,
-      eventsSigned: signedEvents.length,
-      signedEvents
+      routes: pollResult.routes,
+      eventsSigned: signResult.signedEvents.length,
+      eventsAlreadySigned: signResult.alreadySigned,
+      eventsFlagged: signResult.flaggedEvents.length,
+      eventsRejected: signResult.rejectedEvents.length,
+      cursorAdvanced,
+      cursorBlock: cursorAdvanced ? commitBlock : null,
+      signedEvents: signResult.signedEvents,
+      flaggedEvents: signResult.flaggedEvents,
+      rejectedEvents: signResult.rejectedEvents
     };
 
   } catch (error) {
@@ -0,0 +1,117 @@
+/**
+ * Receipt Verifier - Re-checks a polled event against its transaction receipt
+ * Guards signing against a single RPC returning a bad or forged log
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only compares an event with its on-chain receipt
+ * - Open/Closed: New checks are added as entries in the failure list
+ * - Dependency Inversion: Depends on service and config abstractions
+ */
+
+const web3Service = require('../../shared/services/web3Service');
+const routeConfig = require('../../shared/config/routes');
+const logger = require('../../shared/utils/logger');
+const { Web3Error } = require('../../shared/utils/errors');
+
+const RECEIPT_CHECKS = {
+  TX_REVERTED: 'TX_REVERTED',
+  BLOCK_MISMATCH: 'BLOCK_MISMATCH',
+  LOG_NOT_FOUND: 'LOG_NOT_FOUND',
+  WRONG_CONTRACT: 'WRONG_CONTRACT',
+  UNDECODABLE_LOG: 'UNDECODABLE_LOG',
+  WRONG_EVENT: 'WRONG_EVENT',
+  ARG_MISMATCH: 'ARG_MISMATCH'
+};
+
+class ReceiptVerifier {
+  /**
+   * Verify an event against its receipt
+   * Returns { verified, failures: [{ check, field?, expected, actual }] }
+   * RPC errors and missing receipts are thrown so the caller retries instead of
+   * recording a failure: a lagging or failed-over RPC may not have indexed the tx yet
+   */
+  async verify(eventData) {
+    const route = routeConfig.getRoute(eventData.routeId);
+    const receipt = await web3Service.getTransactionReceipt(route.sourceChain, eventData.txHash);
+    if (!receipt) {
+      throw new Web3Error('Transaction receipt not found', {
+        eventId: eventData.eventId,
+        txHash: eventData.txHash
+      });
+    }
+
+    const failures = this.checkReceipt(route, eventData, receipt);
+
+    if (failures.length > 0) {
+      logger.warn('Event failed receipt verification', {
+        eventId: eventData.eventId,
+        txHash: eventData.txHash,
+        failures
+      });
+    }
+
+    return { verified: failures.length === 0, failures };
+  }
+
+  /**
+   * Compare an existing receipt with the polled event
+   * Stops at the first check later checks depend on
+   */
+  checkReceipt(route, eventData, receipt) {
+    if (receipt.status !== 1) {
+      return [{ check: RECEIPT_CHECKS.TX_REVERTED, expected: 1, actual: receipt.status }];
+    }
+
+    const failures = [];
+    if (receipt.blockHash.toLowerCase() !== String(eventData.blockHash).toLowerCase()) {
+      failures.push({ check: RECEIPT_CHECKS.BLOCK_MISMATCH, expected: eventData.blockHash, actual: receipt.blockHash });
+    }
+
+    const log = receipt.logs.find(l => l.index === Number(eventData.logIndex));
+    if (!log) {
+      failures.push({ check: RECEIPT_CHECKS.LOG_NOT_FOUND, expected: eventData.logIndex, actual: null });
+      return failures;
+    }
+
+    const contract = web3Service.getContract(route.sourceChain, route.contractType);
+    const { address } = web3Service.getContractConfig(route.sourceChain, route.contractType);
+    if (log.address.toLowerCase() !== address.toLowerCase()) {
+      failures.push({ check: RECEIPT_CHECKS.WRONG_CONTRACT, expected: address, actual: log.address });
+      return failures;
+    }
+
+    let parsed;
+    try {
+      parsed = contract.interface.parseLog({ topics: log.topics, data: log.data });
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed) {
+      failures.push({ check: RECEIPT_CHECKS.UNDECODABLE_LOG, expected: route.eventName, actual: null });
+      return failures;
+    }
+    if (parsed.name !== route.eventName) {
+      failures.push({ check: RECEIPT_CHECKS.WRONG_EVENT, expected: route.eventName, actual: parsed.name });
+      return failures;
+    }
+
+    // Re-decode args from the receipt and compare with what the poller stored
+    const decoded = routeConfig.mapEventArgs(route, parsed.args);
+    for (const [field, actual] of Object.entries(decoded)) {
+      const expected = String(eventData[field]);
+      const value = String(actual);
+      const isEqual = typeof actual === 'string' && actual.startsWith('0x')
+        ? expected.toLowerCase() === value.toLowerCase()
+        : expected === value;
+
+      if (!isEqual) {
+        failures.push({ check: RECEIPT_CHECKS.ARG_MISMATCH, field, expected, actual: value });
+      }
+    }
+
+    return failures;
+  }
+}
+
+module.exports = new ReceiptVerifier();
+module.exports.RECEIPT_CHECKS = RECEIPT_CHECKS;
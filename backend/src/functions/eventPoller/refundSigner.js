@@ -0,0 +1,111 @@
+/**
+ * Refund Signer - Signs the cancellation phases of open refund requests
+ * Runs on every poll after new events are signed
+ *
+ * A relayer signs CANCEL only for a lock it can still confirm from its receipt and
+ * that the destination has not minted, and signs REFUND only once it reads the
+ * cancellation from the destination bridge itself at the destination's safe block.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only decides whether a relayer signs a cancellation phase
+ * - Dependency Inversion: Depends on service abstractions
+ */
+
+const dynamoService = require('../../shared/services/dynamoService');
+const refundService = require('../../shared/services/refundService');
+const eventSigner = require('./eventSigner');
+const receiptVerifier = require('./receiptVerifier');
+const logger = require('../../shared/utils/logger');
+
+const { REFUND_PHASES, REFUND_STATUS } = refundService;
+
+// Events that must never be refunded whatever the destination reports
+const UNREFUNDABLE_STATUSES = ['MINTED', 'UNLOCKED', 'ORPHANED', 'REFUNDED'];
+
+class RefundSigner {
+  /**
+   * Sign the current phase of every open refund request
+   * Idempotent: phases this relayer already signed are skipped
+   */
+  async signOpenRefunds(relayerId) {
+    const requests = await dynamoService.getOpenRefundRequests();
+    const signed = [];
+    const skipped = [];
+    let failed = 0;
+
+    const epoch = requests.length ? await eventSigner.getSigningEpoch(relayerId) : null;
+    if (requests.length && epoch === null) {
+      return { signed, skipped, failed: requests.length };
+    }
+
+    for (const request of requests) {
+      try {
+        const result = await this.signRefund(request.eventId, relayerId, epoch);
+        (result.phase ? signed : skipped).push(result);
+      } catch (error) {
+        failed++;
+        logger.error('Failed to sign refund', error, { eventId: request.eventId, relayerId });
+      }
+    }
+
+    return { signed, skipped, failed };
+  }
+
+  /**
+   * Sign the phase a refund request is in
+   */
+  async signRefund(eventId, relayerId, epoch) {
+    const eventData = await dynamoService.getEventData(eventId);
+    if (!eventData?.event || !eventData.refund) {
+      return { eventId, reason: 'Event not found' };
+    }
+
+    const { event } = eventData;
+    if (UNREFUNDABLE_STATUSES.includes(event.status)) {
+      return { eventId, reason: `Event is ${event.status}` };
+    }
+
+    const state = await refundService.getOnChainState(event);
+    if (state.minted) {
+      await dynamoService.updateRefundRequest(eventId, REFUND_STATUS.REJECTED, { rejectReason: 'ALREADY_MINTED' });
+      logger.warn('Refund requested for a transfer already minted, rejecting', { eventId });
+      return { eventId, reason: 'Already minted' };
+    }
+    if (state.refunded) {
+      return { eventId, reason: 'Already refunded' };
+    }
+
+    // Sign nothing while a mint or cancel is only in blocks a reorg can still drop
+    if (state.pending.minted) {
+      return { eventId, reason: 'Mint not final' };
+    }
+    if (state.pending.cancelled) {
+      return { eventId, reason: 'Cancellation not final' };
+    }
+
+    const phase = state.cancelled ? REFUND_PHASES.REFUND : REFUND_PHASES.CANCEL;
+    if (eventData.cancellations.some(sig => sig.phase === phase && sig.relayerId === String(relayerId))) {
+      return { eventId, reason: `${phase} already signed` };
+    }
+
+    // Never vouch for a lock this relayer cannot confirm from the transaction receipt
+    const verification = await receiptVerifier.verify(event);
+    if (!verification.verified) {
+      logger.warn('Refund refused, lock failed receipt verification', { eventId, failures: verification.failures });
+      return { eventId, reason: 'Receipt verification failed', failures: verification.failures };
+    }
+
+    const signatureData = await refundService.signCancellation(relayerId, event, phase);
+    await dynamoService.createCancellationSignature({
+      eventId,
+      relayerId,
+      phase,
+      epoch,
+      ...signatureData
+    });
+
+    return { eventId, phase };
+  }
+}
+
+module.exports = new RefundSigner();
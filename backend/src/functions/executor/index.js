@@ -1,10 +1,11 @@
 /**
  * Executor Lambda Handler
- * Executes cross-chain operations (mint/unlock) after consensus
+ * Executes cross-chain operations (mint/unlock) after consensus,
+ * and the cancel/refund phases of refund requests
  * 
  * Design Patterns:
  * - Command Pattern: Encapsulates execution requests
- * - Strategy Pattern: Different strategies for mint/unlock
+ * - Strategy Pattern: Destination chain, method and final status come from the route
  * - Template Method: Common execution flow
  * 
  * SOLID Principles:
@@ -13,11 +14,16 @@
  * - Dependency Inversion: Depends on handler abstractions
  */
 
-const mintHandler = require('./mintHandler');
-const unlockHandler = require('./unlockHandler');
+const transferHandler = require('./transferHandler');
+const refundHandler = require('./refundHandler');
+const refundService = require('../../shared/services/refundService');
+const routeConfig = require('../../shared/config/routes');
 const dynamoService = require('../../shared/services/dynamoService');
+const web3Service = require('../../shared/services/web3Service');
 const logger = require('../../shared/utils/logger');
 
+const DEFAULT_REORG_RECHECK_SECONDS = 60;
+
 /**
  * Lambda handler function
  * @param {Object} event - Execution event from Validator Lambda
@@ -34,6 +40,43 @@ exports.handler = async (event) => {
 
     logger.info('Executing cross-chain operation', { eventId, action });
 
+    // Re-verify the source log against the canonical chain before acting
+    const reorgCheck = await verifySourceEvent(eventData);
+    if (reorgCheck.orphaned) {
+      await dynamoService.markEventOrphaned(eventId, reorgCheck.reason, reorgCheck.details);
+      await dynamoService.upsertExecution({
+        eventId,
+        status: 'ORPHANED',
+        error: reorgCheck.reason
+      });
+      if (isRefundAction(action)) {
+        await dynamoService.updateRefundRequest(eventId, refundService.REFUND_STATUS.REJECTED, {
+          rejectReason: 'ORPHANED'
+        });
+      }
+
+      return {
+        statusCode: 409,
+        body: {
+          eventId,
+          action,
+          success: false,
+          error: 'Source event orphaned by chain reorganization',
+          reason: reorgCheck.reason
+        }
+      };
+    }
+
+    // Logs the chain cannot confirm yet are rechecked, never orphaned
+    if (!reorgCheck.canonical) {
+      return await deferUnconfirmedEvent(event, reorgCheck);
+    }
+
+    // Refund phases are tracked on the refund request, not the execution
+    if (isRefundAction(action)) {
+      return await executeRefundPhase(eventId, action, eventData);
+    }
+
     // Update execution status to IN_PROGRESS
     await dynamoService.upsertExecution({
       eventId,
@@ -74,10 +117,13 @@ exports.handler = async (event) => {
       retryCount: 0
     });
 
-    // Update event status
-    const newStatus = action === 'MINT' ? 'MINTED' : 'UNLOCKED';
-    const chain = action === 'MINT' ? 'ETHEREUM' : 'ARBITRUM';
-    await dynamoService.updateEventStatus(eventId, newStatus, chain);
+    // Update event status; the event now lives on the destination chain
+    const route = routeConfig.getRouteForEvent(eventData);
+    await dynamoService.updateEventStatus(
+      eventId,
+      route.completedStatus,
+      routeConfig.getChainLabel(route.destinationChain)
+    );
 
     logger.info('Execution completed successfully', { 
       eventId, 
@@ -107,20 +153,129 @@ exports.handler = async (event) => {
 };
 
 /**
- * Execute action based on type
+ * Verify the source chain still contains the event log
+ * Orphaned events are rejected without re-checking the chain
+ */
+async function verifySourceEvent(eventData) {
+  if (eventData.status === 'ORPHANED') {
+    return { canonical: false, orphaned: true, reason: eventData.orphanReason || 'ORPHANED', details: {} };
+  }
+
+  return web3Service.verifyEventCanonical(eventData.chain, {
+    txHash: eventData.txHash,
+    blockNumber: eventData.blockNumber,
+    blockHash: eventData.blockHash,
+    logIndex: eventData.logIndex
+  });
+}
+
+/**
+ * Leave a transfer whose source log could not be confirmed for a later recheck
+ * Transfers are held so the validator re-runs them at releaseAt; refund
+ * requests are left as they are instead of being rejected
+ */
+async function deferUnconfirmedEvent({ eventId, action, heldSince }, reorgCheck) {
+  const releaseAt = getReorgRecheckAt();
+
+  if (!isRefundAction(action)) {
+    await dynamoService.upsertExecution({
+      eventId,
+      status: 'HELD',
+      heldSince: heldSince || new Date().toISOString(),
+      releaseAt,
+      holdReason: 'SOURCE_UNCONFIRMED',
+      error: reorgCheck.reason
+    });
+  }
+
+  logger.warn('Source event not confirmed, deferring execution', {
+    eventId,
+    action,
+    reason: reorgCheck.reason,
+    releaseAt
+  });
+
+  return {
+    statusCode: 503,
+    body: {
+      eventId,
+      action,
+      success: false,
+      retryable: true,
+      error: 'Source event not yet confirmed by the chain',
+      reason: reorgCheck.reason,
+      releaseAt
+    }
+  };
+}
+
+/**
+ * When a transfer deferred by an unconfirmed source log is re-checked
+ */
+function getReorgRecheckAt(now = Date.now()) {
+  const seconds = parseInt(process.env.REORG_RECHECK_SECONDS) || DEFAULT_REORG_RECHECK_SECONDS;
+  return new Date(now + seconds * 1000).toISOString();
+}
+
+function isRefundAction(action) {
+  return Object.values(refundService.REFUND_PHASES).includes(action);
+}
+
+/**
+ * Submit a cancel or refund phase and record it on the refund request
+ * A refunded event is marked REFUNDED
+ */
+async function executeRefundPhase(eventId, phase, eventData) {
+  let result;
+  try {
+    result = await refundHandler.executePhase(phase, eventData);
+  } catch (executionError) {
+    logger.error('Refund phase failed', executionError, { eventId, phase });
+    return {
+      statusCode: 500,
+      body: {
+        eventId,
+        action: phase,
+        success: false,
+        error: executionError.message
+      }
+    };
+  }
+
+  if (phase === refundService.REFUND_PHASES.CANCEL) {
+    await dynamoService.updateRefundRequest(eventId, refundService.REFUND_STATUS.CANCELLED, {
+      cancelTxHash: result.txHash
+    });
+  } else {
+    await dynamoService.updateRefundRequest(eventId, refundService.REFUND_STATUS.REFUNDED, {
+      refundTxHash: result.txHash
+    });
+    await dynamoService.updateEventStatus(eventId, 'REFUNDED', routeConfig.getRouteForEvent(eventData).chainLabel);
+  }
+
+  logger.info('Refund phase completed successfully', { eventId, phase, txHash: result.txHash });
+
+  return {
+    statusCode: 200,
+    body: {
+      eventId,
+      action: phase,
+      success: true,
+      ...result
+    }
+  };
+}
+
+/**
+ * Execute the event's route on its destination chain
  * Implements Strategy Pattern
  */
 async function executeAction(action, eventData) {
-  switch (action) {
-    case 'MINT':
-      mintHandler.validateMintParams(eventData);
-      return await mintHandler.executeMint(eventData);
-      
-    case 'UNLOCK':
-      unlockHandler.validateUnlockParams(eventData);
-      return await unlockHandler.executeUnlock(eventData);
-      
-    default:
-      throw new Error(`Unknown action: ${action}`);
+  const route = routeConfig.getRouteForEvent(eventData);
+  if (route.action !== action) {
+    throw new Error(`Unknown action for route ${route.id}: ${action}`);
   }
+
+  transferHandler.validateParams(eventData);
+  return await transferHandler.execute(route, eventData);
 }
@@ -0,0 +1,123 @@
+/**
+ * Refund Handler - Cancels undelivered transfers on the destination and refunds them on the source
+ * Implements Command Pattern for execution
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only submits cancellation phases
+ * - Open/Closed: Methods come from the route's refund configuration
+ * - Dependency Inversion: Depends on service abstractions
+ */
+
+const web3Service = require('../../shared/services/web3Service');
+const signingService = require('../../shared/services/signingService');
+const dynamoService = require('../../shared/services/dynamoService');
+const relayerRegistry = require('../../shared/services/relayerRegistry');
+const refundService = require('../../shared/services/refundService');
+const logger = require('../../shared/utils/logger');
+const { Web3Error } = require('../../shared/utils/errors');
+
+const { REFUND_PHASES } = refundService;
+
+class RefundHandler {
+  /**
+   * Submit a cancellation phase to the bridge that verifies it
+   * CANCEL calls the destination bridge, REFUND the source bridge
+   * @param {string} phase - REFUND_PHASES value
+   * @param {Object} eventData - Stored event metadata
+   */
+  async executePhase(phase, eventData) {
+    const { eventId } = eventData;
+    try {
+      const state = await refundService.getOnChainState(eventData);
+      if (state.minted || state.pending.minted) {
+        throw new Web3Error('Transfer already minted on destination', { eventId });
+      }
+
+      // Never resubmit a phase that already landed, even in a block that is not final yet
+      const done = phase === REFUND_PHASES.CANCEL
+        ? state.cancelled || state.pending.cancelled
+        : state.refunded;
+      if (done) {
+        logger.info('Refund phase already executed on-chain, skipping', { eventId, phase });
+        return {
+          success: true,
+          txHash: null,
+          alreadyProcessed: true
+        };
+      }
+
+      // The source bridge only refunds after the destination can no longer mint
+      if (phase === REFUND_PHASES.REFUND && !state.cancelled) {
+        throw new Web3Error('Mint not cancelled on destination', { eventId });
+      }
+
+      const { chain, method } = refundService.getPhaseBinding(eventData, phase);
+
+      // The executor's own relayer key only pays gas; the bridge checks relayer signatures
+      const relayerSigner = await signingService.getRelayerSigner(process.env.RELAYER_ID);
+      const signer = relayerSigner.connect(web3Service.getProvider(chain));
+      const bridge = web3Service.getContract(chain, 'bridge', signer);
+
+      const bundle = await this.getSignatureBundle(eventData, phase);
+
+      logger.info(`Calling ${method} on ${chain} bridge`, {
+        eventId,
+        sender: bundle.cancel.sender,
+        amount: eventData.amount,
+        signers: bundle.signers
+      });
+
+      const tx = await web3Service.sendTransaction(
+        bridge,
+        method,
+        [bundle.cancel, bundle.signatures],
+        {},
+        3 // Max retries
+      );
+
+      const receipt = await web3Service.waitForTransaction(
+        tx.hash,
+        chain,
+        3 // Confirmations
+      );
+
+      logger.info('Refund phase transaction confirmed', {
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        eventId,
+        phase
+      });
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+
+    } catch (error) {
+      logger.error('Refund phase execution failed', error, { eventId, phase });
+
+      throw new Web3Error('Refund phase execution failed', {
+        eventId,
+        phase,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * Build the signature bundle from the cancellation signatures stored for the event
+   */
+  async getSignatureBundle(eventData, phase) {
+    const stored = await dynamoService.getEventData(eventData.eventId);
+    if (!stored) {
+      throw new Web3Error('Event not found for refund', { eventId: eventData.eventId });
+    }
+
+    const registry = await relayerRegistry.getSnapshot({ refresh: true });
+    return refundService.buildBundle(eventData, phase, stored.cancellations, registry);
+  }
+}
+
+module.exports = new RefundHandler();
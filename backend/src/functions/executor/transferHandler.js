@@ -0,0 +1,160 @@
+/**
+ * Transfer Handler - Delivers transfers on their destination chain (mint/unlock)
+ * Implements Command Pattern for execution
+ * 
+ * SOLID Principles:
+ * - Single Responsibility: Only submits destination bridge calls
+ * - Open/Closed: Destination chain and method come from the event's route
+ * - Dependency Inversion: Depends on service abstractions
+ */
+
+const { ethers } = require('ethers');
+const web3Service = require('../../shared/services/web3Service');
+const signingService = require('../../shared/services/signingService');
+const dynamoService = require('../../shared/services/dynamoService');
+const relayerRegistry = require('../../shared/services/relayerRegistry');
+const proofService = require('../../shared/services/proofService');
+const logger = require('../../shared/utils/logger');
+const { Web3Error } = require('../../shared/utils/errors');
+
+class TransferHandler {
+  constructor() {
+    this.contractType = 'bridge';
+  }
+
+  /**
+   * Execute the route's destination call (mintWrapped, unlockTokens)
+   * Implements retry logic with exponential backoff
+   * @param {Object} route - Route that produced the event
+   * @param {Object} eventData - Stored event metadata
+   */
+  async execute(route, eventData) {
+    const { action, destinationChain: chain, method } = route;
+    try {
+      logger.info('Starting transfer execution', { 
+        eventId: eventData.eventId,
+        action,
+        amount: eventData.amount,
+        to: eventData.toAddress
+      });
+
+      // Anyone may submit the published proof; never resubmit a claimed transfer
+      if (await proofService.isProcessedOnDestination(eventData)) {
+        logger.info('Transfer already executed on destination, skipping', { eventId: eventData.eventId, action });
+        return {
+          success: true,
+          txHash: null,
+          alreadyProcessed: true
+        };
+      }
+
+      // Get the executor's own relayer signer (only pays gas; the bridge checks relayer signatures)
+      const relayerId = process.env.RELAYER_ID;
+      const relayerSigner = await signingService.getRelayerSigner(relayerId);
+      
+      // Connect signer to provider
+      const provider = web3Service.getProvider(chain);
+      const signer = relayerSigner.connect(provider);
+
+      // Get bridge contract with signer
+      const bridge = web3Service.getContract(chain, this.contractType, signer);
+
+      // Collect relayer signatures for on-chain threshold verification
+      const eventId = eventData.eventId;
+      const bundle = await this.getSignatureBundle(eventData);
+
+      // Execute destination transaction
+      logger.info(`Calling ${method} on ${chain} bridge`, {
+        to: bundle.transfer.recipient,
+        amount: eventData.amount,
+        eventId,
+        signers: bundle.signers
+      });
+      
+      const tx = await web3Service.sendTransaction(
+        bridge,
+        method,
+        [bundle.transfer, bundle.signatures],
+        {},
+        3 // Max retries
+      );
+
+      logger.info('Transfer transaction sent', { 
+        txHash: tx.hash,
+        eventId 
+      });
+
+      // Wait for confirmation
+      const receipt = await web3Service.waitForTransaction(
+        tx.hash,
+        chain,
+        3 // Confirmations
+      );
+
+      logger.info('Transfer transaction confirmed', { 
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        eventId
+      });
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+
+    } catch (error) {
+      logger.error('Transfer execution failed', error, { 
+        eventId: eventData.eventId,
+        action
+      });
+      
+      throw new Web3Error('Transfer execution failed', {
+        eventId: eventData.eventId,
+        action,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * Build the signature bundle from the relayer signatures stored for the event
+   */
+  async getSignatureBundle(eventData) {
+    const stored = await dynamoService.getEventData(eventData.eventId);
+    if (!stored) {
+      throw new Web3Error('Event not found for transfer', { eventId: eventData.eventId });
+    }
+
+    const registry = await relayerRegistry.getSnapshot({ refresh: true });
+    return signingService.buildSignatureBundle(eventData, stored.signatures, registry);
+  }
+
+  /**
+   * Validate transfer parameters
+   * Implements Guard Pattern
+   */
+  validateParams(eventData) {
+    if (!eventData.toAddress) {
+      throw new Web3Error('Missing toAddress for transfer');
+    }
+
+    // The recipient comes from the source event and may differ from the sender
+    if (!ethers.isAddress(eventData.toAddress) || eventData.toAddress === ethers.ZeroAddress) {
+      throw new Web3Error('Invalid recipient for transfer', { toAddress: eventData.toAddress });
+    }
+
+    if (!eventData.amount || eventData.amount === '0') {
+      throw new Web3Error('Invalid amount for transfer');
+    }
+
+    if (!eventData.eventId) {
+      throw new Web3Error('Missing eventId for transfer');
+    }
+
+    return true;
+  }
+}
+
+module.exports = new TransferHandler();
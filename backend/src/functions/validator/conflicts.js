@@ -0,0 +1,102 @@
+/**
+ * Conflict Detector - Finds relayers that attested to different data for one event
+ * Implements Strategy Pattern alongside consensus validation
+ *
+ * Every signature item carries the EIP-712 digest its relayer signed. Honest
+ * relayers sign the digest of the stored event metadata; a signature over any
+ * other digest that recovers to a registry member claiming that relayerId is
+ * attributable equivocation. Signatures that recover to nobody are left to
+ * consensus validation, which rejects them without blaming a relayer.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only compares attestations against each other
+ * - Open/Closed: New misbehavior checks can be added as incident types
+ * - Dependency Inversion: Depends on signing service and registry abstractions
+ */
+
+const signingService = require('../../shared/services/signingService');
+const { SIGNATURE_VERSION } = require('../../shared/utils/bridgeTypedData');
+const logger = require('../../shared/utils/logger');
+
+const INCIDENT_TYPES = {
+  CONFLICTING_ATTESTATION: 'CONFLICTING_ATTESTATION'
+};
+
+class ConflictDetector {
+  /**
+   * Group signatures by the digest they commit to and find attributable conflicts
+   * Signatures stored before digests were persisted are not compared
+   * @param {Object} eventData - Stored event metadata
+   * @param {Array} signatures - Signature items
+   * @param {RegistrySnapshot} registry - Relayer registry snapshot
+   * @returns {Object} { hasConflict, expectedHash, groups, offenders }
+   */
+  detectConflicts(eventData, signatures, registry) {
+    const expectedHashes = {};
+    const expectedHashFor = version => {
+      if (!expectedHashes[version]) {
+        expectedHashes[version] = signingService.createEventHash(eventData, version).toLowerCase();
+      }
+      return expectedHashes[version];
+    };
+
+    const groups = new Map();
+    const offenders = [];
+
+    for (const sig of signatures) {
+      if (!sig.messageHash || !sig.signature) continue;
+
+      const messageHash = sig.messageHash.toLowerCase();
+      const version = sig.signatureVersion || SIGNATURE_VERSION;
+      const expectedHash = expectedHashFor(version);
+
+      if (!groups.has(messageHash)) {
+        groups.set(messageHash, { messageHash, matchesEvent: messageHash === expectedHash, relayerIds: [] });
+      }
+      groups.get(messageHash).relayerIds.push(String(sig.relayerId));
+
+      if (messageHash === expectedHash) continue;
+
+      const recoveredAddress = signingService.recoverHashSigner(messageHash, sig.signature);
+      const relayer = recoveredAddress ? registry.getRelayerByAddress(recoveredAddress, sig.epoch) : null;
+      if (!relayer || relayer.relayerId !== String(sig.relayerId)) {
+        logger.warn('Unattributable signature over a different digest', {
+          eventId: eventData.eventId,
+          relayerId: sig.relayerId,
+          recoveredAddress
+        });
+        continue;
+      }
+
+      offenders.push({
+        relayerId: relayer.relayerId,
+        recoveredAddress,
+        messageHash,
+        expectedHash,
+        signature: sig.signature,
+        signatureVersion: version,
+        epoch: sig.epoch ?? null
+      });
+    }
+
+    const result = {
+      hasConflict: offenders.length > 0,
+      expectedHash: expectedHashFor(SIGNATURE_VERSION),
+      groups: [...groups.values()],
+      offenders
+    };
+
+    if (result.hasConflict) {
+      logger.error('Conflicting relayer attestations detected', null, {
+        eventId: eventData.eventId,
+        offenders: offenders.map(offender => offender.relayerId),
+        groups: result.groups
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new ConflictDetector();
+module.exports.INCIDENT_TYPES = INCIDENT_TYPES;
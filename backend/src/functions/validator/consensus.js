@@ -8,43 +8,52 @@
  * - Dependency Inversion: Depends on service abstractions
  */
 
+const routeConfig = require('../../shared/config/routes');
+const consensusTiers = require('../../shared/config/consensusTiers');
+const signingService = require('../../shared/services/signingService');
 const logger = require('../../shared/utils/logger');
 const { ConsensusError } = require('../../shared/utils/errors');
 
 class ConsensusValidator {
-  constructor() {
-    this.requiredSignatures = parseInt(process.env.REQUIRED_SIGNATURES) || 2;
-    this.totalRelayers = parseInt(process.env.TOTAL_RELAYERS) || 3;
-  }
-
   /**
    * Validate consensus has been reached
-   * Implements 2-of-3 multisig validation
+   * Implements M-of-N multisig validation with per-epoch, per-tier thresholds
+   * Only cryptographically valid, distinct signers that were members of the
+   * epoch their signature claims are counted
+   * @param {Object} eventData - Stored event metadata
+   * @param {Array} signatures - Signature items
+   * @param {RegistrySnapshot} registry - Relayer registry snapshot
    */
-  validateConsensus(signatures) {
+  validateConsensus(eventData, signatures, registry) {
     try {
       if (!Array.isArray(signatures)) {
         throw new ConsensusError('Signatures must be an array');
       }
 
-      const validSignatures = signatures.filter(sig => 
-        sig && sig.signature && sig.relayerId && sig.publicKey
-      );
+      const verification = signingService.verifyBatchSignatures(eventData, signatures, registry);
+      const validSignatures = signatures.filter((sig, i) => verification.results[i].isValid);
+      const invalidSignatures = verification.results.filter(result => !result.isValid);
 
-      const hasConsensus = validSignatures.length >= this.requiredSignatures;
+      const tier = consensusTiers.getTierForAmount(eventData.amount);
+      const requiredSignatures = this.getRequiredSignatures(tier, registry, validSignatures.map(sig => sig.epoch));
+      const hasConsensus = validSignatures.length >= requiredSignatures;
 
       logger.info('Consensus validation result', {
         total: signatures.length,
         valid: validSignatures.length,
-        required: this.requiredSignatures,
+        invalid: invalidSignatures.length,
+        required: requiredSignatures,
+        tier: tier.id,
         hasConsensus
       });
 
       return {
         hasConsensus,
+        tier,
         validSignatures: validSignatures.length,
-        requiredSignatures: this.requiredSignatures,
-        signatures: validSignatures
+        requiredSignatures,
+        signatures: validSignatures,
+        invalidSignatures
       };
 
     } catch (error) {
@@ -55,6 +64,49 @@ class ConsensusValidator {
     }
   }
 
+  /**
+   * Signatures a tier needs under the latest epoch among the counted signatures
+   * High-value tiers need every member of that epoch instead of its threshold
+   */
+  getRequiredSignatures(tier, registry, epochs = []) {
+    const epoch = registry.getLatestEpoch(epochs);
+    return tier.allRelayers ? registry.getMemberCount(epoch) : registry.getThreshold(epoch);
+  }
+
+  /**
+   * Whether a held transfer may execute
+   * Released by any manual approval, or once the tier's delay has passed since
+   * consensus; a delay of 0 means only approval releases
+   * @param {Object} tier - Consensus tier
+   * @param {Object} hold - { heldSince, approvals, now }
+   */
+  getReleaseState(tier, { heldSince = null, approvals = [], now = Date.now() } = {}) {
+    if (!tier.hold) {
+      return { released: true, approved: false, releaseAt: null };
+    }
+
+    const approved = approvals.length > 0;
+    const releaseAt = heldSince && tier.delaySeconds > 0
+      ? new Date(new Date(heldSince).getTime() + tier.delaySeconds * 1000).toISOString()
+      : null;
+    const delayElapsed = releaseAt !== null && now >= new Date(releaseAt).getTime();
+
+    return { released: approved || delayElapsed, approved, releaseAt };
+  }
+
+  /**
+   * What an event still needs before it can execute
+   */
+  getMissingRequirements(tier, validSignatures, requiredSignatures, release) {
+    const missingSignatures = Math.max(requiredSignatures - validSignatures, 0);
+    const held = missingSignatures === 0 && !release.released;
+    return {
+      signatures: missingSignatures,
+      approvalOrDelay: tier.hold && !release.released,
+      releaseAt: held ? release.releaseAt : null
+    };
+  }
+
   /**
    * Check for unique relayers (prevent double voting)
    * Implements Guard Pattern
@@ -74,16 +126,18 @@ class ConsensusValidator {
   /**
    * Validate signature timing (prevent old signatures)
    * Implements temporal validation
+   * @param {Array} signatures - Counted signature items
+   * @param {number} maxAgeMinutes - Maximum signature age
+   * @param {number} asOf - Time the age is measured at (epoch ms)
    */
-  validateSignatureTiming(signatures, maxAgeMinutes = 30) {
-    const now = Date.now();
+  validateSignatureTiming(signatures, maxAgeMinutes = 30, asOf = Date.now()) {
     const maxAge = maxAgeMinutes * 60 * 1000;
 
     for (const sig of signatures) {
       if (!sig.timestamp) continue;
 
       const signatureTime = new Date(sig.timestamp).getTime();
-      const age = now - signatureTime;
+      const age = asOf - signatureTime;
 
       if (age > maxAge) {
         logger.warn('Signature too old', {
@@ -104,11 +158,18 @@ class ConsensusValidator {
   /**
    * Comprehensive consensus check
    * Combines all validation rules
+   * Held transfers had fresh signatures when their hold started, so their signature
+   * age is measured at `heldSince`; otherwise no hold could outlast the age limit
+   * @param {Object} eventData - Stored event metadata
+   * @param {Array} signatures - Signature items
+   * @param {RegistrySnapshot} registry - Relayer registry snapshot
+   * @param {Object} options - { heldSince } of a HELD execution
    */
-  async validateFullConsensus(eventData, signatures) {
+  async validateFullConsensus(eventData, signatures, registry, { heldSince = null } = {}) {
+    let consensusResult;
     try {
       // Check basic consensus
-      const consensusResult = this.validateConsensus(signatures);
+      consensusResult = this.validateConsensus(eventData, signatures, registry);
       
       if (!consensusResult.hasConsensus) {
         logger.info('Consensus not yet reached', {
@@ -127,7 +188,8 @@ class ConsensusValidator {
       this.validateUniqueRelayers(consensusResult.signatures);
 
       // Validate timing
-      this.validateSignatureTiming(consensusResult.signatures);
+      const asOf = heldSince ? new Date(heldSince).getTime() : Date.now();
+      this.validateSignatureTiming(consensusResult.signatures, 30, asOf);
 
       logger.info('Full consensus validation passed', {
         eventId: eventData.eventId,
@@ -144,7 +206,8 @@ class ConsensusValidator {
         return {
           isValid: false,
           reason: error.code,
-          error: error.message
+          error: error.message,
+          invalidSignatures: consensusResult ? consensusResult.invalidSignatures : []
         };
       }
       throw error;
@@ -154,30 +217,41 @@ class ConsensusValidator {
   /**
    * Determine next action based on consensus state
    * Implements State Pattern
+   * @param {Object} consensusResult - Result of validateFullConsensus
+   * @param {string} eventStatus - Stored event status
+   * @param {Object} hold - { heldSince, approvals, now } for tiers that hold
    */
-  determineAction(consensusResult, eventStatus) {
+  determineAction(consensusResult, eventStatus, hold = {}) {
+    const tier = consensusResult.tier || consensusTiers.getTierForAmount(0);
+    const release = this.getReleaseState(tier, hold);
+    const missing = this.getMissingRequirements(
+      tier,
+      consensusResult.validSignatures || 0,
+      consensusResult.requiredSignatures || 0,
+      release
+    );
+
     if (!consensusResult.isValid) {
       return {
         action: 'WAIT',
-        reason: consensusResult.reason || 'Consensus not reached'
+        reason: consensusResult.reason || 'Consensus not reached',
+        tier: tier.id,
+        missing
       };
     }
 
-    // Determine execution action based on event status
-    const actionMap = {
-      'PENDING_MINT': {
-        action: 'MINT',
-        targetChain: 'ethereum',
-        method: 'mintWrapped'
-      },
-      'PENDING_UNLOCK': {
-        action: 'UNLOCK',
-        targetChain: 'arbitrum',
-        method: 'unlockTokens'
-      }
-    };
+    if (!release.released) {
+      return {
+        action: 'HOLD',
+        reason: release.releaseAt ? 'Awaiting execution delay or manual approval' : 'Awaiting manual approval',
+        tier: tier.id,
+        releaseAt: release.releaseAt,
+        missing
+      };
+    }
 
-    const nextAction = actionMap[eventStatus];
+    // Determine execution action from the route that produced this status
+    const nextAction = routeConfig.getRouteByStatus(eventStatus);
     if (!nextAction) {
       logger.warn('Unknown event status for action determination', { eventStatus });
       return {
@@ -188,9 +262,12 @@ class ConsensusValidator {
 
     return {
       action: nextAction.action,
-      targetChain: nextAction.targetChain,
+      targetChain: nextAction.destinationChain,
       method: nextAction.method,
-      consensusAchieved: true
+      consensusAchieved: true,
+      tier: tier.id,
+      approved: release.approved,
+      missing
     };
   }
 }
@@ -1,6 +1,7 @@
 /**
  * Validator Lambda Handler
- * Triggered by DynamoDB Streams when new signatures arrive
+ * Triggered by DynamoDB Streams when new signatures, approvals or cancellation
+ * signatures arrive, and on a schedule to release held transfers whose delay has passed
  * 
  * Design Patterns:
  * - Observer Pattern: Reacts to DynamoDB Stream events
@@ -15,7 +16,12 @@
 
 const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
 const consensusValidator = require('./consensus');
+const conflictDetector = require('./conflicts');
 const dynamoService = require('../../shared/services/dynamoService');
+const relayerRegistry = require('../../shared/services/relayerRegistry');
+const signingService = require('../../shared/services/signingService');
+const rateLimitPolicy = require('../../shared/services/rateLimitPolicy');
+const refundService = require('../../shared/services/refundService');
 const logger = require('../../shared/utils/logger');
 
 const lambdaClient = new LambdaClient({ 
@@ -29,6 +35,11 @@ const lambdaClient = new LambdaClient({
 exports.handler = async (event) => {
   logger.info('Validator Lambda invoked', { recordCount: event.Records?.length });
 
+  // Scheduled invocation: re-validate held transfers that are due for release
+  if (!event.Records) {
+    return releaseHeldTransfers();
+  }
+
   const results = [];
 
   try {
@@ -41,25 +52,29 @@ exports.handler = async (event) => {
           continue;
         }
 
-        // Extract new signature data
+        // Extract new signature or approval data
         const newImage = record.dynamodb.NewImage;
         
-        // Only process signature entities
-        if (!newImage.SK?.S?.startsWith('SIGNATURE#')) {
+        // Only process signature, approval and cancellation signature entities
+        const sortKey = newImage.SK?.S || '';
+        const refundPhase = getRefundPhase(sortKey);
+        if (!sortKey.startsWith('SIGNATURE#') && !sortKey.startsWith('APPROVAL#') && !refundPhase) {
           logger.debug('Skipping non-signature entity', { SK: newImage.SK?.S });
           continue;
         }
 
         const eventId = newImage.eventId?.S;
         if (!eventId) {
-          logger.warn('Signature record missing eventId', { record });
+          logger.warn('Stream record missing eventId', { record });
           continue;
         }
 
-        logger.info('Processing new signature', { eventId });
+        logger.info('Processing new stream record', { eventId, SK: sortKey });
 
-        // Validate consensus for this event
-        const result = await validateAndTriggerExecution(eventId);
+        // Validate consensus for this event or for the phase of its refund
+        const result = refundPhase
+          ? await validateAndTriggerRefund(eventId, refundPhase)
+          : await validateAndTriggerExecution(eventId);
         results.push(result);
 
       } catch (error) {
@@ -119,10 +134,83 @@ async function validateAndTriggerExecution(eventId) {
       };
     }
 
-    // Validate consensus
+    // Never act on events whose source log was dropped by a reorg
+    if (eventData.event.status === 'ORPHANED') {
+      logger.warn('Event orphaned by chain reorganization, skipping', {
+        eventId,
+        reason: eventData.event.orphanReason
+      });
+      return {
+        eventId,
+        success: true,
+        reason: 'Event orphaned',
+        skipped: true
+      };
+    }
+
+    // Conflicting attestations were already reported; never execute
+    if (eventData.event.status === 'QUARANTINED') {
+      logger.warn('Event quarantined for conflicting attestations, skipping', {
+        eventId,
+        reason: eventData.event.quarantineReason
+      });
+      return {
+        eventId,
+        success: true,
+        reason: 'Event quarantined',
+        skipped: true
+      };
+    }
+
+    // A transfer being refunded must not be delivered as well
+    if (eventData.refund && eventData.refund.status !== refundService.REFUND_STATUS.REJECTED) {
+      logger.warn('Refund requested for event, skipping execution', {
+        eventId,
+        refundStatus: eventData.refund.status
+      });
+      return {
+        eventId,
+        success: true,
+        reason: 'Refund requested',
+        skipped: true
+      };
+    }
+
+    // A relayer that could not verify the source receipt vetoes execution
+    if (eventData.verificationFailures.length > 0) {
+      logger.warn('Event vetoed by receipt verification failure, skipping', {
+        eventId,
+        relayers: eventData.verificationFailures.map(failure => failure.relayerId)
+      });
+      return {
+        eventId,
+        success: true,
+        reason: 'Vetoed by receipt verification',
+        skipped: true
+      };
+    }
+
+    const registry = await relayerRegistry.getSnapshot({ refresh: true });
+
+    // Relayers that signed different data for this event quarantine it
+    const conflicts = conflictDetector.detectConflicts(eventData.event, eventData.signatures, registry);
+    if (conflicts.hasConflict) {
+      await quarantineEvent(eventData, conflicts);
+      return {
+        eventId,
+        success: true,
+        reason: 'Conflicting attestations',
+        offenders: conflicts.offenders.map(offender => offender.relayerId),
+        skipped: true
+      };
+    }
+
+    // Validate consensus against the relayer registry
     const consensusResult = await consensusValidator.validateFullConsensus(
       eventData.event,
-      eventData.signatures
+      eventData.signatures,
+      registry,
+      { heldSince: getHeldSince(eventData) }
     );
 
     logger.info('Consensus validation result', { 
@@ -131,15 +219,23 @@ async function validateAndTriggerExecution(eventId) {
       signatures: eventData.signatures.length
     });
 
+    // Persist why rejected signatures were not counted
+    await recordInvalidSignatures(eventId, eventData.signatures, consensusResult.invalidSignatures || []);
+
+    // Tiers that hold start their delay when consensus is first reached
+    const hold = getHoldState(eventData, consensusResult);
+
     // Determine action
     const action = consensusValidator.determineAction(
       consensusResult, 
-      eventData.event.status
+      eventData.event.status,
+      hold
     );
 
     if (action.action === 'WAIT') {
       logger.info('Waiting for more signatures', { 
         eventId,
+        tier: action.tier,
         current: consensusResult.validSignatures,
         required: consensusResult.requiredSignatures
       });
@@ -147,7 +243,36 @@ async function validateAndTriggerExecution(eventId) {
         eventId, 
         success: true, 
         action: 'WAIT',
-        reason: action.reason
+        reason: action.reason,
+        tier: action.tier,
+        missing: action.missing
+      };
+    }
+
+    if (action.action === 'HOLD') {
+      if (eventData.execution?.status !== 'HELD') {
+        await dynamoService.upsertExecution({
+          eventId,
+          status: 'HELD',
+          tier: action.tier,
+          heldSince: hold.heldSince,
+          releaseAt: action.releaseAt
+        });
+      }
+
+      logger.info('Consensus reached, holding transfer for its tier', {
+        eventId,
+        tier: action.tier,
+        releaseAt: action.releaseAt
+      });
+      return {
+        eventId,
+        success: true,
+        action: 'HOLD',
+        reason: action.reason,
+        tier: action.tier,
+        releaseAt: action.releaseAt,
+        missing: action.missing
       };
     }
 
@@ -160,6 +285,35 @@ async function validateAndTriggerExecution(eventId) {
       };
     }
 
+    // Transfers the destination cannot take yet wait for its rolling window to free up
+    // Keeping heldSince lets rechecks measure signature age from when consensus was verified
+    const rateLimit = await checkDestinationRateLimit(eventData.event);
+    if (!rateLimit.allowed) {
+      const releaseAt = rateLimitPolicy.getRecheckAt();
+      await dynamoService.upsertExecution({
+        eventId,
+        status: 'HELD',
+        tier: action.tier,
+        heldSince: hold.heldSince,
+        releaseAt,
+        holdReason: 'RATE_LIMITED'
+      });
+
+      logger.warn('Destination volume caps reached, holding transfer', {
+        eventId,
+        releaseAt,
+        failures: rateLimit.failures
+      });
+      return {
+        eventId,
+        success: true,
+        action: 'HOLD',
+        reason: 'Destination rate limit reached',
+        releaseAt,
+        failures: rateLimit.failures
+      };
+    }
+
     // Consensus reached - invoke Executor Lambda
     logger.info('Consensus reached, invoking Executor', { eventId, action });
 
@@ -167,7 +321,8 @@ async function validateAndTriggerExecution(eventId) {
     await dynamoService.upsertExecution({
       eventId,
       status: 'PENDING',
-      retryCount: 0
+      retryCount: 0,
+      tier: action.tier
     });
 
     // Invoke Executor Lambda
@@ -176,7 +331,8 @@ async function validateAndTriggerExecution(eventId) {
       action: action.action,
       targetChain: action.targetChain,
       method: action.method,
-      eventData: eventData.event
+      eventData: eventData.event,
+      heldSince: hold.heldSince
     };
 
     await invokeLambda(
@@ -203,6 +359,208 @@ async function validateAndTriggerExecution(eventId) {
   }
 }
 
+/**
+ * Refund phase of a cancellation signature sort key, or null
+ */
+function getRefundPhase(sortKey) {
+  return Object.values(refundService.REFUND_PHASES)
+    .find(phase => sortKey.startsWith(`${phase}_SIGNATURE#`)) || null;
+}
+
+/**
+ * Validate a refund phase and trigger the executor once relayers reach the threshold
+ * Relayers only sign REFUND after reading the cancellation from the destination bridge
+ */
+async function validateAndTriggerRefund(eventId, phase) {
+  try {
+    const eventData = await dynamoService.getEventData(eventId);
+    if (!eventData?.event || !eventData.refund) {
+      logger.warn('Refund request not found', { eventId });
+      return { eventId, success: false, reason: 'Refund request not found' };
+    }
+
+    const { REFUND_STATUS, REFUND_PHASES } = refundService;
+    const status = eventData.refund.status;
+    const finished = status === REFUND_STATUS.REFUNDED || status === REFUND_STATUS.REJECTED ||
+      (phase === REFUND_PHASES.CANCEL && status === REFUND_STATUS.CANCELLED);
+    if (finished) {
+      logger.info('Refund phase already settled', { eventId, phase, status });
+      return { eventId, success: true, reason: `Refund ${status}`, skipped: true };
+    }
+
+    const registry = await relayerRegistry.getSnapshot({ refresh: true });
+    const result = refundService.verifySignatures(eventData.event, phase, eventData.cancellations, registry);
+
+    if (!result.hasConsensus) {
+      logger.info('Waiting for more cancellation signatures', {
+        eventId,
+        phase,
+        current: result.validSignatures,
+        required: result.requiredSignatures
+      });
+      return {
+        eventId,
+        success: true,
+        action: 'WAIT',
+        phase,
+        missing: result.requiredSignatures - result.validSignatures
+      };
+    }
+
+    await invokeLambda(
+      process.env.EXECUTOR_LAMBDA_NAME || 'ExecutorFunction',
+      { eventId, action: phase, eventData: eventData.event }
+    );
+
+    logger.info('Executor Lambda invoked for refund phase', { eventId, phase });
+    return {
+      eventId,
+      success: true,
+      action: phase,
+      executorInvoked: true
+    };
+  } catch (error) {
+    logger.error('Failed to validate refund', error, { eventId, phase });
+    return {
+      eventId,
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * When consensus was first reached for a transfer that is still held, else null
+ */
+function getHeldSince(eventData) {
+  const execution = eventData.execution;
+  return execution?.status === 'HELD' ? execution.heldSince || null : null;
+}
+
+/**
+ * Hold inputs for determineAction
+ * The hold starts when consensus is first reached and is kept across re-validations
+ */
+function getHoldState(eventData, consensusResult) {
+  const heldSince = getHeldSince(eventData)
+    || (consensusResult.isValid ? new Date().toISOString() : null);
+
+  return {
+    heldSince,
+    approvals: eventData.approvals || [],
+    now: Date.now()
+  };
+}
+
+/**
+ * Destination volume check before execution
+ * RPC failures do not block execution; the destination bridge enforces its caps itself
+ */
+async function checkDestinationRateLimit(event) {
+  try {
+    return await rateLimitPolicy.checkInbound(event);
+  } catch (error) {
+    logger.warn('Could not check destination volume caps, executing anyway', {
+      eventId: event.eventId,
+      error: error.message
+    });
+    return { allowed: true, failures: [] };
+  }
+}
+
+/**
+ * Re-validate held transfers whose release time has passed
+ */
+async function releaseHeldTransfers() {
+  try {
+    const held = await dynamoService.getReleasableExecutions();
+    const results = [];
+
+    for (const execution of held) {
+      results.push(await validateAndTriggerExecution(execution.eventId));
+    }
+
+    logger.info('Held transfer release sweep completed', { due: held.length });
+    return {
+      statusCode: 200,
+      body: {
+        processed: results.length,
+        results
+      }
+    };
+  } catch (error) {
+    logger.error('Held transfer release sweep failed', error);
+    return {
+      statusCode: 500,
+      body: {
+        error: error.message
+      }
+    };
+  }
+}
+
+/**
+ * Quarantine an event with conflicting attestations
+ * Writes a misbehavior incident per offending relayer and flags its signature
+ */
+async function quarantineEvent(eventData, conflicts) {
+  const { eventId } = eventData.event;
+  const offenders = conflicts.offenders.map(offender => offender.relayerId);
+
+  await dynamoService.markEventQuarantined(eventId, conflictDetector.INCIDENT_TYPES.CONFLICTING_ATTESTATION, {
+    expectedHash: conflicts.expectedHash,
+    groups: conflicts.groups,
+    offenders
+  });
+
+  for (const offender of conflicts.offenders) {
+    await dynamoService.createIncident({
+      relayerId: offender.relayerId,
+      eventId,
+      type: conflictDetector.INCIDENT_TYPES.CONFLICTING_ATTESTATION,
+      chain: eventData.event.chain,
+      txHash: eventData.event.txHash,
+      signedHash: offender.messageHash,
+      expectedHash: offender.expectedHash,
+      signature: offender.signature,
+      recoveredAddress: offender.recoveredAddress,
+      epoch: offender.epoch,
+      agreeingRelayers: conflicts.groups
+        .filter(group => group.matchesEvent)
+        .flatMap(group => group.relayerIds)
+    });
+
+    const stored = eventData.signatures.find(sig => sig.relayerId === offender.relayerId);
+    if (stored && stored.invalidReason !== signingService.SIGNATURE_INVALID_REASONS.CONFLICTING_ATTESTATION) {
+      await dynamoService.markSignatureInvalid(
+        eventId,
+        offender.relayerId,
+        signingService.SIGNATURE_INVALID_REASONS.CONFLICTING_ATTESTATION,
+        offender.recoveredAddress
+      );
+    }
+  }
+
+  logger.error('Event quarantined for conflicting attestations', null, { eventId, offenders });
+}
+
+/**
+ * Record rejected signatures on their signature items
+ * Skips signatures already recorded with the same reason
+ */
+async function recordInvalidSignatures(eventId, signatures, invalidSignatures) {
+  for (const invalid of invalidSignatures) {
+    const stored = signatures.find(sig => sig.relayerId === invalid.relayerId);
+    if (!stored || stored.invalidReason === invalid.reason) continue;
+
+    try {
+      await dynamoService.markSignatureInvalid(eventId, invalid.relayerId, invalid.reason, invalid.recoveredAddress);
+    } catch (error) {
+      logger.error('Failed to record invalid signature', error, { eventId, relayerId: invalid.relayerId });
+    }
+  }
+}
+
 /**
  * Invoke another Lambda function asynchronously
  * Implements Command Pattern
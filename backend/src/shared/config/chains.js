@@ -8,31 +8,85 @@
  * - Dependency Inversion: Lambda functions depend on this abstraction
  */
 
+const FINALITY_TAGS = ['safe', 'finalized'];
+
+const RPC_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS) || 10000;
+const RPC_COOLDOWN_MS = parseInt(process.env.RPC_COOLDOWN_MS) || 30000;
+
+/**
+ * Primary RPC URL followed by comma-separated fallbacks, without duplicates
+ */
+function parseRpcUrls(primary, fallbacks) {
+  const urls = [primary, ...(fallbacks || '').split(',')]
+    .map(url => (url || '').trim())
+    .filter(Boolean);
+  return [...new Set(urls)];
+}
+
+/**
+ * Block confirmations from an env var; 0 is valid (poll up to the latest block)
+ * Unset or non-numeric values use the default, negative values are rejected
+ */
+function parseConfirmations(name, defaultValue = 3) {
+  const value = parseInt(process.env[name], 10);
+  if (Number.isNaN(value)) {
+    return defaultValue;
+  }
+  if (value < 0) {
+    throw new Error(`${name} must not be negative: ${process.env[name]}`);
+  }
+  return value;
+}
+
+// Internal chain keys used by services ('arbitrum', 'ethereum')
+const CHAIN_KEYS = {
+  arbitrum: 'ARBITRUM_SEPOLIA',
+  ethereum: 'ETHEREUM_SEPOLIA'
+};
+
 const CHAINS = {
   ARBITRUM_SEPOLIA: {
     chainId: 421614,
     name: 'Arbitrum Sepolia',
     rpcUrl: process.env.ARBITRUM_SEPOLIA_RPC_URL || '',
+    rpcUrls: parseRpcUrls(process.env.ARBITRUM_SEPOLIA_RPC_URL, process.env.ARBITRUM_SEPOLIA_RPC_URLS),
+    rpcQuorum: parseInt(process.env.ARBITRUM_SEPOLIA_RPC_QUORUM) || 1, // Providers that must agree on logs/receipts
+    rpcTimeoutMs: RPC_TIMEOUT_MS,
+    rpcCooldownMs: RPC_COOLDOWN_MS,
+    wsUrl: process.env.ARBITRUM_SEPOLIA_WS_URL || '', // Optional, enables the WebSocket listener
     nativeCurrency: {
       name: 'ETH',
       symbol: 'ETH',
       decimals: 18
     },
     blockTime: 250, // 0.25 seconds
-    confirmations: 3,
+    confirmations: parseConfirmations('ARBITRUM_SEPOLIA_CONFIRMATIONS'),
+    finalityTag: process.env.ARBITRUM_SEPOLIA_FINALITY_TAG || null, // 'safe' | 'finalized'
+    pollWindowMs: 10 * 60 * 1000, // Max chain time covered by one poll
+    initialLookbackMs: 10 * 60 * 1000, // Lookback when no cursor exists
+    maxLogRange: parseInt(process.env.ARBITRUM_SEPOLIA_MAX_LOG_RANGE) || 5000, // Max blocks per eth_getLogs
     explorerUrl: 'https://sepolia.arbiscan.io'
   },
   ETHEREUM_SEPOLIA: {
     chainId: 11155111,
     name: 'Ethereum Sepolia',
     rpcUrl: process.env.ETHEREUM_SEPOLIA_RPC_URL || '',
+    rpcUrls: parseRpcUrls(process.env.ETHEREUM_SEPOLIA_RPC_URL, process.env.ETHEREUM_SEPOLIA_RPC_URLS),
+    rpcQuorum: parseInt(process.env.ETHEREUM_SEPOLIA_RPC_QUORUM) || 1, // Providers that must agree on logs/receipts
+    rpcTimeoutMs: RPC_TIMEOUT_MS,
+    rpcCooldownMs: RPC_COOLDOWN_MS,
+    wsUrl: process.env.ETHEREUM_SEPOLIA_WS_URL || '', // Optional, enables the WebSocket listener
     nativeCurrency: {
       name: 'ETH',
       symbol: 'ETH',
       decimals: 18
     },
     blockTime: 12000, // 12 seconds
-    confirmations: 3,
+    confirmations: parseConfirmations('ETHEREUM_SEPOLIA_CONFIRMATIONS'),
+    finalityTag: process.env.ETHEREUM_SEPOLIA_FINALITY_TAG || null, // 'safe' | 'finalized'
+    pollWindowMs: 10 * 60 * 1000, // Max chain time covered by one poll
+    initialLookbackMs: 10 * 60 * 1000, // Lookback when no cursor exists
+    maxLogRange: parseInt(process.env.ETHEREUM_SEPOLIA_MAX_LOG_RANGE) || 2000, // Max blocks per eth_getLogs
     explorerUrl: 'https://sepolia.etherscan.io'
   }
 };
@@ -74,6 +128,38 @@ class ChainConfig {
     return this.chains.ETHEREUM_SEPOLIA;
   }
 
+  getConfigByChainKey(chainKey) {
+    const name = CHAIN_KEYS[chainKey.toLowerCase()];
+    if (!name) {
+      throw new Error(`Chain configuration not found for key: ${chainKey}`);
+    }
+    return this.chains[name];
+  }
+
+  /**
+   * Internal chain keys ('arbitrum', 'ethereum') of every configured chain
+   */
+  getChainKeys() {
+    return Object.keys(CHAIN_KEYS);
+  }
+
+  /**
+   * Derive the poller safety policy for a chain
+   * Block ranges are sized from block time so fast chains cover the same wall-clock window
+   */
+  getPollingPolicy(chainKey) {
+    const config = this.getConfigByChainKey(chainKey);
+    const finalityTag = FINALITY_TAGS.includes(config.finalityTag) ? config.finalityTag : null;
+
+    return {
+      confirmations: config.confirmations,
+      finalityTag,
+      blockTime: config.blockTime,
+      maxBlocksPerPoll: Math.max(1, Math.ceil(config.pollWindowMs / config.blockTime)),
+      initialLookbackBlocks: Math.max(1, Math.ceil(config.initialLookbackMs / config.blockTime))
+    };
+  }
+
   getAllChains() {
     return Object.values(this.chains);
   }
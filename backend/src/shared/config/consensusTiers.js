@@ -0,0 +1,130 @@
+/**
+ * Consensus Tier Configuration - Stricter consensus for larger transfers
+ * Follows DRY principle and Strategy Pattern
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only describes what each transfer size requires
+ * - Open/Closed: New tiers are added as table entries
+ * - Dependency Inversion: Validator and API depend on this abstraction
+ *
+ * Tier fields:
+ * - id / description: Tier identifier and human readable summary
+ * - amountEnv: Env var holding the amount (whole tokens) a transfer must exceed
+ * - allRelayers: Require every member of the epoch instead of the threshold
+ * - hold: After consensus, wait for a delay or a manual approval
+ * - delayEnv / defaultDelaySeconds: Hold delay; 0 means only approval releases
+ *
+ * A tier whose amount is not configured is disabled. The highest tier whose
+ * amount the transfer exceeds applies.
+ */
+
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+
+const TIERS = [
+  {
+    id: 'standard',
+    description: 'Registry threshold of relayer signatures',
+    amountEnv: null,
+    allRelayers: false,
+    hold: false
+  },
+  {
+    id: 'high',
+    description: 'Signatures from all relayers',
+    amountEnv: 'CONSENSUS_HIGH_VALUE_AMOUNT',
+    allRelayers: true,
+    hold: false
+  },
+  {
+    id: 'critical',
+    description: 'Signatures from all relayers, then an execution delay or manual approval',
+    amountEnv: 'CONSENSUS_CRITICAL_VALUE_AMOUNT',
+    allRelayers: true,
+    hold: true,
+    delayEnv: 'CONSENSUS_CRITICAL_DELAY_SECONDS',
+    defaultDelaySeconds: 3600
+  }
+];
+
+/**
+ * Consensus Tier Manager
+ * Implements Singleton Pattern
+ */
+class ConsensusTierConfig {
+  constructor() {
+    if (ConsensusTierConfig.instance) {
+      return ConsensusTierConfig.instance;
+    }
+    this.tiers = this.loadTiers();
+    ConsensusTierConfig.instance = this;
+  }
+
+  loadTiers() {
+    const tiers = [];
+
+    for (const tier of TIERS) {
+      const minAmount = tier.amountEnv ? this.parseAmount(tier) : 0n;
+      if (minAmount === null) continue;
+
+      const delay = tier.delayEnv ? parseInt(process.env[tier.delayEnv]) : NaN;
+      tiers.push({
+        id: tier.id,
+        description: tier.description,
+        minAmount,
+        allRelayers: tier.allRelayers,
+        hold: tier.hold,
+        delaySeconds: tier.hold ? (Number.isNaN(delay) ? tier.defaultDelaySeconds : delay) : 0
+      });
+    }
+
+    return tiers.sort((a, b) => (a.minAmount < b.minAmount ? -1 : a.minAmount > b.minAmount ? 1 : 0));
+  }
+
+  parseAmount(tier) {
+    const value = process.env[tier.amountEnv];
+    if (!value) return null;
+
+    try {
+      return ethers.parseEther(value);
+    } catch (error) {
+      logger.warn('Ignoring consensus tier with invalid amount', { tier: tier.id, value });
+      return null;
+    }
+  }
+
+  getTiers() {
+    return this.tiers;
+  }
+
+  /**
+   * Tier for a transfer amount in wei
+   * Transfers strictly above a tier's amount fall into it
+   */
+  getTierForAmount(amount) {
+    const value = BigInt(amount);
+    let applied = this.tiers[0];
+    for (const tier of this.tiers) {
+      if (tier.minAmount === 0n || value > tier.minAmount) {
+        applied = tier;
+      }
+    }
+    return applied;
+  }
+
+  /**
+   * Tier as exposed by the API, amounts as decimal strings
+   */
+  describeTier(tier) {
+    return {
+      id: tier.id,
+      description: tier.description,
+      aboveAmount: tier.minAmount.toString(),
+      allRelayers: tier.allRelayers,
+      hold: tier.hold,
+      delaySeconds: tier.delaySeconds
+    };
+  }
+}
+
+module.exports = new ConsensusTierConfig();
@@ -110,12 +110,114 @@ class ContractConfig {
       }
     ];
 
+    const bridgeTransferComponents = [
+      { internalType: 'bytes32', name: 'eventId', type: 'bytes32' },
+      { internalType: 'uint256', name: 'sourceChainId', type: 'uint256' },
+      { internalType: 'bytes32', name: 'sourceTxHash', type: 'bytes32' },
+      { internalType: 'address', name: 'token', type: 'address' },
+      { internalType: 'address', name: 'sender', type: 'address' },
+      { internalType: 'address', name: 'recipient', type: 'address' },
+      { internalType: 'uint256', name: 'amount', type: 'uint256' },
+      { internalType: 'uint256', name: 'nonce', type: 'uint256' }
+    ];
+
+    const bridgeCancelComponents = [
+      { internalType: 'bytes32', name: 'eventId', type: 'bytes32' },
+      { internalType: 'uint256', name: 'sourceChainId', type: 'uint256' },
+      { internalType: 'bytes32', name: 'sourceTxHash', type: 'bytes32' },
+      { internalType: 'address', name: 'token', type: 'address' },
+      { internalType: 'address', name: 'sender', type: 'address' },
+      { internalType: 'uint256', name: 'amount', type: 'uint256' },
+      { internalType: 'uint256', name: 'nonce', type: 'uint256' }
+    ];
+
+    // RateLimiter views read by the relayer policy check and /stats
+    const rateLimitViews = [
+      {
+        inputs: [{ internalType: 'address', name: '', type: 'address' }],
+        name: 'rateLimits',
+        outputs: [
+          { internalType: 'uint256', name: 'period', type: 'uint256' },
+          { internalType: 'uint256', name: 'globalCap', type: 'uint256' },
+          { internalType: 'uint256', name: 'perAddressCap', type: 'uint256' },
+          { internalType: 'uint256', name: 'updatedAt', type: 'uint256' }
+        ],
+        stateMutability: 'view',
+        type: 'function'
+      },
+      {
+        inputs: [
+          { internalType: 'address', name: 'token', type: 'address' },
+          { internalType: 'enum RateLimiter.Flow', name: 'flow', type: 'uint8' },
+          { internalType: 'address', name: 'account', type: 'address' }
+        ],
+        name: 'getWindowUsage',
+        outputs: [
+          { internalType: 'uint256', name: 'globalUsed', type: 'uint256' },
+          { internalType: 'uint256', name: 'accountUsed', type: 'uint256' }
+        ],
+        stateMutability: 'view',
+        type: 'function'
+      },
+      {
+        inputs: [
+          { internalType: 'address', name: 'token', type: 'address' },
+          { internalType: 'enum RateLimiter.Flow', name: 'flow', type: 'uint8' },
+          { internalType: 'address', name: 'account', type: 'address' }
+        ],
+        name: 'getAvailableVolume',
+        outputs: [
+          { internalType: 'uint256', name: 'globalAvailable', type: 'uint256' },
+          { internalType: 'uint256', name: 'accountAvailable', type: 'uint256' }
+        ],
+        stateMutability: 'view',
+        type: 'function'
+      }
+    ];
+
+    // FeeManager views read by /quote and /stats
+    const feeViews = [
+      {
+        inputs: [],
+        name: 'feeCollector',
+        outputs: [{ internalType: 'address', name: '', type: 'address' }],
+        stateMutability: 'view',
+        type: 'function'
+      },
+      {
+        inputs: [{ internalType: 'address', name: '', type: 'address' }],
+        name: 'feeConfigs',
+        outputs: [
+          { internalType: 'uint256', name: 'feeBps', type: 'uint256' },
+          { internalType: 'uint256', name: 'minFee', type: 'uint256' }
+        ],
+        stateMutability: 'view',
+        type: 'function'
+      },
+      {
+        inputs: [
+          { internalType: 'address', name: 'token', type: 'address' },
+          { internalType: 'uint256', name: 'amount', type: 'uint256' }
+        ],
+        name: 'quoteFee',
+        outputs: [
+          { internalType: 'uint256', name: 'fee', type: 'uint256' },
+          { internalType: 'uint256', name: 'netAmount', type: 'uint256' }
+        ],
+        stateMutability: 'view',
+        type: 'function'
+      }
+    ];
+
     const arbitrumBridgeMinimal = [
       {
         anonymous: false,
         inputs: [
           { indexed: true, internalType: 'address', name: 'from', type: 'address' },
+          { indexed: false, internalType: 'address', name: 'token', type: 'address' },
+          { indexed: false, internalType: 'address', name: 'recipient', type: 'address' },
           { indexed: false, internalType: 'uint256', name: 'amount', type: 'uint256' },
+          { indexed: false, internalType: 'uint256', name: 'fee', type: 'uint256' },
           { indexed: true, internalType: 'uint256', name: 'nonce', type: 'uint256' },
           { indexed: true, internalType: 'bytes32', name: 'eventId', type: 'bytes32' },
           { indexed: false, internalType: 'uint256', name: 'timestamp', type: 'uint256' }
@@ -125,15 +227,50 @@ class ContractConfig {
       },
       {
         inputs: [
-          { internalType: 'address', name: 'to', type: 'address' },
-          { internalType: 'uint256', name: 'amount', type: 'uint256' },
-          { internalType: 'bytes32', name: 'eventId', type: 'bytes32' }
+          {
+            components: bridgeTransferComponents,
+            internalType: 'struct BridgeAttestation.BridgeTransfer',
+            name: 'transfer',
+            type: 'tuple'
+          },
+          { internalType: 'bytes[]', name: 'signatures', type: 'bytes[]' }
         ],
         name: 'unlockTokens',
         outputs: [],
         stateMutability: 'nonpayable',
         type: 'function'
-      }
+      },
+      {
+        inputs: [{ internalType: 'bytes32', name: '', type: 'bytes32' }],
+        name: 'processedUnlocks',
+        outputs: [{ internalType: 'bool', name: '', type: 'bool' }],
+        stateMutability: 'view',
+        type: 'function'
+      },
+      {
+        inputs: [
+          {
+            components: bridgeCancelComponents,
+            internalType: 'struct BridgeAttestation.BridgeCancel',
+            name: 'cancel',
+            type: 'tuple'
+          },
+          { internalType: 'bytes[]', name: 'signatures', type: 'bytes[]' }
+        ],
+        name: 'refundLock',
+        outputs: [],
+        stateMutability: 'nonpayable',
+        type: 'function'
+      },
+      {
+        inputs: [{ internalType: 'bytes32', name: '', type: 'bytes32' }],
+        name: 'refundedLocks',
+        outputs: [{ internalType: 'bool', name: '', type: 'bool' }],
+        stateMutability: 'view',
+        type: 'function'
+      },
+      ...rateLimitViews,
+      ...feeViews
     ];
 
     const ethereumBridgeMinimal = [
@@ -141,7 +278,10 @@ class ContractConfig {
         anonymous: false,
         inputs: [
           { indexed: true, internalType: 'address', name: 'from', type: 'address' },
+          { indexed: false, internalType: 'address', name: 'token', type: 'address' },
+          { indexed: false, internalType: 'address', name: 'recipient', type: 'address' },
           { indexed: false, internalType: 'uint256', name: 'amount', type: 'uint256' },
+          { indexed: false, internalType: 'uint256', name: 'fee', type: 'uint256' },
           { indexed: true, internalType: 'uint256', name: 'nonce', type: 'uint256' },
           { indexed: true, internalType: 'bytes32', name: 'eventId', type: 'bytes32' },
           { indexed: false, internalType: 'uint256', name: 'timestamp', type: 'uint256' }
@@ -151,15 +291,50 @@ class ContractConfig {
       },
       {
         inputs: [
-          { internalType: 'address', name: 'to', type: 'address' },
-          { internalType: 'uint256', name: 'amount', type: 'uint256' },
-          { internalType: 'bytes32', name: 'eventId', type: 'bytes32' }
+          {
+            components: bridgeTransferComponents,
+            internalType: 'struct BridgeAttestation.BridgeTransfer',
+            name: 'transfer',
+            type: 'tuple'
+          },
+          { internalType: 'bytes[]', name: 'signatures', type: 'bytes[]' }
         ],
         name: 'mintWrapped',
         outputs: [],
         stateMutability: 'nonpayable',
         type: 'function'
-      }
+      },
+      {
+        inputs: [{ internalType: 'bytes32', name: '', type: 'bytes32' }],
+        name: 'processedMints',
+        outputs: [{ internalType: 'bool', name: '', type: 'bool' }],
+        stateMutability: 'view',
+        type: 'function'
+      },
+      {
+        inputs: [
+          {
+            components: bridgeCancelComponents,
+            internalType: 'struct BridgeAttestation.BridgeCancel',
+            name: 'cancel',
+            type: 'tuple'
+          },
+          { internalType: 'bytes[]', name: 'signatures', type: 'bytes[]' }
+        ],
+        name: 'cancelMint',
+        outputs: [],
+        stateMutability: 'nonpayable',
+        type: 'function'
+      },
+      {
+        inputs: [{ internalType: 'bytes32', name: '', type: 'bytes32' }],
+        name: 'cancelledMints',
+        outputs: [{ internalType: 'bool', name: '', type: 'bool' }],
+        stateMutability: 'view',
+        type: 'function'
+      },
+      ...rateLimitViews,
+      ...feeViews
     ];
 
     if (!this.contracts.ARBITRUM.token.abi.length) {
@@ -200,6 +375,28 @@ class ContractConfig {
     return this.contracts.ETHEREUM.bridge;
   }
 
+  /**
+   * Bridge config by internal chain key ('arbitrum', 'ethereum')
+   */
+  getBridgeConfigByChainKey(chainKey) {
+    return this.getContractConfigByChainKey(chainKey, 'bridge');
+  }
+
+  /**
+   * Contract config by internal chain key and contract type ('bridge', 'token')
+   * 'token' resolves to the chain's wrapped token where it has no native one
+   */
+  getContractConfigByChainKey(chainKey, contractType) {
+    const chainContracts = this.contracts[chainKey.toUpperCase()];
+    const config = contractType === 'token'
+      ? chainContracts?.token || chainContracts?.wrappedToken
+      : chainContracts?.[contractType];
+    if (!config) {
+      throw new Error(`Contract configuration not found for key: ${chainKey}, ${contractType}`);
+    }
+    return config;
+  }
+
   getAllArbitrumContracts() {
     return this.contracts.ARBITRUM;
   }
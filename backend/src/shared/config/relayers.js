@@ -0,0 +1,60 @@
+/**
+ * Relayer Configuration - Allowlist of relayer signing addresses
+ * Follows DRY principle
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only describes which addresses may sign for which relayer
+ * - Dependency Inversion: Validator depends on this abstraction, not on env vars
+ *
+ * Addresses come from RELAYER_{n}_ADDRESS for n = 1..TOTAL_RELAYERS.
+ * Only public addresses are needed here; private keys stay with each relayer.
+ */
+
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+
+/**
+ * Relayer Configuration Manager
+ * Implements Singleton Pattern
+ */
+class RelayerConfig {
+  constructor() {
+    if (RelayerConfig.instance) {
+      return RelayerConfig.instance;
+    }
+    this.relayers = this.loadAllowlist();
+    RelayerConfig.instance = this;
+  }
+
+  loadAllowlist() {
+    const totalRelayers = parseInt(process.env.TOTAL_RELAYERS) || 3;
+    const relayers = [];
+
+    for (let id = 1; id <= totalRelayers; id++) {
+      const address = process.env[`RELAYER_${id}_ADDRESS`];
+      if (!address) continue;
+
+      if (!ethers.isAddress(address)) {
+        logger.warn('Ignoring invalid relayer address in allowlist', { relayerId: String(id), address });
+        continue;
+      }
+      relayers.push({ relayerId: String(id), address: ethers.getAddress(address) });
+    }
+
+    return relayers;
+  }
+
+  getAllowlist() {
+    return this.relayers;
+  }
+
+  /**
+   * Allowlist entry for a signing address, or null when not allowlisted
+   */
+  getRelayerByAddress(address) {
+    const normalized = String(address).toLowerCase();
+    return this.relayers.find(r => r.address.toLowerCase() === normalized) || null;
+  }
+}
+
+module.exports = new RelayerConfig();
@@ -0,0 +1,170 @@
+/**
+ * Route Configuration - Declarative table of bridge event routes
+ * Follows DRY principle and Strategy Pattern
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only describes which events move value between chains
+ * - Open/Closed: New chains or event types are added as route entries
+ * - Dependency Inversion: Poller, validator and backfill depend on this abstraction
+ *
+ * Route fields:
+ * - id: Unique route identifier
+ * - sourceChain / destinationChain: Internal chain keys ('arbitrum', 'ethereum')
+ * - chainLabel: Chain name stored on events (GSI1 partition)
+ * - contractType / eventName: Source contract and event to poll
+ * - argMapping: Event field -> event arg name ('token' is the token on the source chain,
+ *   'amount' is net of the bridge fee in 'fee')
+ * - status: Event status assigned when stored
+ * - action / method: Executor action and destination contract method
+ * - completedStatus: Event status once the destination call is confirmed
+ * - processedMethod: Destination view that reports whether an eventId was executed
+ * - refund: Methods that cancel an undelivered transfer on the destination and refund
+ *   it on the source, or null when the route cannot be refunded
+ *   - cancelMethod / cancelledMethod: Destination call and view of the cancellation
+ *   - refundMethod / refundedMethod: Source call and view of the refund
+ */
+
+const { EventProcessingError } = require('../utils/errors');
+
+const ROUTES = [
+  {
+    id: 'arbitrum-lock',
+    sourceChain: 'arbitrum',
+    chainLabel: 'ARBITRUM',
+    contractType: 'bridge',
+    eventName: 'TokensLocked',
+    argMapping: {
+      eventId: 'eventId',
+      amount: 'amount',
+      fee: 'fee',
+      token: 'token',
+      fromAddress: 'from',
+      toAddress: 'recipient',
+      nonce: 'nonce',
+      timestamp: 'timestamp'
+    },
+    status: 'PENDING_MINT',
+    destinationChain: 'ethereum',
+    action: 'MINT',
+    method: 'mintWrapped',
+    completedStatus: 'MINTED',
+    processedMethod: 'processedMints',
+    refund: {
+      cancelMethod: 'cancelMint',
+      cancelledMethod: 'cancelledMints',
+      refundMethod: 'refundLock',
+      refundedMethod: 'refundedLocks'
+    }
+  },
+  {
+    id: 'ethereum-burn',
+    sourceChain: 'ethereum',
+    chainLabel: 'ETHEREUM',
+    contractType: 'bridge',
+    eventName: 'TokensBurned',
+    argMapping: {
+      eventId: 'eventId',
+      amount: 'amount',
+      fee: 'fee',
+      token: 'token',
+      fromAddress: 'from',
+      toAddress: 'recipient',
+      nonce: 'nonce',
+      timestamp: 'timestamp'
+    },
+    status: 'PENDING_UNLOCK',
+    destinationChain: 'arbitrum',
+    action: 'UNLOCK',
+    method: 'unlockTokens',
+    completedStatus: 'UNLOCKED',
+    processedMethod: 'processedUnlocks',
+    refund: null
+  }
+];
+
+/**
+ * Route Configuration Manager
+ * Implements Singleton Pattern
+ */
+class RouteConfig {
+  constructor() {
+    if (RouteConfig.instance) {
+      return RouteConfig.instance;
+    }
+    this.routes = ROUTES;
+    RouteConfig.instance = this;
+  }
+
+  getRoutes() {
+    return this.routes;
+  }
+
+  getRoute(id) {
+    const route = this.routes.find(r => r.id === id);
+    if (!route) {
+      throw new Error(`Route configuration not found for id: ${id}`);
+    }
+    return route;
+  }
+
+  getRoutesForChain(chain) {
+    return this.routes.filter(r => r.sourceChain === chain.toLowerCase());
+  }
+
+  getRouteByStatus(status) {
+    return this.routes.find(r => r.status === status) || null;
+  }
+
+  /**
+   * Route that produced a stored event
+   * Events stored before routeId was persisted are matched on their chain label
+   */
+  getRouteForEvent(eventData) {
+    if (eventData.routeId) {
+      return this.getRoute(eventData.routeId);
+    }
+    const route = this.routes.find(r => r.chainLabel === eventData.chain);
+    if (!route) {
+      throw new Error(`Route configuration not found for chain: ${eventData.chain}`);
+    }
+    return route;
+  }
+
+  /**
+   * Chain label stored on events for an internal chain key
+   * Taken from the routes sourced on that chain
+   */
+  getChainLabel(chainKey) {
+    const route = this.routes.find(r => r.sourceChain === chainKey.toLowerCase());
+    if (!route) {
+      throw new Error(`Route configuration not found for chain: ${chainKey}`);
+    }
+    return route.chainLabel;
+  }
+
+  getSourceChains() {
+    return [...new Set(this.routes.map(r => r.sourceChain))];
+  }
+
+  /**
+   * Map decoded event args to event entity fields
+   * Numeric args are stored as decimal strings
+   */
+  mapEventArgs(route, args) {
+    const mapped = {};
+    for (const [field, argName] of Object.entries(route.argMapping)) {
+      const value = args[argName];
+      if (value === undefined) {
+        throw new EventProcessingError('Event arg missing for route mapping', {
+          route: route.id,
+          field,
+          argName
+        });
+      }
+      mapped[field] = typeof value === 'bigint' ? value.toString() : value;
+    }
+    return mapped;
+  }
+}
+
+module.exports = new RouteConfig();
@@ -0,0 +1,144 @@
+/**
+ * Token Configuration - Registry of bridged token pairs
+ * Follows DRY principle and Registry Pattern
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only maps tokens between chains
+ * - Open/Closed: New pairs are added as configuration, not code
+ * - Dependency Inversion: Poller, API and scripts depend on this abstraction
+ *
+ * Token fields:
+ * - id: Token identifier, part of the token route key
+ * - symbol / wrappedSymbol: Source token and wrapped token symbols
+ * - addresses: Internal chain key ('arbitrum', 'ethereum') -> token on that chain
+ *
+ * The default pair comes from the contract configuration. Further pairs are
+ * read from BRIDGE_TOKENS as a JSON array of
+ * { id, symbol, wrappedSymbol, arbitrum, ethereum }. A token route is one
+ * route carrying one token, keyed `${routeId}:${tokenId}`. Every bridged token
+ * uses 18 decimals; the bridges refuse any other.
+ */
+
+const { ethers } = require('ethers');
+const contractConfig = require('./contracts');
+const logger = require('../utils/logger');
+const { EventProcessingError } = require('../utils/errors');
+
+const DEFAULT_TOKEN = {
+  id: 'CCBT',
+  symbol: 'CCBT',
+  wrappedSymbol: 'wCCBT'
+};
+
+/**
+ * Token Configuration Manager
+ * Implements Singleton Pattern
+ */
+class TokenConfig {
+  constructor() {
+    if (TokenConfig.instance) {
+      return TokenConfig.instance;
+    }
+    this.tokens = this.loadTokens();
+    TokenConfig.instance = this;
+  }
+
+  loadTokens() {
+    const tokens = [];
+
+    const arbitrum = contractConfig.getArbitrumTokenConfig().address;
+    const ethereum = contractConfig.getEthereumWrappedTokenConfig().address;
+    if (arbitrum && ethereum) {
+      tokens.push(this.normalize({ ...DEFAULT_TOKEN, arbitrum, ethereum }));
+    }
+
+    for (const entry of this.parseExtraTokens()) {
+      const token = this.normalize(entry);
+      if (!token) {
+        logger.warn('Ignoring invalid BRIDGE_TOKENS entry', { entry });
+      } else if (tokens.some(existing => existing.id === token.id)) {
+        logger.warn('Ignoring duplicate BRIDGE_TOKENS entry', { id: token.id });
+      } else {
+        tokens.push(token);
+      }
+    }
+
+    return tokens;
+  }
+
+  parseExtraTokens() {
+    if (!process.env.BRIDGE_TOKENS) return [];
+
+    try {
+      const entries = JSON.parse(process.env.BRIDGE_TOKENS);
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      logger.warn('Ignoring BRIDGE_TOKENS that is not valid JSON', { error: error.message });
+      return [];
+    }
+  }
+
+  normalize(entry) {
+    if (!entry || !entry.id || !ethers.isAddress(entry.arbitrum) || !ethers.isAddress(entry.ethereum)) {
+      return null;
+    }
+
+    return {
+      id: String(entry.id),
+      symbol: entry.symbol || String(entry.id),
+      wrappedSymbol: entry.wrappedSymbol || `w${entry.symbol || entry.id}`,
+      addresses: {
+        arbitrum: ethers.getAddress(entry.arbitrum),
+        ethereum: ethers.getAddress(entry.ethereum)
+      }
+    };
+  }
+
+  getTokens() {
+    return this.tokens;
+  }
+
+  getToken(id) {
+    return this.tokens.find(token => token.id === id) || null;
+  }
+
+  /**
+   * Token whose address on a chain matches
+   * @param {string} chainKey - Internal chain key
+   * @param {string} address - Token address on that chain
+   */
+  getTokenByAddress(chainKey, address) {
+    if (!address) return null;
+    const wanted = address.toLowerCase();
+    return this.tokens.find(token => token.addresses[chainKey]?.toLowerCase() === wanted) || null;
+  }
+
+  getTokenRouteKey(routeId, tokenId) {
+    return `${routeId}:${tokenId}`;
+  }
+
+  /**
+   * Resolve the token a route event carries to its pair
+   * @param {Object} route - Route configuration
+   * @param {string} tokenAddress - Token emitted on the source chain
+   * @returns {Object} { key, tokenId, sourceToken, destinationToken }
+   */
+  resolveTokenRoute(route, tokenAddress) {
+    const token = this.getTokenByAddress(route.sourceChain, tokenAddress);
+    if (!token) {
+      throw new EventProcessingError('Token not configured for route', {
+        route: route.id,
+        token: tokenAddress
+      });
+    }
+
+    return {
+      key: this.getTokenRouteKey(route.id, token.id),
+      tokenId: token.id,
+      sourceToken: token.addresses[route.sourceChain],
+      destinationToken: token.addresses[route.destinationChain]
+    };
+  }
+}
+
+module.exports = new TokenConfig();
@@ -13,9 +13,12 @@
  * - Dependency Inversion: Lambda functions depend on this abstraction
  * 
  * Single Table Design:
- * PK: EVENT#{eventId}
- * SK: METADATA | SIGNATURE#{relayerId} | EXECUTION
- * GSI1: CHAIN#{chain} / STATUS#{status}#{timestamp}
+ * PK: EVENT#{eventId} | CURSOR#{chain}#{relayerId} | REGISTRY | RELAYER#{relayerId}
+ *     | VOLUME#{tokenRoute} | VOLUME#{tokenRoute}#{address}
+ * SK: METADATA | SIGNATURE#{relayerId} | MISMATCH#{relayerId} | VERIFICATION#{relayerId} | APPROVAL#{approver}
+ *     | EXECUTION | CURSOR | RELAYER#{relayerId}#KEY#{address} | EPOCH#{epoch} | INCIDENT#{eventId}#{type}
+ *     | TS#{timestamp}#{blockNumber}#{logIndex}
+ * GSI1: CHAIN#{chain} / STATUS#{status}#{timestamp} | EXECUTION#HELD / RELEASE#{releaseAt}
  * GSI2: EVENT#{eventId} / SIGNATURE#{relayerId}
  */
 
@@ -27,7 +30,8 @@ const {
   QueryCommand,
   ScanCommand,
   UpdateCommand,
-  DeleteCommand
+  DeleteCommand,
+  TransactWriteCommand
 } = require('@aws-sdk/lib-dynamodb');
 const logger = require('../utils/logger');
 const { DynamoDBError } = require('../utils/errors');
@@ -59,7 +63,11 @@ class DynamoDBService {
    */
   async createEvent(eventData) {
     try {
-      const { eventId, txHash, chain, amount, fromAddress, toAddress, status } = eventData;
+      const {
+        eventId, txHash, chain, amount, fee, fromAddress, toAddress, status,
+        routeId, token, tokenId, destinationToken, tokenRoute,
+        blockNumber, blockHash, logIndex, nonce, timestamp
+      } = eventData;
       
       const item = {
         PK: `EVENT#${eventId}`,
@@ -70,9 +78,20 @@ class DynamoDBService {
         txHash,
         chain,
         amount,
+        fee,
         fromAddress,
         toAddress,
         status,
+        routeId,
+        token,
+        tokenId,
+        destinationToken,
+        tokenRoute,
+        blockNumber,
+        blockHash,
+        logIndex,
+        nonce,
+        timestamp,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
         entityType: 'EVENT'
@@ -84,9 +103,14 @@ class DynamoDBService {
         ConditionExpression: 'attribute_not_exists(PK)'
       }));
 
-      logger.info('Event created in DynamoDB', { eventId, chain, status });
+      logger.info('Event created in DynamoDB', { eventId, chain, status, tokenRoute });
       return item;
     } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        // Another relayer stored this event first
+        logger.debug('Event already exists in DynamoDB', { eventId: eventData.eventId });
+        return null;
+      }
       logger.error('Failed to create event', error, { eventData });
       throw new DynamoDBError('Failed to create event', { originalError: error.message });
     }
@@ -94,11 +118,11 @@ class DynamoDBService {
 
   /**
    * Create Signature Entity (PK=EVENT#{eventId}, SK=SIGNATURE#{relayerId})
-   * Implements Factory Pattern
+   * Implements Factory Pattern; returns null if the relayer already signed the event
    */
   async createSignature(signatureData) {
     try {
-      const { eventId, relayerId, signature, publicKey } = signatureData;
+      const { eventId, relayerId, signature, publicKey, signatureVersion, epoch, messageHash } = signatureData;
       
       const item = {
         PK: `EVENT#${eventId}`,
@@ -109,6 +133,9 @@ class DynamoDBService {
         relayerId,
         signature,
         publicKey,
+        signatureVersion,
+        epoch,
+        messageHash,
         timestamp: new Date().toISOString(),
         entityType: 'SIGNATURE'
       };
@@ -122,18 +149,292 @@ class DynamoDBService {
       logger.info('Signature created in DynamoDB', { eventId, relayerId });
       return item;
     } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        // An overlapping poller run stored this relayer's signature first
+        logger.debug('Event already signed by relayer', { eventId: signatureData.eventId, relayerId: signatureData.relayerId });
+        return null;
+      }
       logger.error('Failed to create signature', error, { signatureData });
       throw new DynamoDBError('Failed to create signature', { originalError: error.message });
     }
   }
 
+  /**
+   * Flag a signature the validator refused to count
+   * Updates the SIGNATURE# item in place (MODIFY is ignored by the validator stream)
+   */
+  async markSignatureInvalid(eventId, relayerId, reason, recoveredAddress) {
+    try {
+      await this.docClient.send(new UpdateCommand({
+        TableName: this.tableName,
+        Key: {
+          PK: `EVENT#${eventId}`,
+          SK: `SIGNATURE#${relayerId}`
+        },
+        UpdateExpression: 'SET invalidReason = :reason, recoveredAddress = :recovered, invalidatedAt = :invalidatedAt',
+        ConditionExpression: 'attribute_exists(PK)',
+        ExpressionAttributeValues: {
+          ':reason': reason,
+          ':recovered': recoveredAddress || null,
+          ':invalidatedAt': new Date().toISOString()
+        }
+      }));
+
+      logger.warn('Signature marked invalid', { eventId, relayerId, reason, recoveredAddress });
+      return true;
+    } catch (error) {
+      logger.error('Failed to mark signature invalid', error, { eventId, relayerId, reason });
+      throw new DynamoDBError('Failed to mark signature invalid', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Record Metadata Mismatch (PK=EVENT#{eventId}, SK=MISMATCH#{relayerId})
+   * Flags stored event data that disagrees with what this relayer read on-chain
+   */
+  async createMetadataMismatch(mismatchData) {
+    try {
+      const { eventId, relayerId, mismatches } = mismatchData;
+
+      const item = {
+        PK: `EVENT#${eventId}`,
+        SK: `MISMATCH#${relayerId}`,
+        eventId,
+        relayerId,
+        mismatches,
+        timestamp: new Date().toISOString(),
+        entityType: 'MISMATCH'
+      };
+
+      await this.docClient.send(new PutCommand({
+        TableName: this.tableName,
+        Item: item
+      }));
+
+      logger.warn('Metadata mismatch recorded in DynamoDB', { eventId, relayerId, mismatches });
+      return item;
+    } catch (error) {
+      logger.error('Failed to record metadata mismatch', error, { mismatchData });
+      throw new DynamoDBError('Failed to record metadata mismatch', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Record Verification Failure (PK=EVENT#{eventId}, SK=VERIFICATION#{relayerId})
+   * Receipt checks this relayer's event failed; the validator treats it as a veto
+   */
+  async createVerificationFailure(failureData) {
+    try {
+      const { eventId, relayerId, failures } = failureData;
+
+      const item = {
+        PK: `EVENT#${eventId}`,
+        SK: `VERIFICATION#${relayerId}`,
+        eventId,
+        relayerId,
+        failures,
+        timestamp: new Date().toISOString(),
+        entityType: 'VERIFICATION_FAILURE'
+      };
+
+      await this.docClient.send(new PutCommand({
+        TableName: this.tableName,
+        Item: item
+      }));
+
+      logger.warn('Verification failure recorded in DynamoDB', { eventId, relayerId, failures });
+      return item;
+    } catch (error) {
+      logger.error('Failed to record verification failure', error, { failureData });
+      throw new DynamoDBError('Failed to record verification failure', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Record Manual Approval (PK=EVENT#{eventId}, SK=APPROVAL#{approver})
+   * Releases a transfer held by its consensus tier
+   */
+  async createApproval(approvalData) {
+    try {
+      const { eventId, approver, note = null } = approvalData;
+
+      const item = {
+        PK: `EVENT#${eventId}`,
+        SK: `APPROVAL#${approver}`,
+        eventId,
+        approver,
+        note,
+        timestamp: new Date().toISOString(),
+        entityType: 'APPROVAL'
+      };
+
+      await this.docClient.send(new PutCommand({
+        TableName: this.tableName,
+        Item: item
+      }));
+
+      logger.info('Approval recorded in DynamoDB', { eventId, approver });
+      return item;
+    } catch (error) {
+      logger.error('Failed to record approval', error, { approvalData });
+      throw new DynamoDBError('Failed to record approval', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Create Refund Request Entity (PK=EVENT#{eventId}, SK=REFUND)
+   * Open requests are indexed on GSI1 (REFUND#OPEN) for the relayers to pick up;
+   * returns null if the event already has a refund request
+   */
+  async createRefundRequest(requestData) {
+    try {
+      const { eventId, requester, reason = null } = requestData;
+      const requestedAt = new Date().toISOString();
+
+      const item = {
+        PK: `EVENT#${eventId}`,
+        SK: 'REFUND',
+        GSI1PK: 'REFUND#OPEN',
+        GSI1SK: `REQUESTED#${requestedAt}`,
+        eventId,
+        requester,
+        reason,
+        status: 'REQUESTED',
+        requestedAt,
+        updatedAt: requestedAt,
+        entityType: 'REFUND'
+      };
+
+      await this.docClient.send(new PutCommand({
+        TableName: this.tableName,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(PK) AND attribute_not_exists(SK)'
+      }));
+
+      logger.info('Refund request recorded in DynamoDB', { eventId, requester });
+      return item;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        logger.debug('Refund already requested', { eventId: requestData.eventId });
+        return null;
+      }
+      logger.error('Failed to record refund request', error, { requestData });
+      throw new DynamoDBError('Failed to record refund request', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Update a refund request's status
+   * REFUNDED and REJECTED requests leave the open index
+   */
+  async updateRefundRequest(eventId, status, details = {}) {
+    try {
+      const names = { '#status': 'status' };
+      const values = { ':status': status, ':updatedAt': new Date().toISOString() };
+      const assignments = ['#status = :status', 'updatedAt = :updatedAt'];
+
+      Object.entries(details).forEach(([key, value]) => {
+        names[`#${key}`] = key;
+        values[`:${key}`] = value;
+        assignments.push(`#${key} = :${key}`);
+      });
+
+      const closed = status === 'REFUNDED' || status === 'REJECTED';
+      await this.docClient.send(new UpdateCommand({
+        TableName: this.tableName,
+        Key: {
+          PK: `EVENT#${eventId}`,
+          SK: 'REFUND'
+        },
+        UpdateExpression: `SET ${assignments.join(', ')}${closed ? ' REMOVE GSI1PK, GSI1SK' : ''}`,
+        ConditionExpression: 'attribute_exists(PK)',
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values
+      }));
+
+      logger.info('Refund request updated', { eventId, status });
+    } catch (error) {
+      logger.error('Failed to update refund request', error, { eventId, status });
+      throw new DynamoDBError('Failed to update refund request', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Refund requests not yet refunded or rejected, oldest first
+   * Uses GSI1 (REFUND#OPEN / REQUESTED#{requestedAt})
+   */
+  async getOpenRefundRequests(limit = 50) {
+    try {
+      const result = await this.docClient.send(new QueryCommand({
+        TableName: this.tableName,
+        IndexName: 'GSI1',
+        KeyConditionExpression: 'GSI1PK = :pk',
+        ExpressionAttributeValues: {
+          ':pk': 'REFUND#OPEN'
+        },
+        Limit: limit
+      }));
+
+      logger.debug('Queried open refund requests', { count: result.Items?.length || 0 });
+      return result.Items || [];
+    } catch (error) {
+      logger.error('Failed to query open refund requests', error);
+      throw new DynamoDBError('Failed to query open refund requests', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Create Cancellation Signature Entity (PK=EVENT#{eventId}, SK={phase}_SIGNATURE#{relayerId})
+   * CANCEL signatures are for the destination bridge, REFUND signatures for the source bridge;
+   * returns null if the relayer already signed this phase
+   */
+  async createCancellationSignature(signatureData) {
+    try {
+      const { eventId, relayerId, phase, signature, publicKey, epoch, messageHash } = signatureData;
+
+      const item = {
+        PK: `EVENT#${eventId}`,
+        SK: `${phase}_SIGNATURE#${relayerId}`,
+        eventId,
+        relayerId,
+        phase,
+        signature,
+        publicKey,
+        epoch,
+        messageHash,
+        timestamp: new Date().toISOString(),
+        entityType: 'CANCELLATION_SIGNATURE'
+      };
+
+      await this.docClient.send(new PutCommand({
+        TableName: this.tableName,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(PK) AND attribute_not_exists(SK)'
+      }));
+
+      logger.info('Cancellation signature created in DynamoDB', { eventId, relayerId, phase });
+      return item;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        logger.debug('Cancellation already signed by relayer', { eventId: signatureData.eventId, phase: signatureData.phase });
+        return null;
+      }
+      logger.error('Failed to create cancellation signature', error, { signatureData });
+      throw new DynamoDBError('Failed to create cancellation signature', { originalError: error.message });
+    }
+  }
+
   /**
    * Create or Update Execution Entity (PK=EVENT#{eventId}, SK=EXECUTION)
    * Implements Factory Pattern
+   * HELD executions with a release time are indexed on GSI1 for the release sweep
    */
   async upsertExecution(executionData) {
     try {
-      const { eventId, status, txHash, retryCount = 0, error = null } = executionData;
+      const {
+        eventId, status, txHash, retryCount = 0, error = null,
+        tier, heldSince, releaseAt, holdReason
+      } = executionData;
       
       const item = {
         PK: `EVENT#${eventId}`,
@@ -143,10 +444,19 @@ class DynamoDBService {
         txHash,
         retryCount,
         error,
+        tier,
+        heldSince,
+        releaseAt,
+        holdReason,
         updatedAt: new Date().toISOString(),
         entityType: 'EXECUTION'
       };
 
+      if (status === 'HELD' && releaseAt) {
+        item.GSI1PK = 'EXECUTION#HELD';
+        item.GSI1SK = `RELEASE#${releaseAt}`;
+      }
+
       await this.docClient.send(new PutCommand({
         TableName: this.tableName,
         Item: item
@@ -206,7 +516,12 @@ class DynamoDBService {
     const eventData = {
       event: null,
       signatures: [],
-      execution: null
+      mismatches: [],
+      verificationFailures: [],
+      approvals: [],
+      execution: null,
+      refund: null,
+      cancellations: []
     };
 
     items.forEach(item => {
@@ -214,8 +529,18 @@ class DynamoDBService {
         eventData.event = item;
       } else if (item.SK.startsWith('SIGNATURE#')) {
         eventData.signatures.push(item);
+      } else if (item.SK.startsWith('MISMATCH#')) {
+        eventData.mismatches.push(item);
+      } else if (item.SK.startsWith('VERIFICATION#')) {
+        eventData.verificationFailures.push(item);
+      } else if (item.SK.startsWith('APPROVAL#')) {
+        eventData.approvals.push(item);
       } else if (item.SK === 'EXECUTION') {
         eventData.execution = item;
+      } else if (item.SK === 'REFUND') {
+        eventData.refund = item;
+      } else if (item.SK.startsWith('CANCEL_SIGNATURE#') || item.SK.startsWith('REFUND_SIGNATURE#')) {
+        eventData.cancellations.push(item);
       }
     });
 
@@ -294,6 +619,31 @@ class DynamoDBService {
     }
   }
 
+  /**
+   * Held executions whose release time has passed
+   * Uses GSI1 (EXECUTION#HELD / RELEASE#{releaseAt})
+   */
+  async getReleasableExecutions(now = new Date().toISOString(), limit = 50) {
+    try {
+      const result = await this.docClient.send(new QueryCommand({
+        TableName: this.tableName,
+        IndexName: 'GSI1',
+        KeyConditionExpression: 'GSI1PK = :pk AND GSI1SK <= :sk',
+        ExpressionAttributeValues: {
+          ':pk': 'EXECUTION#HELD',
+          ':sk': `RELEASE#${now}`
+        },
+        Limit: limit
+      }));
+
+      logger.debug('Queried releasable executions', { count: result.Items?.length || 0 });
+      return result.Items || [];
+    } catch (error) {
+      logger.error('Failed to query releasable executions', error);
+      throw new DynamoDBError('Failed to query releasable executions', { originalError: error.message });
+    }
+  }
+
   /**
    * Update event status
    * Maintains GSI1 consistency
@@ -324,6 +674,323 @@ class DynamoDBService {
     }
   }
 
+  /**
+   * Get poller block cursor (PK=CURSOR#{chain}#{relayerId}, SK=CURSOR)
+   * Each relayer tracks its own progress per chain
+   */
+  async getPollerCursor(chain, relayerId) {
+    try {
+      const result = await this.docClient.send(new GetCommand({
+        TableName: this.tableName,
+        Key: {
+          PK: `CURSOR#${chain.toUpperCase()}#${relayerId}`,
+          SK: 'CURSOR'
+        }
+      }));
+
+      return result.Item || null;
+    } catch (error) {
+      logger.error('Failed to get poller cursor', error, { chain, relayerId });
+      throw new DynamoDBError('Failed to get poller cursor', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Advance poller block cursor
+   * Conditional write ensures the cursor never moves backwards
+   */
+  async updatePollerCursor(chain, relayerId, lastProcessedBlock) {
+    try {
+      await this.docClient.send(new UpdateCommand({
+        TableName: this.tableName,
+        Key: {
+          PK: `CURSOR#${chain.toUpperCase()}#${relayerId}`,
+          SK: 'CURSOR'
+        },
+        UpdateExpression: 'SET lastProcessedBlock = :block, chain = :chain, relayerId = :relayerId, updatedAt = :updatedAt, entityType = :entityType',
+        ConditionExpression: 'attribute_not_exists(lastProcessedBlock) OR lastProcessedBlock < :block',
+        ExpressionAttributeValues: {
+          ':block': lastProcessedBlock,
+          ':chain': chain.toUpperCase(),
+          ':relayerId': relayerId,
+          ':updatedAt': new Date().toISOString(),
+          ':entityType': 'CURSOR'
+        }
+      }));
+
+      logger.info('Poller cursor advanced', { chain, relayerId, lastProcessedBlock });
+      return true;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        logger.debug('Poller cursor already at or beyond block', { chain, relayerId, lastProcessedBlock });
+        return false;
+      }
+      logger.error('Failed to update poller cursor', error, { chain, relayerId, lastProcessedBlock });
+      throw new DynamoDBError('Failed to update poller cursor', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Mark event as ORPHANED after a reorg dropped its source log
+   * Never overrides an event that has already been executed
+   */
+  async markEventOrphaned(eventId, reason, details = {}) {
+    try {
+      await this.docClient.send(new UpdateCommand({
+        TableName: this.tableName,
+        Key: {
+          PK: `EVENT#${eventId}`,
+          SK: 'METADATA'
+        },
+        UpdateExpression: 'SET #status = :status, GSI1SK = :gsi1sk, orphanReason = :reason, orphanDetails = :details, updatedAt = :updatedAt',
+        ConditionExpression: 'NOT #status IN (:minted, :unlocked, :refunded)',
+        ExpressionAttributeNames: {
+          '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+          ':status': 'ORPHANED',
+          ':gsi1sk': `STATUS#ORPHANED#${Date.now()}`,
+          ':reason': reason,
+          ':details': details,
+          ':updatedAt': new Date().toISOString(),
+          ':minted': 'MINTED',
+          ':unlocked': 'UNLOCKED',
+          ':refunded': 'REFUNDED'
+        }
+      }));
+
+      logger.warn('Event marked as orphaned', { eventId, reason });
+      return true;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        logger.error('Orphaned event was already executed', error, { eventId, reason });
+        return false;
+      }
+      logger.error('Failed to mark event orphaned', error, { eventId, reason });
+      throw new DynamoDBError('Failed to mark event orphaned', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Mark an event as quarantined (conflicting relayer attestations)
+   * Quarantined events are never executed; already executed events are left as they are
+   */
+  async markEventQuarantined(eventId, reason, details = {}) {
+    try {
+      await this.docClient.send(new UpdateCommand({
+        TableName: this.tableName,
+        Key: {
+          PK: `EVENT#${eventId}`,
+          SK: 'METADATA'
+        },
+        UpdateExpression: 'SET #status = :status, GSI1SK = :gsi1sk, quarantineReason = :reason, quarantineDetails = :details, updatedAt = :updatedAt',
+        ConditionExpression: 'NOT #status IN (:minted, :unlocked, :refunded)',
+        ExpressionAttributeNames: {
+          '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+          ':status': 'QUARANTINED',
+          ':gsi1sk': `STATUS#QUARANTINED#${Date.now()}`,
+          ':reason': reason,
+          ':details': details,
+          ':updatedAt': new Date().toISOString(),
+          ':minted': 'MINTED',
+          ':unlocked': 'UNLOCKED',
+          ':refunded': 'REFUNDED'
+        }
+      }));
+
+      logger.warn('Event quarantined', { eventId, reason });
+      return true;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        logger.error('Quarantined event was already executed', error, { eventId, reason });
+        return false;
+      }
+      logger.error('Failed to quarantine event', error, { eventId, reason });
+      throw new DynamoDBError('Failed to quarantine event', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Record Relayer Incident (PK=RELAYER#{relayerId}, SK=INCIDENT#{eventId}#{type})
+   * One record per relayer, event and incident type; returns false if already recorded
+   */
+  async createIncident(incidentData) {
+    try {
+      const { relayerId, eventId, type, ...details } = incidentData;
+
+      const item = {
+        PK: `RELAYER#${relayerId}`,
+        SK: `INCIDENT#${eventId}#${type}`,
+        relayerId,
+        eventId,
+        type,
+        ...details,
+        detectedAt: new Date().toISOString(),
+        entityType: 'INCIDENT'
+      };
+
+      await this.docClient.send(new PutCommand({
+        TableName: this.tableName,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(PK) AND attribute_not_exists(SK)'
+      }));
+
+      logger.warn('Relayer incident recorded in DynamoDB', { relayerId, eventId, type });
+      return true;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        logger.debug('Relayer incident already recorded', { relayerId: incidentData.relayerId, eventId: incidentData.eventId });
+        return false;
+      }
+      logger.error('Failed to record relayer incident', error, { incidentData });
+      throw new DynamoDBError('Failed to record relayer incident', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Incident history for a relayer, most recent first
+   */
+  async getRelayerIncidents(relayerId, limit = 50) {
+    try {
+      const result = await this.docClient.send(new QueryCommand({
+        TableName: this.tableName,
+        KeyConditionExpression: 'PK = :pk AND begins_with(SK, :sk)',
+        ExpressionAttributeValues: {
+          ':pk': `RELAYER#${relayerId}`,
+          ':sk': 'INCIDENT#'
+        }
+      }));
+
+      const incidents = (result.Items || [])
+        .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt))
+        .slice(0, limit);
+
+      logger.debug('Queried relayer incidents', { relayerId, count: incidents.length });
+      return incidents;
+    } catch (error) {
+      logger.error('Failed to query relayer incidents', error, { relayerId });
+      throw new DynamoDBError('Failed to query relayer incidents', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Record Transfer Volume (PK=VOLUME#{tokenRoute}[#{address}], SK=TS#{timestamp}#{blockNumber}#{logIndex})
+   * One entry for the token route and one for the sender; sort keys order entries as the chain did
+   * Idempotent: every relayer writes the same entries for an event
+   */
+  async recordTransferVolume(eventData) {
+    try {
+      const { eventId, tokenRoute, fromAddress, amount, fee, timestamp, blockNumber, logIndex } = eventData;
+      const sortKey = this.getVolumeSortKey(timestamp, blockNumber, logIndex);
+
+      const keys = [`VOLUME#${tokenRoute}`, `VOLUME#${tokenRoute}#${fromAddress.toLowerCase()}`];
+      await Promise.all(keys.map(pk => this.docClient.send(new PutCommand({
+        TableName: this.tableName,
+        Item: {
+          PK: pk,
+          SK: sortKey,
+          eventId,
+          amount,
+          fee,
+          timestamp: Number(timestamp),
+          entityType: 'VOLUME'
+        }
+      }))));
+
+      logger.debug('Transfer volume recorded in DynamoDB', { eventId, tokenRoute });
+    } catch (error) {
+      logger.error('Failed to record transfer volume', error, { eventId: eventData.eventId });
+      throw new DynamoDBError('Failed to record transfer volume', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Volume entries of a token route, or of one sender on it, in chain order
+   * @param {string} tokenRoute - Token route key
+   * @param {string|null} address - Sender, or null for the whole route
+   * @param {number} fromTimestamp - Inclusive lower bound (seconds)
+   * @param {number} toTimestamp - Inclusive upper bound (seconds)
+   */
+  async getTransferVolume(tokenRoute, address, fromTimestamp, toTimestamp) {
+    try {
+      const pk = address ? `VOLUME#${tokenRoute}#${address.toLowerCase()}` : `VOLUME#${tokenRoute}`;
+      const entries = [];
+      let exclusiveStartKey;
+
+      do {
+        const result = await this.docClient.send(new QueryCommand({
+          TableName: this.tableName,
+          KeyConditionExpression: 'PK = :pk AND SK BETWEEN :from AND :to',
+          ExpressionAttributeValues: {
+            ':pk': pk,
+            ':from': `TS#${this.pad(fromTimestamp, 12)}`,
+            ':to': `TS#${this.pad(toTimestamp, 12)}#~`
+          },
+          ExclusiveStartKey: exclusiveStartKey
+        }));
+        entries.push(...(result.Items || []));
+        exclusiveStartKey = result.LastEvaluatedKey;
+      } while (exclusiveStartKey);
+
+      return entries;
+    } catch (error) {
+      logger.error('Failed to query transfer volume', error, { tokenRoute, address });
+      throw new DynamoDBError('Failed to query transfer volume', { originalError: error.message });
+    }
+  }
+
+  getVolumeSortKey(timestamp, blockNumber, logIndex) {
+    return `TS#${this.pad(timestamp, 12)}#${this.pad(blockNumber, 12)}#${this.pad(logIndex, 6)}`;
+  }
+
+  pad(value, length) {
+    return String(value).padStart(length, '0');
+  }
+
+  /**
+   * Get event metadata item
+   * Returns null when no relayer has stored the event yet
+   */
+  async getEventMetadata(eventId) {
+    try {
+      const result = await this.docClient.send(new GetCommand({
+        TableName: this.tableName,
+        Key: {
+          PK: `EVENT#${eventId}`,
+          SK: 'METADATA'
+        }
+      }));
+
+      return result.Item || null;
+    } catch (error) {
+      logger.error('Failed to get event metadata', error, { eventId });
+      throw new DynamoDBError('Failed to get event metadata', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Check if a relayer has already signed an event
+   * Signing state is tracked per relayer, independent of event metadata
+   */
+  async hasSignature(eventId, relayerId) {
+    try {
+      const result = await this.docClient.send(new GetCommand({
+        TableName: this.tableName,
+        Key: {
+          PK: `EVENT#${eventId}`,
+          SK: `SIGNATURE#${relayerId}`
+        }
+      }));
+
+      return result.Item !== undefined;
+    } catch (error) {
+      logger.error('Failed to check signature', error, { eventId, relayerId });
+      throw new DynamoDBError('Failed to check signature', { originalError: error.message });
+    }
+  }
+
   /**
    * Check if event is already processed
    * Prevents double processing
@@ -344,6 +1011,87 @@ class DynamoDBService {
       throw new DynamoDBError('Failed to check event status', { originalError: error.message });
     }
   }
+
+  /**
+   * Get the relayer registry (PK=REGISTRY)
+   * Returns relayer keys (SK=RELAYER#...) and epochs (SK=EPOCH#...)
+   */
+  async getRelayerRegistry() {
+    try {
+      const items = [];
+      let exclusiveStartKey;
+      do {
+        const result = await this.docClient.send(new QueryCommand({
+          TableName: this.tableName,
+          KeyConditionExpression: 'PK = :pk',
+          ExpressionAttributeValues: { ':pk': 'REGISTRY' },
+          ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(result.Items || []));
+        exclusiveStartKey = result.LastEvaluatedKey;
+      } while (exclusiveStartKey);
+
+      return {
+        keys: items.filter(item => item.entityType === 'RELAYER_KEY'),
+        epochs: items
+          .filter(item => item.entityType === 'RELAYER_EPOCH')
+          .sort((a, b) => a.epoch - b.epoch)
+      };
+    } catch (error) {
+      logger.error('Failed to get relayer registry', error);
+      throw new DynamoDBError('Failed to get relayer registry', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Commit a new registry epoch together with the relayer keys it changes
+   * Fails if another admin already committed the same epoch
+   */
+  async commitRelayerEpoch(epochData, keys) {
+    const now = new Date().toISOString();
+    const epochItem = {
+      PK: 'REGISTRY',
+      SK: `EPOCH#${String(epochData.epoch).padStart(10, '0')}`,
+      ...epochData,
+      createdAt: now,
+      entityType: 'RELAYER_EPOCH'
+    };
+    const keyItems = keys.map(key => ({
+      PK: 'REGISTRY',
+      SK: `RELAYER#${key.relayerId}#KEY#${key.address.toLowerCase()}`,
+      ...key,
+      updatedAt: now,
+      entityType: 'RELAYER_KEY'
+    }));
+
+    try {
+      await this.docClient.send(new TransactWriteCommand({
+        TransactItems: [
+          {
+            Put: {
+              TableName: this.tableName,
+              Item: epochItem,
+              ConditionExpression: 'attribute_not_exists(PK)'
+            }
+          },
+          ...keyItems.map(item => ({ Put: { TableName: this.tableName, Item: item } }))
+        ]
+      }));
+
+      logger.info('Relayer registry epoch committed', {
+        epoch: epochData.epoch,
+        threshold: epochData.threshold,
+        change: epochData.change
+      });
+      return epochItem;
+    } catch (error) {
+      logger.error('Failed to commit relayer epoch', error, { epoch: epochData.epoch });
+      throw new DynamoDBError('Failed to commit relayer epoch', {
+        epoch: epochData.epoch,
+        originalError: error.message
+      });
+    }
+  }
 }
 
 module.exports = new DynamoDBService();
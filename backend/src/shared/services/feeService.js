@@ -0,0 +1,113 @@
+/**
+ * Fee Service - Bridge fee quotes and collected fee reporting
+ * Implements Facade Pattern over the on-chain FeeManager configuration
+ *
+ * The source bridge charges the fee on lock/burn; events carry the net amount
+ * the destination delivers and the fee paid to the collector. Quotes are read
+ * from the source bridge so they always match what it will charge.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only prices transfers and sums collected fees
+ * - Open/Closed: Fees come from the bridges; no code change when they are updated
+ * - Dependency Inversion: Depends on service and config abstractions
+ */
+
+const web3Service = require('./web3Service');
+const dynamoService = require('./dynamoService');
+
+// Window over which /stats sums collected fees
+const REPORTING_PERIOD_SECONDS = 24 * 60 * 60;
+
+class FeeService {
+  constructor() {
+    if (FeeService.instance) {
+      return FeeService.instance;
+    }
+    FeeService.instance = this;
+  }
+
+  /**
+   * Fee schedule of a token on a chain's bridge
+   * @param {string} chainKey - Internal chain key
+   * @param {string} token - Token on that chain
+   */
+  async getFeeConfig(chainKey, token) {
+    const bridge = web3Service.getContract(chainKey, 'bridge');
+    const [config, feeCollector] = await Promise.all([
+      bridge.feeConfigs(token),
+      bridge.feeCollector()
+    ]);
+    return {
+      feeBps: Number(config.feeBps),
+      minFee: config.minFee.toString(),
+      feeCollector
+    };
+  }
+
+  /**
+   * Fee and net amount of a transfer on a token route
+   * @param {Object} route - Route configuration
+   * @param {Object} token - Token pair from the token registry
+   * @param {bigint} amount - Amount the sender locks or burns, in wei
+   */
+  async quote(route, token, amount) {
+    const sourceToken = token.addresses[route.sourceChain];
+    const bridge = web3Service.getContract(route.sourceChain, 'bridge');
+    const [[fee, netAmount], config] = await Promise.all([
+      bridge.quoteFee(sourceToken, amount),
+      this.getFeeConfig(route.sourceChain, sourceToken)
+    ]);
+
+    return {
+      routeId: route.id,
+      tokenId: token.id,
+      sourceChain: route.sourceChain,
+      destinationChain: route.destinationChain,
+      amount: amount.toString(),
+      fee: fee.toString(),
+      netAmount: netAmount.toString(),
+      // The source bridge rejects transfers the fee would consume entirely
+      bridgeable: netAmount > 0n,
+      ...config
+    };
+  }
+
+  /**
+   * Fees collected on a token route over the reporting period
+   * Events stored before fees were persisted count as free
+   * @param {string} tokenRoute - Token route key
+   */
+  async getCollectedFees(tokenRoute, now = Math.floor(Date.now() / 1000)) {
+    const entries = await dynamoService.getTransferVolume(tokenRoute, null, now - REPORTING_PERIOD_SECONDS, now);
+
+    let fees = 0n;
+    let volume = 0n;
+    for (const entry of entries) {
+      fees += BigInt(entry.fee || 0);
+      volume += BigInt(entry.amount);
+    }
+
+    return {
+      periodSeconds: REPORTING_PERIOD_SECONDS,
+      transfers: entries.length,
+      netVolume: volume.toString(),
+      feesCollected: fees.toString()
+    };
+  }
+
+  /**
+   * Fee schedule on the source and fees collected, for /stats
+   * @param {Object} route - Route configuration
+   * @param {Object} token - Token pair from the token registry
+   * @param {string} tokenRoute - Token route key
+   */
+  async getTokenRouteStatus(route, token, tokenRoute) {
+    const [config, collected] = await Promise.all([
+      this.getFeeConfig(route.sourceChain, token.addresses[route.sourceChain]),
+      this.getCollectedFees(tokenRoute)
+    ]);
+    return { chain: route.sourceChain, ...config, ...collected };
+  }
+}
+
+module.exports = new FeeService();
@@ -0,0 +1,77 @@
+/**
+ * Proof Service - Claim proofs for submitting a transfer on the destination chain
+ * Implements Facade Pattern over signing, route and contract configuration
+ *
+ * A proof is the signature bundle the destination bridge verifies on-chain plus
+ * the encoded call, so anyone can submit a mint or unlock when the executor
+ * does not. The bridge enforces the relayer threshold and replay protection.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only builds and checks claim proofs
+ * - Dependency Inversion: API and executor depend on this abstraction
+ */
+
+const { ethers } = require('ethers');
+const signingService = require('./signingService');
+const web3Service = require('./web3Service');
+const routeConfig = require('../config/routes');
+const chainConfig = require('../config/chains');
+const contractConfig = require('../config/contracts');
+
+class ProofService {
+  /**
+   * Destination chain and bridge for an event's route
+   */
+  getDestination(eventData) {
+    const route = routeConfig.getRouteForEvent(eventData);
+    const { address, abi } = contractConfig.getBridgeConfigByChainKey(route.destinationChain);
+
+    return {
+      route,
+      chain: route.destinationChain,
+      chainId: chainConfig.getConfigByChainKey(route.destinationChain).chainId,
+      bridgeAddress: address,
+      abi
+    };
+  }
+
+  /**
+   * Build the claim proof for an event
+   * @param {Object} eventData - Stored event metadata
+   * @param {Array} signatures - Signature items
+   * @param {Object} allowlist - Relayer registry snapshot
+   * @returns {Object} { eventId, action, method, destination, transfer, signatures, signers, calldata }
+   */
+  buildProof(eventData, signatures, allowlist) {
+    const { route, chain, chainId, bridgeAddress, abi } = this.getDestination(eventData);
+    const bundle = signingService.buildSignatureBundle(eventData, signatures, allowlist);
+    const calldata = new ethers.Interface(abi).encodeFunctionData(route.method, [
+      bundle.transfer,
+      bundle.signatures
+    ]);
+
+    return {
+      eventId: eventData.eventId,
+      action: route.action,
+      method: route.method,
+      destination: { chain, chainId, bridgeAddress },
+      transfer: Object.fromEntries(
+        Object.entries(bundle.transfer).map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value])
+      ),
+      signatures: bundle.signatures,
+      signers: bundle.signers,
+      calldata
+    };
+  }
+
+  /**
+   * Whether the destination bridge already executed this eventId
+   */
+  async isProcessedOnDestination(eventData) {
+    const { route } = this.getDestination(eventData);
+    const bridge = web3Service.getContract(route.destinationChain, 'bridge');
+    return bridge[route.processedMethod](eventData.eventId);
+  }
+}
+
+module.exports = new ProofService();
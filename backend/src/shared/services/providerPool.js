@@ -0,0 +1,329 @@
+/**
+ * Provider Pool - Health-tracked set of RPC providers for one chain
+ * Implements Proxy and Chain of Responsibility Patterns
+ *
+ * Reads go to the first available provider and fail over to the next one on
+ * transport errors. A provider that fails is put on cooldown and only retried
+ * once the cooldown expires or every other provider is cooling down too.
+ * Quorum reads query every available provider and require `quorum` of them
+ * to return the same normalized result.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only selects providers and tracks their health
+ * - Open/Closed: Callers pass the operation, the pool stays generic
+ * - Liskov Substitution: Every entry is a plain ethers provider
+ */
+
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { Web3Error } = require('../utils/errors');
+
+// ethers error codes caused by the request itself, not the provider serving it
+const REQUEST_ERROR_CODES = [
+  'CALL_EXCEPTION',
+  'INSUFFICIENT_FUNDS',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'TRANSACTION_REPLACED',
+  'INVALID_ARGUMENT',
+  'MISSING_ARGUMENT',
+  'UNEXPECTED_ARGUMENT',
+  'ACTION_REJECTED'
+];
+
+class ProviderPool {
+  /**
+   * @param {string} chain - Internal chain key
+   * @param {Object} config - Chain config with rpcUrls, chainId, name, rpcQuorum, rpcCooldownMs, rpcTimeoutMs
+   * @param {Object} options
+   * @param {Function} options.isRequestError - Extra predicate for errors that must not fail over
+   */
+  constructor(chain, config, { isRequestError } = {}) {
+    if (config.rpcUrls.length && (config.rpcQuorum < 1 || config.rpcQuorum > config.rpcUrls.length)) {
+      throw new Web3Error('RPC quorum must be between 1 and the number of RPC URLs', {
+        chain,
+        quorum: config.rpcQuorum,
+        providers: config.rpcUrls.length
+      });
+    }
+
+    this.chain = chain;
+    this.chainId = config.chainId;
+    this.quorum = config.rpcQuorum;
+    this.cooldownMs = config.rpcCooldownMs;
+    this.isRequestError = isRequestError || (() => false);
+
+    const network = { chainId: config.chainId, name: config.name };
+    this.entries = config.rpcUrls.map((url, index) => {
+      const request = new ethers.FetchRequest(url);
+      request.timeout = config.rpcTimeoutMs;
+
+      return {
+        index,
+        host: this.describeUrl(url),
+        provider: new ethers.JsonRpcProvider(request, network, { staticNetwork: true }),
+        health: {
+          healthy: true,
+          consecutiveFailures: 0,
+          totalRequests: 0,
+          totalFailures: 0,
+          cooldownUntil: 0,
+          lastError: null,
+          lastErrorAt: null,
+          lastSuccessAt: null
+        }
+      };
+    });
+  }
+
+  /**
+   * Host only, so API keys in paths or query strings never reach logs or APIs
+   */
+  describeUrl(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return 'invalid-url';
+    }
+  }
+
+  /**
+   * Providers in the order they should be tried
+   * Available providers keep their configured priority; cooling ones go last
+   */
+  getCandidates() {
+    const now = Date.now();
+    const available = this.entries.filter(entry => entry.health.cooldownUntil <= now);
+    const cooling = this.entries
+      .filter(entry => entry.health.cooldownUntil > now)
+      .sort((a, b) => a.health.cooldownUntil - b.health.cooldownUntil);
+    const candidates = [...available, ...cooling];
+
+    if (!candidates.length) {
+      throw new Web3Error(`No RPC URLs configured for chain: ${this.chain}`);
+    }
+    return candidates;
+  }
+
+  /**
+   * Provider currently preferred for reads and new wallets
+   */
+  getActiveProvider() {
+    return this.getCandidates()[0].provider;
+  }
+
+  /**
+   * Errors caused by the request (reverts, bad args, range limits) are
+   * returned to the caller instead of failing over
+   */
+  shouldFailover(error) {
+    return !REQUEST_ERROR_CODES.includes(error?.code) && !this.isRequestError(error);
+  }
+
+  recordSuccess(entry) {
+    const { health } = entry;
+    if (!health.healthy) {
+      logger.info('RPC provider recovered', { chain: this.chain, provider: entry.host });
+    }
+    health.healthy = true;
+    health.consecutiveFailures = 0;
+    health.cooldownUntil = 0;
+    health.totalRequests++;
+    health.lastSuccessAt = new Date().toISOString();
+  }
+
+  recordFailure(entry, error) {
+    const { health } = entry;
+    health.healthy = false;
+    health.consecutiveFailures++;
+    health.totalRequests++;
+    health.totalFailures++;
+    health.cooldownUntil = Date.now() + this.cooldownMs;
+    health.lastError = error.shortMessage || error.message;
+    health.lastErrorAt = new Date().toISOString();
+
+    logger.warn('RPC provider failed, cooling down', {
+      chain: this.chain,
+      provider: entry.host,
+      consecutiveFailures: health.consecutiveFailures,
+      error: health.lastError
+    });
+  }
+
+  /**
+   * Run an operation against one provider, failing over on provider errors
+   * @param {Function} operation - async (provider) => result
+   * @param {string} label - Operation name for logs
+   */
+  async execute(operation, label) {
+    let lastError;
+
+    for (const entry of this.getCandidates()) {
+      try {
+        const result = await operation(entry.provider);
+        this.recordSuccess(entry);
+        return result;
+      } catch (error) {
+        if (!this.shouldFailover(error)) {
+          this.recordSuccess(entry);
+          throw error;
+        }
+        this.recordFailure(entry, error);
+        lastError = error;
+      }
+    }
+
+    logger.error('All RPC providers failed', lastError, { chain: this.chain, operation: label });
+    throw lastError;
+  }
+
+  /**
+   * Run an operation on every available provider and require `quorum` of
+   * them to agree on the normalized result
+   * Falls back to execute() when quorum is 1
+   * @param {Function} operation - async (provider) => result
+   * @param {Function} normalize - (result) => comparable string
+   * @param {string} label - Operation name for logs
+   */
+  async executeQuorum(operation, normalize, label) {
+    if (this.quorum <= 1) {
+      return this.execute(operation, label);
+    }
+
+    const { results, failures } = await this.executeAll(operation);
+
+    const groups = new Map();
+    for (const { provider, value } of results) {
+      const key = normalize(value);
+      if (!groups.has(key)) {
+        groups.set(key, { value, providers: [] });
+      }
+      groups.get(key).providers.push(provider);
+    }
+
+    const best = [...groups.values()].sort((a, b) => b.providers.length - a.providers.length)[0];
+    if (best && best.providers.length >= this.quorum) {
+      if (groups.size > 1) {
+        logger.warn('RPC providers disagree, quorum reached', {
+          chain: this.chain,
+          operation: label,
+          quorum: this.quorum,
+          agreeing: best.providers
+        });
+      }
+      return best.value;
+    }
+
+    logger.error('RPC quorum not reached', null, {
+      chain: this.chain,
+      operation: label,
+      quorum: this.quorum,
+      distinctResults: groups.size,
+      failures
+    });
+    throw new Web3Error('RPC quorum not reached', {
+      chain: this.chain,
+      operation: label,
+      quorum: this.quorum,
+      agreeing: best ? best.providers.length : 0,
+      distinctResults: groups.size,
+      failures
+    });
+  }
+
+  /**
+   * Run an operation on every available provider and return each answer
+   * Callers that weigh the answers themselves use this instead of executeQuorum
+   * @param {Function} operation - async (provider) => result
+   * @returns {Object} { results: [{ provider, value }], failures: [{ provider, error }] }
+   */
+  async executeAll(operation) {
+    const candidates = this.getCandidates();
+    const settled = await Promise.allSettled(candidates.map(entry => operation(entry.provider)));
+
+    const results = [];
+    const failures = [];
+    settled.forEach((outcome, i) => {
+      const entry = candidates[i];
+      if (outcome.status === 'rejected') {
+        if (this.shouldFailover(outcome.reason)) {
+          this.recordFailure(entry, outcome.reason);
+        } else {
+          this.recordSuccess(entry);
+        }
+        failures.push({ provider: entry.host, error: outcome.reason.shortMessage || outcome.reason.message });
+        return;
+      }
+
+      this.recordSuccess(entry);
+      results.push({ provider: entry.host, value: outcome.value });
+    });
+
+    return { results, failures };
+  }
+
+  /**
+   * Check every provider: reachable and serving the configured chain
+   */
+  async probe() {
+    await Promise.all(this.entries.map(async (entry) => {
+      try {
+        const [chainId, blockNumber] = await Promise.all([
+          entry.provider.send('eth_chainId', []),
+          entry.provider.getBlockNumber()
+        ]);
+        if (Number(chainId) !== this.chainId) {
+          throw new Error(`Wrong chainId ${Number(chainId)}, expected ${this.chainId}`);
+        }
+        this.recordSuccess(entry);
+        entry.health.blockNumber = blockNumber;
+      } catch (error) {
+        this.recordFailure(entry, error);
+        entry.health.blockNumber = null;
+      }
+    }));
+
+    return this.getStatus();
+  }
+
+  /**
+   * Provider health snapshot for health and system info endpoints
+   */
+  getStatus() {
+    const providers = this.entries.map(entry => ({
+      index: entry.index,
+      host: entry.host,
+      healthy: entry.health.healthy,
+      blockNumber: entry.health.blockNumber,
+      consecutiveFailures: entry.health.consecutiveFailures,
+      totalRequests: entry.health.totalRequests,
+      totalFailures: entry.health.totalFailures,
+      lastError: entry.health.lastError,
+      lastErrorAt: entry.health.lastErrorAt,
+      lastSuccessAt: entry.health.lastSuccessAt,
+      cooldownUntil: entry.health.cooldownUntil > Date.now()
+        ? new Date(entry.health.cooldownUntil).toISOString()
+        : null
+    }));
+    const healthyCount = providers.filter(p => p.healthy).length;
+
+    let status = 'healthy';
+    if (healthyCount < this.quorum) {
+      status = 'unhealthy';
+    } else if (healthyCount < providers.length) {
+      status = 'degraded';
+    }
+
+    return {
+      chain: this.chain,
+      status,
+      quorum: this.quorum,
+      healthyProviders: healthyCount,
+      totalProviders: providers.length,
+      activeProvider: providers.length ? this.getCandidates()[0].host : null,
+      providers
+    };
+  }
+}
+
+module.exports = ProviderPool;
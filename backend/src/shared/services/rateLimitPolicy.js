@@ -0,0 +1,251 @@
+/**
+ * Rate Limit Policy - Relayer-side check of the bridges' rolling volume caps
+ * Implements Policy Pattern over the on-chain RateLimiter configuration
+ *
+ * Outbound (lock/burn): before signing, a relayer replays the source bridge's
+ * sliding window from the transfer volume it stored and refuses transfers the
+ * source bridge should have rejected. Only volume recorded since the caps were
+ * last updated is counted, so the relayer never counts more than the chain did.
+ * Caps are read at the source chain's safe block, so no archive state is needed;
+ * a transfer made before the caps last changed cannot be replayed and is let through.
+ *
+ * Inbound (mint/unlock): before executing, the validator checks the destination
+ * bridge's remaining volume and holds transfers that would revert.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only decides whether a transfer fits the volume caps
+ * - Open/Closed: Caps come from the bridges; no code change when they are updated
+ * - Dependency Inversion: Depends on service and config abstractions
+ *
+ * Every read goes through the chain's provider pool so a dead RPC fails over.
+ */
+
+const { ethers } = require('ethers');
+const web3Service = require('./web3Service');
+const dynamoService = require('./dynamoService');
+const routeConfig = require('../config/routes');
+const chainConfig = require('../config/chains');
+const logger = require('../utils/logger');
+
+// RateLimiter.Flow
+const FLOWS = {
+  OUTBOUND: 0,
+  INBOUND: 1
+};
+
+const RATE_LIMIT_CHECKS = {
+  GLOBAL_LIMIT_EXCEEDED: 'RATE_LIMIT_GLOBAL',
+  ADDRESS_LIMIT_EXCEEDED: 'RATE_LIMIT_ADDRESS'
+};
+
+// How long the validator waits before re-checking a rate-limited transfer
+const DEFAULT_RECHECK_SECONDS = 300;
+
+class RateLimitPolicy {
+  constructor() {
+    if (RateLimitPolicy.instance) {
+      return RateLimitPolicy.instance;
+    }
+    RateLimitPolicy.instance = this;
+  }
+
+  /**
+   * Caps of a token on a chain's bridge
+   * @param {string} chainKey - Internal chain key
+   * @param {string} token - Token on that chain
+   * @param {number} [blockTag] - Read the caps as of this block
+   */
+  async getLimits(chainKey, token, blockTag) {
+    const limits = await web3Service.readContract(
+      chainKey,
+      'bridge',
+      'rateLimits',
+      [token],
+      blockTag === undefined ? {} : { blockTag }
+    );
+    return {
+      period: limits.period,
+      globalCap: limits.globalCap,
+      perAddressCap: limits.perAddressCap,
+      updatedAt: limits.updatedAt
+    };
+  }
+
+  /**
+   * Usage at a timestamp, replicating RateLimiter's sliding window
+   * @param {Array} entries - Volume entries ({ timestamp, amount }) counted before the transfer
+   * @param {number|string|bigint} timestamp - Block timestamp of the transfer
+   * @param {bigint} period - Rolling period in seconds
+   * @returns {bigint} Volume counted against the cap
+   */
+  windowUsage(entries, timestamp, period) {
+    const now = BigInt(timestamp);
+    const start = now - (now % period);
+    let current = 0n;
+    let previous = 0n;
+
+    for (const entry of entries) {
+      const entryTime = BigInt(entry.timestamp);
+      if (entryTime >= start) {
+        current += BigInt(entry.amount);
+      } else if (entryTime >= start - period) {
+        previous += BigInt(entry.amount);
+      }
+    }
+
+    return (previous * (period - (now - start))) / period + current;
+  }
+
+  /**
+   * Check a source event against its bridge's outbound caps
+   * @param {Object} eventData - Event as read on-chain, with volume already recorded
+   * @returns {Object} { allowed, failures: [{ check, expected, actual }] }
+   */
+  async checkOutbound(eventData) {
+    // Events stored before token routes and timestamps were persisted are not rate limited
+    if (!eventData.tokenRoute || eventData.timestamp === undefined) {
+      return { allowed: true, failures: [] };
+    }
+
+    const route = routeConfig.getRouteForEvent(eventData);
+    const { safeBlock } = await web3Service.getSafeBlock(route.sourceChain, chainConfig.getPollingPolicy(route.sourceChain));
+    const limits = await this.getLimits(route.sourceChain, eventData.token, Math.max(safeBlock, Number(eventData.blockNumber) || 0));
+    if (limits.period === 0n) {
+      return { allowed: true, failures: [] };
+    }
+
+    // Caps changed after the transfer: the bridge checked it against caps only archive state still has
+    const now = BigInt(eventData.timestamp);
+    if (limits.updatedAt > now) {
+      logger.warn('Volume caps changed after the transfer, skipping outbound check', {
+        eventId: eventData.eventId,
+        tokenRoute: eventData.tokenRoute,
+        capsUpdatedAt: limits.updatedAt.toString()
+      });
+      return { allowed: true, failures: [] };
+    }
+
+    const windowStart = now - (now % limits.period) - limits.period;
+    const from = windowStart > limits.updatedAt ? windowStart : limits.updatedAt;
+    const ownKey = dynamoService.getVolumeSortKey(eventData.timestamp, eventData.blockNumber, eventData.logIndex);
+    const amount = BigInt(eventData.amount);
+
+    const scopes = [
+      { check: RATE_LIMIT_CHECKS.GLOBAL_LIMIT_EXCEEDED, cap: limits.globalCap, address: null },
+      { check: RATE_LIMIT_CHECKS.ADDRESS_LIMIT_EXCEEDED, cap: limits.perAddressCap, address: eventData.fromAddress }
+    ];
+    const failures = [];
+
+    for (const scope of scopes) {
+      if (scope.cap === 0n) continue;
+
+      const entries = await dynamoService.getTransferVolume(eventData.tokenRoute, scope.address, Number(from), Number(now));
+      const prior = entries.filter(entry => entry.SK < ownKey);
+      const usage = this.windowUsage(prior, now, limits.period);
+
+      if (usage + amount > scope.cap) {
+        failures.push({
+          check: scope.check,
+          expected: scope.cap.toString(),
+          actual: (usage + amount).toString()
+        });
+      }
+    }
+
+    if (failures.length > 0) {
+      logger.warn('Transfer exceeds the source bridge volume caps', {
+        eventId: eventData.eventId,
+        tokenRoute: eventData.tokenRoute,
+        failures
+      });
+    }
+
+    return { allowed: failures.length === 0, failures };
+  }
+
+  /**
+   * Check whether the destination bridge can take a transfer right now
+   * @param {Object} eventData - Stored event metadata
+   * @returns {Object} { allowed, failures, globalAvailable, accountAvailable }
+   */
+  async checkInbound(eventData) {
+    if (!eventData.destinationToken) {
+      return { allowed: true, failures: [] };
+    }
+
+    const route = routeConfig.getRouteForEvent(eventData);
+    const [globalAvailable, accountAvailable] = await web3Service.readContract(
+      route.destinationChain,
+      'bridge',
+      'getAvailableVolume',
+      [eventData.destinationToken, FLOWS.INBOUND, eventData.toAddress]
+    );
+
+    const amount = BigInt(eventData.amount);
+    const failures = [];
+    if (amount > globalAvailable) {
+      failures.push({ check: RATE_LIMIT_CHECKS.GLOBAL_LIMIT_EXCEEDED, expected: globalAvailable.toString(), actual: amount.toString() });
+    }
+    if (amount > accountAvailable) {
+      failures.push({ check: RATE_LIMIT_CHECKS.ADDRESS_LIMIT_EXCEEDED, expected: accountAvailable.toString(), actual: amount.toString() });
+    }
+
+    return {
+      allowed: failures.length === 0,
+      failures,
+      globalAvailable: globalAvailable.toString(),
+      accountAvailable: accountAvailable.toString()
+    };
+  }
+
+  /**
+   * When the validator re-checks a transfer the destination could not take
+   */
+  getRecheckAt(now = Date.now()) {
+    const seconds = parseInt(process.env.RATE_LIMIT_RECHECK_SECONDS) || DEFAULT_RECHECK_SECONDS;
+    return new Date(now + seconds * 1000).toISOString();
+  }
+
+  /**
+   * Caps and global usage of one flow of a token, for /stats
+   * @param {string} chainKey - Internal chain key
+   * @param {string} token - Token on that chain
+   * @param {number} flow - FLOWS.OUTBOUND or FLOWS.INBOUND
+   */
+  async getFlowStatus(chainKey, token, flow) {
+    const [limits, usage] = await Promise.all([
+      this.getLimits(chainKey, token),
+      web3Service.readContract(chainKey, 'bridge', 'getWindowUsage', [token, flow, ethers.ZeroAddress])
+    ]);
+
+    const globalUsed = usage.globalUsed;
+    return {
+      chain: chainKey,
+      enabled: limits.period > 0n,
+      periodSeconds: Number(limits.period),
+      globalCap: limits.globalCap.toString(),
+      perAddressCap: limits.perAddressCap.toString(),
+      globalUsed: globalUsed.toString(),
+      globalAvailable: limits.globalCap === 0n
+        ? null
+        : (globalUsed >= limits.globalCap ? 0n : limits.globalCap - globalUsed).toString()
+    };
+  }
+
+  /**
+   * Outbound caps on the source and inbound caps on the destination of a token route
+   * @param {Object} route - Route configuration
+   * @param {Object} token - Token pair from the token registry
+   */
+  async getTokenRouteStatus(route, token) {
+    const [outbound, inbound] = await Promise.all([
+      this.getFlowStatus(route.sourceChain, token.addresses[route.sourceChain], FLOWS.OUTBOUND),
+      this.getFlowStatus(route.destinationChain, token.addresses[route.destinationChain], FLOWS.INBOUND)
+    ]);
+    return { outbound, inbound };
+  }
+}
+
+module.exports = new RateLimitPolicy();
+module.exports.FLOWS = FLOWS;
+module.exports.RATE_LIMIT_CHECKS = RATE_LIMIT_CHECKS;
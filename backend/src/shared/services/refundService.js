@@ -0,0 +1,220 @@
+/**
+ * Refund Service - Relayer-attested refunds of transfers that were never delivered
+ * Implements Facade Pattern over signing, route and contract configuration
+ *
+ * A refund runs in two phases so the destination can never deliver a refunded transfer:
+ * - CANCEL: relayers sign a BridgeCancel for the destination bridge, which marks the
+ *   eventId cancelled and refuses to mint it from then on
+ * - REFUND: once the cancellation is on-chain, relayers sign the same BridgeCancel for
+ *   the source bridge, which returns the locked tokens to the sender
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only builds, signs and checks cancellations
+ * - Open/Closed: Routes opt in through their refund methods in config/routes.js
+ * - Dependency Inversion: Poller, validator and executor depend on this abstraction
+ */
+
+const { ethers } = require('ethers');
+const signingService = require('./signingService');
+const web3Service = require('./web3Service');
+const routeConfig = require('../config/routes');
+const chainConfig = require('../config/chains');
+const contractConfig = require('../config/contracts');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+const { buildBridgeCancel } = require('../utils/bridgeTypedData');
+
+const REFUND_PHASES = {
+  CANCEL: 'CANCEL',
+  REFUND: 'REFUND'
+};
+
+const REFUND_STATUS = {
+  REQUESTED: 'REQUESTED',
+  CANCELLED: 'CANCELLED',
+  REFUNDED: 'REFUNDED',
+  REJECTED: 'REJECTED'
+};
+
+class RefundService {
+  constructor() {
+    if (RefundService.instance) {
+      return RefundService.instance;
+    }
+    RefundService.instance = this;
+  }
+
+  /**
+   * Route of an event, which must support refunds
+   */
+  getRefundRoute(eventData) {
+    const route = routeConfig.getRouteForEvent(eventData);
+    if (!route.refund) {
+      throw new ValidationError('Route does not support refunds', { routeId: route.id });
+    }
+    return route;
+  }
+
+  /**
+   * Chain and bridge that verify a phase's signatures
+   * CANCEL is verified by the destination bridge, REFUND by the source bridge
+   */
+  getPhaseBinding(eventData, phase) {
+    const route = this.getRefundRoute(eventData);
+    const chain = phase === REFUND_PHASES.CANCEL ? route.destinationChain : route.sourceChain;
+    const { address } = contractConfig.getBridgeConfigByChainKey(chain);
+    if (!address) {
+      throw new ValidationError('Bridge address not configured', { chain });
+    }
+
+    return {
+      route,
+      chain,
+      method: phase === REFUND_PHASES.CANCEL ? route.refund.cancelMethod : route.refund.refundMethod,
+      sourceChainId: chainConfig.getConfigByChainKey(route.sourceChain).chainId,
+      chainId: chainConfig.getConfigByChainKey(chain).chainId,
+      verifyingContract: address
+    };
+  }
+
+  /**
+   * EIP-712 typed data of a phase
+   * All relayers must build identical typed data for the same event and phase
+   */
+  buildTypedData(eventData, phase) {
+    return buildBridgeCancel(eventData, this.getPhaseBinding(eventData, phase));
+  }
+
+  /**
+   * Sign a phase of an event's cancellation with this relayer's key
+   */
+  async signCancellation(relayerId, eventData, phase) {
+    const signer = await signingService.getRelayerSigner(relayerId);
+    const { domain, types, message } = this.buildTypedData(eventData, phase);
+
+    const signature = await signer.signTypedData(domain, types, message);
+    logger.info('Cancellation signed', { relayerId, eventId: eventData.eventId, phase });
+
+    return {
+      signature,
+      publicKey: await signer.getAddress(),
+      messageHash: ethers.TypedDataEncoder.hash(domain, types, message)
+    };
+  }
+
+  /**
+   * Recover the address that signed a phase
+   * Returns null for malformed signatures
+   */
+  recoverSigner(eventData, phase, signature) {
+    const { domain, types, message } = this.buildTypedData(eventData, phase);
+    try {
+      return ethers.verifyTypedData(domain, types, message, signature);
+    } catch (error) {
+      logger.warn('Could not recover cancellation signer', { eventId: eventData.eventId, phase, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Verify a phase's signatures against the relayer registry
+   * Counts distinct, non-revoked members of the epoch each signature was made under
+   * @param {Object} eventData - Stored event metadata
+   * @param {string} phase - REFUND_PHASES value
+   * @param {Array} signatures - Cancellation signature items of any phase
+   * @param {Object} registry - Relayer registry snapshot
+   * @returns {Object} { attestations, validSignatures, requiredSignatures, hasConsensus }
+   */
+  verifySignatures(eventData, phase, signatures, registry) {
+    const counted = new Set();
+    const attestations = [];
+    const phaseSignatures = signatures.filter(sig => sig.phase === phase);
+
+    for (const sig of phaseSignatures) {
+      if (!sig.signature || !registry.hasEpoch(sig.epoch)) continue;
+
+      const recoveredAddress = this.recoverSigner(eventData, phase, sig.signature);
+      const relayer = recoveredAddress && registry.getRelayerByAddress(recoveredAddress, sig.epoch);
+      if (!relayer || relayer.status === 'revoked' || relayer.relayerId !== String(sig.relayerId)) {
+        logger.warn('Cancellation signature rejected', {
+          eventId: eventData.eventId,
+          phase,
+          relayerId: sig.relayerId,
+          recoveredAddress
+        });
+        continue;
+      }
+
+      if (!counted.has(relayer.relayerId)) {
+        counted.add(relayer.relayerId);
+        attestations.push({ relayerId: relayer.relayerId, recoveredAddress, signature: sig.signature });
+      }
+    }
+
+    const requiredSignatures = registry.getRequiredSignatures(phaseSignatures.map(sig => sig.epoch));
+    return {
+      attestations,
+      validSignatures: attestations.length,
+      requiredSignatures,
+      hasConsensus: attestations.length >= requiredSignatures
+    };
+  }
+
+  /**
+   * Calldata bundle the phase's bridge verifies on-chain
+   * Signatures are ordered by ascending signer address as RelayerMultisig requires
+   * @returns {Object} { cancel, signatures, signers }
+   */
+  buildBundle(eventData, phase, signatures, registry) {
+    const attestations = this.verifySignatures(eventData, phase, signatures, registry).attestations
+      .sort((a, b) => (BigInt(a.recoveredAddress) < BigInt(b.recoveredAddress) ? -1 : 1));
+
+    if (attestations.length === 0) {
+      throw new ValidationError('No valid cancellation signatures to submit', { eventId: eventData.eventId, phase });
+    }
+
+    return {
+      cancel: this.buildTypedData(eventData, phase).message,
+      signatures: attestations.map(a => a.signature),
+      signers: attestations.map(a => a.recoveredAddress)
+    };
+  }
+
+  /**
+   * Where the event stands on both bridges
+   * Destination mint and cancel state is read at the destination's safe block (the
+   * poller's finality tag or confirmations), so a cancel that a reorg can still drop
+   * is never treated as final. Sightings at latest that are not final yet are
+   * reported as pending.
+   * @returns {Object} { minted, cancelled, refunded, pending: { minted, cancelled }, safeBlock }
+   */
+  async getOnChainState(eventData) {
+    const route = this.getRefundRoute(eventData);
+    const destination = route.destinationChain;
+    const { safeBlock } = await web3Service.getSafeBlock(destination, chainConfig.getPollingPolicy(destination));
+    const read = (chain, method, overrides) =>
+      web3Service.readContract(chain, 'bridge', method, [eventData.eventId], overrides);
+
+    const [minted, cancelled, mintedLatest, cancelledLatest, refunded] = await Promise.all([
+      read(destination, route.processedMethod, { blockTag: safeBlock }),
+      read(destination, route.refund.cancelledMethod, { blockTag: safeBlock }),
+      read(destination, route.processedMethod),
+      read(destination, route.refund.cancelledMethod),
+      read(route.sourceChain, route.refund.refundedMethod)
+    ]);
+    return {
+      minted,
+      cancelled,
+      refunded,
+      pending: {
+        minted: mintedLatest && !minted,
+        cancelled: cancelledLatest && !cancelled
+      },
+      safeBlock
+    };
+  }
+}
+
+module.exports = new RefundService();
+module.exports.REFUND_PHASES = REFUND_PHASES;
+module.exports.REFUND_STATUS = REFUND_STATUS;
@@ -0,0 +1,366 @@
+/**
+ * Relayer Registry - Relayer keys, their status and the epochs they belong to
+ * Implements Repository and Snapshot Patterns
+ *
+ * Every change to the relayer set (add, rotate, revoke) starts a new epoch.
+ * An epoch records its members (relayerId + signing address) and threshold.
+ * Relayers tag each signature with the epoch it was made under, and the
+ * validator checks the signer against that epoch's members, so rotating a
+ * key leaves signatures already made under the old epoch valid.
+ *
+ * Key status:
+ * - active:   member of the current epoch, signs new events
+ * - retiring: rotated out; signatures from earlier epochs still count
+ * - revoked:  never counted again, whatever epoch the signature claims
+ *
+ * Until the registry is initialized in DynamoDB, epoch 0 is built from the
+ * RELAYER_{n}_ADDRESS allowlist and REQUIRED_SIGNATURES.
+ *
+ * Snapshots are cached per instance for signing and reporting. The validator
+ * and executor always refresh, so a revoked key stops counting immediately.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only answers who may sign under which epoch
+ * - Dependency Inversion: Consensus depends on snapshots, not on storage
+ */
+
+const { ethers } = require('ethers');
+const dynamoService = require('./dynamoService');
+const relayerConfig = require('../config/relayers');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+const KEY_STATUS = {
+  ACTIVE: 'active',
+  RETIRING: 'retiring',
+  REVOKED: 'revoked'
+};
+
+const GENESIS_EPOCH = 0;
+const REGISTRY_SOURCES = {
+  DYNAMODB: 'dynamodb',
+  ENVIRONMENT: 'environment'
+};
+
+/**
+ * Immutable view of the registry at load time
+ * Exposes the allowlist interface used by signingService
+ */
+class RegistrySnapshot {
+  constructor({ epochs, keys, source }) {
+    this.source = source;
+    this.keys = keys;
+    this.epochs = new Map(epochs.map(epoch => [Number(epoch.epoch), epoch]));
+
+    const numbers = [...this.epochs.keys()];
+    this.currentEpoch = Math.max(...numbers);
+    this.firstEpoch = Math.min(...numbers);
+  }
+
+  /**
+   * Signatures stored before epochs existed belong to the first epoch
+   */
+  resolveEpoch(epoch) {
+    return epoch === undefined || epoch === null ? this.firstEpoch : Number(epoch);
+  }
+
+  hasEpoch(epoch) {
+    return this.epochs.has(this.resolveEpoch(epoch));
+  }
+
+  getEpoch(epoch = this.currentEpoch) {
+    return this.epochs.get(this.resolveEpoch(epoch)) || null;
+  }
+
+  getThreshold(epoch = this.currentEpoch) {
+    const record = this.getEpoch(epoch);
+    return record ? record.threshold : null;
+  }
+
+  getMemberCount(epoch = this.currentEpoch) {
+    const record = this.getEpoch(epoch);
+    return record ? record.members.length : null;
+  }
+
+  /**
+   * Latest known epoch among a set of signature epochs, or the current epoch
+   */
+  getLatestEpoch(epochs = []) {
+    const known = epochs.map(epoch => this.resolveEpoch(epoch)).filter(epoch => this.epochs.has(epoch));
+    return known.length ? Math.max(...known) : this.currentEpoch;
+  }
+
+  /**
+   * Threshold for a set of signatures: that of the latest epoch they were made under
+   */
+  getRequiredSignatures(epochs = []) {
+    return this.getThreshold(this.getLatestEpoch(epochs));
+  }
+
+  getKey(address) {
+    const normalized = String(address).toLowerCase();
+    return this.keys.find(key => key.address.toLowerCase() === normalized) || null;
+  }
+
+  getActiveKey(relayerId) {
+    return this.keys.find(key => key.relayerId === String(relayerId) && key.status === KEY_STATUS.ACTIVE) || null;
+  }
+
+  /**
+   * Member of an epoch by signing address, with the key's current status
+   * @returns {Object|null} { relayerId, address, status } or null when not a member
+   */
+  getRelayerByAddress(address, epoch = this.currentEpoch) {
+    const record = this.getEpoch(epoch);
+    if (!record) return null;
+
+    const normalized = String(address).toLowerCase();
+    const member = record.members.find(m => m.address.toLowerCase() === normalized);
+    if (!member) return null;
+
+    const key = this.getKey(member.address);
+    return {
+      relayerId: member.relayerId,
+      address: member.address,
+      status: key ? key.status : KEY_STATUS.ACTIVE
+    };
+  }
+
+  /**
+   * Epoch a relayer signs new events under, or null if its key is not active
+   */
+  getSigningEpoch(relayerId, address) {
+    const relayer = this.getRelayerByAddress(address, this.currentEpoch);
+    if (!relayer || relayer.relayerId !== String(relayerId) || relayer.status !== KEY_STATUS.ACTIVE) {
+      return null;
+    }
+    return this.currentEpoch;
+  }
+
+  toJSON() {
+    return {
+      source: this.source,
+      currentEpoch: this.currentEpoch,
+      threshold: this.getThreshold(),
+      relayers: this.keys.map(({ relayerId, address, status, joinedEpoch, retiredEpoch, revokedEpoch }) => ({
+        relayerId, address, status, joinedEpoch, retiredEpoch, revokedEpoch
+      })),
+      epochs: [...this.epochs.values()].map(({ epoch, threshold, members, change, createdAt }) => ({
+        epoch, threshold, members, change, createdAt
+      }))
+    };
+  }
+}
+
+class RelayerRegistry {
+  constructor() {
+    if (RelayerRegistry.instance) {
+      return RelayerRegistry.instance;
+    }
+
+    this.cacheTtlMs = parseInt(process.env.RELAYER_REGISTRY_CACHE_MS) || 60000;
+    this.cached = null;
+    this.cachedAt = 0;
+    RelayerRegistry.instance = this;
+  }
+
+  /**
+   * Load the registry, cached for RELAYER_REGISTRY_CACHE_MS
+   * @param {Object} options
+   * @param {boolean} options.refresh - Bypass the cache
+   * @returns {Promise<RegistrySnapshot>}
+   */
+  async getSnapshot({ refresh = false } = {}) {
+    if (!refresh && this.cached && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cached;
+    }
+
+    const { keys, epochs } = await dynamoService.getRelayerRegistry();
+    const snapshot = epochs.length
+      ? new RegistrySnapshot({ epochs, keys, source: REGISTRY_SOURCES.DYNAMODB })
+      : this.buildGenesisSnapshot();
+
+    this.cached = snapshot;
+    this.cachedAt = Date.now();
+    return snapshot;
+  }
+
+  /**
+   * Epoch 0 from the environment allowlist, used until the registry is initialized
+   */
+  buildGenesisSnapshot() {
+    const { epoch, keys } = this.buildGenesisEpoch();
+    return new RegistrySnapshot({ epochs: [epoch], keys, source: REGISTRY_SOURCES.ENVIRONMENT });
+  }
+
+  buildGenesisEpoch(threshold) {
+    const members = relayerConfig.getAllowlist().map(({ relayerId, address }) => ({ relayerId, address }));
+    return {
+      epoch: {
+        epoch: GENESIS_EPOCH,
+        threshold: threshold || parseInt(process.env.REQUIRED_SIGNATURES) || 2,
+        members,
+        change: { action: 'init' }
+      },
+      keys: members.map(member => ({
+        ...member,
+        status: KEY_STATUS.ACTIVE,
+        joinedEpoch: GENESIS_EPOCH
+      }))
+    };
+  }
+
+  /**
+   * Store epoch 0 from the environment allowlist
+   */
+  async init({ threshold } = {}) {
+    const current = await dynamoService.getRelayerRegistry();
+    if (current.epochs.length) {
+      throw new ValidationError('Relayer registry is already initialized', {
+        currentEpoch: current.epochs[current.epochs.length - 1].epoch
+      });
+    }
+
+    const { epoch, keys } = this.buildGenesisEpoch(threshold);
+    this.assertThreshold(epoch.threshold, epoch.members);
+
+    await dynamoService.commitRelayerEpoch(epoch, keys);
+    return this.getSnapshot({ refresh: true });
+  }
+
+  /**
+   * Add a relayer with a new signing key
+   */
+  async addRelayer({ relayerId, address, threshold }) {
+    const snapshot = await this.getStoredSnapshot();
+    const newAddress = this.normalizeNewAddress(snapshot, address);
+    relayerId = String(relayerId);
+
+    if (snapshot.getActiveKey(relayerId)) {
+      throw new ValidationError('Relayer already has an active key; rotate it instead', { relayerId });
+    }
+
+    const epoch = snapshot.currentEpoch + 1;
+    const members = [...snapshot.getEpoch().members, { relayerId, address: newAddress }];
+
+    return this.commit(snapshot, {
+      epoch,
+      members,
+      threshold,
+      change: { action: 'add', relayerId, address: newAddress },
+      keys: [{ relayerId, address: newAddress, status: KEY_STATUS.ACTIVE, joinedEpoch: epoch }]
+    });
+  }
+
+  /**
+   * Replace a relayer's active key; the old key keeps validating earlier epochs
+   */
+  async rotateRelayer({ relayerId, address, threshold }) {
+    const snapshot = await this.getStoredSnapshot();
+    const newAddress = this.normalizeNewAddress(snapshot, address);
+    relayerId = String(relayerId);
+
+    const oldKey = snapshot.getActiveKey(relayerId);
+    if (!oldKey) {
+      throw new ValidationError('Relayer has no active key to rotate', { relayerId });
+    }
+
+    const epoch = snapshot.currentEpoch + 1;
+    const members = snapshot.getEpoch().members
+      .filter(member => member.address.toLowerCase() !== oldKey.address.toLowerCase())
+      .concat({ relayerId, address: newAddress });
+
+    return this.commit(snapshot, {
+      epoch,
+      members,
+      threshold,
+      change: { action: 'rotate', relayerId, address: newAddress, previousAddress: oldKey.address },
+      keys: [
+        { ...this.stripKeys(oldKey), status: KEY_STATUS.RETIRING, retiredEpoch: epoch },
+        { relayerId, address: newAddress, status: KEY_STATUS.ACTIVE, joinedEpoch: epoch }
+      ]
+    });
+  }
+
+  /**
+   * Revoke a key; its signatures stop counting in every epoch
+   * Defaults to the relayer's active key
+   */
+  async revokeRelayer({ relayerId, address, threshold }) {
+    const snapshot = await this.getStoredSnapshot();
+    relayerId = String(relayerId);
+
+    const key = address ? snapshot.getKey(address) : snapshot.getActiveKey(relayerId);
+    if (!key || key.relayerId !== relayerId) {
+      throw new ValidationError('Key not found for relayer', { relayerId, address });
+    }
+    if (key.status === KEY_STATUS.REVOKED) {
+      throw new ValidationError('Key is already revoked', { relayerId, address: key.address });
+    }
+
+    const epoch = snapshot.currentEpoch + 1;
+    const members = snapshot.getEpoch().members
+      .filter(member => member.address.toLowerCase() !== key.address.toLowerCase());
+
+    return this.commit(snapshot, {
+      epoch,
+      members,
+      threshold,
+      change: { action: 'revoke', relayerId, address: key.address },
+      keys: [{ ...this.stripKeys(key), status: KEY_STATUS.REVOKED, revokedEpoch: epoch }]
+    });
+  }
+
+  async getStoredSnapshot() {
+    const snapshot = await this.getSnapshot({ refresh: true });
+    if (snapshot.source !== REGISTRY_SOURCES.DYNAMODB) {
+      throw new ValidationError('Relayer registry is not initialized; run init first');
+    }
+    return snapshot;
+  }
+
+  normalizeNewAddress(snapshot, address) {
+    if (!address || !ethers.isAddress(address)) {
+      throw new ValidationError('Invalid relayer address', { address });
+    }
+    const normalized = ethers.getAddress(address);
+    if (snapshot.getKey(normalized)) {
+      throw new ValidationError('Address is already registered; keys cannot be reused', { address: normalized });
+    }
+    return normalized;
+  }
+
+  assertThreshold(threshold, members) {
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > members.length) {
+      throw new ValidationError('Threshold must be between 1 and the number of active relayers', {
+        threshold,
+        members: members.length
+      });
+    }
+  }
+
+  stripKeys(key) {
+    const { PK, SK, entityType, updatedAt, ...rest } = key;
+    return rest;
+  }
+
+  /**
+   * Commit a new epoch; threshold defaults to the previous one, capped by the member count
+   */
+  async commit(snapshot, { epoch, members, threshold, change, keys }) {
+    const nextThreshold = threshold !== undefined && threshold !== null
+      ? Number(threshold)
+      : Math.min(snapshot.getThreshold(), members.length);
+    this.assertThreshold(nextThreshold, members);
+
+    await dynamoService.commitRelayerEpoch({ epoch, threshold: nextThreshold, members, change }, keys);
+
+    logger.info('Relayer registry updated', { epoch, threshold: nextThreshold, change });
+    return this.getSnapshot({ refresh: true });
+  }
+}
+
+module.exports = new RelayerRegistry();
+module.exports.RegistrySnapshot = RegistrySnapshot;
+module.exports.KEY_STATUS = KEY_STATUS;
+module.exports.GENESIS_EPOCH = GENESIS_EPOCH;
@@ -10,7 +10,25 @@
 
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
+const chainConfig = require('../config/chains');
+const contractConfig = require('../config/contracts');
+const routeConfig = require('../config/routes');
+const signers = require('../signers');
 const { ValidationError } = require('../utils/errors');
+const { SIGNATURE_VERSION, TYPED_DATA_VERSIONS, buildBridgeTransfer } = require('../utils/bridgeTypedData');
+
+const SIGNATURE_INVALID_REASONS = {
+  MISSING_FIELDS: 'MISSING_FIELDS',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  MALFORMED_SIGNATURE: 'MALFORMED_SIGNATURE',
+  SIGNER_NOT_ALLOWLISTED: 'SIGNER_NOT_ALLOWLISTED',
+  RELAYER_ID_MISMATCH: 'RELAYER_ID_MISMATCH',
+  CLAIMED_KEY_MISMATCH: 'CLAIMED_KEY_MISMATCH',
+  DUPLICATE_SIGNER: 'DUPLICATE_SIGNER',
+  UNKNOWN_EPOCH: 'UNKNOWN_EPOCH',
+  KEY_REVOKED: 'KEY_REVOKED',
+  CONFLICTING_ATTESTATION: 'CONFLICTING_ATTESTATION'
+};
 
 class SigningService {
   constructor() {
@@ -18,83 +36,61 @@ class SigningService {
       return SigningService.instance;
     }
 
-    this.wallets = {};
+    this.signers = {};
     SigningService.instance = this;
   }
 
   /**
-   * Get relayer private key from environment variables
-   * Private keys are provided during SAM deployment
+   * Get or create the signer for this process's relayer
+   * The key stays in the configured backend (env, keystore or Web3Signer)
    */
-  async getRelayerPrivateKey(relayerId) {
+  async getRelayerSigner(relayerId) {
     try {
-      const envKey = process.env[`RELAYER_${relayerId}_PRIVATE_KEY`];
-      
-      if (!envKey) {
-        throw new ValidationError('Relayer private key not found in environment', { relayerId });
-      }
-
-      // Validate private key format
-      if (!envKey.match(/^(0x)?[0-9a-fA-F]{64}$/)) {
-        throw new ValidationError('Invalid private key format', { relayerId });
-      }
+      if (!this.signers[relayerId]) {
+        const signer = await signers.createSigner(relayerId);
+        this.signers[relayerId] = signer;
 
-      logger.info('Retrieved relayer private key from environment', { relayerId });
-      return envKey;
-    } catch (error) {
-      logger.error('Failed to retrieve private key', error, { relayerId });
-      throw new ValidationError('Failed to retrieve relayer private key', { relayerId });
-    }
-  }
-
-  /**
-   * Get or create wallet for relayer
-   * Implements caching to avoid repeated Secrets Manager calls
-   */
-  async getRelayerWallet(relayerId) {
-    try {
-      if (!this.wallets[relayerId]) {
-        const privateKey = await this.getRelayerPrivateKey(relayerId);
-        this.wallets[relayerId] = new ethers.Wallet(privateKey);
-        
-        logger.info('Relayer wallet initialized', { 
-          relayerId, 
-          address: this.wallets[relayerId].address 
+        logger.info('Relayer signer initialized', {
+          relayerId,
+          signerType: signers.getSignerType(),
+          address: await signer.getAddress()
         });
       }
 
-      return this.wallets[relayerId];
+      return this.signers[relayerId];
     } catch (error) {
-      logger.error('Failed to get relayer wallet', error, { relayerId });
-      throw new ValidationError('Failed to get relayer wallet', { relayerId });
+      logger.error('Failed to get relayer signer', error, { relayerId });
+      throw new ValidationError('Failed to get relayer signer', { relayerId, reason: error.message });
     }
   }
 
   /**
    * Sign event data for multi-relayer consensus
-   * Creates deterministic signature that can be verified by other relayers
+   * Signs EIP-712 BridgeTransfer typed data bound to the destination bridge
    */
   async signEventData(relayerId, eventData) {
     try {
-      const wallet = await this.getRelayerWallet(relayerId);
+      const signer = await this.getRelayerSigner(relayerId);
+      const address = await signer.getAddress();
 
-      // Create deterministic message hash
-      const messageHash = this.createEventHash(eventData);
-      
-      // Sign the hash
-      const signature = await wallet.signMessage(ethers.getBytes(messageHash));
+      const { domain, types, message } = this.buildTypedData(eventData);
+      const messageHash = ethers.TypedDataEncoder.hash(domain, types, message);
+
+      const signature = await signer.signTypedData(domain, types, message);
       
       logger.info('Event data signed', { 
         relayerId, 
         eventId: eventData.eventId,
-        address: wallet.address
+        address,
+        signatureVersion: SIGNATURE_VERSION
       });
 
       return {
         signature,
         relayerId,
-        publicKey: wallet.address,
-        messageHash
+        publicKey: address,
+        messageHash,
+        signatureVersion: SIGNATURE_VERSION
       };
     } catch (error) {
       logger.error('Failed to sign event data', error, { relayerId, eventData });
@@ -103,46 +99,60 @@ class SigningService {
   }
 
   /**
-   * Create deterministic hash from event data
-   * All relayers must create identical hash for same event
+   * Source and destination binding for an event's signature domain
+   * Destination chainId and bridge address come from the event's route
    */
-  createEventHash(eventData) {
-    const { eventId, txHash, chain, amount, fromAddress, toAddress } = eventData;
-    
-    // Encode event data in deterministic order
-    const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
-      ['bytes32', 'bytes32', 'string', 'uint256', 'address', 'address'],
-      [eventId, txHash, chain, amount, fromAddress, toAddress]
-    );
-
-    // Create keccak256 hash
-    return ethers.keccak256(encoded);
+  getSigningBinding(eventData) {
+    const route = routeConfig.getRouteForEvent(eventData);
+    const { address } = contractConfig.getBridgeConfigByChainKey(route.destinationChain);
+    if (!address) {
+      throw new ValidationError('Destination bridge address not configured', {
+        destinationChain: route.destinationChain
+      });
+    }
+
+    return {
+      sourceChainId: chainConfig.getConfigByChainKey(route.sourceChain).chainId,
+      destinationChainId: chainConfig.getConfigByChainKey(route.destinationChain).chainId,
+      verifyingContract: address
+    };
+  }
+
+  /**
+   * Build EIP-712 typed data for an event
+   * All relayers must build identical typed data for the same event
+   */
+  buildTypedData(eventData, version = SIGNATURE_VERSION) {
+    return buildBridgeTransfer(eventData, this.getSigningBinding(eventData), version);
+  }
+
+  /**
+   * Create deterministic EIP-712 digest from event data
+   * Equals BridgeAttestation.hashBridgeTransfer on the destination bridge
+   */
+  createEventHash(eventData, version = SIGNATURE_VERSION) {
+    const { domain, types, message } = this.buildTypedData(eventData, version);
+    return ethers.TypedDataEncoder.hash(domain, types, message);
   }
 
   /**
    * Verify signature from another relayer
    * Used in consensus validation
    */
-  verifySignature(eventData, signature, expectedAddress) {
-    try {
-      const messageHash = this.createEventHash(eventData);
-      const recoveredAddress = ethers.verifyMessage(ethers.getBytes(messageHash), signature);
+  verifySignature(eventData, signature, expectedAddress, version = SIGNATURE_VERSION) {
+    const recoveredAddress = this.recoverSigner(eventData, signature, version);
+    const isValid = recoveredAddress !== null &&
+      recoveredAddress.toLowerCase() === expectedAddress.toLowerCase();
 
-      const isValid = recoveredAddress.toLowerCase() === expectedAddress.toLowerCase();
-      
-      if (!isValid) {
-        logger.warn('Signature verification failed', { 
-          expectedAddress, 
-          recoveredAddress,
-          eventId: eventData.eventId
-        });
-      }
-
-      return isValid;
-    } catch (error) {
-      logger.error('Signature verification error', error, { expectedAddress });
-      return false;
+    if (!isValid) {
+      logger.warn('Signature verification failed', { 
+        expectedAddress, 
+        recoveredAddress,
+        eventId: eventData.eventId
+      });
     }
+
+    return isValid;
   }
 
   /**
@@ -151,8 +161,8 @@ class SigningService {
    */
   async getRelayerAddress(relayerId) {
     try {
-      const wallet = await this.getRelayerWallet(relayerId);
-      return wallet.address;
+      const signer = await this.getRelayerSigner(relayerId);
+      return await signer.getAddress();
     } catch (error) {
       logger.error('Failed to get relayer address', error, { relayerId });
       throw new ValidationError('Failed to get relayer address', { relayerId });
@@ -160,18 +170,105 @@ class SigningService {
   }
 
   /**
-   * Batch verify signatures from multiple relayers
-   * Used in consensus check
+   * Recover the address that signed an event
+   * Returns null for malformed signatures; missing signing config still throws
    */
-  verifyBatchSignatures(eventData, signatures) {
-    const results = signatures.map(sig => ({
-      relayerId: sig.relayerId,
-      isValid: this.verifySignature(eventData, sig.signature, sig.publicKey)
-    }));
+  recoverSigner(eventData, signature, version = SIGNATURE_VERSION) {
+    const { domain, types, message } = this.buildTypedData(eventData, version);
+    try {
+      return ethers.verifyTypedData(domain, types, message, signature);
+    } catch (error) {
+      logger.warn('Could not recover signer', { eventId: eventData.eventId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Recover the address that signed an EIP-712 digest
+   * Returns null for malformed signatures or digests
+   */
+  recoverHashSigner(messageHash, signature) {
+    try {
+      return ethers.recoverAddress(messageHash, signature);
+    } catch (error) {
+      logger.warn('Could not recover signer from digest', { messageHash, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Batch verify signatures from multiple relayers against an allowlist
+   * The signer is recovered from the event hash; claimed publicKey is never trusted.
+   * With a relayer registry, each signer must be a member of the epoch its
+   * signature was made under and its key must not be revoked.
+   * @param {Object} eventData - Stored event metadata
+   * @param {Array} signatures - Signature items
+   * @param {Object} allowlist - { getRelayerByAddress(address, epoch), hasEpoch?(epoch) }
+   */
+  verifyBatchSignatures(eventData, signatures, allowlist) {
+    const countedSigners = new Set();
+
+    const results = signatures.map(sig => {
+      const result = {
+        relayerId: sig.relayerId,
+        epoch: sig.epoch,
+        recoveredAddress: null,
+        isValid: false,
+        reason: null
+      };
+
+      if (!sig.signature || !sig.relayerId) {
+        result.reason = SIGNATURE_INVALID_REASONS.MISSING_FIELDS;
+        return result;
+      }
+
+      const version = sig.signatureVersion || SIGNATURE_VERSION;
+      if (!TYPED_DATA_VERSIONS[version]) {
+        result.reason = SIGNATURE_INVALID_REASONS.UNSUPPORTED_VERSION;
+        return result;
+      }
+
+      result.recoveredAddress = this.recoverSigner(eventData, sig.signature, version);
+      if (!result.recoveredAddress) {
+        result.reason = SIGNATURE_INVALID_REASONS.MALFORMED_SIGNATURE;
+        return result;
+      }
+
+      if (allowlist.hasEpoch && !allowlist.hasEpoch(sig.epoch)) {
+        result.reason = SIGNATURE_INVALID_REASONS.UNKNOWN_EPOCH;
+        return result;
+      }
+
+      const relayer = allowlist.getRelayerByAddress(result.recoveredAddress, sig.epoch);
+      if (!relayer) {
+        result.reason = SIGNATURE_INVALID_REASONS.SIGNER_NOT_ALLOWLISTED;
+      } else if (relayer.status === 'revoked') {
+        result.reason = SIGNATURE_INVALID_REASONS.KEY_REVOKED;
+      } else if (relayer.relayerId !== String(sig.relayerId)) {
+        result.reason = SIGNATURE_INVALID_REASONS.RELAYER_ID_MISMATCH;
+      } else if (sig.publicKey && sig.publicKey.toLowerCase() !== result.recoveredAddress.toLowerCase()) {
+        result.reason = SIGNATURE_INVALID_REASONS.CLAIMED_KEY_MISMATCH;
+      } else if (countedSigners.has(relayer.relayerId)) {
+        result.reason = SIGNATURE_INVALID_REASONS.DUPLICATE_SIGNER;
+      } else {
+        countedSigners.add(relayer.relayerId);
+        result.isValid = true;
+      }
+
+      if (!result.isValid) {
+        logger.warn('Signature rejected', {
+          eventId: eventData.eventId,
+          relayerId: sig.relayerId,
+          recoveredAddress: result.recoveredAddress,
+          reason: result.reason
+        });
+      }
+      return result;
+    });
 
     const validCount = results.filter(r => r.isValid).length;
-    
-    logger.debug('Batch signature verification', { 
+
+    logger.debug('Batch signature verification', {
       total: signatures.length,
       valid: validCount,
       eventId: eventData.eventId
@@ -179,10 +276,41 @@ class SigningService {
 
     return {
       results,
-      validCount,
-      isConsensusReached: validCount >= 2 // 2-of-3 consensus
+      validCount
+    };
+  }
+
+  /**
+   * Build the calldata bundle the destination bridge verifies on-chain
+   * Keeps valid signatures in the current version, ordered by ascending signer
+   * address as RelayerMultisig requires
+   * @param {Object} eventData - Stored event metadata
+   * @param {Array} signatures - Signature items
+   * @param {Object} allowlist - { getRelayerByAddress(address) }
+   * @returns {Object} { transfer, signatures, signers }
+   */
+  buildSignatureBundle(eventData, signatures, allowlist) {
+    const current = signatures.filter(sig => (sig.signatureVersion || SIGNATURE_VERSION) === SIGNATURE_VERSION);
+    const { results } = this.verifyBatchSignatures(eventData, current, allowlist);
+
+    const attestations = results
+      .map((result, index) => ({ ...result, signature: current[index].signature }))
+      .filter(result => result.isValid)
+      .sort((a, b) => (BigInt(a.recoveredAddress) < BigInt(b.recoveredAddress) ? -1 : 1));
+
+    if (attestations.length === 0) {
+      throw new ValidationError('No valid signatures to submit', { eventId: eventData.eventId });
+    }
+
+    const { message } = this.buildTypedData(eventData, SIGNATURE_VERSION);
+
+    return {
+      transfer: message,
+      signatures: attestations.map(a => a.signature),
+      signers: attestations.map(a => a.recoveredAddress)
     };
   }
 }
 
 module.exports = new SigningService();
+module.exports.SIGNATURE_INVALID_REASONS = SIGNATURE_INVALID_REASONS;
@@ -14,6 +14,8 @@ const chainConfig = require('../config/chains');
 const contractConfig = require('../config/contracts');
 const logger = require('../utils/logger');
 const { Web3Error } = require('../utils/errors');
+const { checkLogCanonical, REORG_REASONS } = require('../utils/reorgDetector');
+const ProviderPool = require('./providerPool');
 
 class Web3Service {
   constructor() {
@@ -21,33 +23,28 @@ class Web3Service {
       return Web3Service.instance;
     }
 
-    this.providers = {};
+    this.pools = {};
     this.contracts = {};
     this.initializeProviders();
     Web3Service.instance = this;
   }
 
   /**
-   * Initialize providers for all chains
+   * Initialize provider pools for all chains
    * Implements Strategy Pattern for different chains
    */
   initializeProviders() {
     try {
-      // Arbitrum Provider
-      const arbitrumConfig = chainConfig.getArbitrumConfig();
-      this.providers.arbitrum = new ethers.JsonRpcProvider(arbitrumConfig.rpcUrl, {
-        chainId: arbitrumConfig.chainId,
-        name: arbitrumConfig.name
-      });
+      const isRequestError = (error) => this.isRangeLimitError(error);
+      const summary = {};
 
-      // Ethereum Provider
-      const ethConfig = chainConfig.getEthereumConfig();
-      this.providers.ethereum = new ethers.JsonRpcProvider(ethConfig.rpcUrl, {
-        chainId: ethConfig.chainId,
-        name: ethConfig.name
-      });
+      for (const chainKey of chainConfig.getChainKeys()) {
+        const pool = new ProviderPool(chainKey, chainConfig.getConfigByChainKey(chainKey), { isRequestError });
+        this.pools[chainKey] = pool;
+        summary[chainKey] = { providers: pool.entries.length, quorum: pool.quorum };
+      }
 
-      logger.info('Web3 providers initialized');
+      logger.info('Web3 providers initialized', summary);
     } catch (error) {
       logger.error('Failed to initialize Web3 providers', error);
       throw new Web3Error('Provider initialization failed', { originalError: error.message });
@@ -55,15 +52,34 @@ class Web3Service {
   }
 
   /**
-   * Get provider for a specific chain
+   * Get provider pool for a specific chain
    * Implements Strategy Pattern
    */
-  getProvider(chain) {
-    const provider = this.providers[chain.toLowerCase()];
-    if (!provider) {
+  getProviderPool(chain) {
+    const pool = this.pools[chain.toLowerCase()];
+    if (!pool) {
       throw new Web3Error(`Provider not found for chain: ${chain}`);
     }
-    return provider;
+    return pool;
+  }
+
+  /**
+   * Get the currently preferred provider for a chain
+   * Healthy providers are preferred in configured order
+   */
+  getProvider(chain) {
+    return this.getProviderPool(chain).getActiveProvider();
+  }
+
+  /**
+   * Provider health for every chain, optionally probing each RPC first
+   */
+  async getProviderStatus({ probe = false } = {}) {
+    const status = {};
+    for (const [chain, pool] of Object.entries(this.pools)) {
+      status[chain] = probe ? await pool.probe() : pool.getStatus();
+    }
+    return status;
   }
 
   /**
@@ -97,16 +113,24 @@ class Web3Service {
    * DRY principle - centralized config retrieval
    */
   getContractConfig(chain, contractType) {
-    if (chain === 'arbitrum') {
-      return contractType === 'token' 
-        ? contractConfig.getArbitrumTokenConfig()
-        : contractConfig.getArbitrumBridgeConfig();
-    } else if (chain === 'ethereum') {
-      return contractType === 'token'
-        ? contractConfig.getEthereumWrappedTokenConfig()
-        : contractConfig.getEthereumBridgeConfig();
+    try {
+      return contractConfig.getContractConfigByChainKey(chain, contractType);
+    } catch (error) {
+      throw new Web3Error(`Invalid chain or contract type: ${chain}, ${contractType}`);
     }
-    throw new Web3Error(`Invalid chain or contract type: ${chain}, ${contractType}`);
+  }
+
+  /**
+   * Call a view method through the chain's provider pool
+   * Unlike getContract, which stays bound to one provider, each read fails over
+   * @param {Object} overrides - Call overrides such as { blockTag }
+   */
+  async readContract(chain, contractType, method, args = [], overrides = {}) {
+    const contract = this.getContract(chain, contractType);
+    return this.getProviderPool(chain).execute(
+      provider => contract.connect(provider)[method](...args, overrides),
+      method
+    );
   }
 
   /**
@@ -129,8 +153,10 @@ class Web3Service {
    */
   async waitForTransaction(txHash, chain, confirmations = 3) {
     try {
-      const provider = this.getProvider(chain);
-      const receipt = await provider.waitForTransaction(txHash, confirmations);
+      const receipt = await this.getProviderPool(chain).execute(
+        provider => provider.waitForTransaction(txHash, confirmations),
+        'waitForTransaction'
+      );
       
       if (!receipt || receipt.status === 0) {
         throw new Web3Error('Transaction failed', { txHash, chain });
@@ -150,30 +176,85 @@ class Web3Service {
    */
   async getCurrentBlock(chain) {
     try {
-      const provider = this.getProvider(chain);
-      const blockNumber = await provider.getBlockNumber();
-      return blockNumber;
+      return await this.getProviderPool(chain).execute(
+        provider => provider.getBlockNumber(),
+        'getBlockNumber'
+      );
     } catch (error) {
       logger.error('Failed to get current block', error, { chain });
       throw new Web3Error('Failed to get current block', { chain });
     }
   }
 
+  /**
+   * Get highest block considered safe to poll
+   * Uses the finalized/safe block tag when configured, else latest minus confirmations
+   */
+  async getSafeBlock(chain, { confirmations, finalityTag }) {
+    try {
+      const pool = this.getProviderPool(chain);
+      const currentBlock = await pool.execute(provider => provider.getBlockNumber(), 'getBlockNumber');
+
+      if (finalityTag) {
+        try {
+          const taggedBlock = await pool.execute(provider => provider.getBlock(finalityTag), 'getBlock');
+          if (taggedBlock) {
+            return { currentBlock, safeBlock: taggedBlock.number, mode: finalityTag };
+          }
+        } catch (error) {
+          logger.warn('Finality tag not supported by RPC, falling back to confirmations', {
+            chain,
+            finalityTag,
+            error: error.message
+          });
+        }
+      }
+
+      return { currentBlock, safeBlock: currentBlock - confirmations, mode: 'confirmations' };
+    } catch (error) {
+      logger.error('Failed to get safe block', error, { chain });
+      throw new Web3Error('Failed to get safe block', { chain });
+    }
+  }
+
   /**
    * Query events from contract
-   * Implements pagination for large result sets
+   * Splits the range into chunks of the chain's maxLogRange and bisects
+   * any chunk the RPC provider rejects as too large. Each chunk fails over
+   * between providers, or must match across the chain's RPC quorum.
    */
   async queryEvents(chain, contractType, eventName, filters = {}, fromBlock, toBlock) {
     try {
+      const pool = this.getProviderPool(chain);
       const contract = this.getContract(chain, contractType);
-      let events;
+      let filter;
 
       if (contract.filters && typeof contract.filters[eventName] === 'function') {
-        const filter = contract.filters[eventName](...Object.values(filters));
-        events = await contract.queryFilter(filter, fromBlock, toBlock);
+        filter = contract.filters[eventName](...Object.values(filters));
       } else {
         // Fallback for minimal ABIs without generated filters
-        events = await contract.queryFilter(eventName, fromBlock, toBlock);
+        filter = eventName;
+      }
+
+      let events;
+      if (Number.isInteger(fromBlock) && Number.isInteger(toBlock)) {
+        const { maxLogRange } = chainConfig.getConfigByChainKey(chain);
+        events = [];
+        for (let start = fromBlock; start <= toBlock; start += maxLogRange) {
+          const end = Math.min(start + maxLogRange - 1, toBlock);
+          const chunk = await pool.executeQuorum(
+            provider => this.queryFilterAdaptive(contract.connect(provider), filter, start, end, { chain, eventName }),
+            this.normalizeLogs,
+            'getLogs'
+          );
+          events.push(...chunk);
+        }
+      } else {
+        events = await pool.executeQuorum(
+          provider => contract.connect(provider).queryFilter(filter, fromBlock, toBlock),
+          this.normalizeLogs,
+          'getLogs'
+        );
       }
       
       logger.debug('Events queried', { 
@@ -187,8 +268,101 @@ class Web3Service {
 
       return events;
     } catch (error) {
-      logger.error('Failed to query events', error, { chain, contractType, eventName });
-      throw new Web3Error('Event query failed', { chain, contractType, eventName });
+      logger.error('Failed to query events', error, { chain, contractType, eventName, fromBlock, toBlock });
+      throw new Web3Error('Event query failed', {
+        chain,
+        contractType,
+        eventName,
+        fromBlock,
+        toBlock,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * Run queryFilter, bisecting the block range when the provider rejects it
+   * Implements divide-and-conquer retry for range-limited RPCs
+   */
+  async queryFilterAdaptive(contract, filter, fromBlock, toBlock, context) {
+    try {
+      return await contract.queryFilter(filter, fromBlock, toBlock);
+    } catch (error) {
+      if (!this.isRangeLimitError(error) || fromBlock >= toBlock) {
+        throw error;
+      }
+
+      const midBlock = Math.floor((fromBlock + toBlock) / 2);
+      logger.warn('RPC rejected log range, splitting', {
+        ...context,
+        fromBlock,
+        toBlock,
+        midBlock,
+        error: error.message
+      });
+
+      const left = await this.queryFilterAdaptive(contract, filter, fromBlock, midBlock, context);
+      const right = await this.queryFilterAdaptive(contract, filter, midBlock + 1, toBlock, context);
+      return [...left, ...right];
+    }
+  }
+
+  /**
+   * Detect provider errors caused by block range or result size limits
+   * Providers word these differently, so match on known phrases. Rate limits
+   * ("rate limit exceeded", -32005) are deliberately not matched: they must
+   * fail over to the next provider rather than split the range.
+   */
+  isRangeLimitError(error) {
+    const patterns = [
+      /block range/i,
+      /range (is )?too (large|wide|big)/i,
+      /query returned more than/i,
+      /more than \d+ results/i,
+      /too many (results|logs|blocks)/i,
+      /response size/i
+    ];
+
+    const messages = [
+      error?.message,
+      error?.error?.message,
+      error?.info?.error?.message
+    ].filter(Boolean).join(' ');
+
+    return patterns.some(pattern => pattern.test(messages));
+  }
+
+  /**
+   * Comparable form of a log list for quorum checks
+   */
+  normalizeLogs(events) {
+    return JSON.stringify(events.map(event => [
+      event.blockHash,
+      event.transactionHash,
+      event.index,
+      event.data,
+      event.topics
+    ]));
+  }
+
+  /**
+   * Get a transaction receipt, agreed on by the chain's RPC quorum
+   * Returns null when the transaction is unknown
+   */
+  async getTransactionReceipt(chain, txHash) {
+    try {
+      return await this.getProviderPool(chain).executeQuorum(
+        provider => provider.getTransactionReceipt(txHash),
+        receipt => JSON.stringify(receipt ? [
+          receipt.blockHash,
+          receipt.status,
+          receipt.logs.map(log => [log.index, log.address, log.data, log.topics])
+        ] : null),
+        'getTransactionReceipt'
+      );
+    } catch (error) {
+      logger.error('Failed to get transaction receipt', error, { chain, txHash });
+      throw new Web3Error('Failed to get transaction receipt', { chain, txHash, originalError: error.message });
     }
   }
 
@@ -212,6 +386,53 @@ class Web3Service {
     }
   }
 
+  /**
+   * Re-verify a stored event log against the canonical chain
+   * Detects reorgs that dropped or moved the source transaction. Every provider
+   * is asked: the log is orphaned only when the chain's RPC quorum reports it
+   * orphaned and no provider still sees it, so one lagging or forked provider
+   * can never orphan an event on its own. Anything short of that is unconfirmed.
+   */
+  async verifyEventCanonical(chain, logRef) {
+    let outcome;
+    try {
+      outcome = await this.getProviderPool(chain).executeAll(provider => checkLogCanonical(provider, logRef));
+    } catch (error) {
+      logger.error('Failed to verify event canonicality', error, { chain, txHash: logRef.txHash });
+      throw new Web3Error('Canonical chain verification failed', { chain, txHash: logRef.txHash });
+    }
+
+    const { results, failures } = outcome;
+    if (!results.length) {
+      logger.error('Failed to verify event canonicality', null, { chain, txHash: logRef.txHash, failures });
+      throw new Web3Error('Canonical chain verification failed', { chain, txHash: logRef.txHash, failures });
+    }
+
+    const { quorum } = this.getProviderPool(chain);
+    const checks = results.map(({ value }) => value);
+    const canonical = checks.filter(check => check.canonical);
+    const orphaned = checks.filter(check => check.orphaned);
+    const votes = results.map(({ provider, value }) => ({ provider, canonical: value.canonical, reason: value.reason }));
+
+    if (canonical.length >= quorum) {
+      if (canonical.length < checks.length) {
+        logger.warn('RPC providers disagree on event log, quorum still sees it', { chain, ...logRef, votes });
+      }
+      return canonical[0];
+    }
+
+    if (orphaned.length >= quorum && !canonical.length) {
+      const result = orphaned[0];
+      logger.warn('Event log is no longer canonical', { chain, ...logRef, reason: result.reason, votes });
+      return result;
+    }
+
+    const reason = checks.find(check => !check.canonical && !check.orphaned)?.reason
+      || REORG_REASONS.QUORUM_NOT_REACHED;
+    logger.warn('Event log not yet confirmed by the chain', { chain, ...logRef, reason, quorum, votes, failures });
+    return { canonical: false, orphaned: false, reason, details: { quorum, votes } };
+  }
+
   /**
    * Estimate gas for transaction
    * Prevents out-of-gas errors
@@ -0,0 +1,31 @@
+/**
+ * Env Signer - Raw private key from the environment
+ * Intended for local development only
+ *
+ * Reads RELAYER_PRIVATE_KEY, or RELAYER_{id}_PRIVATE_KEY for the process's
+ * own relayer. Keys of other relayers are never looked up.
+ */
+
+const { ethers } = require('ethers');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Create a wallet from the environment key
+ * @param {string} relayerId - The process's own relayer ID
+ * @returns {Promise<ethers.Wallet>}
+ */
+async function create(relayerId) {
+  const privateKey = process.env.RELAYER_PRIVATE_KEY || process.env[`RELAYER_${relayerId}_PRIVATE_KEY`];
+
+  if (!privateKey) {
+    throw new ValidationError('Relayer private key not found in environment', { relayerId });
+  }
+
+  if (!privateKey.match(/^(0x)?[0-9a-fA-F]{64}$/)) {
+    throw new ValidationError('Invalid private key format', { relayerId });
+  }
+
+  return new ethers.Wallet(privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`);
+}
+
+module.exports = { create };
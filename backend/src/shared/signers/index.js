@@ -0,0 +1,73 @@
+/**
+ * Signer Backends - Where a relayer's signing key lives
+ * Implements Strategy and Factory Patterns
+ *
+ * SIGNER_TYPE selects the backend:
+ * - env:        raw key in RELAYER_PRIVATE_KEY / RELAYER_{id}_PRIVATE_KEY (development)
+ * - keystore:   encrypted JSON keystore at RELAYER_KEYSTORE_PATH
+ * - web3signer: remote Web3Signer at WEB3SIGNER_URL
+ *
+ * A process signs as exactly one relayer, set by RELAYER_ID. Requests for any
+ * other relayer's signer are refused before a backend is consulted.
+ *
+ * SOLID Principles:
+ * - Open/Closed: A new backend is a new entry in SIGNER_BACKENDS
+ * - Dependency Inversion: Callers get an ethers Signer, not a key
+ */
+
+const { ValidationError } = require('../utils/errors');
+
+const SIGNER_TYPES = {
+  ENV: 'env',
+  KEYSTORE: 'keystore',
+  WEB3SIGNER: 'web3signer'
+};
+
+const SIGNER_BACKENDS = {
+  [SIGNER_TYPES.ENV]: require('./envSigner'),
+  [SIGNER_TYPES.KEYSTORE]: require('./keystoreSigner'),
+  [SIGNER_TYPES.WEB3SIGNER]: require('./web3Signer')
+};
+
+function getSignerType() {
+  return (process.env.SIGNER_TYPE || SIGNER_TYPES.ENV).toLowerCase();
+}
+
+/**
+ * Relayer this process signs as
+ * @throws {ValidationError} When RELAYER_ID is not set
+ */
+function getOwnRelayerId() {
+  const relayerId = process.env.RELAYER_ID;
+  if (!relayerId) {
+    throw new ValidationError('RELAYER_ID is not set for this process');
+  }
+  return String(relayerId);
+}
+
+/**
+ * Create the signer for the process's own relayer
+ * @param {string} relayerId - Requested relayer; must equal RELAYER_ID
+ * @returns {Promise<ethers.Signer>} Signer without a provider
+ */
+async function createSigner(relayerId) {
+  const ownRelayerId = getOwnRelayerId();
+  if (String(relayerId) !== ownRelayerId) {
+    throw new ValidationError('Relayer process may only load its own key', { relayerId, ownRelayerId });
+  }
+
+  const signerType = getSignerType();
+  const backend = SIGNER_BACKENDS[signerType];
+  if (!backend) {
+    throw new ValidationError('Unknown signer type', { signerType });
+  }
+
+  return backend.create(ownRelayerId);
+}
+
+module.exports = {
+  SIGNER_TYPES,
+  getSignerType,
+  getOwnRelayerId,
+  createSigner
+};
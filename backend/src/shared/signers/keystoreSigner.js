@@ -0,0 +1,56 @@
+/**
+ * Keystore Signer - Encrypted JSON keystore (Web3 Secret Storage)
+ *
+ * Reads the keystore from RELAYER_KEYSTORE_PATH and its password from
+ * RELAYER_KEYSTORE_PASSWORD_FILE, or RELAYER_KEYSTORE_PASSWORD. Each relayer
+ * process is given the path of its own keystore only.
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { ValidationError } = require('../utils/errors');
+
+function readPassword(relayerId) {
+  const passwordFile = process.env.RELAYER_KEYSTORE_PASSWORD_FILE;
+  if (passwordFile) {
+    return fs.readFileSync(passwordFile, 'utf8').replace(/\r?\n$/, '');
+  }
+
+  if (process.env.RELAYER_KEYSTORE_PASSWORD === undefined) {
+    throw new ValidationError('Keystore password not configured', { relayerId });
+  }
+  return process.env.RELAYER_KEYSTORE_PASSWORD;
+}
+
+/**
+ * Decrypt the relayer keystore
+ * @param {string} relayerId - The process's own relayer ID
+ * @returns {Promise<ethers.Wallet>}
+ */
+async function create(relayerId) {
+  const keystorePath = process.env.RELAYER_KEYSTORE_PATH;
+  if (!keystorePath) {
+    throw new ValidationError('RELAYER_KEYSTORE_PATH is not set', { relayerId });
+  }
+
+  let json;
+  try {
+    json = fs.readFileSync(keystorePath, 'utf8');
+  } catch (error) {
+    throw new ValidationError('Could not read relayer keystore', { relayerId, keystorePath, error: error.message });
+  }
+
+  if (!ethers.isKeystoreJson(json)) {
+    throw new ValidationError('File is not a JSON keystore', { relayerId, keystorePath });
+  }
+
+  try {
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, readPassword(relayerId));
+    return new ethers.Wallet(wallet.privateKey);
+  } catch (error) {
+    if (error instanceof ValidationError) throw error;
+    throw new ValidationError('Could not decrypt relayer keystore', { relayerId, keystorePath, error: error.message });
+  }
+}
+
+module.exports = { create };
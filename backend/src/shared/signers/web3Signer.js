@@ -0,0 +1,142 @@
+/**
+ * Web3Signer - Remote signer speaking the Web3Signer eth1 JSON-RPC API
+ * Implements Proxy Pattern: an ethers Signer whose key never enters this process
+ *
+ * Reads WEB3SIGNER_URL and the signing address from RELAYER_SIGNER_ADDRESS,
+ * or RELAYER_{id}_ADDRESS for the process's own relayer. Every signature
+ * returned by the remote signer is checked against that address.
+ *
+ * SOLID Principles:
+ * - Liskov Substitution: Usable anywhere an ethers Wallet is
+ * - Single Responsibility: Only forwards signing requests
+ */
+
+const { ethers } = require('ethers');
+const { ValidationError, Web3Error } = require('../utils/errors');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {string} url - Web3Signer base URL
+   * @param {string} address - Address of the key held by the remote signer
+   * @param {ethers.Provider|null} provider
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor(url, address, provider = null, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    super(provider);
+    this.url = url;
+    this.address = ethers.getAddress(address);
+    this.timeoutMs = timeoutMs;
+    this.requestId = 0;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.url, this.address, provider, { timeoutMs: this.timeoutMs });
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  /**
+   * Send one JSON-RPC request to the remote signer
+   */
+  async request(method, params) {
+    const request = new ethers.FetchRequest(this.url);
+    request.timeout = this.timeoutMs;
+    request.setHeader('content-type', 'application/json');
+    request.body = JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params });
+
+    let payload;
+    try {
+      const response = await request.send();
+      response.assertOk();
+      payload = response.bodyJson;
+    } catch (error) {
+      throw new Web3Error('Remote signer request failed', { method, url: this.url, error: error.message });
+    }
+
+    if (payload.error) {
+      throw new Web3Error('Remote signer rejected request', { method, error: payload.error.message });
+    }
+    return payload.result;
+  }
+
+  /**
+   * Check that the remote signer holds this signer's key
+   */
+  async checkHealth() {
+    const accounts = await this.request('eth_accounts', []);
+    return accounts.some(account => account.toLowerCase() === this.address.toLowerCase());
+  }
+
+  async signMessage(message) {
+    const data = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+    const signature = await this.request('eth_sign', [this.address, ethers.hexlify(data)]);
+
+    this.assertSigner(ethers.verifyMessage(data, signature), 'eth_sign');
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    const signature = await this.request('eth_signTypedData', [this.address, payload]);
+
+    this.assertSigner(ethers.verifyTypedData(domain, types, value, signature), 'eth_signTypedData');
+    return signature;
+  }
+
+  async signTransaction(tx) {
+    const to = tx.to ? await ethers.resolveAddress(tx.to, this.provider) : undefined;
+    const quantity = field => (tx[field] === undefined || tx[field] === null ? undefined : ethers.toQuantity(tx[field]));
+
+    const rawTransaction = await this.request('eth_signTransaction', [{
+      from: this.address,
+      to,
+      gas: quantity('gasLimit'),
+      gasPrice: quantity('gasPrice'),
+      maxFeePerGas: quantity('maxFeePerGas'),
+      maxPriorityFeePerGas: quantity('maxPriorityFeePerGas'),
+      nonce: quantity('nonce'),
+      value: quantity('value') || '0x0',
+      data: tx.data || '0x'
+    }]);
+
+    this.assertSigner(ethers.Transaction.from(rawTransaction).from, 'eth_signTransaction');
+    return rawTransaction;
+  }
+
+  assertSigner(recovered, method) {
+    if (!recovered || recovered.toLowerCase() !== this.address.toLowerCase()) {
+      throw new Web3Error('Remote signer returned a signature from another key', {
+        method,
+        expected: this.address,
+        recovered
+      });
+    }
+  }
+}
+
+/**
+ * Create a remote signer for the process's own relayer
+ * @param {string} relayerId - The process's own relayer ID
+ * @returns {Promise<RemoteSigner>}
+ */
+async function create(relayerId) {
+  const url = process.env.WEB3SIGNER_URL;
+  if (!url) {
+    throw new ValidationError('WEB3SIGNER_URL is not set', { relayerId });
+  }
+
+  const address = process.env.RELAYER_SIGNER_ADDRESS || process.env[`RELAYER_${relayerId}_ADDRESS`];
+  if (!address || !ethers.isAddress(address)) {
+    throw new ValidationError('Remote signer address not configured', { relayerId });
+  }
+
+  const timeoutMs = parseInt(process.env.WEB3SIGNER_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  return new RemoteSigner(url, address, null, { timeoutMs });
+}
+
+module.exports = { create, RemoteSigner };
@@ -0,0 +1,142 @@
+/**
+ * Bridge Typed Data - EIP-712 definition of relayer attestations
+ * Must stay in sync with contracts/BridgeAttestation.sol
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only builds the typed data relayers sign
+ * - Open/Closed: A new hash format is a new entry in TYPED_DATA_VERSIONS
+ *
+ * Kept free of chain and contract config so the Hardhat tests can check it
+ * against the deployed contracts.
+ */
+
+const SIGNING_DOMAIN = 'CrossChainBridge';
+const SIGNATURE_VERSION = '2';
+
+const TYPED_DATA_VERSIONS = {
+  1: {
+    types: {
+      BridgeTransfer: [
+        { name: 'eventId', type: 'bytes32' },
+        { name: 'sourceChainId', type: 'uint256' },
+        { name: 'sourceTxHash', type: 'bytes32' },
+        { name: 'sender', type: 'address' },
+        { name: 'recipient', type: 'address' },
+        { name: 'amount', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' }
+      ]
+    },
+    toMessage: (eventData, sourceChainId) => ({
+      eventId: eventData.eventId,
+      sourceChainId: BigInt(sourceChainId),
+      sourceTxHash: eventData.txHash,
+      sender: eventData.fromAddress,
+      recipient: eventData.toAddress,
+      amount: BigInt(eventData.amount),
+      nonce: BigInt(eventData.nonce)
+    })
+  },
+  // Adds the token minted or unlocked on the destination chain
+  2: {
+    types: {
+      BridgeTransfer: [
+        { name: 'eventId', type: 'bytes32' },
+        { name: 'sourceChainId', type: 'uint256' },
+        { name: 'sourceTxHash', type: 'bytes32' },
+        { name: 'token', type: 'address' },
+        { name: 'sender', type: 'address' },
+        { name: 'recipient', type: 'address' },
+        { name: 'amount', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' }
+      ]
+    },
+    toMessage: (eventData, sourceChainId) => {
+      if (!eventData.destinationToken) {
+        throw new Error(`Missing destinationToken for event ${eventData.eventId}`);
+      }
+      return {
+        eventId: eventData.eventId,
+        sourceChainId: BigInt(sourceChainId),
+        sourceTxHash: eventData.txHash,
+        token: eventData.destinationToken,
+        sender: eventData.fromAddress,
+        recipient: eventData.toAddress,
+        amount: BigInt(eventData.amount),
+        nonce: BigInt(eventData.nonce)
+      };
+    }
+  }
+};
+
+const BRIDGE_CANCEL_TYPES = {
+  BridgeCancel: [
+    { name: 'eventId', type: 'bytes32' },
+    { name: 'sourceChainId', type: 'uint256' },
+    { name: 'sourceTxHash', type: 'bytes32' },
+    { name: 'token', type: 'address' },
+    { name: 'sender', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+/**
+ * Build the typed data for an event
+ * @param {Object} eventData - Event entity fields
+ * @param {Object} binding - { sourceChainId, destinationChainId, verifyingContract }
+ * @param {string} version - Signature version, defaults to the current one
+ */
+function buildBridgeTransfer(eventData, binding, version = SIGNATURE_VERSION) {
+  const definition = TYPED_DATA_VERSIONS[version];
+  if (!definition) {
+    throw new Error(`Unsupported signature version: ${version}`);
+  }
+
+  return {
+    domain: {
+      name: SIGNING_DOMAIN,
+      version: String(version),
+      chainId: BigInt(binding.destinationChainId),
+      verifyingContract: binding.verifyingContract
+    },
+    types: definition.types,
+    message: definition.toMessage(eventData, binding.sourceChainId)
+  };
+}
+
+/**
+ * Build the typed data cancelling an undelivered event
+ * The same message is signed for the destination bridge, which stops delivery,
+ * and for the source bridge, which refunds the sender
+ * @param {Object} eventData - Event entity fields
+ * @param {Object} binding - { sourceChainId, chainId, verifyingContract } of the signing bridge
+ */
+function buildBridgeCancel(eventData, binding) {
+  return {
+    domain: {
+      name: SIGNING_DOMAIN,
+      version: SIGNATURE_VERSION,
+      chainId: BigInt(binding.chainId),
+      verifyingContract: binding.verifyingContract
+    },
+    types: BRIDGE_CANCEL_TYPES,
+    message: {
+      eventId: eventData.eventId,
+      sourceChainId: BigInt(binding.sourceChainId),
+      sourceTxHash: eventData.txHash,
+      token: eventData.token,
+      sender: eventData.fromAddress,
+      amount: BigInt(eventData.amount),
+      nonce: BigInt(eventData.nonce)
+    }
+  };
+}
+
+module.exports = {
+  SIGNING_DOMAIN,
+  SIGNATURE_VERSION,
+  TYPED_DATA_VERSIONS,
+  BRIDGE_CANCEL_TYPES,
+  buildBridgeTransfer,
+  buildBridgeCancel
+};
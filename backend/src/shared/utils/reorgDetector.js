@@ -0,0 +1,99 @@
+/**
+ * Reorg Detector - Verifies stored event logs are still on the canonical chain
+ * Implements Guard Pattern before execution
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only compares stored block data with the chain
+ * - Dependency Inversion: Works with any ethers-compatible provider
+ *
+ * Kept free of service imports so it can be exercised directly
+ * against a local Hardhat node (evm_snapshot / evm_revert).
+ */
+
+const REORG_REASONS = {
+  BLOCK_NOT_FOUND: 'BLOCK_NOT_FOUND',
+  BLOCK_HASH_MISMATCH: 'BLOCK_HASH_MISMATCH',
+  TX_NOT_FOUND: 'TX_NOT_FOUND',
+  TX_MOVED: 'TX_MOVED',
+  TX_REVERTED: 'TX_REVERTED',
+  LOG_NOT_FOUND: 'LOG_NOT_FOUND',
+  // Set by web3Service when providers do not agree on the log
+  QUORUM_NOT_REACHED: 'QUORUM_NOT_REACHED'
+};
+
+/**
+ * Check that a log recorded at (blockNumber, blockHash) is still canonical
+ * Only evidence read from a block the provider has returned marks a log orphaned.
+ * "Not found" results may come from a provider that has not synced that far yet,
+ * so they are reported as unconfirmed and left for a later recheck.
+ * @param {Object} provider - ethers provider for the source chain
+ * @param {Object} logRef - { txHash, blockNumber, blockHash, logIndex }
+ * @returns {Object} { canonical, orphaned, reason, details }
+ */
+async function checkLogCanonical(provider, logRef) {
+  const { txHash, blockNumber, blockHash, logIndex } = logRef;
+
+  // Events stored before block data was persisted skip the block checks
+  if (blockNumber !== undefined && blockNumber !== null) {
+    const block = await provider.getBlock(Number(blockNumber));
+    if (!block) {
+      return unconfirmed(REORG_REASONS.BLOCK_NOT_FOUND, { blockNumber });
+    }
+
+    if (blockHash && !sameHash(block.hash, blockHash)) {
+      return orphaned(REORG_REASONS.BLOCK_HASH_MISMATCH, {
+        blockNumber,
+        storedBlockHash: blockHash,
+        canonicalBlockHash: block.hash
+      });
+    }
+  }
+
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt) {
+    return unconfirmed(REORG_REASONS.TX_NOT_FOUND, { txHash });
+  }
+
+  if (blockHash && !sameHash(receipt.blockHash, blockHash)) {
+    return orphaned(REORG_REASONS.TX_MOVED, {
+      txHash,
+      storedBlockHash: blockHash,
+      receiptBlockHash: receipt.blockHash
+    });
+  }
+
+  if (receipt.status === 0) {
+    return orphaned(REORG_REASONS.TX_REVERTED, { txHash });
+  }
+
+  if (logIndex !== undefined && logIndex !== null) {
+    const hasLog = receipt.logs.some(log => Number(log.index) === Number(logIndex));
+    if (!hasLog) {
+      return unconfirmed(REORG_REASONS.LOG_NOT_FOUND, { txHash, logIndex });
+    }
+  }
+
+  return {
+    canonical: true,
+    orphaned: false,
+    reason: null,
+    details: { blockNumber: receipt.blockNumber, blockHash: receipt.blockHash }
+  };
+}
+
+function orphaned(reason, details) {
+  return { canonical: false, orphaned: true, reason, details };
+}
+
+function unconfirmed(reason, details) {
+  return { canonical: false, orphaned: false, reason, details };
+}
+
+function sameHash(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+module.exports = {
+  REORG_REASONS,
+  checkLogCanonical
+};
@@ -2,17 +2,19 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 
 /**
  * @title BEP20Token
  * @dev Implementation of BEP20 token for BSC chain
- * @notice Fixed supply token with pause capability
+ * @notice Fixed supply token with pause capability and EIP-2612 permits
  * 
  * Design Patterns Applied:
  * - Template Method Pattern (via OpenZeppelin ERC20)
  * - State Pattern (Pausable functionality)
+ * - Signed Approval (EIP-2612 permit via ERC20Permit)
  * 
  * SOLID Principles:
  * - Single Responsibility: Token logic only
@@ -20,7 +22,7 @@ import "@openzeppelin/contracts/utils/Pausable.sol";
  * - Liskov Substitution: Compatible with IBEP20 interface
  * - Dependency Inversion: Depends on abstractions (Ownable, Pausable)
  */
-contract BEP20Token is ERC20, Ownable, Pausable {
+contract BEP20Token is ERC20, ERC20Permit, Ownable, Pausable {
     uint256 private constant TOTAL_SUPPLY = 1_000_000 * 10**18; // 1 million tokens
 
     /**
@@ -32,7 +34,11 @@ contract BEP20Token is ERC20, Ownable, Pausable {
      * @dev Constructor mints total supply to deployer
      * @param initialOwner Address that will own the contract and receive initial supply
      */
-    constructor(address initialOwner) ERC20("Cross-Chain Bridge Token", "CCBT") Ownable(initialOwner) {
+    constructor(address initialOwner)
+        ERC20("Cross-Chain Bridge Token", "CCBT")
+        ERC20Permit("Cross-Chain Bridge Token")
+        Ownable(initialOwner)
+    {
         _mint(initialOwner, TOTAL_SUPPLY);
         emit TokensDeployed(initialOwner, TOTAL_SUPPLY);
     }
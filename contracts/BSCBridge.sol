@@ -1,20 +1,34 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./BridgeRoles.sol";
+import "./RelayerMultisig.sol";
+import "./TokenRegistry.sol";
+import "./RateLimiter.sol";
+import "./FeeManager.sol";
+import "./PermitSupport.sol";
 
 /**
  * @title BSCBridge
  * @dev Bridge contract for BSC chain - handles token locking and unlocking
- * @notice Locks tokens on BSC, emits events for relayers to mint on Ethereum
+ * @notice Locks tokens on BSC, emits events for relayers to mint on Ethereum.
+ * Any token in the registry can be bridged; `token` is the default token used by
+ * the single-token lock functions.
  * 
  * Design Patterns Applied:
  * - Strategy Pattern (lock/unlock strategies)
  * - Observer Pattern (event emission for relayers)
+ * - Template Method Pattern (EIP-712 attestations via RelayerMultisig)
+ * - Registry Pattern (supported tokens and limits via TokenRegistry)
+ * - Sliding Window (rolling volume caps via RateLimiter)
+ * - Strategy Pattern (per-token bridge fees via FeeManager)
+ * - Template Method Pattern (single-transaction approvals via PermitSupport)
+ * - Role-Based Access Control (separate operator roles via BridgeRoles)
  * - Guard Pattern (reentrancy guard, pause mechanism)
  * - Command Pattern (lock/unlock commands)
  * 
@@ -24,24 +38,32 @@ import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
  * - Liskov Substitution: Can replace any bridge interface
  * - Dependency Inversion: Depends on IERC20 abstraction
  */
-contract BSCBridge is Ownable, Pausable, ReentrancyGuard {
+contract BSCBridge is BridgeRoles, Pausable, ReentrancyGuard, RelayerMultisig, TokenRegistry, RateLimiter, FeeManager, PermitSupport {
     using SafeERC20 for IERC20;
 
+    // Recovers tokens stuck in the bridge with emergencyWithdraw
+    bytes32 public constant RESCUER_ROLE = keccak256("RESCUER_ROLE");
+
     IERC20 public immutable token;
     uint256 public nonce;
-    uint256 public minLockAmount;
-    uint256 public maxLockAmount;
 
     // Mapping to track processed unlock events
     mapping(bytes32 => bool) public processedUnlocks;
 
+    // Mapping to track locks refunded after their mint was cancelled on Ethereum
+    mapping(bytes32 => bool) public refundedLocks;
+
     /**
      * @dev Emitted when tokens are locked on BSC
      * Relayers listen to this event to mint on Ethereum
+     * `amount` is what is minted on Ethereum; the sender paid `amount + fee`
      */
     event TokensLocked(
         address indexed from,
+        address token,
+        address recipient,
         uint256 amount,
+        uint256 fee,
         uint256 indexed nonce,
         bytes32 indexed eventId,
         uint256 timestamp
@@ -53,40 +75,73 @@ contract BSCBridge is Ownable, Pausable, ReentrancyGuard {
      */
     event TokensUnlocked(
         address indexed to,
+        address indexed token,
+        uint256 amount,
+        bytes32 indexed eventId,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a lock is refunded to its sender
+     * Happens after the mint was cancelled on Ethereum
+     */
+    event TokensRefunded(
+        address indexed to,
+        address indexed token,
         uint256 amount,
         bytes32 indexed eventId,
         uint256 timestamp
     );
 
     /**
-     * @dev Emitted when bridge limits are updated
+     * @dev Emitted when the default token's limits are updated
      */
     event LimitsUpdated(uint256 minAmount, uint256 maxAmount);
 
     /**
      * @dev Constructor initializes the bridge
-     * @param _token Address of the BEP20 token
-     * @param initialOwner Address that will own the contract
+     * @param _token Address of the default BEP20 token
+     * @param initialAdmin Address that receives the admin role and every operational role
      * @param _minLockAmount Minimum amount that can be locked
      * @param _maxLockAmount Maximum amount that can be locked
+     * @param _relayers Relayer signing addresses
+     * @param _threshold Relayer signatures required per unlock
      */
     constructor(
         address _token,
-        address initialOwner,
+        address initialAdmin,
         uint256 _minLockAmount,
-        uint256 _maxLockAmount
-    ) Ownable(initialOwner) {
+        uint256 _maxLockAmount,
+        address[] memory _relayers,
+        uint256 _threshold
+    ) BridgeRoles(initialAdmin) RelayerMultisig(_relayers, _threshold) {
         require(_token != address(0), "BSCBridge: token is zero address");
         require(_minLockAmount > 0, "BSCBridge: min amount must be greater than 0");
         require(_maxLockAmount > _minLockAmount, "BSCBridge: max must be greater than min");
         
+        _grantRole(RESCUER_ROLE, initialAdmin);
         token = IERC20(_token);
-        minLockAmount = _minLockAmount;
-        maxLockAmount = _maxLockAmount;
+        _registerToken(_token, _minLockAmount, _maxLockAmount);
+    }
+
+    /**
+     * @dev Minimum lock amount of the default token
+     * @return uint256 Minimum amount
+     */
+    function minLockAmount() external view returns (uint256) {
+        return tokenConfig[address(token)].minAmount;
+    }
+
+    /**
+     * @dev Maximum lock amount of the default token
+     * @return uint256 Maximum amount
+     */
+    function maxLockAmount() external view returns (uint256) {
+        return tokenConfig[address(token)].maxAmount;
     }
 
     /**
-     * @dev Locks tokens on BSC for cross-chain transfer
+     * @dev Locks default tokens on BSC for cross-chain transfer to the sender's own address
      * Implements Command Pattern
      * @param amount Amount of tokens to lock
      * @return eventId Unique identifier for this lock event
@@ -97,9 +152,82 @@ contract BSCBridge is Ownable, Pausable, ReentrancyGuard {
         nonReentrant 
         returns (bytes32 eventId) 
     {
-        require(amount >= minLockAmount, "BSCBridge: amount below minimum");
-        require(amount <= maxLockAmount, "BSCBridge: amount exceeds maximum");
-        require(token.balanceOf(msg.sender) >= amount, "BSCBridge: insufficient balance");
+        return _lock(address(token), amount, msg.sender);
+    }
+
+    /**
+     * @dev Locks default tokens on BSC for cross-chain transfer to another address
+     * Implements Command Pattern
+     * @param amount Amount of tokens to lock
+     * @param recipient Address that receives wrapped tokens on Ethereum
+     * @return eventId Unique identifier for this lock event
+     */
+    function lockTokensTo(uint256 amount, address recipient)
+        external
+        whenNotPaused
+        nonReentrant
+        returns (bytes32 eventId)
+    {
+        return _lock(address(token), amount, recipient);
+    }
+
+    /**
+     * @dev Locks any supported token on BSC for cross-chain transfer
+     * Implements Command Pattern
+     * @param _token Registered token to lock
+     * @param amount Amount of tokens to lock
+     * @param recipient Address that receives wrapped tokens on Ethereum
+     * @return eventId Unique identifier for this lock event
+     */
+    function lockToken(address _token, uint256 amount, address recipient)
+        external
+        whenNotPaused
+        nonReentrant
+        returns (bytes32 eventId)
+    {
+        return _lock(_token, amount, recipient);
+    }
+
+    /**
+     * @dev Locks any supported token using an EIP-2612 permit instead of a prior approval
+     * Implements Command Pattern
+     * @param _token Registered token to lock, which must implement EIP-2612
+     * @param amount Amount of tokens to lock, which the permit must cover
+     * @param recipient Address that receives wrapped tokens on Ethereum
+     * @param deadline Permit deadline
+     * @param v Permit signature recovery byte
+     * @param r Permit signature r value
+     * @param s Permit signature s value
+     * @return eventId Unique identifier for this lock event
+     */
+    function lockWithPermit(
+        address _token,
+        uint256 amount,
+        address recipient,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external whenNotPaused nonReentrant returns (bytes32 eventId) {
+        _usePermit(_token, amount, deadline, v, r, s);
+        return _lock(_token, amount, recipient);
+    }
+
+    /**
+     * @dev Takes custody of the sender's tokens, pays the fee and emits the lock for relayers
+     */
+    function _lock(address _token, uint256 amount, address recipient) private returns (bytes32 eventId) {
+        TokenConfig storage config = tokenConfig[_token];
+        require(config.enabled, "BSCBridge: token not supported");
+        require(recipient != address(0), "BSCBridge: recipient is zero address");
+        require(amount >= config.minAmount, "BSCBridge: amount below minimum");
+        require(amount <= config.maxAmount, "BSCBridge: amount exceeds maximum");
+        require(IERC20(_token).balanceOf(msg.sender) >= amount, "BSCBridge: insufficient balance");
+
+        (uint256 fee, uint256 netAmount) = quoteFee(_token, amount);
+        require(netAmount > 0, "BSCBridge: amount does not cover fee");
+
+        _consumeRateLimit(_token, Flow.Outbound, msg.sender, netAmount);
 
         // Generate unique event ID
         nonce++;
@@ -108,99 +236,152 @@ contract BSCBridge is Ownable, Pausable, ReentrancyGuard {
                 block.chainid,
                 address(this),
                 msg.sender,
+                _token,
+                recipient,
                 amount,
                 nonce,
                 block.timestamp
             )
         );
 
-        // Transfer tokens from user to bridge (lock)
-        token.safeTransferFrom(msg.sender, address(this), amount);
+        // Transfer tokens from user to bridge (lock) and pay the fee out of them
+        IERC20(_token).safeTransferFrom(msg.sender, address(this), amount);
+        if (fee > 0) {
+            IERC20(_token).safeTransfer(feeCollector, fee);
+        }
 
-        emit TokensLocked(msg.sender, amount, nonce, eventId, block.timestamp);
+        emit TokensLocked(msg.sender, _token, recipient, netAmount, fee, nonce, eventId, block.timestamp);
         
         return eventId;
     }
 
     /**
      * @dev Unlocks tokens on BSC after burn on Ethereum
-     * Can only be called by owner (relayer backend)
+     * Callable by anyone holding a threshold of relayer signatures
      * Implements Strategy Pattern for unlock logic
-     * @param to Address to receive unlocked tokens
-     * @param amount Amount of tokens to unlock
-     * @param eventId Unique identifier from Ethereum burn event
+     * @param transfer Burn on Ethereum, as attested by relayers
+     * @param signatures Relayer signatures ordered by ascending signer address
      */
     function unlockTokens(
-        address to,
-        uint256 amount,
-        bytes32 eventId
-    ) external onlyOwner whenNotPaused nonReentrant {
+        BridgeTransfer calldata transfer,
+        bytes[] calldata signatures
+    ) external whenNotPaused nonReentrant {
+        address to = transfer.recipient;
+        IERC20 unlockToken = IERC20(transfer.token);
+        uint256 amount = transfer.amount;
+        bytes32 eventId = transfer.eventId;
+
         require(to != address(0), "BSCBridge: unlock to zero address");
         require(amount > 0, "BSCBridge: unlock amount is zero");
+        require(tokenConfig[transfer.token].registered, "BSCBridge: unknown token");
         require(!processedUnlocks[eventId], "BSCBridge: event already processed");
-        require(token.balanceOf(address(this)) >= amount, "BSCBridge: insufficient bridge balance");
+        require(unlockToken.balanceOf(address(this)) >= amount, "BSCBridge: insufficient bridge balance");
+
+        _verifyAttestations(transfer, signatures);
+        _consumeRateLimit(transfer.token, Flow.Inbound, to, amount);
 
         processedUnlocks[eventId] = true;
 
         // Transfer tokens from bridge to user (unlock)
-        token.safeTransfer(to, amount);
+        unlockToken.safeTransfer(to, amount);
+
+        emit TokensUnlocked(to, transfer.token, amount, eventId, block.timestamp);
+    }
+
+    /**
+     * @dev Refunds a lock whose mint was cancelled on Ethereum
+     * Callable by anyone holding a threshold of relayer signatures; relayers only sign
+     * once the cancellation is final on Ethereum. The fee is not refunded.
+     * @param cancel Lock being refunded, as attested by relayers
+     * @param signatures Relayer signatures ordered by ascending signer address
+     */
+    function refundLock(
+        BridgeCancel calldata cancel,
+        bytes[] calldata signatures
+    ) external whenNotPaused nonReentrant {
+        address to = cancel.sender;
+        IERC20 refundToken = IERC20(cancel.token);
+        uint256 amount = cancel.amount;
+        bytes32 eventId = cancel.eventId;
 
-        emit TokensUnlocked(to, amount, eventId, block.timestamp);
+        require(cancel.sourceChainId == block.chainid, "BSCBridge: lock not on this chain");
+        require(to != address(0), "BSCBridge: refund to zero address");
+        require(amount > 0, "BSCBridge: refund amount is zero");
+        require(tokenConfig[cancel.token].registered, "BSCBridge: unknown token");
+        require(!refundedLocks[eventId], "BSCBridge: lock already refunded");
+        require(refundToken.balanceOf(address(this)) >= amount, "BSCBridge: insufficient bridge balance");
+
+        _verifyCancellation(cancel, signatures);
+
+        refundedLocks[eventId] = true;
+
+        // Return the locked tokens to the sender
+        refundToken.safeTransfer(to, amount);
+
+        emit TokensRefunded(to, cancel.token, amount, eventId, block.timestamp);
     }
 
     /**
-     * @dev Updates minimum and maximum lock amounts
+     * @dev Updates minimum and maximum lock amounts of the default token
      * @param _minLockAmount New minimum lock amount
      * @param _maxLockAmount New maximum lock amount
      */
     function updateLimits(uint256 _minLockAmount, uint256 _maxLockAmount) 
         external 
-        onlyOwner 
+        onlyRole(LIMITS_ADMIN_ROLE) 
     {
         require(_minLockAmount > 0, "BSCBridge: min amount must be greater than 0");
         require(_maxLockAmount > _minLockAmount, "BSCBridge: max must be greater than min");
         
-        minLockAmount = _minLockAmount;
-        maxLockAmount = _maxLockAmount;
+        _setTokenLimits(address(token), _minLockAmount, _maxLockAmount);
         
         emit LimitsUpdated(_minLockAmount, _maxLockAmount);
     }
 
     /**
      * @dev Pauses all bridge operations
-     * Can only be called by the owner
+     * Can only be called by a pauser
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
     /**
      * @dev Unpauses all bridge operations
-     * Can only be called by the owner
+     * Can only be called by a pauser
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
     /**
-     * @dev Returns the current balance of locked tokens
+     * @dev Returns the current balance of locked default tokens
      * @return uint256 Bridge token balance
      */
     function getLockedBalance() external view returns (uint256) {
         return token.balanceOf(address(this));
     }
 
+    /**
+     * @dev Source tokens must use 18 decimals so wrapped amounts map 1:1
+     * @param _token Token to add
+     */
+    function _validateToken(address _token) internal view override {
+        require(_token.code.length > 0, "BSCBridge: token is not a contract");
+        require(IERC20Metadata(_token).decimals() == 18, "BSCBridge: token must have 18 decimals");
+    }
+
     /**
      * @dev Emergency function to recover stuck tokens
-     * Can only be called by owner
+     * Can only be called by a rescuer, who receives the tokens
      * @param _token Token address to recover
      * @param amount Amount to recover
      */
     function emergencyWithdraw(address _token, uint256 amount) 
         external 
-        onlyOwner 
+        onlyRole(RESCUER_ROLE) 
     {
         require(_token != address(0), "BSCBridge: token is zero address");
-        IERC20(_token).safeTransfer(owner(), amount);
+        IERC20(_token).safeTransfer(msg.sender, amount);
     }
 }
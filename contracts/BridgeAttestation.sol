@@ -0,0 +1,123 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title BridgeAttestation
+ * @dev EIP-712 typed data for relayer attestations of cross-chain transfers
+ * @notice Relayers sign a BridgeTransfer for the destination bridge. The domain binds
+ * each signature to the destination chainId and bridge address; the domain version
+ * changes whenever the BridgeTransfer layout changes. A BridgeCancel withdraws a
+ * transfer that was never delivered: it is signed first for the destination bridge,
+ * which then refuses to deliver it, and then for the source bridge, which refunds it.
+ *
+ * Design Patterns Applied:
+ * - Template Method Pattern (bridges inherit hashing and recovery)
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only hashes transfers and cancellations and recovers attesters
+ * - Open/Closed: Bridges extend it without changing the signing format
+ */
+abstract contract BridgeAttestation is EIP712 {
+    string public constant SIGNING_DOMAIN = "CrossChainBridge";
+    string public constant SIGNATURE_VERSION = "2";
+
+    bytes32 public constant BRIDGE_TRANSFER_TYPEHASH = keccak256(
+        "BridgeTransfer(bytes32 eventId,uint256 sourceChainId,bytes32 sourceTxHash,address token,address sender,address recipient,uint256 amount,uint256 nonce)"
+    );
+
+    bytes32 public constant BRIDGE_CANCEL_TYPEHASH = keccak256(
+        "BridgeCancel(bytes32 eventId,uint256 sourceChainId,bytes32 sourceTxHash,address token,address sender,uint256 amount,uint256 nonce)"
+    );
+
+    /**
+     * @dev Transfer observed on the source chain, as attested by relayers
+     * `token` is the token the destination bridge mints or unlocks
+     */
+    struct BridgeTransfer {
+        bytes32 eventId;
+        uint256 sourceChainId;
+        bytes32 sourceTxHash;
+        address token;
+        address sender;
+        address recipient;
+        uint256 amount;
+        uint256 nonce;
+    }
+
+    /**
+     * @dev Transfer withdrawn before delivery, as attested by relayers
+     * `token` is the token the source bridge holds; `amount` is refunded to `sender`
+     */
+    struct BridgeCancel {
+        bytes32 eventId;
+        uint256 sourceChainId;
+        bytes32 sourceTxHash;
+        address token;
+        address sender;
+        uint256 amount;
+        uint256 nonce;
+    }
+
+    constructor() EIP712(SIGNING_DOMAIN, SIGNATURE_VERSION) {}
+
+    /**
+     * @dev EIP-712 digest relayers sign for a transfer
+     * @param transfer Transfer attested by relayers
+     * @return bytes32 Typed data digest for this bridge's domain
+     */
+    function hashBridgeTransfer(BridgeTransfer calldata transfer) public view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    BRIDGE_TRANSFER_TYPEHASH,
+                    transfer.eventId,
+                    transfer.sourceChainId,
+                    transfer.sourceTxHash,
+                    transfer.token,
+                    transfer.sender,
+                    transfer.recipient,
+                    transfer.amount,
+                    transfer.nonce
+                )
+            )
+        );
+    }
+
+    /**
+     * @dev Recovers the relayer that signed a transfer
+     * @param transfer Transfer attested by relayers
+     * @param signature Relayer signature over the typed data
+     * @return address Signer of the attestation
+     */
+    function recoverAttester(
+        BridgeTransfer calldata transfer,
+        bytes calldata signature
+    ) public view returns (address) {
+        return ECDSA.recover(hashBridgeTransfer(transfer), signature);
+    }
+
+    /**
+     * @dev EIP-712 digest relayers sign for a cancellation
+     * @param cancel Cancellation attested by relayers
+     * @return bytes32 Typed data digest for this bridge's domain
+     */
+    function hashBridgeCancel(BridgeCancel calldata cancel) public view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    BRIDGE_CANCEL_TYPEHASH,
+                    cancel.eventId,
+                    cancel.sourceChainId,
+                    cancel.sourceTxHash,
+                    cancel.token,
+                    cancel.sender,
+                    cancel.amount,
+                    cancel.nonce
+                )
+            )
+        );
+    }
+}
\ No newline at end of file
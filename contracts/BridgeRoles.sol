@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @title BridgeRoles
+ * @dev Operational roles shared by the bridges and their building blocks
+ * @notice Each privileged area has its own role so no single operational key controls a bridge:
+ * - RELAYER_ADMIN_ROLE manages the relayer set and signature threshold
+ * - PAUSER_ROLE pauses and unpauses (guardian)
+ * - LIMITS_ADMIN_ROLE changes transfer limits and rate limits
+ * DEFAULT_ADMIN_ROLE grants and revokes the roles and manages tokens and fees. Minting and
+ * unlocking need no role: any caller holding a threshold of relayer signatures may submit them.
+ * Bridges may add their own roles, such as BSCBridge's RESCUER_ROLE. The initial admin also
+ * receives every operational role; deployments hand them out afterwards.
+ *
+ * Design Patterns Applied:
+ * - Role-Based Access Control (AccessControl)
+ * - Template Method Pattern (bridge modules guard their setters with these roles)
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only defines who may operate a bridge
+ * - Interface Segregation: Each operator holds only the role it needs
+ */
+abstract contract BridgeRoles is AccessControl {
+    bytes32 public constant RELAYER_ADMIN_ROLE = keccak256("RELAYER_ADMIN_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant LIMITS_ADMIN_ROLE = keccak256("LIMITS_ADMIN_ROLE");
+
+    /**
+     * @dev Grants the admin role and every operational role to the initial admin
+     * @param initialAdmin Address that administers the bridge
+     */
+    constructor(address initialAdmin) {
+        require(initialAdmin != address(0), "BridgeRoles: admin is zero address");
+        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+        _grantRole(RELAYER_ADMIN_ROLE, initialAdmin);
+        _grantRole(PAUSER_ROLE, initialAdmin);
+        _grantRole(LIMITS_ADMIN_ROLE, initialAdmin);
+    }
+}
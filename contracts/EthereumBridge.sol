@@ -1,19 +1,34 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "./interfaces/IWrappedToken.sol";
+import "./interfaces/IWrappedTokenFactory.sol";
+import "./BridgeRoles.sol";
+import "./RelayerMultisig.sol";
+import "./TokenRegistry.sol";
+import "./RateLimiter.sol";
+import "./FeeManager.sol";
+import "./PermitSupport.sol";
 
 /**
  * @title EthereumBridge
  * @dev Bridge contract for Ethereum chain - handles token minting and burning
- * @notice Mints wrapped tokens on Ethereum, burns them for transfer back to BSC
+ * @notice Mints wrapped tokens on Ethereum, burns them for transfer back to BSC.
+ * Every registered wrapped token can be bridged; `wrappedToken` is the default token
+ * used by the single-token burn functions.
  * 
  * Design Patterns Applied:
- * - Factory Pattern (minting new tokens)
+ * - Factory Pattern (minting new tokens, deploying wrapped tokens)
  * - Observer Pattern (event emission for relayers)
+ * - Template Method Pattern (EIP-712 attestations via RelayerMultisig)
+ * - Registry Pattern (supported tokens and limits via TokenRegistry)
+ * - Sliding Window (rolling volume caps via RateLimiter)
+ * - Strategy Pattern (per-token bridge fees via FeeManager)
+ * - Template Method Pattern (single-transaction approvals via PermitSupport)
+ * - Role-Based Access Control (separate operator roles via BridgeRoles)
  * - Guard Pattern (reentrancy guard, pause mechanism)
  * - Command Pattern (mint/burn commands)
  * 
@@ -23,92 +38,203 @@ import "./interfaces/IWrappedToken.sol";
  * - Liskov Substitution: Can replace any bridge interface
  * - Dependency Inversion: Depends on IWrappedToken abstraction
  */
-contract EthereumBridge is Ownable, Pausable, ReentrancyGuard {
+contract EthereumBridge is BridgeRoles, Pausable, ReentrancyGuard, RelayerMultisig, TokenRegistry, RateLimiter, FeeManager, PermitSupport {
+    using SafeERC20 for IERC20;
+
     IWrappedToken public immutable wrappedToken;
+    IWrappedTokenFactory public tokenFactory;
     uint256 public nonce;
-    uint256 public minBurnAmount;
-    uint256 public maxBurnAmount;
 
     // Mapping to track processed mint events
     mapping(bytes32 => bool) public processedMints;
 
+    // Mapping to track locks cancelled before minting; they are refunded on BSC instead
+    mapping(bytes32 => bool) public cancelledMints;
+
     /**
      * @dev Emitted when wrapped tokens are minted on Ethereum
      * Happens after lock on BSC
      */
     event TokensMinted(
         address indexed to,
+        address indexed token,
         uint256 amount,
         bytes32 indexed eventId,
         uint256 timestamp
     );
 
+    /**
+     * @dev Emitted when a lock on BSC is cancelled and can no longer be minted
+     * Relayers listen to this event to refund the lock on BSC
+     */
+    event MintCancelled(
+        bytes32 indexed eventId,
+        uint256 timestamp
+    );
+
     /**
      * @dev Emitted when wrapped tokens are burned on Ethereum
      * Relayers listen to this event to unlock on BSC
+     * `amount` is what is unlocked on BSC; the sender also paid `fee` to the fee collector
      */
     event TokensBurned(
         address indexed from,
+        address token,
+        address recipient,
         uint256 amount,
+        uint256 fee,
         uint256 indexed nonce,
         bytes32 indexed eventId,
         uint256 timestamp
     );
 
     /**
-     * @dev Emitted when bridge limits are updated
+     * @dev Emitted when the default token's limits are updated
      */
     event LimitsUpdated(uint256 minAmount, uint256 maxAmount);
 
+    /**
+     * @dev Emitted when the bridge deploys a wrapped token
+     */
+    event WrappedTokenDeployed(address indexed token, string name, string symbol);
+
+    /**
+     * @dev Emitted when the wrapped token factory changes
+     */
+    event TokenFactoryUpdated(address indexed oldFactory, address indexed newFactory);
+
     /**
      * @dev Constructor initializes the bridge
-     * @param _wrappedToken Address of the wrapped token
-     * @param initialOwner Address that will own the contract
+     * @param _wrappedToken Address of the default wrapped token
+     * @param initialAdmin Address that receives the admin role and every operational role
      * @param _minBurnAmount Minimum amount that can be burned
      * @param _maxBurnAmount Maximum amount that can be burned
+     * @param _relayers Relayer signing addresses
+     * @param _threshold Relayer signatures required per mint
      */
     constructor(
         address _wrappedToken,
-        address initialOwner,
+        address initialAdmin,
         uint256 _minBurnAmount,
-        uint256 _maxBurnAmount
-    ) Ownable(initialOwner) {
+        uint256 _maxBurnAmount,
+        address[] memory _relayers,
+        uint256 _threshold
+    ) BridgeRoles(initialAdmin) RelayerMultisig(_relayers, _threshold) {
         require(_wrappedToken != address(0), "EthereumBridge: token is zero address");
         require(_minBurnAmount > 0, "EthereumBridge: min amount must be greater than 0");
         require(_maxBurnAmount > _minBurnAmount, "EthereumBridge: max must be greater than min");
         
         wrappedToken = IWrappedToken(_wrappedToken);
-        minBurnAmount = _minBurnAmount;
-        maxBurnAmount = _maxBurnAmount;
+        _registerToken(_wrappedToken, _minBurnAmount, _maxBurnAmount);
+    }
+
+    /**
+     * @dev Minimum burn amount of the default wrapped token
+     * @return uint256 Minimum amount
+     */
+    function minBurnAmount() external view returns (uint256) {
+        return tokenConfig[address(wrappedToken)].minAmount;
+    }
+
+    /**
+     * @dev Maximum burn amount of the default wrapped token
+     * @return uint256 Maximum amount
+     */
+    function maxBurnAmount() external view returns (uint256) {
+        return tokenConfig[address(wrappedToken)].maxAmount;
+    }
+
+    /**
+     * @dev Sets the factory that deploys wrapped tokens for deployWrappedToken
+     * @param newFactory Wrapped token factory
+     */
+    function setTokenFactory(address newFactory) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newFactory != address(0), "EthereumBridge: factory is zero address");
+        address oldFactory = address(tokenFactory);
+        tokenFactory = IWrappedTokenFactory(newFactory);
+        emit TokenFactoryUpdated(oldFactory, newFactory);
+    }
+
+    /**
+     * @dev Deploys a wrapped token minted by this bridge and registers it
+     * The caller administers the new token; needs the token factory to be set
+     * Implements Factory Pattern
+     * @param name Token name
+     * @param symbol Token symbol
+     * @param minAmount Minimum burn amount
+     * @param maxAmount Maximum burn amount
+     * @return token Address of the new wrapped token
+     */
+    function deployWrappedToken(
+        string calldata name,
+        string calldata symbol,
+        uint256 minAmount,
+        uint256 maxAmount
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) returns (address token) {
+        require(address(tokenFactory) != address(0), "EthereumBridge: token factory not set");
+        token = tokenFactory.createWrappedToken(name, symbol, msg.sender);
+        _registerToken(token, minAmount, maxAmount);
+
+        emit WrappedTokenDeployed(token, name, symbol);
     }
 
     /**
      * @dev Mints wrapped tokens on Ethereum after lock on BSC
-     * Can only be called by owner (relayer backend)
+     * Callable by anyone holding a threshold of relayer signatures
      * Implements Factory Pattern
-     * @param to Address to receive minted tokens
-     * @param amount Amount of tokens to mint
-     * @param eventId Unique identifier from BSC lock event
+     * @param transfer Lock on BSC, as attested by relayers
+     * @param signatures Relayer signatures ordered by ascending signer address
      */
     function mintWrapped(
-        address to,
-        uint256 amount,
-        bytes32 eventId
-    ) external onlyOwner whenNotPaused nonReentrant {
+        BridgeTransfer calldata transfer,
+        bytes[] calldata signatures
+    ) external whenNotPaused nonReentrant {
+        address to = transfer.recipient;
+        uint256 amount = transfer.amount;
+        bytes32 eventId = transfer.eventId;
+
         require(to != address(0), "EthereumBridge: mint to zero address");
         require(amount > 0, "EthereumBridge: mint amount is zero");
+        require(tokenConfig[transfer.token].registered, "EthereumBridge: unknown token");
         require(!processedMints[eventId], "EthereumBridge: event already processed");
+        require(!cancelledMints[eventId], "EthereumBridge: event cancelled");
+
+        _verifyAttestations(transfer, signatures);
+        _consumeRateLimit(transfer.token, Flow.Inbound, to, amount);
 
         processedMints[eventId] = true;
 
         // Mint wrapped tokens
-        wrappedToken.mint(to, amount, eventId);
+        IWrappedToken(transfer.token).mint(to, amount, eventId);
 
-        emit TokensMinted(to, amount, eventId, block.timestamp);
+        emit TokensMinted(to, transfer.token, amount, eventId, block.timestamp);
     }
 
     /**
-     * @dev Burns wrapped tokens on Ethereum for cross-chain transfer back to BSC
+     * @dev Cancels the mint of a lock on BSC so that relayers can refund it there
+     * Callable by anyone holding a threshold of relayer signatures, also while paused
+     * Once cancelled, the event can never be minted
+     * @param cancel Lock on BSC being cancelled, as attested by relayers
+     * @param signatures Relayer signatures ordered by ascending signer address
+     */
+    function cancelMint(
+        BridgeCancel calldata cancel,
+        bytes[] calldata signatures
+    ) external nonReentrant {
+        bytes32 eventId = cancel.eventId;
+
+        require(!processedMints[eventId], "EthereumBridge: event already processed");
+        require(!cancelledMints[eventId], "EthereumBridge: event cancelled");
+
+        _verifyCancellation(cancel, signatures);
+
+        cancelledMints[eventId] = true;
+
+        emit MintCancelled(eventId, block.timestamp);
+    }
+
+    /**
+     * @dev Burns default wrapped tokens on Ethereum for cross-chain transfer back to the sender on BSC
      * Implements Command Pattern
      * @param amount Amount of tokens to burn
      * @return eventId Unique identifier for this burn event
@@ -119,9 +245,84 @@ contract EthereumBridge is Ownable, Pausable, ReentrancyGuard {
         nonReentrant 
         returns (bytes32 eventId) 
     {
-        require(amount >= minBurnAmount, "EthereumBridge: amount below minimum");
-        require(amount <= maxBurnAmount, "EthereumBridge: amount exceeds maximum");
-        require(wrappedToken.balanceOf(msg.sender) >= amount, "EthereumBridge: insufficient balance");
+        return _burn(address(wrappedToken), amount, msg.sender);
+    }
+
+    /**
+     * @dev Burns default wrapped tokens on Ethereum for cross-chain transfer to another address on BSC
+     * Implements Command Pattern
+     * @param amount Amount of tokens to burn
+     * @param recipient Address that receives unlocked tokens on BSC
+     * @return eventId Unique identifier for this burn event
+     */
+    function burnWrappedTo(uint256 amount, address recipient)
+        external
+        whenNotPaused
+        nonReentrant
+        returns (bytes32 eventId)
+    {
+        return _burn(address(wrappedToken), amount, recipient);
+    }
+
+    /**
+     * @dev Burns any supported wrapped token for cross-chain transfer to BSC
+     * Implements Command Pattern
+     * @param token Registered wrapped token to burn
+     * @param amount Amount of tokens to burn
+     * @param recipient Address that receives unlocked tokens on BSC
+     * @return eventId Unique identifier for this burn event
+     */
+    function burnToken(address token, uint256 amount, address recipient)
+        external
+        whenNotPaused
+        nonReentrant
+        returns (bytes32 eventId)
+    {
+        return _burn(token, amount, recipient);
+    }
+
+    /**
+     * @dev Burns any supported wrapped token using an EIP-2612 permit instead of a prior approval
+     * The permit covers the burn amount; only the fee is transferred under it
+     * Implements Command Pattern
+     * @param token Registered wrapped token to burn
+     * @param amount Amount of tokens to burn, which the permit must cover
+     * @param recipient Address that receives unlocked tokens on BSC
+     * @param deadline Permit deadline
+     * @param v Permit signature recovery byte
+     * @param r Permit signature r value
+     * @param s Permit signature s value
+     * @return eventId Unique identifier for this burn event
+     */
+    function burnWithPermit(
+        address token,
+        uint256 amount,
+        address recipient,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external whenNotPaused nonReentrant returns (bytes32 eventId) {
+        _usePermit(token, amount, deadline, v, r, s);
+        return _burn(token, amount, recipient);
+    }
+
+    /**
+     * @dev Burns the sender's wrapped tokens, pays the fee and emits the burn for relayers
+     * The fee is paid in wrapped tokens, which needs the sender's allowance
+     */
+    function _burn(address token, uint256 amount, address recipient) private returns (bytes32 eventId) {
+        TokenConfig storage config = tokenConfig[token];
+        require(config.enabled, "EthereumBridge: token not supported");
+        require(recipient != address(0), "EthereumBridge: recipient is zero address");
+        require(amount >= config.minAmount, "EthereumBridge: amount below minimum");
+        require(amount <= config.maxAmount, "EthereumBridge: amount exceeds maximum");
+        require(IWrappedToken(token).balanceOf(msg.sender) >= amount, "EthereumBridge: insufficient balance");
+
+        (uint256 fee, uint256 netAmount) = quoteFee(token, amount);
+        require(netAmount > 0, "EthereumBridge: amount does not cover fee");
+
+        _consumeRateLimit(token, Flow.Outbound, msg.sender, netAmount);
 
         // Generate unique event ID
         nonce++;
@@ -130,59 +331,72 @@ contract EthereumBridge is Ownable, Pausable, ReentrancyGuard {
                 block.chainid,
                 address(this),
                 msg.sender,
+                token,
+                recipient,
                 amount,
                 nonce,
                 block.timestamp
             )
         );
 
-        // Burn wrapped tokens
-        wrappedToken.burn(msg.sender, amount, eventId);
+        // Pay the fee, then burn what is bridged back
+        if (fee > 0) {
+            IERC20(token).safeTransferFrom(msg.sender, feeCollector, fee);
+        }
+        IWrappedToken(token).burn(msg.sender, netAmount, eventId);
 
-        emit TokensBurned(msg.sender, amount, nonce, eventId, block.timestamp);
+        emit TokensBurned(msg.sender, token, recipient, netAmount, fee, nonce, eventId, block.timestamp);
         
         return eventId;
     }
 
     /**
-     * @dev Updates minimum and maximum burn amounts
+     * @dev Updates minimum and maximum burn amounts of the default wrapped token
      * @param _minBurnAmount New minimum burn amount
      * @param _maxBurnAmount New maximum burn amount
      */
     function updateLimits(uint256 _minBurnAmount, uint256 _maxBurnAmount) 
         external 
-        onlyOwner 
+        onlyRole(LIMITS_ADMIN_ROLE) 
     {
         require(_minBurnAmount > 0, "EthereumBridge: min amount must be greater than 0");
         require(_maxBurnAmount > _minBurnAmount, "EthereumBridge: max must be greater than min");
         
-        minBurnAmount = _minBurnAmount;
-        maxBurnAmount = _maxBurnAmount;
+        _setTokenLimits(address(wrappedToken), _minBurnAmount, _maxBurnAmount);
         
         emit LimitsUpdated(_minBurnAmount, _maxBurnAmount);
     }
 
     /**
      * @dev Pauses all bridge operations
-     * Can only be called by the owner
+     * Can only be called by a pauser
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
     /**
      * @dev Unpauses all bridge operations
-     * Can only be called by the owner
+     * Can only be called by a pauser
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
     /**
-     * @dev Returns the total supply of wrapped tokens
+     * @dev Returns the total supply of default wrapped tokens
      * @return uint256 Wrapped token total supply
      */
     function getWrappedSupply() external view returns (uint256) {
         return wrappedToken.totalSupply();
     }
+
+    /**
+     * @dev Wrapped tokens deployed elsewhere must already name this bridge as minter
+     * @param token Token to add
+     */
+    function _validateToken(address token) internal view override {
+        require(token.code.length > 0, "EthereumBridge: token is not a contract");
+        require(IWrappedToken(token).bridge() == address(this), "EthereumBridge: token not minted by this bridge");
+    }
 }
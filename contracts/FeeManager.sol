@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./BridgeRoles.sol";
+
+/**
+ * @title FeeManager
+ * @dev Per-token bridge fee of basis points with a flat minimum, paid to a fee collector
+ * @notice The fee is taken out of the amount a sender locks or burns; the destination
+ * receives the rest. A token with neither basis points nor a minimum is free to bridge.
+ *
+ * Design Patterns Applied:
+ * - Strategy Pattern (fee schedule per token)
+ * - Template Method Pattern (bridges charge the fee from their transfer paths)
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only prices transfers and tracks where fees go
+ * - Open/Closed: Bridges decide how the fee is moved to the collector
+ */
+abstract contract FeeManager is BridgeRoles {
+    uint256 public constant MAX_FEE_BPS = 1000;
+    uint256 private constant BPS_DENOMINATOR = 10000;
+
+    struct FeeConfig {
+        uint256 feeBps;
+        uint256 minFee;
+    }
+
+    address public feeCollector;
+    mapping(address => FeeConfig) public feeConfigs;
+
+    /**
+     * @dev Emitted when the fee collector changes
+     */
+    event FeeCollectorUpdated(address indexed oldCollector, address indexed newCollector);
+
+    /**
+     * @dev Emitted when a token's fee changes
+     */
+    event FeeUpdated(address indexed token, uint256 feeBps, uint256 minFee);
+
+    /**
+     * @dev Sets the address that receives bridge fees
+     * @param newCollector Fee collector
+     */
+    function setFeeCollector(address newCollector) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newCollector != address(0), "FeeManager: collector is zero address");
+        address oldCollector = feeCollector;
+        feeCollector = newCollector;
+        emit FeeCollectorUpdated(oldCollector, newCollector);
+    }
+
+    /**
+     * @dev Sets the fee of a token
+     * @param token Token on this chain
+     * @param feeBps Fee in basis points of the amount (at most MAX_FEE_BPS)
+     * @param minFee Flat minimum fee in token units
+     */
+    function setFee(address token, uint256 feeBps, uint256 minFee) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(feeBps <= MAX_FEE_BPS, "FeeManager: fee exceeds maximum");
+        require(feeCollector != address(0) || (feeBps == 0 && minFee == 0), "FeeManager: fee collector not set");
+
+        feeConfigs[token] = FeeConfig(feeBps, minFee);
+        emit FeeUpdated(token, feeBps, minFee);
+    }
+
+    /**
+     * @dev Fee charged on an amount and what the destination receives
+     * @param token Token on this chain
+     * @param amount Amount the sender locks or burns
+     * @return fee Fee paid to the collector
+     * @return netAmount Amount delivered on the destination (0 when the fee takes it all)
+     */
+    function quoteFee(address token, uint256 amount) public view returns (uint256 fee, uint256 netAmount) {
+        FeeConfig memory config = feeConfigs[token];
+        fee = (amount * config.feeBps) / BPS_DENOMINATOR;
+        if (fee < config.minFee) {
+            fee = config.minFee;
+        }
+        netAmount = amount > fee ? amount - fee : 0;
+    }
+}
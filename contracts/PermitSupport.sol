@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+
+/**
+ * @title PermitSupport
+ * @dev EIP-2612 permits that let a sender approve and bridge in a single transaction
+ * @notice The sender signs the permit off-chain; the bridge submits it before pulling
+ * tokens. Anyone can submit a permit signature first, so a failed permit is accepted
+ * when the allowance it would have granted is already in place.
+ *
+ * Design Patterns Applied:
+ * - Template Method Pattern (bridges apply the permit before their transfer paths)
+ * - Guard Pattern (allowance check when the permit cannot be used)
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only turns permit signatures into allowances
+ * - Open/Closed: Bridges decide what amount a permit must cover
+ */
+abstract contract PermitSupport {
+    /**
+     * @dev Grants this contract an allowance of the sender's tokens from a permit signature
+     * @param token Token that implements EIP-2612
+     * @param value Allowance the permit grants
+     * @param deadline Timestamp after which the permit is invalid
+     * @param v Signature recovery byte
+     * @param r Signature r value
+     * @param s Signature s value
+     */
+    function _usePermit(
+        address token,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        try IERC20Permit(token).permit(msg.sender, address(this), value, deadline, v, r, s) {
+            return;
+        } catch {
+            require(IERC20(token).allowance(msg.sender, address(this)) >= value, "PermitSupport: permit failed");
+        }
+    }
+}
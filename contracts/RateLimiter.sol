@@ -0,0 +1,168 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./BridgeRoles.sol";
+
+/**
+ * @title RateLimiter
+ * @dev Rolling-window volume caps per token, global and per address, for each flow
+ * @notice Volume is counted in fixed windows of `period` seconds. The usage at any time is
+ * the current window's volume plus the previous window's volume weighted by how much of
+ * the previous window still overlaps the rolling period. A cap of 0 disables that cap;
+ * a period of 0 disables rate limiting for the token.
+ *
+ * Design Patterns Applied:
+ * - Sliding Window (two-window approximation of a rolling period)
+ * - Template Method Pattern (bridges consume the limit from their transfer paths)
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only tracks transfer volume against caps
+ * - Open/Closed: Bridges choose which flow and address each transfer counts against
+ */
+abstract contract RateLimiter is BridgeRoles {
+    enum Flow {
+        Outbound,
+        Inbound
+    }
+
+    struct RateLimit {
+        uint256 period;
+        uint256 globalCap;
+        uint256 perAddressCap;
+        uint256 updatedAt;
+    }
+
+    struct Window {
+        uint256 start;
+        uint256 current;
+        uint256 previous;
+    }
+
+    mapping(address => RateLimit) public rateLimits;
+    mapping(address => mapping(Flow => Window)) private globalWindows;
+    mapping(address => mapping(Flow => mapping(address => Window))) private addressWindows;
+
+    /**
+     * @dev Emitted when a token's rate limit changes
+     */
+    event RateLimitUpdated(address indexed token, uint256 period, uint256 globalCap, uint256 perAddressCap);
+
+    /**
+     * @dev Sets the rolling-window caps of a token, applied to both flows
+     * @param token Token on this chain
+     * @param period Rolling period in seconds (0 disables rate limiting)
+     * @param globalCap Maximum volume of all addresses per period (0 for no cap)
+     * @param perAddressCap Maximum volume of one address per period (0 for no cap)
+     */
+    function setRateLimit(
+        address token,
+        uint256 period,
+        uint256 globalCap,
+        uint256 perAddressCap
+    ) external onlyRole(LIMITS_ADMIN_ROLE) {
+        require(period > 0 || (globalCap == 0 && perAddressCap == 0), "RateLimiter: period must be greater than 0");
+
+        rateLimits[token] = RateLimit(period, globalCap, perAddressCap, block.timestamp);
+        emit RateLimitUpdated(token, period, globalCap, perAddressCap);
+    }
+
+    /**
+     * @dev Volume counted against the caps right now
+     * @param token Token on this chain
+     * @param flow Outbound (lock/burn) or inbound (unlock/mint)
+     * @param account Sender for outbound, recipient for inbound
+     * @return globalUsed Volume of all addresses
+     * @return accountUsed Volume of the account
+     */
+    function getWindowUsage(
+        address token,
+        Flow flow,
+        address account
+    ) external view returns (uint256 globalUsed, uint256 accountUsed) {
+        uint256 period = rateLimits[token].period;
+        if (period == 0) return (0, 0);
+
+        globalUsed = _windowUsage(globalWindows[token][flow], period);
+        accountUsed = _windowUsage(addressWindows[token][flow][account], period);
+    }
+
+    /**
+     * @dev Volume that can still move right now; type(uint256).max when uncapped
+     * @param token Token on this chain
+     * @param flow Outbound (lock/burn) or inbound (unlock/mint)
+     * @param account Sender for outbound, recipient for inbound
+     * @return globalAvailable Remaining volume for all addresses
+     * @return accountAvailable Remaining volume for the account
+     */
+    function getAvailableVolume(
+        address token,
+        Flow flow,
+        address account
+    ) external view returns (uint256 globalAvailable, uint256 accountAvailable) {
+        RateLimit memory limit = rateLimits[token];
+        globalAvailable = _available(limit.globalCap, limit.period, globalWindows[token][flow]);
+        accountAvailable = _available(limit.perAddressCap, limit.period, addressWindows[token][flow][account]);
+    }
+
+    /**
+     * @dev Counts a transfer against the caps, reverting when it exceeds either
+     * @param token Token on this chain
+     * @param flow Outbound (lock/burn) or inbound (unlock/mint)
+     * @param account Sender for outbound, recipient for inbound
+     * @param amount Transfer amount
+     */
+    function _consumeRateLimit(address token, Flow flow, address account, uint256 amount) internal {
+        RateLimit memory limit = rateLimits[token];
+        if (limit.period == 0) return;
+
+        _consume(globalWindows[token][flow], limit.period, limit.globalCap, amount, "RateLimiter: global limit exceeded");
+        _consume(
+            addressWindows[token][flow][account],
+            limit.period,
+            limit.perAddressCap,
+            amount,
+            "RateLimiter: address limit exceeded"
+        );
+    }
+
+    function _consume(
+        Window storage window,
+        uint256 period,
+        uint256 cap,
+        uint256 amount,
+        string memory error
+    ) private {
+        uint256 start = block.timestamp - (block.timestamp % period);
+        if (window.start != start) {
+            window.previous = window.start + period == start ? window.current : 0;
+            window.current = 0;
+            window.start = start;
+        }
+
+        if (cap > 0) {
+            uint256 used = (window.previous * (period - (block.timestamp - start))) / period + window.current;
+            require(used + amount <= cap, error);
+        }
+        window.current += amount;
+    }
+
+    function _windowUsage(Window storage window, uint256 period) private view returns (uint256) {
+        uint256 start = block.timestamp - (block.timestamp % period);
+        uint256 elapsed = block.timestamp - start;
+
+        if (window.start == start) {
+            return (window.previous * (period - elapsed)) / period + window.current;
+        }
+        if (window.start + period == start) {
+            return (window.current * (period - elapsed)) / period;
+        }
+        return 0;
+    }
+
+    function _available(uint256 cap, uint256 period, Window storage window) private view returns (uint256) {
+        if (cap == 0 || period == 0) return type(uint256).max;
+
+        uint256 used = _windowUsage(window, period);
+        return used >= cap ? 0 : cap - used;
+    }
+}
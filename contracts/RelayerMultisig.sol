@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./BridgeAttestation.sol";
+import "./BridgeRoles.sol";
+
+/**
+ * @title RelayerMultisig
+ * @dev On-chain relayer set and threshold check for attested transfers
+ * @notice Mints, unlocks and cancellations must carry at least `threshold` signatures from distinct
+ * relayers in the set. Signatures must be ordered by ascending signer address,
+ * which rejects duplicates without extra storage.
+ *
+ * Design Patterns Applied:
+ * - Template Method Pattern (bridges call _verifyAttestations or _verifyCancellation before executing)
+ * - Guard Pattern (threshold and relayer membership checks)
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only manages relayers and verifies attestations
+ * - Open/Closed: Bridges reuse it without changing verification rules
+ */
+abstract contract RelayerMultisig is BridgeAttestation, BridgeRoles {
+    mapping(address => bool) public isRelayer;
+    address[] private relayers;
+    uint256 public threshold;
+
+    /**
+     * @dev Emitted when a relayer is added to the set
+     */
+    event RelayerAdded(address indexed relayer);
+
+    /**
+     * @dev Emitted when a relayer is removed from the set
+     */
+    event RelayerRemoved(address indexed relayer);
+
+    /**
+     * @dev Emitted when the signature threshold changes
+     */
+    event ThresholdUpdated(uint256 threshold);
+
+    /**
+     * @dev Initializes the relayer set
+     * @param initialRelayers Relayer signing addresses
+     * @param initialThreshold Signatures required per transfer
+     */
+    constructor(address[] memory initialRelayers, uint256 initialThreshold) {
+        for (uint256 i = 0; i < initialRelayers.length; i++) {
+            _addRelayer(initialRelayers[i]);
+        }
+        _setThreshold(initialThreshold);
+    }
+
+    /**
+     * @dev Adds a relayer to the set
+     * @param relayer Relayer signing address
+     */
+    function addRelayer(address relayer) external onlyRole(RELAYER_ADMIN_ROLE) {
+        _addRelayer(relayer);
+    }
+
+    /**
+     * @dev Removes a relayer; the remaining set must still meet the threshold
+     * @param relayer Relayer signing address
+     */
+    function removeRelayer(address relayer) external onlyRole(RELAYER_ADMIN_ROLE) {
+        require(isRelayer[relayer], "RelayerMultisig: not a relayer");
+        require(relayers.length - 1 >= threshold, "RelayerMultisig: would fall below threshold");
+
+        isRelayer[relayer] = false;
+        for (uint256 i = 0; i < relayers.length; i++) {
+            if (relayers[i] == relayer) {
+                relayers[i] = relayers[relayers.length - 1];
+                relayers.pop();
+                break;
+            }
+        }
+
+        emit RelayerRemoved(relayer);
+    }
+
+    /**
+     * @dev Updates the number of signatures required per transfer
+     * @param newThreshold Signatures required, between 1 and the relayer count
+     */
+    function setThreshold(uint256 newThreshold) external onlyRole(RELAYER_ADMIN_ROLE) {
+        _setThreshold(newThreshold);
+    }
+
+    /**
+     * @dev Returns the current relayer set
+     * @return address[] Relayer signing addresses
+     */
+    function getRelayers() external view returns (address[] memory) {
+        return relayers;
+    }
+
+    /**
+     * @dev Reverts unless enough distinct relayers signed the transfer
+     * @param transfer Transfer attested by relayers
+     * @param signatures Relayer signatures ordered by ascending signer address
+     */
+    function _verifyAttestations(
+        BridgeTransfer calldata transfer,
+        bytes[] calldata signatures
+    ) internal view {
+        _verifySigners(hashBridgeTransfer(transfer), signatures);
+    }
+
+    /**
+     * @dev Reverts unless enough distinct relayers signed the cancellation
+     * @param cancel Cancellation attested by relayers
+     * @param signatures Relayer signatures ordered by ascending signer address
+     */
+    function _verifyCancellation(
+        BridgeCancel calldata cancel,
+        bytes[] calldata signatures
+    ) internal view {
+        _verifySigners(hashBridgeCancel(cancel), signatures);
+    }
+
+    function _verifySigners(bytes32 digest, bytes[] calldata signatures) private view {
+        require(signatures.length >= threshold, "RelayerMultisig: insufficient signatures");
+
+        address lastSigner = address(0);
+
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            require(isRelayer[signer], "RelayerMultisig: signer is not a relayer");
+            require(signer > lastSigner, "RelayerMultisig: duplicate or unordered signer");
+            lastSigner = signer;
+        }
+    }
+
+    function _addRelayer(address relayer) private {
+        require(relayer != address(0), "RelayerMultisig: relayer is zero address");
+        require(!isRelayer[relayer], "RelayerMultisig: already a relayer");
+
+        isRelayer[relayer] = true;
+        relayers.push(relayer);
+
+        emit RelayerAdded(relayer);
+    }
+
+    function _setThreshold(uint256 newThreshold) private {
+        require(newThreshold > 0, "RelayerMultisig: threshold is zero");
+        require(newThreshold <= relayers.length, "RelayerMultisig: threshold exceeds relayers");
+
+        threshold = newThreshold;
+
+        emit ThresholdUpdated(newThreshold);
+    }
+}
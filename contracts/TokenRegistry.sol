@@ -0,0 +1,125 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./BridgeRoles.sol";
+
+/**
+ * @title TokenRegistry
+ * @dev Per-token configuration for bridges that carry several tokens
+ * @notice Enabled tokens can be locked or burned within their own limits. Removing a
+ * token only stops new transfers; transfers relayers already attested for a
+ * registered token can still be minted or unlocked.
+ *
+ * Design Patterns Applied:
+ * - Registry Pattern (token address -> configuration)
+ * - Template Method Pattern (bridges validate tokens via _validateToken)
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only manages supported tokens and their limits
+ * - Open/Closed: Bridges add chain-specific token checks without changing the registry
+ */
+abstract contract TokenRegistry is BridgeRoles {
+    struct TokenConfig {
+        bool registered;
+        bool enabled;
+        uint256 minAmount;
+        uint256 maxAmount;
+    }
+
+    mapping(address => TokenConfig) public tokenConfig;
+    address[] private tokenList;
+
+    /**
+     * @dev Emitted when a token is enabled for bridging
+     */
+    event TokenAdded(address indexed token, uint256 minAmount, uint256 maxAmount);
+
+    /**
+     * @dev Emitted when a token stops accepting new transfers
+     */
+    event TokenRemoved(address indexed token);
+
+    /**
+     * @dev Emitted when a token's transfer limits change
+     */
+    event TokenLimitsUpdated(address indexed token, uint256 minAmount, uint256 maxAmount);
+
+    /**
+     * @dev Enables a token for bridging, or re-enables a removed one
+     * @param token Token on this chain
+     * @param minAmount Minimum amount per transfer
+     * @param maxAmount Maximum amount per transfer
+     */
+    function addToken(address token, uint256 minAmount, uint256 maxAmount) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _validateToken(token);
+        _registerToken(token, minAmount, maxAmount);
+    }
+
+    /**
+     * @dev Stops accepting new transfers of a token
+     * @param token Token on this chain
+     */
+    function removeToken(address token) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(tokenConfig[token].enabled, "TokenRegistry: token not supported");
+        tokenConfig[token].enabled = false;
+        emit TokenRemoved(token);
+    }
+
+    /**
+     * @dev Updates a token's transfer limits
+     * @param token Token on this chain
+     * @param minAmount Minimum amount per transfer
+     * @param maxAmount Maximum amount per transfer
+     */
+    function updateTokenLimits(address token, uint256 minAmount, uint256 maxAmount) external onlyRole(LIMITS_ADMIN_ROLE) {
+        require(tokenConfig[token].registered, "TokenRegistry: unknown token");
+        _setTokenLimits(token, minAmount, maxAmount);
+    }
+
+    /**
+     * @dev Returns every token ever registered, including removed ones
+     * @return address[] Registered tokens
+     */
+    function getTokens() external view returns (address[] memory) {
+        return tokenList;
+    }
+
+    /**
+     * @dev Whether a token currently accepts new transfers
+     * @param token Token on this chain
+     * @return bool True when enabled
+     */
+    function isSupportedToken(address token) public view returns (bool) {
+        return tokenConfig[token].enabled;
+    }
+
+    /**
+     * @dev Chain-specific checks before a token is added
+     * @param token Token on this chain
+     */
+    function _validateToken(address token) internal view virtual;
+
+    function _registerToken(address token, uint256 minAmount, uint256 maxAmount) internal {
+        require(token != address(0), "TokenRegistry: token is zero address");
+        require(!tokenConfig[token].enabled, "TokenRegistry: token already supported");
+
+        if (!tokenConfig[token].registered) {
+            tokenConfig[token].registered = true;
+            tokenList.push(token);
+        }
+        tokenConfig[token].enabled = true;
+        _setTokenLimits(token, minAmount, maxAmount);
+
+        emit TokenAdded(token, minAmount, maxAmount);
+    }
+
+    function _setTokenLimits(address token, uint256 minAmount, uint256 maxAmount) internal {
+        require(minAmount > 0, "TokenRegistry: min amount must be greater than 0");
+        require(maxAmount > minAmount, "TokenRegistry: max must be greater than min");
+
+        tokenConfig[token].minAmount = minAmount;
+        tokenConfig[token].maxAmount = maxAmount;
+
+        emit TokenLimitsUpdated(token, minAmount, maxAmount);
+    }
+}
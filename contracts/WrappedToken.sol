@@ -2,19 +2,23 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "./interfaces/IWrappedToken.sol";
 
 /**
  * @title WrappedToken
  * @dev Mintable/Burnable ERC20 token for Ethereum chain
- * @notice Wrapped representation of BSC token on Ethereum
+ * @notice Wrapped representation of a BSC token on Ethereum, one per bridged token.
+ * Supports EIP-2612 permits so holders can burn without a separate approval.
  * 
  * Design Patterns Applied:
  * - Proxy Pattern (wrapped token concept)
  * - Factory Pattern (mint creates new tokens)
  * - State Pattern (Pausable functionality)
+ * - Signed Approval (EIP-2612 permit via ERC20Permit)
+ * - Role-Based Access Control (admin sets the bridge, pausers pause)
  * 
  * SOLID Principles:
  * - Single Responsibility: Only handles wrapped token logic
@@ -23,7 +27,9 @@ import "./interfaces/IWrappedToken.sol";
  * - Interface Segregation: Separate mint/burn from transfer
  * - Dependency Inversion: Depends on IWrappedToken abstraction
  */
-contract WrappedToken is ERC20, Ownable, Pausable, IWrappedToken {
+contract WrappedToken is ERC20, ERC20Permit, AccessControl, Pausable, IWrappedToken {
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
     address public bridge;
     
     // Mapping to track processed events (prevent double minting)
@@ -44,15 +50,20 @@ contract WrappedToken is ERC20, Ownable, Pausable, IWrappedToken {
     }
 
     /**
-     * @dev Constructor sets initial owner and bridge address
-     * @param initialOwner Address that will own the contract
+     * @dev Constructor sets token metadata, initial admin and bridge address
+     * @param name_ Token name
+     * @param symbol_ Token symbol
+     * @param initialAdmin Address that receives the admin and pauser roles
      * @param _bridge Address of the bridge contract
      */
-    constructor(address initialOwner, address _bridge) 
-        ERC20("Wrapped Cross-Chain Bridge Token", "wCCBT") 
-        Ownable(initialOwner) 
+    constructor(string memory name_, string memory symbol_, address initialAdmin, address _bridge) 
+        ERC20(name_, symbol_) 
+        ERC20Permit(name_)
     {
+        require(initialAdmin != address(0), "WrappedToken: admin is zero address");
         require(_bridge != address(0), "WrappedToken: bridge is zero address");
+        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+        _grantRole(PAUSER_ROLE, initialAdmin);
         bridge = _bridge;
         emit BridgeUpdated(address(0), _bridge);
     }
@@ -60,9 +71,9 @@ contract WrappedToken is ERC20, Ownable, Pausable, IWrappedToken {
     /**
      * @dev Updates the bridge contract address
      * @param newBridge New bridge contract address
-     * Can only be called by owner
+     * Can only be called by the admin
      */
-    function setBridge(address newBridge) external onlyOwner {
+    function setBridge(address newBridge) external onlyRole(DEFAULT_ADMIN_ROLE) {
         require(newBridge != address(0), "WrappedToken: new bridge is zero address");
         address oldBridge = bridge;
         bridge = newBridge;
@@ -116,17 +127,17 @@ contract WrappedToken is ERC20, Ownable, Pausable, IWrappedToken {
 
     /**
      * @dev Pauses all token operations
-     * Can only be called by the owner
+     * Can only be called by a pauser
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
     /**
      * @dev Unpauses all token operations
-     * Can only be called by the owner
+     * Can only be called by a pauser
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./WrappedToken.sol";
+import "./interfaces/IWrappedTokenFactory.sol";
+
+/**
+ * @title WrappedTokenFactory
+ * @dev Deploys wrapped tokens for EthereumBridge.deployWrappedToken
+ * @notice Anyone may call it, but each token only accepts mints and burns from its caller,
+ * so a token deployed for someone else cannot be registered on a bridge.
+ *
+ * Design Patterns Applied:
+ * - Factory Pattern (wrapped token deployment)
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only deploys wrapped tokens
+ * - Dependency Inversion: Bridges depend on IWrappedTokenFactory
+ */
+contract WrappedTokenFactory is IWrappedTokenFactory {
+    /**
+     * @dev Emitted when a wrapped token is deployed
+     */
+    event WrappedTokenCreated(address indexed token, address indexed bridge, address indexed admin);
+
+    /**
+     * @dev Deploys a wrapped token minted and burned only by the caller
+     * @param name Token name
+     * @param symbol Token symbol
+     * @param admin Address that administers the new token
+     * @return token Address of the new wrapped token
+     */
+    function createWrappedToken(string calldata name, string calldata symbol, address admin)
+        external
+        override
+        returns (address token)
+    {
+        token = address(new WrappedToken(name, symbol, admin, msg.sender));
+        emit WrappedTokenCreated(token, msg.sender, admin);
+    }
+}
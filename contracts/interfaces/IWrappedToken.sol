@@ -37,4 +37,9 @@ interface IWrappedToken is IERC20 {
      * @param eventId Unique identifier for cross-chain event
      */
     function burn(address from, uint256 amount, bytes32 eventId) external;
+
+    /**
+     * @dev Returns the bridge contract allowed to mint and burn
+     */
+    function bridge() external view returns (address);
 }
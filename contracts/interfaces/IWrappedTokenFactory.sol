@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IWrappedTokenFactory
+ * @dev Interface for deploying wrapped tokens on behalf of a bridge
+ * @notice Keeps wrapped token bytecode out of the bridge contract
+ * Follows Interface Segregation Principle
+ */
+interface IWrappedTokenFactory {
+    /**
+     * @dev Deploys a wrapped token minted and burned only by the caller
+     * @param name Token name
+     * @param symbol Token symbol
+     * @param admin Address that administers the new token
+     * @return token Address of the new wrapped token
+     */
+    function createWrappedToken(string calldata name, string calldata symbol, address admin)
+        external
+        returns (address token);
+}
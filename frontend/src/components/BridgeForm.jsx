@@ -7,17 +7,118 @@
  * - Open/Closed: Can extend with new bridge directions
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
 import { useWeb3 } from '../hooks/useWeb3.jsx';
 import { useBridgeContract } from '../hooks/useBridgeContract';
 import toast from 'react-hot-toast';
 
+const API_URL =
+  import.meta.env.VITE_API_GATEWAY_URL ||
+  import.meta.env.VITE_API_ENDPOINT ||
+  'http://localhost:3001';
+// Wait for typing to settle before asking for a quote
+const QUOTE_DEBOUNCE_MS = 400;
+
 export function BridgeForm({ onBridgeSuccess }) {
-  const { isConnected, chainId, switchChain, isOnChain } = useWeb3();
-  const { lockTokens, burnTokens, isLoading } = useBridgeContract();
+  const { account, isConnected, chainId, provider, switchChain, isOnChain } = useWeb3();
+  const { lockTokens, burnTokens, getBalance, getBridgeLimits, tokens, defaultTokenId, isLoading } = useBridgeContract();
   
   const [amount, setAmount] = useState('');
+  const [tokenId, setTokenId] = useState(defaultTokenId);
+  const [tokenBalances, setTokenBalances] = useState({}); // tokenId -> balance on the source chain
+  const [limits, setLimits] = useState(null); // Limits of the selected token on the source bridge
+  const [quote, setQuote] = useState(null); // Fee and net amount from GET /quote
   const [direction, setDirection] = useState('ARB_TO_ETH'); // ARB_TO_ETH or ETH_TO_ARB
+  const [recipient, setRecipient] = useState(''); // Empty means the connected wallet
+
+  // Recipient validation - Guard Pattern
+  const recipientInput = recipient.trim();
+  const isRecipientValid = !recipientInput ||
+    (ethers.isAddress(recipientInput) && recipientInput.toLowerCase() !== ethers.ZeroAddress);
+  const isCustomRecipient = Boolean(recipientInput) && isRecipientValid &&
+    recipientInput.toLowerCase() !== account?.toLowerCase();
+
+  const sourceChainKey = direction === 'ARB_TO_ETH' ? 'ARBITRUM' : 'ETHEREUM';
+  const sourceChainName = direction === 'ARB_TO_ETH' ? 'ARBITRUM_SEPOLIA' : 'ETHEREUM_SEPOLIA';
+  const getTokenSymbol = (token) => direction === 'ARB_TO_ETH' ? token.symbol : token.wrappedSymbol;
+  const selectedToken = tokens.find(token => token.id === tokenId) || tokens[0];
+
+  // Balance of every bridgeable token on the source chain
+  useEffect(() => {
+    if (!isConnected || !account || !provider || !isOnChain(sourceChainName)) {
+      setTokenBalances({});
+      return;
+    }
+
+    let cancelled = false;
+    Promise.allSettled(tokens.map(token => getBalance(sourceChainKey, provider, token.id)))
+      .then(results => {
+        if (cancelled) return;
+        const balances = {};
+        results.forEach((result, index) => {
+          balances[tokens[index].id] = result.status === 'fulfilled' ? result.value : null;
+        });
+        setTokenBalances(balances);
+      });
+
+    return () => { cancelled = true; };
+  }, [isConnected, account, provider, chainId, sourceChainKey, sourceChainName, tokens, getBalance, isOnChain]);
+
+  // Per-transfer and rolling volume limits of the selected token
+  useEffect(() => {
+    if (!isConnected || !account || !isOnChain(sourceChainName)) {
+      setLimits(null);
+      return;
+    }
+
+    let cancelled = false;
+    getBridgeLimits(sourceChainKey, selectedToken.id)
+      .then(result => { if (!cancelled) setLimits(result); })
+      .catch(error => {
+        console.error('Failed to load bridge limits:', error);
+        if (!cancelled) setLimits(null);
+      });
+
+    return () => { cancelled = true; };
+  }, [isConnected, account, chainId, sourceChainKey, sourceChainName, selectedToken.id, getBridgeLimits, isOnChain, isLoading]);
+
+  // Fee and amount received, quoted by the API from the source bridge
+  useEffect(() => {
+    let amountWei;
+    try {
+      amountWei = amount ? ethers.parseEther(amount.toString()) : 0n;
+    } catch {
+      amountWei = 0n;
+    }
+    if (amountWei <= 0n) {
+      setQuote(null);
+      return;
+    }
+
+    let cancelled = false;
+    const routeId = direction === 'ARB_TO_ETH' ? 'arbitrum-lock' : 'ethereum-burn';
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(
+          `${API_URL}/quote?route=${routeId}&token=${encodeURIComponent(selectedToken.id)}&amount=${amountWei}`
+        );
+        const data = await response.json();
+        if (!cancelled) setQuote(response.ok ? data : null);
+      } catch (error) {
+        console.error('Failed to load fee quote:', error);
+        if (!cancelled) setQuote(null);
+      }
+    }, QUOTE_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [amount, direction, selectedToken.id]);
+
+  const formatAmount = (value) => parseFloat(ethers.formatEther(value)).toFixed(2);
+  const formatPeriod = (seconds) => seconds % 3600 === 0 ? `${seconds / 3600}h` : `${Math.round(seconds / 60)}m`;
 
   const handleDirectionChange = async (newDirection) => {
     setDirection(newDirection);
@@ -39,6 +140,12 @@ export function BridgeForm({ onBridgeSuccess }) {
       return;
     }
 
+    if (!isRecipientValid) {
+      toast.error('Please enter a valid recipient address');
+      return;
+    }
+    const to = recipientInput ? ethers.getAddress(recipientInput.toLowerCase()) : account;
+
     try {
       let result;
       const loadingToast = toast.loading('Processing bridge transaction...');
@@ -48,7 +155,7 @@ export function BridgeForm({ onBridgeSuccess }) {
           toast.error('Please switch to Arbitrum Sepolia', { id: loadingToast });
           return;
         }
-        result = await lockTokens(amount);
+        result = await lockTokens(amount, to, selectedToken.id);
         toast.success(`Tokens locked on Arbitrum! Transaction: ${result.txHash.substring(0, 10)}...`, { 
           id: loadingToast 
         });
@@ -57,7 +164,7 @@ export function BridgeForm({ onBridgeSuccess }) {
           toast.error('Please switch to Ethereum Sepolia', { id: loadingToast });
           return;
         }
-        result = await burnTokens(amount);
+        result = await burnTokens(amount, to, selectedToken.id);
         toast.success(`Tokens burned on Sepolia! Transaction: ${result.txHash.substring(0, 10)}...`, { 
           id: loadingToast 
         });
@@ -65,10 +172,11 @@ export function BridgeForm({ onBridgeSuccess }) {
 
       // Clear form
       setAmount('');
+      setRecipient('');
       
       // Notify parent
       if (onBridgeSuccess) {
-        onBridgeSuccess(result);
+        onBridgeSuccess({ ...result, tokenId: selectedToken.id });
       }
 
     } catch (error) {
@@ -140,6 +248,34 @@ export function BridgeForm({ onBridgeSuccess }) {
 
       {/* Bridge Form */}
       <form onSubmit={handleBridge} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Token
+          </label>
+          <div className="grid grid-cols-2 gap-2">
+            {tokens.map(token => (
+              <button
+                key={token.id}
+                type="button"
+                onClick={() => setTokenId(token.id)}
+                disabled={isLoading}
+                className={`p-3 border-2 rounded-lg text-left transition ${
+                  selectedToken.id === token.id
+                    ? 'border-blue-600 bg-blue-50 text-blue-900'
+                    : 'border-gray-200 text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                <div className="text-sm font-medium">{getTokenSymbol(token)}</div>
+                <div className="text-xs text-gray-500">
+                  Balance: {tokenBalances[token.id] != null
+                    ? parseFloat(tokenBalances[token.id]).toFixed(4)
+                    : '—'}
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
             Amount
@@ -156,7 +292,86 @@ export function BridgeForm({ onBridgeSuccess }) {
           />
         </div>
 
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Recipient on {getDestChain()}
+          </label>
+          <input
+            type="text"
+            value={recipient}
+            onChange={(e) => setRecipient(e.target.value)}
+            placeholder={account || '0x...'}
+            className={`w-full px-4 py-3 border rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+              isRecipientValid ? 'border-gray-300' : 'border-red-400'
+            }`}
+            disabled={isLoading || !isCorrectChain()}
+          />
+          {!isRecipientValid && (
+            <p className="mt-1 text-xs text-red-600">Enter a valid, non-zero address</p>
+          )}
+          {isCustomRecipient && (
+            <div className="mt-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <p className="text-yellow-800 text-xs">
+                Tokens will be delivered to a different address than your wallet. Double-check it:
+                transfers cannot be reversed, and exchange deposit addresses or smart-contract
+                wallets must be able to receive tokens on {getDestChain()}.
+              </p>
+            </div>
+          )}
+        </div>
+
+        {limits && (
+          <div className="p-4 bg-gray-50 rounded-lg space-y-1 text-sm">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Per transfer:</span>
+              <span className="font-medium">{formatAmount(limits.min)} – {formatAmount(limits.max)}</span>
+            </div>
+            {limits.rateLimit.globalCap !== null && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Bridge, per {formatPeriod(limits.rateLimit.periodSeconds)}:</span>
+                <span className="font-medium">
+                  {formatAmount(limits.rateLimit.globalAvailable)} of {formatAmount(limits.rateLimit.globalCap)} left
+                </span>
+              </div>
+            )}
+            {limits.rateLimit.perAddressCap !== null && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">You, per {formatPeriod(limits.rateLimit.periodSeconds)}:</span>
+                <span className="font-medium">
+                  {formatAmount(limits.rateLimit.accountAvailable)} of {formatAmount(limits.rateLimit.perAddressCap)} left
+                </span>
+              </div>
+            )}
+          </div>
+        )}
+
         <div className="p-4 bg-gray-50 rounded-lg space-y-2">
+          <div className="flex justify-between text-sm">
+            <span className="text-gray-600">Token:</span>
+            <span className="font-medium">
+              {getTokenSymbol(selectedToken)} → {direction === 'ARB_TO_ETH' ? selectedToken.wrappedSymbol : selectedToken.symbol}
+            </span>
+          </div>
+          {quote && (
+            <>
+              <div className="flex justify-between text-sm">
+                <span className="text-gray-600">Bridge fee:</span>
+                <span className="font-medium">
+                  {formatAmount(quote.fee)} {getTokenSymbol(selectedToken)}
+                  {quote.feeBps > 0 && <span className="text-gray-500"> ({quote.feeBps / 100}%)</span>}
+                </span>
+              </div>
+              <div className="flex justify-between text-sm">
+                <span className="text-gray-600">You receive:</span>
+                <span className="font-medium">
+                  {formatAmount(quote.netAmount)} {direction === 'ARB_TO_ETH' ? selectedToken.wrappedSymbol : selectedToken.symbol}
+                </span>
+              </div>
+              {!quote.bridgeable && (
+                <p className="text-xs text-red-600">The fee exceeds this amount; bridge a larger amount</p>
+              )}
+            </>
+          )}
           <div className="flex justify-between text-sm">
             <span className="text-gray-600">From:</span>
             <span className="font-medium">{getSourceChain()}</span>
@@ -174,7 +389,7 @@ export function BridgeForm({ onBridgeSuccess }) {
 
         <button
           type="submit"
-          disabled={isLoading || !isCorrectChain() || !amount}
+          disabled={isLoading || !isCorrectChain() || !amount || !isRecipientValid || quote?.bridgeable === false}
           className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-6 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
         >
           {isLoading ? 'Processing...' : 'Bridge Tokens'}
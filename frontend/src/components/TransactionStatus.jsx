@@ -8,6 +8,9 @@
  */
 
 import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { useWeb3 } from '../hooks/useWeb3.jsx';
+import { useBridgeContract } from '../hooks/useBridgeContract';
 
 const API_URL =
   import.meta.env.VITE_API_GATEWAY_URL ||
@@ -19,6 +22,28 @@ const EXPLORER_BY_CHAIN = {
   ETHEREUM: 'https://sepolia.etherscan.io',
   ETHEREUM_SEPOLIA: 'https://sepolia.etherscan.io'
 };
+// Offer a self-service claim once the executor is this late
+const CLAIM_AFTER_MS = 10 * 60 * 1000;
+const PENDING_STATUSES = ['PENDING_MINT', 'PENDING_UNLOCK'];
+
+/**
+ * Whether consensus is complete but the executor has not delivered in time
+ */
+function isClaimable(status) {
+  if (!status?.event || !PENDING_STATUSES.includes(status.event.status)) return false;
+  if (!status.consensus) return false;
+  // A transfer being refunded can no longer be minted
+  if (status.refund && status.refund.status !== 'REJECTED') return false;
+  const { missing } = status.consensus;
+  if (missing.signatures > 0 || missing.approvalOrDelay) return false;
+
+  const execution = status.execution;
+  if (execution?.status === 'FAILED') return true;
+  if (execution?.status === 'COMPLETED') return false;
+
+  const since = new Date(execution?.updatedAt || status.event.createdAt).getTime();
+  return Number.isFinite(since) && Date.now() - since > CLAIM_AFTER_MS;
+}
 
 export function TransactionStatus({ eventId: initialEventId }) {
   const [eventId, setEventId] = useState(initialEventId || '');
@@ -27,6 +52,8 @@ export function TransactionStatus({ eventId: initialEventId }) {
   const [error, setError] = useState(null);
   const [hasLoadedStoredId, setHasLoadedStoredId] = useState(false);
   const [isAutoLoading, setIsAutoLoading] = useState(false);
+  const { isConnected, switchChain, isOnChain } = useWeb3();
+  const { claimOnDestination, claimTargets, isLoading: isClaiming } = useBridgeContract();
 
   const fetchStatus = async (id) => {
     if (!id) return;
@@ -152,13 +179,52 @@ export function TransactionStatus({ eventId: initialEventId }) {
     fetchStatus(eventId);
   };
 
+  const handleClaim = async () => {
+    const claimToast = toast.loading('Fetching claim proof...');
+    try {
+      const response = await fetch(`${API_URL}/proof?eventId=${status.event.eventId}`);
+      const proof = await response.json();
+      if (!response.ok) {
+        toast.error(`${proof.error || 'Failed to fetch proof'}${proof.reason ? ` (${proof.reason})` : ''}`, { id: claimToast });
+        return;
+      }
+      if (proof.claimed) {
+        toast.success('Transfer was already executed on the destination chain', { id: claimToast });
+        fetchStatus(status.event.eventId);
+        return;
+      }
+
+      const target = claimTargets[proof.destination.chain];
+      if (target && !isOnChain(target.chain)) {
+        await switchChain(target.chain);
+        toast(`Switched to ${target.label}. Click claim again to submit.`, { id: claimToast });
+        return;
+      }
+
+      toast.loading('Submitting claim on destination...', { id: claimToast });
+      const result = await claimOnDestination(proof);
+      toast.success(`Claimed! Transaction: ${result.txHash.substring(0, 10)}...`, { id: claimToast });
+      fetchStatus(status.event.eventId);
+    } catch (err) {
+      console.error('Claim error:', err);
+      toast.error(err.message || 'Claim failed', { id: claimToast });
+    }
+  };
+
   const getStatusBadge = (statusText) => {
     const statusColors = {
       'PENDING_MINT': 'bg-yellow-100 text-yellow-800',
       'PENDING_UNLOCK': 'bg-yellow-100 text-yellow-800',
       'MINTED': 'bg-green-100 text-green-800',
       'UNLOCKED': 'bg-green-100 text-green-800',
-      'FAILED': 'bg-red-100 text-red-800'
+      'FAILED': 'bg-red-100 text-red-800',
+      'HELD': 'bg-yellow-100 text-yellow-800',
+      'ORPHANED': 'bg-red-100 text-red-800',
+      'QUARANTINED': 'bg-red-100 text-red-800',
+      'REQUESTED': 'bg-yellow-100 text-yellow-800',
+      'CANCELLED': 'bg-yellow-100 text-yellow-800',
+      'REFUNDED': 'bg-blue-100 text-blue-800',
+      'REJECTED': 'bg-gray-100 text-gray-800'
     };
     
     return statusColors[statusText] || 'bg-gray-100 text-gray-800';
@@ -211,12 +277,27 @@ export function TransactionStatus({ eventId: initialEventId }) {
               </div>
               <div className="flex justify-between">
                 <span className="text-gray-600">Amount:</span>
-                <span className="font-medium">{(parseInt(status.event.amount) / 1e18).toFixed(4)} tokens</span>
+                <span className="font-medium">{(parseInt(status.event.amount) / 1e18).toFixed(4)} {status.event.tokenId || 'tokens'}
+                  {status.event.fee && status.event.fee !== '0' && (
+                    <span className="text-gray-500"> (fee {(parseInt(status.event.fee) / 1e18).toFixed(4)})</span>
+                  )}
+                </span>
               </div>
               <div className="flex justify-between">
                 <span className="text-gray-600">From:</span>
                 <span className="font-mono text-xs">{status.event.fromAddress.substring(0, 10)}...</span>
               </div>
+              {status.event.toAddress && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">To:</span>
+                  <span className="font-mono text-xs">
+                    {status.event.toAddress.substring(0, 10)}...
+                    {status.event.toAddress.toLowerCase() !== status.event.fromAddress.toLowerCase() && (
+                      <span className="ml-1 text-yellow-700">(custom recipient)</span>
+                    )}
+                  </span>
+                </div>
+              )}
               <div className="flex justify-between">
                 <span className="text-gray-600">Transaction:</span>
                 <a 
@@ -235,9 +316,28 @@ export function TransactionStatus({ eventId: initialEventId }) {
           <div className="p-4 bg-gray-50 rounded-lg">
             <h3 className="font-semibold mb-3">Relayer Signatures</h3>
             <div className="flex items-center gap-2 mb-2">
-              <div className="text-2xl font-bold text-blue-600">{status.signatureCount}</div>
-              <div className="text-sm text-gray-600">/ 2 required</div>
+              <div className="text-2xl font-bold text-blue-600">
+                {status.consensus ? status.consensus.validSignatures : status.signatureCount}
+              </div>
+              <div className="text-sm text-gray-600">
+                / {status.consensus ? status.consensus.requiredSignatures : 2} required
+              </div>
             </div>
+
+            {status.consensus && (
+              <div className="text-xs text-gray-600 space-y-1">
+                <div>
+                  <span className="font-medium capitalize">{status.consensus.tier.id}</span> tier: {status.consensus.tier.description}
+                </div>
+                {status.consensus.missing.signatures === 0 && status.consensus.missing.approvalOrDelay && (
+                  <div className="text-yellow-700">
+                    {status.consensus.releaseAt
+                      ? `Held until ${new Date(status.consensus.releaseAt).toLocaleString()} or manual approval`
+                      : 'Waiting for manual approval'}
+                  </div>
+                )}
+              </div>
+            )}
             
             {status.signatures && status.signatures.length > 0 && (
               <div className="mt-3 space-y-1">
@@ -278,6 +378,57 @@ export function TransactionStatus({ eventId: initialEventId }) {
               </div>
             </div>
           )}
+
+          {/* Refund */}
+          {status.refund && (
+            <div className="p-4 bg-gray-50 rounded-lg">
+              <h3 className="font-semibold mb-3">Refund</h3>
+              <div className="space-y-2 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Status:</span>
+                  <span className={`px-2 py-1 rounded text-xs font-medium ${getStatusBadge(status.refund.status)}`}>
+                    {status.refund.status}
+                  </span>
+                </div>
+                {status.refund.reason && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Reason:</span>
+                    <span className="text-xs">{status.refund.reason}</span>
+                  </div>
+                )}
+                {status.refund.refundTxHash && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Refund transaction:</span>
+                    <span className="font-mono text-xs text-blue-600">
+                      {status.refund.refundTxHash.substring(0, 10)}...
+                    </span>
+                  </div>
+                )}
+                <p className="text-xs text-gray-500">
+                  Tokens return to the sender on the source chain; the bridge fee is not refunded.
+                </p>
+              </div>
+            </div>
+          )}
+
+          {/* Permissionless claim */}
+          {isClaimable(status) && (
+            <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+              <h3 className="font-semibold mb-2">Execution Delayed</h3>
+              <p className="text-sm text-gray-700 mb-3">
+                Relayers have signed this transfer but it has not been executed yet.
+                You can submit it on the destination chain yourself and pay the gas.
+              </p>
+              <button
+                type="button"
+                onClick={handleClaim}
+                disabled={!isConnected || isClaiming}
+                className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold px-6 py-2 rounded-lg transition disabled:opacity-50"
+              >
+                {isClaiming ? 'Claiming...' : isConnected ? 'Claim on destination' : 'Connect wallet to claim'}
+              </button>
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -26,6 +26,73 @@ const CONTRACTS = {
   }
 };
 
+/**
+ * Bridged token pairs: the default CCBT pair plus VITE_BRIDGE_TOKENS,
+ * a JSON array of { id, symbol, wrappedSymbol, arbitrum, ethereum }
+ * Mirrors BRIDGE_TOKENS in the backend
+ */
+function loadTokens() {
+  const tokens = [{
+    id: 'CCBT',
+    symbol: 'CCBT',
+    wrappedSymbol: 'wCCBT',
+    addresses: {
+      ARBITRUM: CONTRACTS.ARBITRUM.token,
+      ETHEREUM: CONTRACTS.ETHEREUM.wrappedToken
+    }
+  }];
+
+  let extra = [];
+  try {
+    extra = JSON.parse(import.meta.env.VITE_BRIDGE_TOKENS || '[]');
+  } catch {
+    console.warn('Ignoring VITE_BRIDGE_TOKENS that is not valid JSON');
+  }
+
+  for (const entry of Array.isArray(extra) ? extra : []) {
+    if (!entry.id || !ethers.isAddress(entry.arbitrum) || !ethers.isAddress(entry.ethereum)) continue;
+    if (tokens.some(token => token.id === entry.id)) continue;
+    tokens.push({
+      id: entry.id,
+      symbol: entry.symbol || entry.id,
+      wrappedSymbol: entry.wrappedSymbol || `w${entry.symbol || entry.id}`,
+      addresses: {
+        ARBITRUM: entry.arbitrum,
+        ETHEREUM: entry.ethereum
+      }
+    });
+  }
+
+  return tokens;
+}
+
+const TOKENS = loadTokens();
+const DEFAULT_TOKEN_ID = TOKENS[0].id;
+
+/**
+ * Reject amounts the bridge's rolling volume caps would revert
+ */
+function assertWithinRateLimit(amountWei, rateLimit) {
+  if (rateLimit.globalAvailable !== null && amountWei > rateLimit.globalAvailable) {
+    throw new Error(`Bridge volume limit reached, ${ethers.formatEther(rateLimit.globalAvailable)} left in this period`);
+  }
+  if (rateLimit.accountAvailable !== null && amountWei > rateLimit.accountAvailable) {
+    throw new Error(`Your volume limit is reached, ${ethers.formatEther(rateLimit.accountAvailable)} left in this period`);
+  }
+}
+
+/**
+ * Token contract of a pair on one side of the bridge
+ * @param {string} tokenId - Token pair id
+ * @param {string} chain - 'ARBITRUM' (source token) or 'ETHEREUM' (wrapped token)
+ */
+function getTokenAddress(tokenId, chain) {
+  const token = TOKENS.find(t => t.id === tokenId);
+  if (!token) throw new Error(`Unknown token: ${tokenId}`);
+  if (!token.addresses[chain]) throw new Error(`${tokenId} has no address configured on ${chain}`);
+  return token.addresses[chain];
+}
+
 // Minimal ABIs - only functions we need
 const TOKEN_ABI = [
   'function balanceOf(address account) view returns (uint256)',
@@ -33,22 +100,83 @@ const TOKEN_ABI = [
   'function allowance(address owner, address spender) view returns (uint256)'
 ];
 
+// EIP-2612 permit and the EIP-5267 domain description used to sign it
+const PERMIT_ABI = [
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// How long a signed permit stays valid
+const PERMIT_TTL_SECONDS = 20 * 60;
+
+const TOKEN_CONFIG_ABI =
+  'function tokenConfig(address token) view returns (bool registered, bool enabled, uint256 minAmount, uint256 maxAmount)';
+
+// RateLimiter views; flow 0 is outbound (lock/burn)
+const RATE_LIMIT_ABI = [
+  'function rateLimits(address token) view returns (uint256 period, uint256 globalCap, uint256 perAddressCap, uint256 updatedAt)',
+  'function getAvailableVolume(address token, uint8 flow, address account) view returns (uint256 globalAvailable, uint256 accountAvailable)'
+];
+const OUTBOUND_FLOW = 0;
+
 const BSC_BRIDGE_ABI = [
-  'function lockTokens(uint256 amount) returns (bytes32)',
-  'function minLockAmount() view returns (uint256)',
-  'function maxLockAmount() view returns (uint256)',
+  'function lockToken(address token, uint256 amount, address recipient) returns (bytes32)',
+  'function lockWithPermit(address token, uint256 amount, address recipient, uint256 deadline, uint8 v, bytes32 r, bytes32 s) returns (bytes32)',
+  TOKEN_CONFIG_ABI,
+  ...RATE_LIMIT_ABI,
   'function paused() view returns (bool)',
-  'event TokensLocked(address indexed from, uint256 amount, uint256 indexed nonce, bytes32 indexed eventId, uint256 timestamp)'
+  'event TokensLocked(address indexed from, address token, address recipient, uint256 amount, uint256 fee, uint256 indexed nonce, bytes32 indexed eventId, uint256 timestamp)'
 ];
 
 const ETH_BRIDGE_ABI = [
-  'function burnWrapped(uint256 amount) returns (bytes32)',
-  'function minBurnAmount() view returns (uint256)',
-  'function maxBurnAmount() view returns (uint256)',
+  'function burnToken(address token, uint256 amount, address recipient) returns (bytes32)',
+  'function burnWithPermit(address token, uint256 amount, address recipient, uint256 deadline, uint8 v, bytes32 r, bytes32 s) returns (bytes32)',
+  TOKEN_CONFIG_ABI,
+  ...RATE_LIMIT_ABI,
   'function paused() view returns (bool)',
-  'event TokensBurned(address indexed from, uint256 amount, uint256 indexed nonce, bytes32 indexed eventId, uint256 timestamp)'
+  'event TokensBurned(address indexed from, address token, address recipient, uint256 amount, uint256 fee, uint256 indexed nonce, bytes32 indexed eventId, uint256 timestamp)'
 ];
 
+// Destination-side calls for permissionless claims with a relayer signature bundle
+const BRIDGE_TRANSFER_TUPLE =
+  '(bytes32 eventId, uint256 sourceChainId, bytes32 sourceTxHash, address token, address sender, address recipient, uint256 amount, uint256 nonce)';
+
+const CLAIM_TARGETS = {
+  ethereum: {
+    chain: 'ETHEREUM_SEPOLIA',
+    label: 'Ethereum Sepolia',
+    bridge: CONTRACTS.ETHEREUM.bridge,
+    method: 'mintWrapped',
+    abi: [
+      `function mintWrapped(${BRIDGE_TRANSFER_TUPLE} transfer, bytes[] signatures)`,
+      'function processedMints(bytes32 eventId) view returns (bool)'
+    ],
+    processedMethod: 'processedMints'
+  },
+  arbitrum: {
+    chain: 'ARBITRUM_SEPOLIA',
+    label: 'Arbitrum Sepolia',
+    bridge: CONTRACTS.ARBITRUM.bridge,
+    method: 'unlockTokens',
+    abi: [
+      `function unlockTokens(${BRIDGE_TRANSFER_TUPLE} transfer, bytes[] signatures)`,
+      'function processedUnlocks(bytes32 eventId) view returns (bool)'
+    ],
+    processedMethod: 'processedUnlocks'
+  }
+};
+
 export function useBridgeContract() {
   const { account, signer, chainId, isOnChain } = useWeb3();
   const [isLoading, setIsLoading] = useState(false);
@@ -58,13 +186,11 @@ export function useBridgeContract() {
    * Get token balance
    * DRY principle - reusable balance check
    */
-  const getBalance = useCallback(async (chain, provider) => {
+  const getBalance = useCallback(async (chain, provider, tokenId = DEFAULT_TOKEN_ID) => {
     try {
       if (!account || !provider) throw new Error('Wallet not connected');
 
-      const tokenAddress = chain === 'ARBITRUM' 
-        ? CONTRACTS.ARBITRUM.token 
-        : CONTRACTS.ETHEREUM.wrappedToken;
+      const tokenAddress = getTokenAddress(tokenId, chain);
 
       const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, provider);
       const balance = await tokenContract.balanceOf(account);
@@ -79,13 +205,11 @@ export function useBridgeContract() {
    * Approve bridge to spend tokens
    * Implements Guard Pattern
    */
-  const approveToken = useCallback(async (amount, chain) => {
+  const approveToken = useCallback(async (amount, chain, tokenId = DEFAULT_TOKEN_ID) => {
     try {
       if (!signer) throw new Error('Wallet not connected');
 
-      const tokenAddress = chain === 'ARBITRUM' 
-        ? CONTRACTS.ARBITRUM.token 
-        : CONTRACTS.ETHEREUM.wrappedToken;
+      const tokenAddress = getTokenAddress(tokenId, chain);
       
       const bridgeAddress = chain === 'ARBITRUM'
         ? CONTRACTS.ARBITRUM.bridge
@@ -108,13 +232,11 @@ export function useBridgeContract() {
    * Check allowance
    * Implements validation pattern
    */
-  const checkAllowance = useCallback(async (amount, chain) => {
+  const checkAllowance = useCallback(async (amount, chain, tokenId = DEFAULT_TOKEN_ID) => {
     try {
       if (!signer) throw new Error('Wallet not connected');
 
-      const tokenAddress = chain === 'ARBITRUM' 
-        ? CONTRACTS.ARBITRUM.token 
-        : CONTRACTS.ETHEREUM.wrappedToken;
+      const tokenAddress = getTokenAddress(tokenId, chain);
       
       const bridgeAddress = chain === 'ARBITRUM'
         ? CONTRACTS.ARBITRUM.bridge
@@ -131,33 +253,111 @@ export function useBridgeContract() {
     }
   }, [signer, account]);
 
-  const getBridgeLimits = useCallback(async (chain) => {
+  /**
+   * Sign an EIP-2612 permit letting the bridge spend `amount`
+   * Returns null for tokens without permit support, or whose EIP-712 domain
+   * cannot be read (EIP-5267) and checked against DOMAIN_SEPARATOR
+   */
+  const signPermit = useCallback(async (amount, chain, tokenId = DEFAULT_TOKEN_ID) => {
     if (!signer) throw new Error('Wallet not connected');
 
-    if (chain === 'ARBITRUM') {
-      const bridge = new ethers.Contract(CONTRACTS.ARBITRUM.bridge, BSC_BRIDGE_ABI, signer);
-      const [min, max, paused] = await Promise.all([
-        bridge.minLockAmount(),
-        bridge.maxLockAmount(),
-        bridge.paused()
+    const tokenAddress = getTokenAddress(tokenId, chain);
+    const bridgeAddress = chain === 'ARBITRUM'
+      ? CONTRACTS.ARBITRUM.bridge
+      : CONTRACTS.ETHEREUM.bridge;
+    const tokenContract = new ethers.Contract(tokenAddress, PERMIT_ABI, signer);
+
+    let domain;
+    let nonce;
+    try {
+      const [eip712, separator] = await Promise.all([
+        tokenContract.eip712Domain(),
+        tokenContract.DOMAIN_SEPARATOR()
       ]);
-      return { min, max, paused, type: 'LOCK' };
+      domain = {
+        name: eip712.name,
+        version: eip712.version,
+        chainId: eip712.chainId,
+        verifyingContract: eip712.verifyingContract
+      };
+      if (ethers.TypedDataEncoder.hashDomain(domain) !== separator) return null;
+      nonce = await tokenContract.nonces(account);
+    } catch {
+      return null;
     }
 
-    const bridge = new ethers.Contract(CONTRACTS.ETHEREUM.bridge, ETH_BRIDGE_ABI, signer);
-    const [min, max, paused] = await Promise.all([
-      bridge.minBurnAmount(),
-      bridge.maxBurnAmount(),
-      bridge.paused()
+    const deadline = BigInt(Math.floor(Date.now() / 1000) + PERMIT_TTL_SECONDS);
+    const signature = ethers.Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, {
+      owner: account,
+      spender: bridgeAddress,
+      value: ethers.parseEther(amount.toString()),
+      nonce,
+      deadline
+    }));
+
+    return { deadline, v: signature.v, r: signature.r, s: signature.s };
+  }, [signer, account]);
+
+  /**
+   * Let the bridge pull `amount` of a token
+   * Returns a permit to submit with the bridge call, or null when an on-chain
+   * allowance is in place (already approved, or approved now for tokens without permit)
+   */
+  const authorizeBridge = useCallback(async (amount, chain, tokenId = DEFAULT_TOKEN_ID) => {
+    if (await checkAllowance(amount, chain, tokenId)) return null;
+
+    const permit = await signPermit(amount, chain, tokenId);
+    if (permit) return permit;
+
+    await approveToken(amount, chain, tokenId);
+    return null;
+  }, [checkAllowance, signPermit, approveToken]);
+
+  /**
+   * Per-token limits from the bridge's token registry, plus the rolling volume
+   * caps and what the connected account can still send in the current period
+   */
+  const getBridgeLimits = useCallback(async (chain, tokenId = DEFAULT_TOKEN_ID) => {
+    if (!signer) throw new Error('Wallet not connected');
+
+    const isLock = chain === 'ARBITRUM';
+    const bridge = new ethers.Contract(
+      isLock ? CONTRACTS.ARBITRUM.bridge : CONTRACTS.ETHEREUM.bridge,
+      isLock ? BSC_BRIDGE_ABI : ETH_BRIDGE_ABI,
+      signer
+    );
+    const tokenAddress = getTokenAddress(tokenId, chain);
+    const [config, paused, rateLimit, available] = await Promise.all([
+      bridge.tokenConfig(tokenAddress),
+      bridge.paused(),
+      bridge.rateLimits(tokenAddress),
+      bridge.getAvailableVolume(tokenAddress, OUTBOUND_FLOW, account)
     ]);
-    return { min, max, paused, type: 'BURN' };
-  }, [signer]);
+    const isCapped = (cap) => rateLimit.period > 0n && cap > 0n;
+    return {
+      min: config.minAmount,
+      max: config.maxAmount,
+      enabled: config.enabled,
+      paused,
+      type: isLock ? 'LOCK' : 'BURN',
+      rateLimit: {
+        periodSeconds: Number(rateLimit.period),
+        globalCap: isCapped(rateLimit.globalCap) ? rateLimit.globalCap : null,
+        perAddressCap: isCapped(rateLimit.perAddressCap) ? rateLimit.perAddressCap : null,
+        globalAvailable: isCapped(rateLimit.globalCap) ? available.globalAvailable : null,
+        accountAvailable: isCapped(rateLimit.perAddressCap) ? available.accountAvailable : null
+      }
+    };
+  }, [signer, account]);
 
   /**
-   * Lock tokens on Ethereum Sepolia (bridge to Arbitrum)
+   * Lock tokens on Arbitrum Sepolia (bridge to Ethereum)
    * Implements Command Pattern
+   * @param {string} amount - Amount in tokens
+   * @param {string} [recipient] - Destination address, defaults to the connected wallet
+   * @param {string} [tokenId] - Token pair to bridge, defaults to CCBT
    */
-  const lockTokens = useCallback(async (amount) => {
+  const lockTokens = useCallback(async (amount, recipient = account, tokenId = DEFAULT_TOKEN_ID) => {
     try {
       setIsLoading(true);
       setError(null);
@@ -165,30 +365,35 @@ export function useBridgeContract() {
       if (!isOnChain('ARBITRUM_SEPOLIA')) {
         throw new Error('Please switch to Arbitrum Sepolia');
       }
+      if (!ethers.isAddress(recipient) || recipient === ethers.ZeroAddress) {
+        throw new Error('Invalid recipient address');
+      }
 
       const amountWei = ethers.parseEther(amount.toString());
-      const { min, max, paused } = await getBridgeLimits('ARBITRUM');
+      const { min, max, paused, enabled, rateLimit } = await getBridgeLimits('ARBITRUM', tokenId);
       if (paused) {
         throw new Error('Bridge is paused. Try again later.');
       }
+      if (!enabled) {
+        throw new Error(`${tokenId} is not enabled on the bridge`);
+      }
       if (amountWei < min) {
         throw new Error(`Amount below minimum (${ethers.formatEther(min)})`);
       }
       if (amountWei > max) {
         throw new Error(`Amount exceeds maximum (${ethers.formatEther(max)})`);
       }
+      assertWithinRateLimit(amountWei, rateLimit);
 
-      const tokenContract = new ethers.Contract(CONTRACTS.ARBITRUM.token, TOKEN_ABI, signer);
+      const tokenAddress = getTokenAddress(tokenId, 'ARBITRUM');
+      const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, signer);
       const balance = await tokenContract.balanceOf(account);
       if (amountWei > balance) {
         throw new Error('Insufficient token balance');
       }
 
-      // Check and approve if necessary
-      const hasAllowance = await checkAllowance(amount, 'ARBITRUM');
-      if (!hasAllowance) {
-        await approveToken(amount, 'ARBITRUM');
-      }
+      // Sign a permit off-chain when the token supports it, otherwise approve on-chain
+      const permit = await authorizeBridge(amount, 'ARBITRUM', tokenId);
 
       // Lock tokens
       const bridgeContract = new ethers.Contract(
@@ -197,7 +402,9 @@ export function useBridgeContract() {
         signer
       );
 
-      const tx = await bridgeContract.lockTokens(amountWei);
+      const tx = permit
+        ? await bridgeContract.lockWithPermit(tokenAddress, amountWei, recipient, permit.deadline, permit.v, permit.r, permit.s)
+        : await bridgeContract.lockToken(tokenAddress, amountWei, recipient);
       const receipt = await tx.wait();
 
       // Extract eventId from logs
@@ -226,13 +433,16 @@ export function useBridgeContract() {
     } finally {
       setIsLoading(false);
     }
-  }, [signer, account, isOnChain, checkAllowance, approveToken, getBridgeLimits]);
+  }, [signer, account, isOnChain, authorizeBridge, getBridgeLimits]);
 
   /**
-   * Burn wrapped tokens on Arbitrum Sepolia (bridge to Ethereum)
+   * Burn wrapped tokens on Ethereum Sepolia (bridge to Arbitrum)
    * Implements Command Pattern
+   * @param {string} amount - Amount in tokens
+   * @param {string} [recipient] - Destination address, defaults to the connected wallet
+   * @param {string} [tokenId] - Token pair to bridge, defaults to CCBT
    */
-  const burnTokens = useCallback(async (amount) => {
+  const burnTokens = useCallback(async (amount, recipient = account, tokenId = DEFAULT_TOKEN_ID) => {
     try {
       setIsLoading(true);
       setError(null);
@@ -240,30 +450,35 @@ export function useBridgeContract() {
       if (!isOnChain('ETHEREUM_SEPOLIA')) {
         throw new Error('Please switch to Ethereum Sepolia');
       }
+      if (!ethers.isAddress(recipient) || recipient === ethers.ZeroAddress) {
+        throw new Error('Invalid recipient address');
+      }
 
       const amountWei = ethers.parseEther(amount.toString());
-      const { min, max, paused } = await getBridgeLimits('ETHEREUM');
+      const { min, max, paused, enabled, rateLimit } = await getBridgeLimits('ETHEREUM', tokenId);
       if (paused) {
         throw new Error('Bridge is paused. Try again later.');
       }
+      if (!enabled) {
+        throw new Error(`${tokenId} is not enabled on the bridge`);
+      }
       if (amountWei < min) {
         throw new Error(`Amount below minimum (${ethers.formatEther(min)})`);
       }
       if (amountWei > max) {
         throw new Error(`Amount exceeds maximum (${ethers.formatEther(max)})`);
       }
+      assertWithinRateLimit(amountWei, rateLimit);
 
-      const tokenContract = new ethers.Contract(CONTRACTS.ETHEREUM.wrappedToken, TOKEN_ABI, signer);
+      const tokenAddress = getTokenAddress(tokenId, 'ETHEREUM');
+      const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, signer);
       const balance = await tokenContract.balanceOf(account);
       if (amountWei > balance) {
         throw new Error('Insufficient token balance');
       }
 
-      // Check and approve if necessary
-      const hasAllowance = await checkAllowance(amount, 'ETHEREUM');
-      if (!hasAllowance) {
-        await approveToken(amount, 'ETHEREUM');
-      }
+      // Sign a permit off-chain when the token supports it, otherwise approve on-chain
+      const permit = await authorizeBridge(amount, 'ETHEREUM', tokenId);
 
       // Burn tokens
       const bridgeContract = new ethers.Contract(
@@ -272,7 +487,9 @@ export function useBridgeContract() {
         signer
       );
 
-      const tx = await bridgeContract.burnWrapped(amountWei);
+      const tx = permit
+        ? await bridgeContract.burnWithPermit(tokenAddress, amountWei, recipient, permit.deadline, permit.v, permit.r, permit.s)
+        : await bridgeContract.burnToken(tokenAddress, amountWei, recipient);
       const receipt = await tx.wait();
 
       // Extract eventId from logs
@@ -301,16 +518,63 @@ export function useBridgeContract() {
     } finally {
       setIsLoading(false);
     }
-  }, [signer, account, isOnChain, checkAllowance, approveToken, getBridgeLimits]);
+  }, [signer, account, isOnChain, authorizeBridge, getBridgeLimits]);
+
+  /**
+   * Submit a relayer signature bundle on the destination chain
+   * Anyone may claim; the bridge checks the signature threshold and replay
+   * @param {Object} proof - Response of GET /proof
+   */
+  const claimOnDestination = useCallback(async (proof) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const target = CLAIM_TARGETS[proof.destination.chain];
+      if (!target || target.method !== proof.method) {
+        throw new Error(`Unsupported claim: ${proof.method} on ${proof.destination.chain}`);
+      }
+      if (!target.bridge || target.bridge.toLowerCase() !== proof.destination.bridgeAddress.toLowerCase()) {
+        throw new Error('Proof targets an unexpected bridge contract');
+      }
+      if (!isOnChain(target.chain)) {
+        throw new Error(`Please switch to ${target.label}`);
+      }
+
+      const bridgeContract = new ethers.Contract(target.bridge, target.abi, signer);
+      if (await bridgeContract[target.processedMethod](proof.eventId)) {
+        throw new Error('Transfer was already executed on the destination chain');
+      }
+
+      const tx = await bridgeContract[target.method](proof.transfer, proof.signatures);
+      const receipt = await tx.wait();
+
+      return {
+        txHash: receipt.hash,
+        eventId: proof.eventId
+      };
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [signer, isOnChain]);
 
   return {
     getBalance,
     lockTokens,
     burnTokens,
+    claimOnDestination,
     approveToken,
     checkAllowance,
+    signPermit,
+    getBridgeLimits,
     isLoading,
     error,
-    contracts: CONTRACTS
+    contracts: CONTRACTS,
+    tokens: TOKENS,
+    defaultTokenId: DEFAULT_TOKEN_ID,
+    claimTargets: CLAIM_TARGETS
   };
 }
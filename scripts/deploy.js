@@ -20,6 +20,7 @@ async function main() {
     network,
     deployer: deployer.address,
     timestamp: new Date().toISOString(),
+    startBlock: await hre.ethers.provider.getBlockNumber(),
     contracts: {}
   };
 
@@ -68,21 +69,33 @@ async function deployBSCContracts(deployer, deploymentData) {
   const maxLockAmount = hre.ethers.parseEther("100000"); // 100k tokens maximum
   
   const BSCBridge = await hre.ethers.getContractFactory("BSCBridge");
+  const { relayers, threshold } = getRelayerSet(deployer);
   const bridge = await BSCBridge.deploy(
     tokenAddress,
     deployer.address,
     minLockAmount,
-    maxLockAmount
+    maxLockAmount,
+    relayers,
+    threshold
   );
   await bridge.waitForDeployment();
   const bridgeAddress = await bridge.getAddress();
   console.log(`✅ BSCBridge deployed to: ${bridgeAddress}`);
 
+  const rateLimit = await applyRateLimit(bridge, tokenAddress);
+  const fees = await applyFees(bridge, [tokenAddress]);
+  const roles = await applyRoles(bridge, BSC_BRIDGE_ROLES, deployer);
+
   deploymentData.contracts.bsc = {
     token: tokenAddress,
     bridge: bridgeAddress,
     minLockAmount: hre.ethers.formatEther(minLockAmount),
-    maxLockAmount: hre.ethers.formatEther(maxLockAmount)
+    maxLockAmount: hre.ethers.formatEther(maxLockAmount),
+    rateLimit,
+    fees,
+    relayers,
+    threshold,
+    roles
   };
 
   // Export ABIs
@@ -104,7 +117,7 @@ async function deployEthereumContracts(deployer, deploymentData) {
   // Deploy Wrapped Token
   console.log("1️⃣  Deploying WrappedToken...");
   const WrappedToken = await hre.ethers.getContractFactory("WrappedToken");
-  const wrappedToken = await WrappedToken.deploy(deployer.address, tempBridgeAddress);
+  const wrappedToken = await WrappedToken.deploy("Wrapped Cross-Chain Bridge Token", "wCCBT", deployer.address, tempBridgeAddress);
   await wrappedToken.waitForDeployment();
   const wrappedTokenAddress = await wrappedToken.getAddress();
   console.log(`✅ WrappedToken deployed to: ${wrappedTokenAddress}`);
@@ -115,11 +128,14 @@ async function deployEthereumContracts(deployer, deploymentData) {
   const maxBurnAmount = hre.ethers.parseEther("100000"); // 100k tokens maximum
   
   const EthereumBridge = await hre.ethers.getContractFactory("EthereumBridge");
+  const { relayers, threshold } = getRelayerSet(deployer);
   const bridge = await EthereumBridge.deploy(
     wrappedTokenAddress,
     deployer.address,
     minBurnAmount,
-    maxBurnAmount
+    maxBurnAmount,
+    relayers,
+    threshold
   );
   await bridge.waitForDeployment();
   const bridgeAddress = await bridge.getAddress();
@@ -131,11 +147,42 @@ async function deployEthereumContracts(deployer, deploymentData) {
   await tx.wait();
   console.log(`✅ WrappedToken bridge address updated`);
 
+  console.log("\n4️⃣  Deploying WrappedTokenFactory...");
+  const WrappedTokenFactory = await hre.ethers.getContractFactory("WrappedTokenFactory");
+  const tokenFactory = await WrappedTokenFactory.deploy();
+  await tokenFactory.waitForDeployment();
+  const tokenFactoryAddress = await tokenFactory.getAddress();
+  await (await bridge.setTokenFactory(tokenFactoryAddress)).wait();
+  console.log(`✅ WrappedTokenFactory deployed to: ${tokenFactoryAddress}`);
+
+  const extraTokens = await deployExtraWrappedTokens(bridge);
+  const rateLimit = await applyRateLimit(bridge, wrappedTokenAddress);
+  for (const extra of extraTokens) {
+    await applyRateLimit(bridge, extra.address);
+  }
+  const fees = await applyFees(bridge, [wrappedTokenAddress, ...extraTokens.map(extra => extra.address)]);
+
+  // Hand out roles last: the deployer needs them to configure the contracts above
+  const roles = await applyRoles(bridge, ETHEREUM_BRIDGE_ROLES, deployer);
+  const wrappedTokenRoles = await applyRoles(wrappedToken, WRAPPED_TOKEN_ROLES, deployer);
+  for (const extra of extraTokens) {
+    const extraToken = await hre.ethers.getContractAt("WrappedToken", extra.address);
+    extra.roles = await applyRoles(extraToken, WRAPPED_TOKEN_ROLES, deployer);
+  }
+
   deploymentData.contracts.ethereum = {
     wrappedToken: wrappedTokenAddress,
+    wrappedTokenRoles,
+    extraTokens,
+    tokenFactory: tokenFactoryAddress,
     bridge: bridgeAddress,
     minBurnAmount: hre.ethers.formatEther(minBurnAmount),
-    maxBurnAmount: hre.ethers.formatEther(maxBurnAmount)
+    maxBurnAmount: hre.ethers.formatEther(maxBurnAmount),
+    rateLimit,
+    fees,
+    relayers,
+    threshold,
+    roles
   };
 
   // Export ABIs
@@ -143,6 +190,170 @@ async function deployEthereumContracts(deployer, deploymentData) {
   await exportABI("EthereumBridge", bridge);
 }
 
+/**
+ * Additional wrapped tokens deployed through the bridge factory
+ * Reads BRIDGE_EXTRA_TOKENS, a JSON array of { name, symbol, minAmount, maxAmount }
+ * (whole tokens); pair each with its Arbitrum token in BRIDGE_TOKENS afterwards
+ */
+async function deployExtraWrappedTokens(bridge) {
+  const entries = JSON.parse(process.env.BRIDGE_EXTRA_TOKENS || "[]");
+  const deployed = [];
+
+  for (const entry of entries) {
+    const minAmount = hre.ethers.parseEther(String(entry.minAmount || "1"));
+    const maxAmount = hre.ethers.parseEther(String(entry.maxAmount || "100000"));
+    const tx = await bridge.deployWrappedToken(entry.name, entry.symbol, minAmount, maxAmount);
+    const receipt = await tx.wait();
+    const log = receipt.logs
+      .map(l => { try { return bridge.interface.parseLog(l); } catch { return null; } })
+      .find(parsed => parsed && parsed.name === "WrappedTokenDeployed");
+
+    console.log(`✅ ${entry.symbol} deployed to: ${log.args.token}`);
+    deployed.push({ symbol: entry.symbol, address: log.args.token });
+  }
+
+  return deployed;
+}
+
+/**
+ * Rolling volume caps applied to a bridged token
+ * Reads RATE_LIMIT_GLOBAL_AMOUNT and RATE_LIMIT_PER_ADDRESS_AMOUNT (whole tokens, empty for no cap)
+ * and RATE_LIMIT_PERIOD_SECONDS (default one day); skipped when neither cap is set
+ */
+async function applyRateLimit(bridge, tokenAddress) {
+  const globalCap = process.env.RATE_LIMIT_GLOBAL_AMOUNT ? hre.ethers.parseEther(process.env.RATE_LIMIT_GLOBAL_AMOUNT) : 0n;
+  const perAddressCap = process.env.RATE_LIMIT_PER_ADDRESS_AMOUNT ? hre.ethers.parseEther(process.env.RATE_LIMIT_PER_ADDRESS_AMOUNT) : 0n;
+  if (globalCap === 0n && perAddressCap === 0n) {
+    console.log("   ⚠️  No rate limit caps set, transfers are only limited per transaction");
+    return null;
+  }
+
+  const period = parseInt(process.env.RATE_LIMIT_PERIOD_SECONDS) || 86400;
+  const tx = await bridge.setRateLimit(tokenAddress, period, globalCap, perAddressCap);
+  await tx.wait();
+  console.log(`   🚦 Rate limit for ${tokenAddress}: ${hre.ethers.formatEther(globalCap)} global, ${hre.ethers.formatEther(perAddressCap)} per address every ${period}s`);
+
+  return {
+    period,
+    globalCap: hre.ethers.formatEther(globalCap),
+    perAddressCap: hre.ethers.formatEther(perAddressCap)
+  };
+}
+
+/**
+ * Bridge fee charged on lock/burn of each token, paid to the fee collector
+ * Reads FEE_COLLECTOR_ADDRESS, FEE_BPS (basis points) and FEE_MIN_AMOUNT (whole tokens);
+ * skipped when no collector is set
+ */
+async function applyFees(bridge, tokenAddresses) {
+  if (!process.env.FEE_COLLECTOR_ADDRESS) {
+    console.log("   ⚠️  FEE_COLLECTOR_ADDRESS not set, bridging is free");
+    return null;
+  }
+
+  const feeCollector = hre.ethers.getAddress(process.env.FEE_COLLECTOR_ADDRESS);
+  const feeBps = parseInt(process.env.FEE_BPS) || 0;
+  const minFee = process.env.FEE_MIN_AMOUNT ? hre.ethers.parseEther(process.env.FEE_MIN_AMOUNT) : 0n;
+
+  await (await bridge.setFeeCollector(feeCollector)).wait();
+  for (const tokenAddress of tokenAddresses) {
+    await (await bridge.setFee(tokenAddress, feeBps, minFee)).wait();
+  }
+  console.log(`   💸 Fee: ${feeBps} bps, minimum ${hre.ethers.formatEther(minFee)}, paid to ${feeCollector}`);
+
+  return {
+    feeCollector,
+    feeBps,
+    minFee: hre.ethers.formatEther(minFee)
+  };
+}
+
+/**
+ * Operational roles granted from configuration, keyed by role constant name
+ * Each reads a comma-separated address list; DEFAULT_ADMIN_ROLE reads ROLE_ADMIN_ADDRESS
+ */
+const ROLE_ENV = {
+  DEFAULT_ADMIN_ROLE: "ROLE_ADMIN_ADDRESS",
+  RELAYER_ADMIN_ROLE: "RELAYER_ADMIN_ADDRESSES",
+  PAUSER_ROLE: "PAUSER_ADDRESSES",
+  LIMITS_ADMIN_ROLE: "LIMITS_ADMIN_ADDRESSES",
+  RESCUER_ROLE: "RESCUER_ADDRESSES"
+};
+
+const BSC_BRIDGE_ROLES = ["RELAYER_ADMIN_ROLE", "PAUSER_ROLE", "LIMITS_ADMIN_ROLE", "RESCUER_ROLE", "DEFAULT_ADMIN_ROLE"];
+const ETHEREUM_BRIDGE_ROLES = ["RELAYER_ADMIN_ROLE", "PAUSER_ROLE", "LIMITS_ADMIN_ROLE", "DEFAULT_ADMIN_ROLE"];
+const WRAPPED_TOKEN_ROLES = ["PAUSER_ROLE", "DEFAULT_ADMIN_ROLE"];
+
+function getRoleHolders(roleName) {
+  return (process.env[ROLE_ENV[roleName]] || "")
+    .split(",")
+    .map(address => address.trim())
+    .filter(Boolean)
+    .map(address => hre.ethers.getAddress(address));
+}
+
+/**
+ * Grants each role to its configured holders, then has the deployer renounce it
+ * A role without configured holders stays with the deployer; the admin role is
+ * handled last so the deployer can still grant the others
+ * @returns {Object} Holders of each role, keyed by role constant name
+ */
+async function applyRoles(contract, roleNames, deployer) {
+  const contractAddress = await contract.getAddress();
+  const assigned = {};
+
+  for (const roleName of roleNames) {
+    const role = await contract[roleName]();
+    const holders = getRoleHolders(roleName);
+
+    if (holders.length === 0) {
+      if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
+        console.log(`   ⚠️  ${ROLE_ENV[roleName]} not set, deployer keeps ${roleName} on ${contractAddress}`);
+      }
+      assigned[roleName] = [deployer.address];
+      continue;
+    }
+
+    for (const holder of holders) {
+      if (!(await contract.hasRole(role, holder))) {
+        await (await contract.grantRole(role, holder)).wait();
+      }
+    }
+    if (!holders.includes(deployer.address)) {
+      await (await contract.renounceRole(role, deployer.address)).wait();
+    }
+    console.log(`   🔑 ${roleName} on ${contractAddress}: ${holders.join(", ")}`);
+    assigned[roleName] = holders;
+  }
+
+  return assigned;
+}
+
+/**
+ * Relayer set registered on the bridges for on-chain signature checks
+ * Reads RELAYER_ADDRESSES (comma-separated) and RELAYER_THRESHOLD;
+ * falls back to the deployer as a single relayer on local networks
+ */
+function getRelayerSet(deployer) {
+  const relayers = (process.env.RELAYER_ADDRESSES || "")
+    .split(",")
+    .map(address => address.trim())
+    .filter(Boolean)
+    .map(address => hre.ethers.getAddress(address));
+
+  if (relayers.length === 0) {
+    if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
+      throw new Error("RELAYER_ADDRESSES is required to deploy bridges");
+    }
+    console.log("   ⚠️  RELAYER_ADDRESSES not set, using deployer as the only relayer");
+    return { relayers: [deployer.address], threshold: 1 };
+  }
+
+  const threshold = parseInt(process.env.RELAYER_THRESHOLD) || Math.floor(relayers.length / 2) + 1;
+  console.log(`   🔐 Relayer set: ${relayers.length} relayers, threshold ${threshold}`);
+  return { relayers, threshold };
+}
+
 /**
  * Export contract ABI for backend/frontend usage
  * Follows Single Responsibility Principle
@@ -0,0 +1,142 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Role verification script
+ * Prints the current holders of every role on the contracts of a deployment and
+ * flags any difference from the holders recorded by scripts/deploy.js
+ *
+ * Usage:
+ *   npx hardhat run scripts/verifyRoles.js --network sepolia
+ *
+ * AccessControl does not enumerate holders, so every account found in RoleGranted logs
+ * since the deployment's startBlock (ROLES_FROM_BLOCK overrides it) is checked with hasRole.
+ *
+ * Single Responsibility: Only reads and reports role holders
+ */
+
+const BSC_BRIDGE_ROLES = ["DEFAULT_ADMIN_ROLE", "RELAYER_ADMIN_ROLE", "PAUSER_ROLE", "LIMITS_ADMIN_ROLE", "RESCUER_ROLE"];
+const ETHEREUM_BRIDGE_ROLES = ["DEFAULT_ADMIN_ROLE", "RELAYER_ADMIN_ROLE", "PAUSER_ROLE", "LIMITS_ADMIN_ROLE"];
+const WRAPPED_TOKEN_ROLES = ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE"];
+const LOG_CHUNK_BLOCKS = 50000;
+
+async function main() {
+  const network = hre.network.name;
+  const deploymentPath = path.join(__dirname, "../deployments", `${network}.json`);
+  if (!fs.existsSync(deploymentPath)) {
+    throw new Error(`No deployment found at deployments/${network}.json`);
+  }
+
+  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const fromBlock = parseInt(process.env.ROLES_FROM_BLOCK || deployment.startBlock || 0);
+  const { bsc, ethereum } = deployment.contracts;
+
+  console.log(`\n🔍 Role holders on ${network} (deployed ${deployment.timestamp})`);
+
+  const targets = [];
+  if (bsc) {
+    targets.push({ label: "BSCBridge", name: "BSCBridge", address: bsc.bridge, roleNames: BSC_BRIDGE_ROLES, recorded: bsc.roles });
+  }
+  if (ethereum) {
+    targets.push({ label: "EthereumBridge", name: "EthereumBridge", address: ethereum.bridge, roleNames: ETHEREUM_BRIDGE_ROLES, recorded: ethereum.roles });
+    targets.push({ label: "WrappedToken", name: "WrappedToken", address: ethereum.wrappedToken, roleNames: WRAPPED_TOKEN_ROLES, recorded: ethereum.wrappedTokenRoles });
+    for (const extra of ethereum.extraTokens || []) {
+      targets.push({ label: `WrappedToken ${extra.symbol}`, name: "WrappedToken", address: extra.address, roleNames: WRAPPED_TOKEN_ROLES, recorded: extra.roles });
+    }
+  }
+
+  let mismatches = 0;
+  for (const target of targets) {
+    mismatches += await printRoles(target, fromBlock);
+  }
+
+  if (mismatches > 0) {
+    console.log(`\n❌ ${mismatches} role(s) differ from the deployment record`);
+    process.exitCode = 1;
+  } else {
+    console.log("\n✅ Role holders match the deployment record");
+  }
+}
+
+/**
+ * Print the holders of each role on one contract
+ * @returns {number} Roles whose holders differ from the recorded ones
+ */
+async function printRoles({ label, name, address, roleNames, recorded }, fromBlock) {
+  const contract = await hre.ethers.getContractAt(name, address);
+  console.log(`\n📄 ${label} (${address})`);
+
+  if ((await hre.ethers.provider.getCode(address)) === "0x") {
+    console.log("   ⚠️  No contract at this address");
+    return 1;
+  }
+
+  const candidates = await getRoleCandidates(contract, fromBlock);
+  let mismatches = 0;
+
+  for (const roleName of roleNames) {
+    let role;
+    try {
+      role = await contract[roleName]();
+    } catch {
+      // Deployed before role-based access control
+      console.log(`   ${roleName}: not supported`);
+      mismatches++;
+      continue;
+    }
+
+    const holders = [];
+    for (const account of candidates.get(role) || []) {
+      if (await contract.hasRole(role, account)) {
+        holders.push(account);
+      }
+    }
+
+    const expected = recorded?.[roleName];
+    const matches = !expected || sameMembers(holders, expected);
+    if (!matches) {
+      mismatches++;
+    }
+
+    const marker = matches ? "" : `   ⚠️  recorded: ${expected.join(", ")}`;
+    console.log(`   ${roleName}: ${holders.length ? holders.join(", ") : "(none)"}${marker}`);
+  }
+
+  return mismatches;
+}
+
+/**
+ * Accounts ever granted each role, from RoleGranted logs
+ * @returns {Map<string, Set<string>>} Role hash -> accounts
+ */
+async function getRoleCandidates(contract, fromBlock) {
+  const latest = await hre.ethers.provider.getBlockNumber();
+  const candidates = new Map();
+
+  for (let start = fromBlock; start <= latest; start += LOG_CHUNK_BLOCKS) {
+    const end = Math.min(start + LOG_CHUNK_BLOCKS - 1, latest);
+    const events = await contract.queryFilter(contract.filters.RoleGranted(), start, end);
+    for (const event of events) {
+      const { role, account } = event.args;
+      if (!candidates.has(role)) {
+        candidates.set(role, new Set());
+      }
+      candidates.get(role).add(account);
+    }
+  }
+
+  return candidates;
+}
+
+function sameMembers(a, b) {
+  const normalized = new Set(b.map(address => address.toLowerCase()));
+  return a.length === normalized.size && a.every(address => normalized.has(address.toLowerCase()));
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("\n❌ Role verification failed:", error.message);
+    process.exit(1);
+  });
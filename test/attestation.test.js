@@ -0,0 +1,93 @@
+/**
+ * Bridge Attestation Tests
+ * Checks the backend EIP-712 typed data against BridgeAttestation on both bridges
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { buildBridgeTransfer } = require("../backend/src/shared/utils/bridgeTypedData");
+
+describe("BridgeAttestation", function () {
+  let owner;
+  let relayer;
+  let other;
+  let bscBridge;
+  let ethBridge;
+
+  const eventData = {
+    eventId: ethers.id("event-1"),
+    txHash: ethers.id("tx-1"),
+    fromAddress: "0x1111111111111111111111111111111111111111",
+    toAddress: "0x2222222222222222222222222222222222222222",
+    destinationToken: "0x3333333333333333333333333333333333333333",
+    amount: ethers.parseEther("10").toString(),
+    nonce: "7"
+  };
+  const SOURCE_CHAIN_ID = 421614n;
+
+  function toTransfer(message) {
+    return {
+      eventId: message.eventId,
+      sourceChainId: message.sourceChainId,
+      sourceTxHash: message.sourceTxHash,
+      token: message.token,
+      sender: message.sender,
+      recipient: message.recipient,
+      amount: message.amount,
+      nonce: message.nonce
+    };
+  }
+
+  async function typedDataFor(bridge) {
+    const { chainId } = await ethers.provider.getNetwork();
+    return buildBridgeTransfer(eventData, {
+      sourceChainId: SOURCE_CHAIN_ID,
+      destinationChainId: chainId,
+      verifyingContract: await bridge.getAddress()
+    });
+  }
+
+  beforeEach(async function () {
+    [owner, relayer, other] = await ethers.getSigners();
+
+    const BEP20Token = await ethers.getContractFactory("BEP20Token");
+    const token = await BEP20Token.deploy(owner.address);
+    const BSCBridge = await ethers.getContractFactory("BSCBridge");
+    bscBridge = await BSCBridge.deploy(await token.getAddress(), owner.address, 1n, ethers.parseEther("100000"), [relayer.address], 1);
+
+    const WrappedToken = await ethers.getContractFactory("WrappedToken");
+    const wrapped = await WrappedToken.deploy("Wrapped Cross-Chain Bridge Token", "wCCBT", owner.address, owner.address);
+    const EthereumBridge = await ethers.getContractFactory("EthereumBridge");
+    ethBridge = await EthereumBridge.deploy(await wrapped.getAddress(), owner.address, 1n, ethers.parseEther("100000"), [relayer.address], 1);
+  });
+
+  it("Should compute the same digest as the backend", async function () {
+    for (const bridge of [bscBridge, ethBridge]) {
+      const { domain, types, message } = await typedDataFor(bridge);
+      const digest = ethers.TypedDataEncoder.hash(domain, types, message);
+      expect(await bridge.hashBridgeTransfer(toTransfer(message))).to.equal(digest);
+    }
+  });
+
+  it("Should recover the relayer that signed the typed data", async function () {
+    const { domain, types, message } = await typedDataFor(ethBridge);
+    const signature = await relayer.signTypedData(domain, types, message);
+
+    expect(await ethBridge.recoverAttester(toTransfer(message), signature)).to.equal(relayer.address);
+  });
+
+  it("Should not recover the relayer when the transfer is altered", async function () {
+    const { domain, types, message } = await typedDataFor(ethBridge);
+    const signature = await relayer.signTypedData(domain, types, message);
+
+    const altered = { ...toTransfer(message), recipient: other.address };
+    expect(await ethBridge.recoverAttester(altered, signature)).to.not.equal(relayer.address);
+  });
+
+  it("Should bind signatures to the destination bridge", async function () {
+    const { domain, types, message } = await typedDataFor(ethBridge);
+    const signature = await relayer.signTypedData(domain, types, message);
+
+    expect(await bscBridge.recoverAttester(toTransfer(message), signature)).to.not.equal(relayer.address);
+  });
+});
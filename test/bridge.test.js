@@ -5,17 +5,21 @@
 
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { buildBridgeTransfer } = require("../backend/src/shared/utils/bridgeTypedData");
 
 describe("BSCBridge", function () {
   let token;
   let bridge;
   let owner;
   let user;
+  let relayers;
   const MIN_LOCK = ethers.parseEther("1");
   const MAX_LOCK = ethers.parseEther("100000");
 
   beforeEach(async function () {
-    [owner, user] = await ethers.getSigners();
+    let relayer1, relayer2, relayer3;
+    [owner, user, relayer1, relayer2, relayer3] = await ethers.getSigners();
+    relayers = [relayer1, relayer2, relayer3];
 
     // Deploy token
     const BEP20Token = await ethers.getContractFactory("BEP20Token");
@@ -28,7 +32,9 @@ describe("BSCBridge", function () {
       await token.getAddress(),
       owner.address,
       MIN_LOCK,
-      MAX_LOCK
+      MAX_LOCK,
+      relayers.map(r => r.address),
+      2
     );
     await bridge.waitForDeployment();
 
@@ -36,6 +42,28 @@ describe("BSCBridge", function () {
     await token.transfer(user.address, ethers.parseEther("1000"));
   });
 
+  // Relayer attestation of a burn on Ethereum, signatures ordered by signer address
+  async function attestUnlock(eventId, amount, signers) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const { domain, types, message } = buildBridgeTransfer({
+      eventId,
+      txHash: ethers.id(`burn-${eventId}`),
+      fromAddress: user.address,
+      toAddress: user.address,
+      destinationToken: await token.getAddress(),
+      amount: amount.toString(),
+      nonce: "1"
+    }, {
+      sourceChainId: 11155111n,
+      destinationChainId: chainId,
+      verifyingContract: await bridge.getAddress()
+    });
+
+    const ordered = [...signers].sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1));
+    const signatures = await Promise.all(ordered.map(s => s.signTypedData(domain, types, message)));
+    return { transfer: message, signatures };
+  }
+
   describe("Deployment", function () {
     it("Should set correct parameters", async function () {
       expect(await bridge.minLockAmount()).to.equal(MIN_LOCK);
@@ -94,7 +122,7 @@ describe("BSCBridge", function () {
   });
 
   describe("Unlock Tokens", function () {
-    it("Should allow owner to unlock tokens", async function () {
+    it("Should unlock tokens with a threshold of relayer signatures", async function () {
       const amount = ethers.parseEther("10");
       
       // First lock some tokens
@@ -115,8 +143,9 @@ describe("BSCBridge", function () {
       const eventId = parsedLog.args.eventId;
       
       // Unlock tokens (simulate cross-chain unlock)
+      const { transfer, signatures } = await attestUnlock(eventId, amount, relayers.slice(0, 2));
       await expect(
-        bridge.unlockTokens(user.address, amount, eventId)
+        bridge.connect(user).unlockTokens(transfer, signatures)
       ).to.emit(bridge, "TokensUnlocked");
     });
 
@@ -140,21 +169,24 @@ describe("BSCBridge", function () {
       const eventId = parsedLog.args.eventId;
       
       // First unlock
-      await bridge.unlockTokens(user.address, amount, eventId);
+      const { transfer, signatures } = await attestUnlock(eventId, amount, relayers.slice(0, 2));
+      await bridge.unlockTokens(transfer, signatures);
       
       // Second unlock should fail
       await expect(
-        bridge.unlockTokens(user.address, amount, eventId)
+        bridge.unlockTokens(transfer, signatures)
       ).to.be.revertedWith("BSCBridge: event already processed");
     });
 
-    it("Should only allow owner to unlock", async function () {
+    it("Should reject unlocks below the signature threshold", async function () {
       const amount = ethers.parseEther("10");
+      await token.transfer(await bridge.getAddress(), amount);
       const fakeEventId = ethers.keccak256(ethers.toUtf8Bytes("fake"));
       
+      const { transfer, signatures } = await attestUnlock(fakeEventId, amount, relayers.slice(0, 1));
       await expect(
-        bridge.connect(user).unlockTokens(user.address, amount, fakeEventId)
-      ).to.be.reverted;
+        bridge.connect(user).unlockTokens(transfer, signatures)
+      ).to.be.revertedWith("RelayerMultisig: insufficient signatures");
     });
   });
 
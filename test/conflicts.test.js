@@ -0,0 +1,103 @@
+/**
+ * Conflicting Attestation Tests
+ * Signatures grouped by signed digest; attributable equivocation is reported
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { SIGNATURE_VERSION } = require("../backend/src/shared/utils/bridgeTypedData");
+
+describe("Conflicting attestations", function () {
+  const ENV_KEYS = ["ETHEREUM_SEPOLIA_BRIDGE_ADDRESS", "ARBITRUM_SEPOLIA_BRIDGE_ADDRESS"];
+  let savedEnv;
+  let conflictDetector;
+  let signingService;
+  let registry;
+  let relayers;
+  let eventData;
+
+  before(function () {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    process.env.ETHEREUM_SEPOLIA_BRIDGE_ADDRESS = "0x" + "ab".repeat(20);
+    process.env.ARBITRUM_SEPOLIA_BRIDGE_ADDRESS = "0x" + "cd".repeat(20);
+
+    conflictDetector = require("../backend/src/functions/validator/conflicts");
+    signingService = require("../backend/src/shared/services/signingService");
+
+    const { RegistrySnapshot } = require("../backend/src/shared/services/relayerRegistry");
+    relayers = [1, 2, 3].map(() => ethers.Wallet.createRandom());
+    const members = relayers.map((wallet, i) => ({ relayerId: String(i + 1), address: wallet.address }));
+    registry = new RegistrySnapshot({
+      source: "dynamodb",
+      epochs: [{ epoch: 0, threshold: 2, members }],
+      keys: members.map(m => ({ ...m, status: "active", joinedEpoch: 0 }))
+    });
+  });
+
+  after(function () {
+    ENV_KEYS.forEach(key => {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+  });
+
+  beforeEach(function () {
+    eventData = {
+      eventId: ethers.id("event-1"),
+      chain: "ARBITRUM",
+      txHash: ethers.id("tx-1"),
+      fromAddress: relayers[0].address,
+      toAddress: relayers[0].address,
+      destinationToken: "0x3333333333333333333333333333333333333333",
+      amount: ethers.parseEther("5").toString(),
+      nonce: "1"
+    };
+  });
+
+  async function attest(wallet, relayerId, data) {
+    const { domain, types, message } = signingService.buildTypedData(data);
+    return {
+      relayerId,
+      signature: await wallet.signTypedData(domain, types, message),
+      messageHash: ethers.TypedDataEncoder.hash(domain, types, message),
+      signatureVersion: SIGNATURE_VERSION,
+      epoch: 0
+    };
+  }
+
+  it("Should find no conflict when every relayer signed the stored event", async function () {
+    const signatures = [await attest(relayers[0], "1", eventData), await attest(relayers[1], "2", eventData)];
+
+    const result = conflictDetector.detectConflicts(eventData, signatures, registry);
+    expect(result.hasConflict).to.equal(false);
+    expect(result.groups).to.have.length(1);
+    expect(result.groups[0].relayerIds).to.deep.equal(["1", "2"]);
+  });
+
+  it("Should name the relayer that signed different data", async function () {
+    const tampered = { ...eventData, amount: ethers.parseEther("500").toString() };
+    const signatures = [await attest(relayers[0], "1", eventData), await attest(relayers[1], "2", tampered)];
+
+    const result = conflictDetector.detectConflicts(eventData, signatures, registry);
+    expect(result.hasConflict).to.equal(true);
+    expect(result.groups).to.have.length(2);
+    expect(result.offenders).to.have.length(1);
+    expect(result.offenders[0]).to.include({ relayerId: "2", recoveredAddress: relayers[1].address });
+    expect(result.offenders[0].expectedHash).to.equal(signingService.createEventHash(eventData).toLowerCase());
+  });
+
+  it("Should not blame a relayer for a signature it did not make", async function () {
+    const tampered = { ...eventData, amount: ethers.parseEther("500").toString() };
+    const forged = await attest(ethers.Wallet.createRandom(), "3", tampered);
+
+    const result = conflictDetector.detectConflicts(eventData, [forged], registry);
+    expect(result.hasConflict).to.equal(false);
+  });
+
+  it("Should skip signatures stored without a digest", async function () {
+    const legacy = await attest(relayers[2], "3", { ...eventData, nonce: "2" });
+    delete legacy.messageHash;
+
+    expect(conflictDetector.detectConflicts(eventData, [legacy], registry).hasConflict).to.equal(false);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Bridge Fee Tests
+ * Fees charged on lock/burn, the net amounts in events and the backend quote
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const routeConfig = require("../backend/src/shared/config/routes");
+
+describe("Bridge fees", function () {
+  const tokens = (value) => ethers.parseEther(String(value));
+
+  let owner;
+  let user;
+  let relayer;
+  let collector;
+  let token;
+  let lockBridge;
+  let wrapped;
+  let mintBridge;
+
+  beforeEach(async function () {
+    [owner, user, relayer, collector] = await ethers.getSigners();
+
+    const BEP20Token = await ethers.getContractFactory("BEP20Token");
+    token = await BEP20Token.deploy(owner.address);
+    const BSCBridge = await ethers.getContractFactory("BSCBridge");
+    lockBridge = await BSCBridge.deploy(await token.getAddress(), owner.address, 1n, tokens(100000), [relayer.address], 1);
+
+    const WrappedToken = await ethers.getContractFactory("WrappedToken");
+    wrapped = await WrappedToken.deploy("Wrapped Cross-Chain Bridge Token", "wCCBT", owner.address, owner.address);
+    const EthereumBridge = await ethers.getContractFactory("EthereumBridge");
+    mintBridge = await EthereumBridge.deploy(await wrapped.getAddress(), owner.address, 1n, tokens(100000), [relayer.address], 1);
+
+    await token.transfer(user.address, tokens(1000));
+    await token.connect(user).approve(await lockBridge.getAddress(), ethers.MaxUint256);
+  });
+
+  function findEvent(bridge, receipt, name) {
+    return receipt.logs
+      .map(l => { try { return bridge.interface.parseLog(l); } catch { return null; } })
+      .find(parsed => parsed && parsed.name === name);
+  }
+
+  it("Should quote basis points with a flat minimum", async function () {
+    const tokenAddress = await token.getAddress();
+    await expect(lockBridge.setFee(tokenAddress, 30, tokens(1)))
+      .to.be.revertedWith("FeeManager: fee collector not set");
+
+    await lockBridge.setFeeCollector(collector.address);
+    await expect(lockBridge.setFee(tokenAddress, 1001, 0))
+      .to.be.revertedWith("FeeManager: fee exceeds maximum");
+    await expect(lockBridge.setFee(tokenAddress, 30, tokens(1)))
+      .to.emit(lockBridge, "FeeUpdated")
+      .withArgs(tokenAddress, 30, tokens(1));
+
+    // 0.3% of 1000 is above the minimum, 0.3% of 100 is not
+    expect(await lockBridge.quoteFee(tokenAddress, tokens(1000))).to.deep.equal([tokens(3), tokens(997)]);
+    expect(await lockBridge.quoteFee(tokenAddress, tokens(100))).to.deep.equal([tokens(1), tokens(99)]);
+    expect(await lockBridge.quoteFee(tokenAddress, tokens("0.5"))).to.deep.equal([tokens(1), 0n]);
+  });
+
+  it("Should pay the lock fee to the collector and emit the net amount", async function () {
+    const tokenAddress = await token.getAddress();
+    await lockBridge.setFeeCollector(collector.address);
+    await lockBridge.setFee(tokenAddress, 100, 0);
+
+    const receipt = await (await lockBridge.connect(user).lockTokens(tokens(200))).wait();
+    const locked = findEvent(lockBridge, receipt, "TokensLocked");
+
+    expect(locked.args.amount).to.equal(tokens(198));
+    expect(locked.args.fee).to.equal(tokens(2));
+    expect(await token.balanceOf(collector.address)).to.equal(tokens(2));
+    expect(await lockBridge.getLockedBalance()).to.equal(tokens(198));
+    expect(await token.balanceOf(user.address)).to.equal(tokens(800));
+
+    const mapped = routeConfig.mapEventArgs(routeConfig.getRoute("arbitrum-lock"), locked.args);
+    expect(mapped.amount).to.equal(tokens(198).toString());
+    expect(mapped.fee).to.equal(tokens(2).toString());
+  });
+
+  it("Should refuse transfers the fee would consume", async function () {
+    await lockBridge.setFeeCollector(collector.address);
+    await lockBridge.setFee(await token.getAddress(), 0, tokens(5));
+
+    await expect(lockBridge.connect(user).lockTokens(tokens(5)))
+      .to.be.revertedWith("BSCBridge: amount does not cover fee");
+  });
+
+  it("Should take the burn fee in wrapped tokens and burn only the net amount", async function () {
+    // Mint directly while the owner stands in for the bridge, then hand minting to the bridge
+    const wrappedAddress = await wrapped.getAddress();
+    await wrapped.mint(user.address, tokens(100), ethers.id("seed"));
+    await wrapped.setBridge(await mintBridge.getAddress());
+
+    await mintBridge.setFeeCollector(collector.address);
+    await mintBridge.setFee(wrappedAddress, 50, 0);
+
+    await expect(mintBridge.connect(user).burnWrapped(tokens(100))).to.be.reverted;
+
+    await wrapped.connect(user).approve(await mintBridge.getAddress(), tokens("0.5"));
+    const receipt = await (await mintBridge.connect(user).burnWrapped(tokens(100))).wait();
+    const burned = findEvent(mintBridge, receipt, "TokensBurned");
+
+    expect(burned.args.amount).to.equal(tokens("99.5"));
+    expect(burned.args.fee).to.equal(tokens("0.5"));
+    expect(await wrapped.balanceOf(collector.address)).to.equal(tokens("0.5"));
+    expect(await wrapped.balanceOf(user.address)).to.equal(0n);
+    expect(await wrapped.totalSupply()).to.equal(tokens("0.5"));
+  });
+
+  describe("Backend fees", function () {
+    let feeService;
+    let quoteHandler;
+    let dynamoService;
+    let web3Service;
+    let saved;
+
+    before(function () {
+      feeService = require("../backend/src/shared/services/feeService");
+      quoteHandler = require("../backend/src/functions/api/quote");
+      dynamoService = require("../backend/src/shared/services/dynamoService");
+      web3Service = require("../backend/src/shared/services/web3Service");
+      saved = { getTransferVolume: dynamoService.getTransferVolume, getContract: web3Service.getContract };
+    });
+
+    after(function () {
+      dynamoService.getTransferVolume = saved.getTransferVolume;
+      web3Service.getContract = saved.getContract;
+    });
+
+    beforeEach(async function () {
+      web3Service.getContract = (chainKey) => (chainKey === "arbitrum" ? lockBridge : mintBridge);
+      await lockBridge.setFeeCollector(collector.address);
+      await lockBridge.setFee(await token.getAddress(), 25, tokens(1));
+    });
+
+    it("Should quote what the source bridge will charge", async function () {
+      const route = routeConfig.getRoute("arbitrum-lock");
+      const pair = { id: "CCBT", addresses: { arbitrum: await token.getAddress(), ethereum: await wrapped.getAddress() } };
+
+      const quote = await feeService.quote(route, pair, tokens(1000));
+      expect(quote).to.include({
+        routeId: "arbitrum-lock",
+        amount: tokens(1000).toString(),
+        fee: tokens("2.5").toString(),
+        netAmount: tokens("997.5").toString(),
+        bridgeable: true,
+        feeBps: 25,
+        minFee: tokens(1).toString(),
+        feeCollector: collector.address
+      });
+      expect((await feeService.quote(route, pair, tokens(1))).bridgeable).to.equal(false);
+    });
+
+    it("Should reject malformed quote requests", async function () {
+      expect((await quoteHandler.getQuote({ route: "nowhere", amount: "1" })).statusCode).to.equal(400);
+      expect((await quoteHandler.getQuote({ route: "arbitrum-lock", token: "NOPE", amount: "1" })).body.error)
+        .to.equal("Unknown token");
+      expect((await quoteHandler.getQuote({ route: "arbitrum-lock", amount: "1.5" })).body.error)
+        .to.equal("amount must be a positive integer in wei");
+    });
+
+    it("Should sum fees collected over the reporting period", async function () {
+      const now = 1_700_000_000;
+      dynamoService.getTransferVolume = async (tokenRoute, address, from, to) => {
+        expect(address).to.equal(null);
+        expect(to - from).to.equal(24 * 60 * 60);
+        return [
+          { amount: tokens(99).toString(), fee: tokens(1).toString() },
+          { amount: tokens(50).toString() }
+        ];
+      };
+
+      expect(await feeService.getCollectedFees("arbitrum-lock:CCBT", now)).to.deep.equal({
+        periodSeconds: 24 * 60 * 60,
+        transfers: 2,
+        netVolume: tokens(149).toString(),
+        feesCollected: tokens(1).toString()
+      });
+    });
+  });
+});
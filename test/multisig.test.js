@@ -0,0 +1,163 @@
+/**
+ * Relayer Multisig Tests
+ * On-chain threshold verification of relayer signatures for mintWrapped
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { buildBridgeTransfer } = require("../backend/src/shared/utils/bridgeTypedData");
+
+describe("RelayerMultisig", function () {
+  let owner;
+  let user;
+  let relayers;
+  let outsider;
+  let wrapped;
+  let bridge;
+  const AMOUNT = ethers.parseEther("10");
+
+  function byAddress(a, b) {
+    return BigInt(a.address) < BigInt(b.address) ? -1 : 1;
+  }
+
+  async function typedData(eventId) {
+    const { chainId } = await ethers.provider.getNetwork();
+    return buildBridgeTransfer({
+      eventId,
+      txHash: ethers.id(`lock-${eventId}`),
+      fromAddress: user.address,
+      toAddress: user.address,
+      destinationToken: await wrapped.getAddress(),
+      amount: AMOUNT.toString(),
+      nonce: "1"
+    }, {
+      sourceChainId: 421614n,
+      destinationChainId: chainId,
+      verifyingContract: await bridge.getAddress()
+    });
+  }
+
+  async function sign(signers, eventId = ethers.id("event-1")) {
+    const { domain, types, message } = await typedData(eventId);
+    const signatures = [];
+    for (const signer of signers) {
+      signatures.push(await signer.signTypedData(domain, types, message));
+    }
+    return { transfer: message, signatures };
+  }
+
+  beforeEach(async function () {
+    let relayer1, relayer2, relayer3;
+    [owner, user, relayer1, relayer2, relayer3, outsider] = await ethers.getSigners();
+    relayers = [relayer1, relayer2, relayer3].sort(byAddress);
+
+    const WrappedToken = await ethers.getContractFactory("WrappedToken");
+    wrapped = await WrappedToken.deploy("Wrapped Cross-Chain Bridge Token", "wCCBT", owner.address, owner.address);
+    const EthereumBridge = await ethers.getContractFactory("EthereumBridge");
+    bridge = await EthereumBridge.deploy(
+      await wrapped.getAddress(),
+      owner.address,
+      1n,
+      ethers.parseEther("100000"),
+      relayers.map(r => r.address),
+      2
+    );
+    await wrapped.setBridge(await bridge.getAddress());
+  });
+
+  describe("Threshold", function () {
+    it("Should mint with exactly the threshold of signatures", async function () {
+      const { transfer, signatures } = await sign(relayers.slice(0, 2));
+
+      await expect(bridge.connect(outsider).mintWrapped(transfer, signatures))
+        .to.emit(bridge, "TokensMinted");
+      expect(await wrapped.balanceOf(user.address)).to.equal(AMOUNT);
+    });
+
+    it("Should mint with more signatures than the threshold", async function () {
+      const { transfer, signatures } = await sign(relayers);
+
+      await expect(bridge.mintWrapped(transfer, signatures)).to.emit(bridge, "TokensMinted");
+    });
+
+    it("Should revert below the threshold", async function () {
+      const { transfer, signatures } = await sign(relayers.slice(0, 1));
+
+      await expect(bridge.mintWrapped(transfer, signatures))
+        .to.be.revertedWith("RelayerMultisig: insufficient signatures");
+    });
+
+    it("Should enforce a raised threshold", async function () {
+      await bridge.setThreshold(3);
+      const { transfer, signatures } = await sign(relayers.slice(0, 2));
+
+      await expect(bridge.mintWrapped(transfer, signatures))
+        .to.be.revertedWith("RelayerMultisig: insufficient signatures");
+    });
+  });
+
+  describe("Signers", function () {
+    it("Should reject a duplicated signer", async function () {
+      const { transfer, signatures } = await sign([relayers[0], relayers[0]]);
+
+      await expect(bridge.mintWrapped(transfer, signatures))
+        .to.be.revertedWith("RelayerMultisig: duplicate or unordered signer");
+    });
+
+    it("Should reject signatures not ordered by signer address", async function () {
+      const { transfer, signatures } = await sign([relayers[1], relayers[0]]);
+
+      await expect(bridge.mintWrapped(transfer, signatures))
+        .to.be.revertedWith("RelayerMultisig: duplicate or unordered signer");
+    });
+
+    it("Should reject a signer outside the relayer set", async function () {
+      const { transfer, signatures } = await sign([relayers[0], outsider].sort(byAddress));
+
+      await expect(bridge.mintWrapped(transfer, signatures))
+        .to.be.revertedWith("RelayerMultisig: signer is not a relayer");
+    });
+
+    it("Should reject signatures over a different transfer", async function () {
+      const { transfer, signatures } = await sign(relayers.slice(0, 2));
+      const altered = { ...transfer, recipient: outsider.address };
+
+      await expect(bridge.mintWrapped(altered, signatures))
+        .to.be.revertedWith("RelayerMultisig: signer is not a relayer");
+    });
+
+    it("Should stop accepting a removed relayer", async function () {
+      await bridge.removeRelayer(relayers[0].address);
+      const { transfer, signatures } = await sign(relayers.slice(0, 2));
+
+      await expect(bridge.mintWrapped(transfer, signatures))
+        .to.be.revertedWith("RelayerMultisig: signer is not a relayer");
+    });
+  });
+
+  describe("Administration", function () {
+    it("Should not remove relayers below the threshold", async function () {
+      await bridge.setThreshold(3);
+
+      await expect(bridge.removeRelayer(relayers[0].address))
+        .to.be.revertedWith("RelayerMultisig: would fall below threshold");
+    });
+
+    it("Should bound the threshold by the relayer count", async function () {
+      await expect(bridge.setThreshold(0)).to.be.revertedWith("RelayerMultisig: threshold is zero");
+      await expect(bridge.setThreshold(4)).to.be.revertedWith("RelayerMultisig: threshold exceeds relayers");
+    });
+
+    it("Should only allow the owner to manage relayers", async function () {
+      await expect(bridge.connect(user).addRelayer(outsider.address)).to.be.reverted;
+      await expect(bridge.connect(user).setThreshold(1)).to.be.reverted;
+    });
+
+    it("Should list the relayer set", async function () {
+      await bridge.addRelayer(outsider.address);
+
+      const listed = [...(await bridge.getRelayers())];
+      expect(listed).to.have.members([...relayers.map(r => r.address), outsider.address]);
+    });
+  });
+});
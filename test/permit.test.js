@@ -0,0 +1,123 @@
+/**
+ * Permit Tests
+ * EIP-2612 permits on the bridged tokens and single-transaction lock/burn
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Permits", function () {
+  const tokens = (value) => ethers.parseEther(String(value));
+
+  let owner;
+  let user;
+  let relayer;
+  let collector;
+  let token;
+  let lockBridge;
+  let wrapped;
+  let mintBridge;
+
+  beforeEach(async function () {
+    [owner, user, relayer, collector] = await ethers.getSigners();
+
+    const BEP20Token = await ethers.getContractFactory("BEP20Token");
+    token = await BEP20Token.deploy(owner.address);
+    const BSCBridge = await ethers.getContractFactory("BSCBridge");
+    lockBridge = await BSCBridge.deploy(await token.getAddress(), owner.address, 1n, tokens(100000), [relayer.address], 1);
+
+    const WrappedToken = await ethers.getContractFactory("WrappedToken");
+    wrapped = await WrappedToken.deploy("Wrapped Cross-Chain Bridge Token", "wCCBT", owner.address, owner.address);
+    const EthereumBridge = await ethers.getContractFactory("EthereumBridge");
+    mintBridge = await EthereumBridge.deploy(await wrapped.getAddress(), owner.address, 1n, tokens(100000), [relayer.address], 1);
+
+    await token.transfer(user.address, tokens(1000));
+  });
+
+  // Sign a permit the way the frontend does, from the token's EIP-5267 domain
+  async function signPermit(tokenContract, spender, value, deadline) {
+    const eip712 = await tokenContract.eip712Domain();
+    const domain = {
+      name: eip712.name,
+      version: eip712.version,
+      chainId: eip712.chainId,
+      verifyingContract: eip712.verifyingContract
+    };
+    expect(ethers.TypedDataEncoder.hashDomain(domain)).to.equal(await tokenContract.DOMAIN_SEPARATOR());
+
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const message = {
+      owner: user.address,
+      spender: await spender.getAddress(),
+      value,
+      nonce: await tokenContract.nonces(user.address),
+      deadline
+    };
+    return ethers.Signature.from(await user.signTypedData(domain, types, message));
+  }
+
+  async function deadline() {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    return BigInt(timestamp + 3600);
+  }
+
+  it("Should lock with a permit in a single transaction", async function () {
+    const tokenAddress = await token.getAddress();
+    const permitDeadline = await deadline();
+    const { v, r, s } = await signPermit(token, lockBridge, tokens(100), permitDeadline);
+
+    await expect(lockBridge.connect(user).lockWithPermit(tokenAddress, tokens(100), user.address, permitDeadline, v, r, s))
+      .to.emit(lockBridge, "TokensLocked");
+
+    expect(await lockBridge.getLockedBalance()).to.equal(tokens(100));
+    expect(await token.nonces(user.address)).to.equal(1n);
+    expect(await token.allowance(user.address, await lockBridge.getAddress())).to.equal(0n);
+  });
+
+  it("Should still lock when the permit was submitted ahead of it", async function () {
+    const tokenAddress = await token.getAddress();
+    const permitDeadline = await deadline();
+    const { v, r, s } = await signPermit(token, lockBridge, tokens(100), permitDeadline);
+
+    // Anyone may relay the permit signature first
+    await token.connect(owner).permit(user.address, await lockBridge.getAddress(), tokens(100), permitDeadline, v, r, s);
+
+    await expect(lockBridge.connect(user).lockWithPermit(tokenAddress, tokens(100), user.address, permitDeadline, v, r, s))
+      .to.emit(lockBridge, "TokensLocked");
+  });
+
+  it("Should refuse a permit that does not cover the amount", async function () {
+    const tokenAddress = await token.getAddress();
+    const permitDeadline = await deadline();
+    const { v, r, s } = await signPermit(token, lockBridge, tokens(50), permitDeadline);
+
+    await expect(lockBridge.connect(user).lockWithPermit(tokenAddress, tokens(100), user.address, permitDeadline, v, r, s))
+      .to.be.revertedWith("PermitSupport: permit failed");
+  });
+
+  it("Should pay the burn fee under a permit", async function () {
+    const wrappedAddress = await wrapped.getAddress();
+    await wrapped.mint(user.address, tokens(100), ethers.id("seed"));
+    await wrapped.setBridge(await mintBridge.getAddress());
+    await mintBridge.setFeeCollector(collector.address);
+    await mintBridge.setFee(wrappedAddress, 100, 0);
+
+    const permitDeadline = await deadline();
+    const { v, r, s } = await signPermit(wrapped, mintBridge, tokens(100), permitDeadline);
+
+    await expect(mintBridge.connect(user).burnWithPermit(wrappedAddress, tokens(100), user.address, permitDeadline, v, r, s))
+      .to.emit(mintBridge, "TokensBurned");
+
+    expect(await wrapped.balanceOf(collector.address)).to.equal(tokens(1));
+    expect(await wrapped.balanceOf(user.address)).to.equal(0n);
+    expect(await wrapped.totalSupply()).to.equal(tokens(1));
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Claim Proof Tests
+ * Anyone can submit the proof built by the backend on the destination bridge
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { SIGNATURE_VERSION } = require("../backend/src/shared/utils/bridgeTypedData");
+
+describe("Claim proofs", function () {
+  let proofService;
+  let signingService;
+  let ethereumConfig;
+  let bridgeConfig;
+  let saved;
+  let wrapped;
+  let bridge;
+  let claimer;
+  let relayers;
+  let registry;
+
+  before(function () {
+    proofService = require("../backend/src/shared/services/proofService");
+    signingService = require("../backend/src/shared/services/signingService");
+    ethereumConfig = require("../backend/src/shared/config/chains").getConfigByChainKey("ethereum");
+    bridgeConfig = require("../backend/src/shared/config/contracts").getBridgeConfigByChainKey("ethereum");
+    saved = { chainId: ethereumConfig.chainId, address: bridgeConfig.address };
+  });
+
+  after(function () {
+    ethereumConfig.chainId = saved.chainId;
+    bridgeConfig.address = saved.address;
+  });
+
+  beforeEach(async function () {
+    let owner;
+    [owner, claimer, ...relayers] = await ethers.getSigners();
+    relayers = relayers.slice(0, 3);
+
+    const WrappedToken = await ethers.getContractFactory("WrappedToken");
+    wrapped = await WrappedToken.deploy("Wrapped Cross-Chain Bridge Token", "wCCBT", owner.address, owner.address);
+    const EthereumBridge = await ethers.getContractFactory("EthereumBridge");
+    bridge = await EthereumBridge.deploy(
+      await wrapped.getAddress(), owner.address, 1n, ethers.parseEther("100000"),
+      relayers.map(r => r.address), 2
+    );
+    await wrapped.setBridge(await bridge.getAddress());
+
+    // Point the backend's Ethereum destination at the local bridge
+    const { chainId } = await ethers.provider.getNetwork();
+    ethereumConfig.chainId = Number(chainId);
+    bridgeConfig.address = await bridge.getAddress();
+
+    const { RegistrySnapshot } = require("../backend/src/shared/services/relayerRegistry");
+    const members = relayers.map((r, i) => ({ relayerId: String(i + 1), address: r.address }));
+    registry = new RegistrySnapshot({
+      source: "dynamodb",
+      epochs: [{ epoch: 0, threshold: 2, members }],
+      keys: members.map(m => ({ ...m, status: "active", joinedEpoch: 0 }))
+    });
+  });
+
+  function lockEvent(recipient) {
+    return {
+      eventId: ethers.id("lock-1"),
+      routeId: "arbitrum-lock",
+      chain: "ARBITRUM",
+      txHash: ethers.id("tx-1"),
+      fromAddress: recipient,
+      toAddress: recipient,
+      destinationToken: wrapped.target,
+      amount: ethers.parseEther("25").toString(),
+      nonce: "1"
+    };
+  }
+
+  async function sign(eventData, signers) {
+    const { domain, types, message } = signingService.buildTypedData(eventData);
+    return Promise.all(signers.map(async (signer) => ({
+      relayerId: String(relayers.indexOf(signer) + 1),
+      signature: await signer.signTypedData(domain, types, message),
+      signatureVersion: SIGNATURE_VERSION,
+      epoch: 0
+    })));
+  }
+
+  it("Should mint when any account submits the proof calldata", async function () {
+    const eventData = lockEvent(claimer.address);
+    const proof = proofService.buildProof(eventData, await sign(eventData, relayers.slice(0, 2)), registry);
+
+    expect(proof.method).to.equal("mintWrapped");
+    expect(proof.destination.bridgeAddress).to.equal(await bridge.getAddress());
+    expect(proof.transfer.amount).to.equal(eventData.amount);
+
+    await expect(claimer.sendTransaction({ to: proof.destination.bridgeAddress, data: proof.calldata }))
+      .to.emit(bridge, "TokensMinted");
+    expect(await wrapped.balanceOf(claimer.address)).to.equal(ethers.parseEther("25"));
+    expect(await bridge.processedMints(eventData.eventId)).to.equal(true);
+  });
+
+  it("Should not let a proof be claimed twice", async function () {
+    const eventData = lockEvent(claimer.address);
+    const proof = proofService.buildProof(eventData, await sign(eventData, relayers), registry);
+
+    await claimer.sendTransaction({ to: proof.destination.bridgeAddress, data: proof.calldata });
+    await expect(claimer.sendTransaction({ to: proof.destination.bridgeAddress, data: proof.calldata }))
+      .to.be.revertedWith("EthereumBridge: event already processed");
+  });
+
+  it("Should refuse to build a proof without valid signatures", async function () {
+    const eventData = lockEvent(claimer.address);
+    const forged = await sign(eventData, [claimer]);
+
+    expect(() => proofService.buildProof(eventData, forged, registry)).to.throw("No valid signatures to submit");
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Rate Limit Tests
+ * Rolling volume caps on the bridges and the relayer policy that replays them
+ */
+
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const routeConfig = require("../backend/src/shared/config/routes");
+const { buildBridgeTransfer } = require("../backend/src/shared/utils/bridgeTypedData");
+
+describe("Rate limits", function () {
+  const PERIOD = 3600;
+  const OUTBOUND = 0;
+  const INBOUND = 1;
+  const tokens = (value) => ethers.parseEther(String(value));
+
+  let owner;
+  let users;
+  let relayer;
+  let token;
+  let lockBridge;
+  let wrapped;
+  let mintBridge;
+
+  beforeEach(async function () {
+    let user1, user2;
+    [owner, user1, user2, relayer] = await ethers.getSigners();
+    users = [user1, user2];
+
+    const BEP20Token = await ethers.getContractFactory("BEP20Token");
+    token = await BEP20Token.deploy(owner.address);
+    const BSCBridge = await ethers.getContractFactory("BSCBridge");
+    lockBridge = await BSCBridge.deploy(await token.getAddress(), owner.address, 1n, tokens(100000), [relayer.address], 1);
+
+    const WrappedToken = await ethers.getContractFactory("WrappedToken");
+    wrapped = await WrappedToken.deploy("Wrapped Cross-Chain Bridge Token", "wCCBT", owner.address, owner.address);
+    const EthereumBridge = await ethers.getContractFactory("EthereumBridge");
+    mintBridge = await EthereumBridge.deploy(await wrapped.getAddress(), owner.address, 1n, tokens(100000), [relayer.address], 1);
+    await wrapped.setBridge(await mintBridge.getAddress());
+
+    for (const user of users) {
+      await token.transfer(user.address, tokens(1000));
+      await token.connect(user).approve(await lockBridge.getAddress(), ethers.MaxUint256);
+    }
+  });
+
+  async function lockAt(user, amount, timestamp) {
+    if (timestamp) await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    const receipt = await (await lockBridge.connect(user).lockTokens(amount)).wait();
+    const log = receipt.logs.find(l => l.address === lockBridge.target);
+    const route = routeConfig.getRoute("arbitrum-lock");
+    return {
+      ...routeConfig.mapEventArgs(route, lockBridge.interface.parseLog(log).args),
+      routeId: route.id,
+      tokenRoute: "arbitrum-lock:CCBT",
+      blockNumber: receipt.blockNumber,
+      logIndex: log.index
+    };
+  }
+
+  // Start of a fresh period at least one period ahead of the chain
+  async function nextPeriodStart() {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    return timestamp - (timestamp % PERIOD) + 2 * PERIOD;
+  }
+
+  it("Should cap each sender and the whole bridge over the period", async function () {
+    await lockBridge.setRateLimit(await token.getAddress(), PERIOD, tokens(100), tokens(60));
+
+    await lockBridge.connect(users[0]).lockTokens(tokens(60));
+    await expect(lockBridge.connect(users[0]).lockTokens(tokens(1)))
+      .to.be.revertedWith("RateLimiter: address limit exceeded");
+
+    await lockBridge.connect(users[1]).lockTokens(tokens(40));
+    await expect(lockBridge.connect(users[1]).lockTokens(tokens(1)))
+      .to.be.revertedWith("RateLimiter: global limit exceeded");
+
+    // Two periods later the window holds nothing
+    await network.provider.send("evm_increaseTime", [2 * PERIOD]);
+    await network.provider.send("evm_mine");
+    const available = await lockBridge.getAvailableVolume(await token.getAddress(), OUTBOUND, users[0].address);
+    expect(available.globalAvailable).to.equal(tokens(100));
+    expect(available.accountAvailable).to.equal(tokens(60));
+    await lockBridge.connect(users[0]).lockTokens(tokens(60));
+  });
+
+  it("Should cap inbound mints by recipient", async function () {
+    const wrappedAddress = await wrapped.getAddress();
+    await mintBridge.setRateLimit(wrappedAddress, PERIOD, 0, tokens(30));
+    const { chainId } = await ethers.provider.getNetwork();
+
+    async function mint(eventName, amount) {
+      const { domain, types, message } = buildBridgeTransfer({
+        eventId: ethers.id(eventName),
+        txHash: ethers.id(`tx-${eventName}`),
+        fromAddress: users[0].address,
+        toAddress: users[0].address,
+        destinationToken: wrappedAddress,
+        amount: amount.toString(),
+        nonce: "1"
+      }, { sourceChainId: 421614n, destinationChainId: chainId, verifyingContract: await mintBridge.getAddress() });
+      return mintBridge.mintWrapped(message, [await relayer.signTypedData(domain, types, message)]);
+    }
+
+    await mint("lock-1", tokens(20));
+    await expect(mint("lock-2", tokens(20))).to.be.revertedWith("RateLimiter: address limit exceeded");
+
+    const available = await mintBridge.getAvailableVolume(wrappedAddress, INBOUND, users[0].address);
+    expect(available.globalAvailable).to.equal(ethers.MaxUint256);
+    expect(available.accountAvailable).to.be.closeTo(tokens(10), tokens(1));
+  });
+
+  it("Should weigh the previous window by its overlap with the rolling period", async function () {
+    const policy = require("../backend/src/shared/services/rateLimitPolicy");
+    const period = 100n;
+
+    const entries = [
+      { timestamp: 950, amount: tokens(60).toString() },
+      { timestamp: 1010, amount: tokens(10).toString() }
+    ];
+    expect(policy.windowUsage(entries, 1050, period)).to.equal(tokens(40));
+    expect(policy.windowUsage(entries, 1099, period)).to.equal(tokens(60) / 100n + tokens(10));
+    expect(policy.windowUsage(entries, 1250, period)).to.equal(0n);
+  });
+
+  describe("Relayer policy", function () {
+    let policy;
+    let dynamoService;
+    let web3Service;
+    let saved;
+    let volume;
+    let blockTags;
+
+    before(function () {
+      policy = require("../backend/src/shared/services/rateLimitPolicy");
+      dynamoService = require("../backend/src/shared/services/dynamoService");
+      web3Service = require("../backend/src/shared/services/web3Service");
+      saved = {
+        getTransferVolume: dynamoService.getTransferVolume,
+        readContract: web3Service.readContract,
+        getSafeBlock: web3Service.getSafeBlock
+      };
+    });
+
+    after(function () {
+      dynamoService.getTransferVolume = saved.getTransferVolume;
+      web3Service.readContract = saved.readContract;
+      web3Service.getSafeBlock = saved.getSafeBlock;
+    });
+
+    beforeEach(function () {
+      // Serve volume from memory and bridges from the local chain
+      volume = [];
+      dynamoService.getTransferVolume = async (tokenRoute, address, from, to) => volume
+        .filter(entry => entry.tokenRoute === tokenRoute)
+        .filter(entry => !address || entry.fromAddress.toLowerCase() === address.toLowerCase())
+        .filter(entry => entry.timestamp >= from && entry.timestamp <= to);
+      blockTags = [];
+      web3Service.readContract = async (chainKey, type, method, args = [], overrides = {}) => {
+        if (method === "rateLimits") blockTags.push(overrides.blockTag);
+        return (chainKey === "arbitrum" ? lockBridge : mintBridge)[method](...args, overrides);
+      };
+      web3Service.getSafeBlock = async () => {
+        const currentBlock = await ethers.provider.getBlockNumber();
+        return { currentBlock, safeBlock: currentBlock, mode: "confirmations" };
+      };
+    });
+
+    function record(eventData) {
+      volume.push({
+        ...eventData,
+        SK: dynamoService.getVolumeSortKey(eventData.timestamp, eventData.blockNumber, eventData.logIndex),
+        timestamp: Number(eventData.timestamp)
+      });
+      return eventData;
+    }
+
+    it("Should accept exactly what the bridge accepted and veto anything above it", async function () {
+      await lockBridge.setRateLimit(await token.getAddress(), PERIOD, tokens(100), tokens(80));
+      const start = await nextPeriodStart();
+
+      const first = record(await lockAt(users[0], tokens(50), start + 600));
+
+      // Half of the previous window still overlaps: 25 counted, 75 left
+      const expectedUsage = policy.windowUsage([first], start + PERIOD + 1800, BigInt(PERIOD));
+      expect(expectedUsage).to.equal(tokens(25));
+      const second = record(await lockAt(users[1], tokens(100) - expectedUsage, start + PERIOD + 1800));
+      await expect(lockBridge.connect(users[1]).lockTokens(tokens(1)))
+        .to.be.revertedWith("RateLimiter: global limit exceeded");
+
+      expect(await policy.checkOutbound(first)).to.deep.equal({ allowed: true, failures: [] });
+      expect(await policy.checkOutbound(second)).to.deep.equal({ allowed: true, failures: [] });
+
+      const forged = { ...second, amount: tokens(80).toString() };
+      const result = await policy.checkOutbound(forged);
+      expect(result.allowed).to.equal(false);
+      expect(result.failures.map(failure => failure.check)).to.deep.equal([
+        policy.RATE_LIMIT_CHECKS.GLOBAL_LIMIT_EXCEEDED
+      ]);
+    });
+
+    it("Should not count volume from before the caps were set", async function () {
+      const start = await nextPeriodStart();
+      const early = record(await lockAt(users[0], tokens(90), start + 100));
+
+      await network.provider.send("evm_setNextBlockTimestamp", [start + 200]);
+      await lockBridge.setRateLimit(await token.getAddress(), PERIOD, tokens(100), 0);
+      const later = record(await lockAt(users[0], tokens(50), start + 300));
+
+      expect((await policy.checkOutbound(early)).allowed).to.equal(true);
+      expect((await policy.checkOutbound(later)).allowed).to.equal(true);
+    });
+
+    it("Should read the caps at the safe block instead of the transfer's block", async function () {
+      await lockBridge.setRateLimit(await token.getAddress(), PERIOD, tokens(100), 0);
+      const start = await nextPeriodStart();
+      const lock = record(await lockAt(users[0], tokens(60), start + 100));
+
+      // The caps are lowered afterwards; only an archive node still has the old ones
+      await network.provider.send("evm_setNextBlockTimestamp", [start + 200]);
+      await lockBridge.setRateLimit(await token.getAddress(), PERIOD, tokens(50), 0);
+      const safeBlock = await ethers.provider.getBlockNumber();
+
+      expect((await policy.checkOutbound(lock)).allowed).to.equal(true);
+      expect(blockTags).to.deep.equal([safeBlock]);
+      expect(safeBlock).to.be.greaterThan(lock.blockNumber);
+    });
+
+    it("Should report whether the destination can take a transfer", async function () {
+      const wrappedAddress = await wrapped.getAddress();
+      await mintBridge.setRateLimit(wrappedAddress, PERIOD, tokens(100), 0);
+      const eventData = {
+        eventId: ethers.id("lock-1"),
+        routeId: "arbitrum-lock",
+        destinationToken: wrappedAddress,
+        toAddress: users[0].address,
+        amount: tokens(150).toString()
+      };
+
+      const blocked = await policy.checkInbound(eventData);
+      expect(blocked.allowed).to.equal(false);
+      expect(blocked.globalAvailable).to.equal(tokens(100).toString());
+
+      expect((await policy.checkInbound({ ...eventData, amount: tokens(100).toString() })).allowed).to.equal(true);
+    });
+  });
+
+  describe("Validator recheck", function () {
+    let bridgeConfig;
+    let savedAddress;
+
+    before(function () {
+      const contractConfig = require("../backend/src/shared/config/contracts");
+      bridgeConfig = contractConfig.getBridgeConfigByChainKey("ethereum");
+      savedAddress = bridgeConfig.address;
+    });
+
+    after(function () {
+      bridgeConfig.address = savedAddress;
+    });
+
+    it("Should still execute a rate-limited transfer after its signatures outlive the age limit", async function () {
+      const consensus = require("../backend/src/functions/validator/consensus");
+      const signingService = require("../backend/src/shared/services/signingService");
+      const { RegistrySnapshot } = require("../backend/src/shared/services/relayerRegistry");
+      const { SIGNATURE_VERSION } = require("../backend/src/shared/utils/bridgeTypedData");
+
+      bridgeConfig.address = await mintBridge.getAddress();
+      const wallet = ethers.Wallet.createRandom();
+      const member = { relayerId: "1", address: wallet.address };
+      const registry = new RegistrySnapshot({
+        source: "dynamodb",
+        epochs: [{ epoch: 0, threshold: 1, members: [member] }],
+        keys: [{ ...member, status: "active", joinedEpoch: 0 }]
+      });
+      const eventData = {
+        eventId: ethers.id("lock-held"),
+        chain: "ARBITRUM",
+        status: "PENDING_MINT",
+        txHash: ethers.id("tx-held"),
+        fromAddress: wallet.address,
+        toAddress: wallet.address,
+        destinationToken: await wrapped.getAddress(),
+        amount: tokens(10).toString(),
+        nonce: "1"
+      };
+      const { domain, types, message } = signingService.buildTypedData(eventData);
+      const signedAt = Date.now() - 2 * 3600 * 1000;
+      const signatures = [{
+        relayerId: "1",
+        signature: await wallet.signTypedData(domain, types, message),
+        signatureVersion: SIGNATURE_VERSION,
+        epoch: 0,
+        timestamp: new Date(signedAt).toISOString()
+      }];
+
+      // The destination window stayed full for two hours after the RATE_LIMITED hold started
+      const heldSince = new Date(signedAt + 5 * 60 * 1000).toISOString();
+      const result = await consensus.validateFullConsensus(eventData, signatures, registry, { heldSince });
+
+      expect(result.isValid).to.equal(true);
+      expect(consensus.determineAction(result, eventData.status, { heldSince })).to.include({ action: "MINT" });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Custom Recipient Tests
+ * The recipient chosen on the source chain flows through the event, the
+ * poller mapping and the relayer attestation to the destination mint/unlock
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const routeConfig = require("../backend/src/shared/config/routes");
+const { buildBridgeTransfer } = require("../backend/src/shared/utils/bridgeTypedData");
+
+describe("Custom recipient", function () {
+  let owner;
+  let user;
+  let recipient;
+  let relayers;
+  let token;
+  let lockBridge;
+  let wrapped;
+  let mintBridge;
+  const AMOUNT = ethers.parseEther("10");
+
+  beforeEach(async function () {
+    [owner, user, recipient, ...relayers] = await ethers.getSigners();
+    relayers = relayers.slice(0, 3).sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1));
+
+    const BEP20Token = await ethers.getContractFactory("BEP20Token");
+    token = await BEP20Token.deploy(owner.address);
+    const BSCBridge = await ethers.getContractFactory("BSCBridge");
+    lockBridge = await BSCBridge.deploy(
+      await token.getAddress(), owner.address, 1n, ethers.parseEther("100000"),
+      relayers.map(r => r.address), 2
+    );
+
+    const WrappedToken = await ethers.getContractFactory("WrappedToken");
+    wrapped = await WrappedToken.deploy("Wrapped Cross-Chain Bridge Token", "wCCBT", owner.address, owner.address);
+    const EthereumBridge = await ethers.getContractFactory("EthereumBridge");
+    mintBridge = await EthereumBridge.deploy(
+      await wrapped.getAddress(), owner.address, 1n, ethers.parseEther("100000"),
+      relayers.map(r => r.address), 2
+    );
+    await wrapped.setBridge(await mintBridge.getAddress());
+
+    await token.transfer(user.address, ethers.parseEther("1000"));
+    await token.connect(user).approve(await lockBridge.getAddress(), ethers.MaxUint256);
+  });
+
+  // Run a source receipt through the poller's route mapping
+  function mapReceipt(contract, receipt, routeId) {
+    const route = routeConfig.getRoute(routeId);
+    const log = receipt.logs
+      .map(l => { try { return contract.interface.parseLog(l); } catch { return null; } })
+      .find(parsed => parsed && parsed.name === route.eventName);
+    return {
+      ...routeConfig.mapEventArgs(route, log.args),
+      txHash: receipt.hash
+    };
+  }
+
+  async function attest(eventData, bridge, sourceChainId) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const { domain, types, message } = buildBridgeTransfer(eventData, {
+      sourceChainId,
+      destinationChainId: chainId,
+      verifyingContract: await bridge.getAddress()
+    });
+    const signatures = await Promise.all(relayers.slice(0, 2).map(r => r.signTypedData(domain, types, message)));
+    return { transfer: message, signatures };
+  }
+
+  it("Should emit and mint to the recipient chosen at lock time", async function () {
+    const receipt = await (await lockBridge.connect(user).lockTokensTo(AMOUNT, recipient.address)).wait();
+    const eventData = mapReceipt(lockBridge, receipt, "arbitrum-lock");
+
+    expect(eventData.fromAddress).to.equal(user.address);
+    expect(eventData.toAddress).to.equal(recipient.address);
+
+    const { transfer, signatures } = await attest({ ...eventData, destinationToken: wrapped.target }, mintBridge, 421614n);
+    await mintBridge.mintWrapped(transfer, signatures);
+
+    expect(await wrapped.balanceOf(recipient.address)).to.equal(AMOUNT);
+    expect(await wrapped.balanceOf(user.address)).to.equal(0n);
+  });
+
+  it("Should default the recipient to the sender", async function () {
+    const receipt = await (await lockBridge.connect(user).lockTokens(AMOUNT)).wait();
+    const eventData = mapReceipt(lockBridge, receipt, "arbitrum-lock");
+
+    expect(eventData.toAddress).to.equal(user.address);
+  });
+
+  it("Should carry the recipient of a burn", async function () {
+    const { transfer, signatures } = await attest({
+      eventId: ethers.id("lock-1"),
+      txHash: ethers.id("tx-1"),
+      fromAddress: user.address,
+      toAddress: user.address,
+      destinationToken: wrapped.target,
+      amount: AMOUNT.toString(),
+      nonce: "1"
+    }, mintBridge, 421614n);
+    await mintBridge.mintWrapped(transfer, signatures);
+
+    const receipt = await (await mintBridge.connect(user).burnWrappedTo(AMOUNT, recipient.address)).wait();
+    const eventData = mapReceipt(mintBridge, receipt, "ethereum-burn");
+
+    expect(eventData.fromAddress).to.equal(user.address);
+    expect(eventData.toAddress).to.equal(recipient.address);
+    expect(await wrapped.balanceOf(user.address)).to.equal(0n);
+  });
+
+  it("Should reject the zero address as recipient", async function () {
+    await expect(lockBridge.connect(user).lockTokensTo(AMOUNT, ethers.ZeroAddress))
+      .to.be.revertedWith("BSCBridge: recipient is zero address");
+    await expect(mintBridge.connect(user).burnWrappedTo(AMOUNT, ethers.ZeroAddress))
+      .to.be.revertedWith("EthereumBridge: recipient is zero address");
+  });
+});
@@ -0,0 +1,330 @@
+/**
+ * Refund Tests
+ * Relayer-attested cancellation of undelivered locks and their refund on the source bridge
+ */
+
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const routeConfig = require("../backend/src/shared/config/routes");
+
+describe("Refunds", function () {
+  const tokens = (value) => ethers.parseEther(String(value));
+
+  let refundService;
+  let chainConfigs;
+  let bridgeConfigs;
+  let saved;
+  let owner;
+  let user;
+  let relayers;
+  let registry;
+  let token;
+  let lockBridge;
+  let wrapped;
+  let mintBridge;
+
+  before(function () {
+    refundService = require("../backend/src/shared/services/refundService");
+    const chainConfig = require("../backend/src/shared/config/chains");
+    const contractConfig = require("../backend/src/shared/config/contracts");
+    chainConfigs = ["arbitrum", "ethereum"].map(key => chainConfig.getConfigByChainKey(key));
+    bridgeConfigs = ["arbitrum", "ethereum"].map(key => contractConfig.getBridgeConfigByChainKey(key));
+    saved = {
+      chainIds: chainConfigs.map(config => config.chainId),
+      addresses: bridgeConfigs.map(config => config.address)
+    };
+  });
+
+  after(function () {
+    chainConfigs.forEach((config, i) => { config.chainId = saved.chainIds[i]; });
+    bridgeConfigs.forEach((config, i) => { config.address = saved.addresses[i]; });
+  });
+
+  beforeEach(async function () {
+    [owner, user, ...relayers] = await ethers.getSigners();
+    relayers = relayers.slice(0, 3);
+    const relayerAddresses = relayers.map(r => r.address);
+
+    const BEP20Token = await ethers.getContractFactory("BEP20Token");
+    token = await BEP20Token.deploy(owner.address);
+    const BSCBridge = await ethers.getContractFactory("BSCBridge");
+    lockBridge = await BSCBridge.deploy(await token.getAddress(), owner.address, 1n, tokens(100000), relayerAddresses, 2);
+
+    const WrappedToken = await ethers.getContractFactory("WrappedToken");
+    wrapped = await WrappedToken.deploy("Wrapped Cross-Chain Bridge Token", "wCCBT", owner.address, owner.address);
+    const EthereumBridge = await ethers.getContractFactory("EthereumBridge");
+    mintBridge = await EthereumBridge.deploy(await wrapped.getAddress(), owner.address, 1n, tokens(100000), relayerAddresses, 2);
+    await wrapped.setBridge(await mintBridge.getAddress());
+
+    await token.transfer(user.address, tokens(1000));
+    await token.connect(user).approve(await lockBridge.getAddress(), ethers.MaxUint256);
+
+    // Both routes' chains are the local chain; each bridge keeps its own domain
+    const { chainId } = await ethers.provider.getNetwork();
+    chainConfigs.forEach(config => { config.chainId = Number(chainId); });
+    bridgeConfigs[0].address = await lockBridge.getAddress();
+    bridgeConfigs[1].address = await mintBridge.getAddress();
+
+    const { RegistrySnapshot } = require("../backend/src/shared/services/relayerRegistry");
+    const members = relayers.map((r, i) => ({ relayerId: String(i + 1), address: r.address }));
+    registry = new RegistrySnapshot({
+      source: "dynamodb",
+      epochs: [{ epoch: 0, threshold: 2, members }],
+      keys: members.map(m => ({ ...m, status: "active", joinedEpoch: 0 }))
+    });
+  });
+
+  async function lock(amount) {
+    const receipt = await (await lockBridge.connect(user).lockTokens(amount)).wait();
+    const log = receipt.logs.find(l => l.address === lockBridge.target);
+    const route = routeConfig.getRoute("arbitrum-lock");
+    return {
+      ...routeConfig.mapEventArgs(route, lockBridge.interface.parseLog(log).args),
+      routeId: route.id,
+      chain: route.chainLabel,
+      status: route.status,
+      txHash: receipt.hash,
+      destinationToken: wrapped.target
+    };
+  }
+
+  async function sign(eventData, phase, signers) {
+    const { domain, types, message } = refundService.buildTypedData(eventData, phase);
+    return Promise.all(signers.map(async (signer) => ({
+      relayerId: String(relayers.indexOf(signer) + 1),
+      phase,
+      epoch: 0,
+      signature: await signer.signTypedData(domain, types, message)
+    })));
+  }
+
+  it("Should cancel the mint for good and then refund the lock", async function () {
+    const eventData = await lock(tokens(100));
+    const { CANCEL, REFUND } = refundService.REFUND_PHASES;
+
+    // Source-domain signatures are worthless to the destination bridge and vice versa
+    const refundSigs = await sign(eventData, REFUND, relayers.slice(0, 2));
+    const early = refundService.buildBundle(eventData, REFUND, refundSigs, registry);
+    await expect(mintBridge.cancelMint(early.cancel, early.signatures))
+      .to.be.revertedWith("RelayerMultisig: signer is not a relayer");
+
+    const cancelSigs = await sign(eventData, CANCEL, relayers.slice(0, 2));
+    expect(refundService.verifySignatures(eventData, CANCEL, cancelSigs, registry).hasConsensus).to.equal(true);
+
+    // Cancellation works while the destination is paused
+    await mintBridge.pause();
+    const cancel = refundService.buildBundle(eventData, CANCEL, cancelSigs, registry);
+    await expect(mintBridge.cancelMint(cancel.cancel, cancel.signatures))
+      .to.emit(mintBridge, "MintCancelled");
+    await mintBridge.unpause();
+
+    const transfer = {
+      eventId: eventData.eventId,
+      sourceChainId: cancel.cancel.sourceChainId,
+      sourceTxHash: eventData.txHash,
+      token: wrapped.target,
+      sender: user.address,
+      recipient: user.address,
+      amount: eventData.amount,
+      nonce: eventData.nonce
+    };
+    await expect(mintBridge.mintWrapped(transfer, [])).to.be.revertedWith("EthereumBridge: event cancelled");
+
+    const refund = refundService.buildBundle(eventData, REFUND, refundSigs, registry);
+    await expect(lockBridge.refundLock(refund.cancel, refund.signatures))
+      .to.emit(lockBridge, "TokensRefunded")
+      .withArgs(user.address, token.target, tokens(100), eventData.eventId, (value) => value > 0n);
+    expect(await token.balanceOf(user.address)).to.equal(tokens(1000));
+
+    await expect(lockBridge.refundLock(refund.cancel, refund.signatures))
+      .to.be.revertedWith("BSCBridge: lock already refunded");
+  });
+
+  it("Should not cancel a transfer that was already minted", async function () {
+    const eventData = await lock(tokens(10));
+    const { CANCEL } = refundService.REFUND_PHASES;
+
+    const cancelSigs = await sign(eventData, CANCEL, relayers.slice(0, 2));
+    const cancel = refundService.buildBundle(eventData, CANCEL, cancelSigs, registry);
+
+    const signingService = require("../backend/src/shared/services/signingService");
+    const { domain, types, message } = signingService.buildTypedData(eventData);
+    const mintSigs = await Promise.all(relayers.slice(0, 2).map(async (signer, i) => ({
+      relayerId: String(i + 1),
+      epoch: 0,
+      signature: await signer.signTypedData(domain, types, message)
+    })));
+    const bundle = signingService.buildSignatureBundle(eventData, mintSigs, registry);
+    await mintBridge.mintWrapped(bundle.transfer, bundle.signatures);
+
+    await expect(mintBridge.cancelMint(cancel.cancel, cancel.signatures))
+      .to.be.revertedWith("EthereumBridge: event already processed");
+  });
+
+  it("Should count one valid signature per relayer of the phase", async function () {
+    const eventData = await lock(tokens(10));
+    const { CANCEL, REFUND } = refundService.REFUND_PHASES;
+
+    const [first] = await sign(eventData, CANCEL, [relayers[0]]);
+    const [forOtherPhase] = await sign(eventData, REFUND, [relayers[1]]);
+    const result = refundService.verifySignatures(eventData, CANCEL, [
+      first,
+      { ...first },
+      { ...forOtherPhase, phase: CANCEL }
+    ], registry);
+
+    expect(result.validSignatures).to.equal(1);
+    expect(result.requiredSignatures).to.equal(2);
+    expect(result.hasConsensus).to.equal(false);
+  });
+
+  it("Should refuse refunds for another chain's lock", async function () {
+    const eventData = await lock(tokens(10));
+    const { REFUND } = refundService.REFUND_PHASES;
+    const refund = refundService.buildBundle(
+      eventData, REFUND, await sign(eventData, REFUND, relayers.slice(0, 2)), registry
+    );
+
+    await expect(lockBridge.refundLock({ ...refund.cancel, sourceChainId: 1n }, refund.signatures))
+      .to.be.revertedWith("BSCBridge: lock not on this chain");
+  });
+
+  describe("Refund signer", function () {
+    let refundSigner;
+    let dynamoService;
+    let web3Service;
+    let signingService;
+    let eventSigner;
+    let receiptVerifier;
+    let stubbed;
+    let store;
+    const CONFIRMATIONS = 3;
+
+    before(function () {
+      refundSigner = require("../backend/src/functions/eventPoller/refundSigner");
+      dynamoService = require("../backend/src/shared/services/dynamoService");
+      web3Service = require("../backend/src/shared/services/web3Service");
+      signingService = require("../backend/src/shared/services/signingService");
+      eventSigner = require("../backend/src/functions/eventPoller/eventSigner");
+      receiptVerifier = require("../backend/src/functions/eventPoller/receiptVerifier");
+      stubbed = [
+        [dynamoService, ["getOpenRefundRequests", "getEventData", "updateRefundRequest", "createCancellationSignature"]],
+        [web3Service, ["readContract", "getSafeBlock", "getTransactionReceipt"]],
+        [signingService, ["getRelayerSigner"]],
+        [eventSigner, ["getSigningEpoch"]],
+        [receiptVerifier, ["verify"]]
+      ].map(([service, methods]) => [service, Object.fromEntries(methods.map(m => [m, service[m]]))]);
+    });
+
+    after(function () {
+      stubbed.forEach(([service, methods]) => Object.assign(service, methods));
+    });
+
+    beforeEach(function () {
+      // Keep the request, its event and cancellation signatures in memory
+      store = { event: null, refund: null, cancellations: [] };
+      dynamoService.getOpenRefundRequests = async () => (store.refund ? [store.refund] : []);
+      dynamoService.getEventData = async () => ({ event: store.event, refund: store.refund, cancellations: store.cancellations });
+      dynamoService.updateRefundRequest = async (eventId, status, details) => {
+        store.refund = { ...store.refund, status, ...details };
+      };
+      dynamoService.createCancellationSignature = async (item) => { store.cancellations.push(item); return item; };
+      web3Service.readContract = (chainKey, contractType, method, args, overrides = {}) =>
+        (chainKey === "arbitrum" ? lockBridge : mintBridge)[method](...args, overrides);
+      // The destination's safe block trails the head by CONFIRMATIONS
+      web3Service.getSafeBlock = async () => {
+        const currentBlock = await ethers.provider.getBlockNumber();
+        return { currentBlock, safeBlock: currentBlock - CONFIRMATIONS, mode: "confirmations" };
+      };
+      signingService.getRelayerSigner = async (relayerId) => relayers[Number(relayerId) - 1];
+      eventSigner.getSigningEpoch = async () => 0;
+      receiptVerifier.verify = async () => ({ verified: true, failures: [] });
+    });
+
+    async function request(eventData) {
+      store.event = eventData;
+      store.refund = { eventId: eventData.eventId, status: "REQUESTED" };
+    }
+
+    it("Should sign the cancellation first and the refund only once it is on-chain", async function () {
+      const { CANCEL, REFUND } = refundService.REFUND_PHASES;
+      await request(await lock(tokens(50)));
+
+      const first = await refundSigner.signOpenRefunds("1");
+      expect(first.signed).to.deep.equal([{ eventId: store.event.eventId, phase: CANCEL }]);
+      expect((await refundSigner.signOpenRefunds("1")).skipped[0].reason).to.equal("CANCEL already signed");
+
+      await refundSigner.signOpenRefunds("2");
+      const cancel = refundService.buildBundle(store.event, CANCEL, store.cancellations, registry);
+      await mintBridge.cancelMint(cancel.cancel, cancel.signatures);
+      await network.provider.send("hardhat_mine", [ethers.toQuantity(CONFIRMATIONS)]);
+
+      const second = await refundSigner.signOpenRefunds("1");
+      expect(second.signed).to.deep.equal([{ eventId: store.event.eventId, phase: REFUND }]);
+      await refundSigner.signOpenRefunds("3");
+
+      const refund = refundService.buildBundle(store.event, REFUND, store.cancellations, registry);
+      expect(refund.signers).to.have.length(2);
+      await lockBridge.refundLock(refund.cancel, refund.signatures);
+      expect((await refundSigner.signOpenRefunds("2")).skipped[0].reason).to.equal("Already refunded");
+    });
+
+    it("Should not sign the refund until the cancellation is final", async function () {
+      const { CANCEL, REFUND } = refundService.REFUND_PHASES;
+      await request(await lock(tokens(50)));
+      await refundSigner.signOpenRefunds("1");
+      await refundSigner.signOpenRefunds("2");
+
+      const cancel = refundService.buildBundle(store.event, CANCEL, store.cancellations, registry);
+      await mintBridge.cancelMint(cancel.cancel, cancel.signatures);
+
+      // The cancel is in the latest block only; a reorg could still drop it
+      const early = await refundSigner.signOpenRefunds("1");
+      expect(early.signed).to.have.length(0);
+      expect(early.skipped[0].reason).to.equal("Cancellation not final");
+      expect(store.cancellations.filter(sig => sig.phase === REFUND)).to.have.length(0);
+
+      await network.provider.send("hardhat_mine", [ethers.toQuantity(CONFIRMATIONS - 1)]);
+      expect((await refundSigner.signOpenRefunds("1")).skipped[0].reason).to.equal("Cancellation not final");
+
+      await network.provider.send("hardhat_mine", ["0x1"]);
+      const final = await refundSigner.signOpenRefunds("1");
+      expect(final.signed).to.deep.equal([{ eventId: store.event.eventId, phase: REFUND }]);
+    });
+
+    it("Should retry a lock whose receipt the RPC has not indexed yet", async function () {
+      await request(await lock(tokens(50)));
+      receiptVerifier.verify = stubbed.find(([service]) => service === receiptVerifier)[1].verify;
+      web3Service.getTransactionReceipt = async () => null;
+
+      const result = await refundSigner.signOpenRefunds("1");
+      expect(result.failed).to.equal(1);
+      expect(result.skipped).to.have.length(0);
+      expect(store.cancellations).to.have.length(0);
+    });
+
+    it("Should reject the request once the transfer is minted", async function () {
+      const eventData = await lock(tokens(50));
+      const { domain, types, message } = signingService.buildTypedData(eventData);
+      const mintSigs = await Promise.all(relayers.slice(0, 2).map(async (signer, i) => ({
+        relayerId: String(i + 1),
+        epoch: 0,
+        signature: await signer.signTypedData(domain, types, message)
+      })));
+      const bundle = signingService.buildSignatureBundle(eventData, mintSigs, registry);
+      await mintBridge.mintWrapped(bundle.transfer, bundle.signatures);
+
+      await request(eventData);
+      const early = await refundSigner.signOpenRefunds("1");
+      expect(early.skipped[0].reason).to.equal("Mint not final");
+      expect(store.cancellations).to.have.length(0);
+
+      await network.provider.send("hardhat_mine", [ethers.toQuantity(CONFIRMATIONS)]);
+      const result = await refundSigner.signOpenRefunds("1");
+
+      expect(result.signed).to.have.length(0);
+      expect(store.refund).to.include({ status: "REJECTED", rejectReason: "ALREADY_MINTED" });
+      expect(store.cancellations).to.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Relayer Registry Tests
+ * Epoch-aware consensus across key rotation and revocation
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { SIGNATURE_VERSION } = require("../backend/src/shared/utils/bridgeTypedData");
+
+describe("Relayer registry epochs", function () {
+  const ENV_KEYS = ["ETHEREUM_SEPOLIA_BRIDGE_ADDRESS", "ARBITRUM_SEPOLIA_BRIDGE_ADDRESS"];
+  let savedEnv;
+  let RegistrySnapshot;
+  let signingService;
+  let consensus;
+  let relayers;
+  let newKey;
+  let eventData;
+
+  before(function () {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    process.env.ETHEREUM_SEPOLIA_BRIDGE_ADDRESS = "0x" + "ab".repeat(20);
+    process.env.ARBITRUM_SEPOLIA_BRIDGE_ADDRESS = "0x" + "cd".repeat(20);
+
+    ({ RegistrySnapshot } = require("../backend/src/shared/services/relayerRegistry"));
+    signingService = require("../backend/src/shared/services/signingService");
+    consensus = require("../backend/src/functions/validator/consensus");
+  });
+
+  after(function () {
+    ENV_KEYS.forEach(key => {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+  });
+
+  beforeEach(function () {
+    relayers = [1, 2, 3].map(() => ethers.Wallet.createRandom());
+    newKey = ethers.Wallet.createRandom();
+    eventData = {
+      eventId: ethers.id("event-1"),
+      chain: "ARBITRUM",
+      txHash: ethers.id("tx-1"),
+      fromAddress: relayers[0].address,
+      toAddress: relayers[1].address,
+      destinationToken: "0x3333333333333333333333333333333333333333",
+      amount: ethers.parseEther("5").toString(),
+      nonce: "1"
+    };
+  });
+
+  const member = (relayerId, wallet) => ({ relayerId, address: wallet.address });
+
+  /**
+   * Epoch 0: relayers 1-3; epoch 1: relayer 1 rotated to newKey
+   */
+  function rotatedSnapshot(oldKeyStatus = "retiring") {
+    const genesis = [member("1", relayers[0]), member("2", relayers[1]), member("3", relayers[2])];
+    return new RegistrySnapshot({
+      source: "dynamodb",
+      epochs: [
+        { epoch: 0, threshold: 2, members: genesis },
+        { epoch: 1, threshold: 2, members: [genesis[1], genesis[2], member("1", newKey)] }
+      ],
+      keys: [
+        { ...genesis[0], status: oldKeyStatus, joinedEpoch: 0, retiredEpoch: 1 },
+        { ...genesis[1], status: "active", joinedEpoch: 0 },
+        { ...genesis[2], status: "active", joinedEpoch: 0 },
+        { ...member("1", newKey), status: "active", joinedEpoch: 1 }
+      ]
+    });
+  }
+
+  async function sign(wallet, relayerId, epoch) {
+    const { domain, types, message } = signingService.buildTypedData(eventData);
+    return {
+      relayerId,
+      signature: await wallet.signTypedData(domain, types, message),
+      signatureVersion: SIGNATURE_VERSION,
+      epoch
+    };
+  }
+
+  it("Should keep in-flight signatures from a rotated key valid", async function () {
+    const registry = rotatedSnapshot();
+    const signatures = [await sign(relayers[0], "1", 0), await sign(relayers[1], "2", 1)];
+
+    const result = consensus.validateConsensus(eventData, signatures, registry);
+    expect(result.hasConsensus).to.equal(true);
+    expect(result.validSignatures).to.equal(2);
+  });
+
+  it("Should only let the active key sign under the current epoch", async function () {
+    const registry = rotatedSnapshot();
+
+    expect(registry.getSigningEpoch("1", relayers[0].address)).to.equal(null);
+    expect(registry.getSigningEpoch("1", newKey.address)).to.equal(1);
+
+    const result = consensus.validateConsensus(eventData, [await sign(relayers[0], "1", 1)], registry);
+    expect(result.invalidSignatures[0].reason).to.equal("SIGNER_NOT_ALLOWLISTED");
+  });
+
+  it("Should reject every signature from a revoked key", async function () {
+    const registry = rotatedSnapshot("revoked");
+    const signatures = [await sign(relayers[0], "1", 0), await sign(relayers[1], "2", 1)];
+
+    const result = consensus.validateConsensus(eventData, signatures, registry);
+    expect(result.hasConsensus).to.equal(false);
+    expect(result.invalidSignatures[0].reason).to.equal("KEY_REVOKED");
+  });
+
+  it("Should reject signatures claiming an unknown epoch", async function () {
+    const registry = rotatedSnapshot();
+
+    const result = consensus.validateConsensus(eventData, [await sign(newKey, "1", 7)], registry);
+    expect(result.invalidSignatures[0].reason).to.equal("UNKNOWN_EPOCH");
+  });
+
+  it("Should apply the threshold of the latest epoch among the signatures", async function () {
+    const genesis = [member("1", relayers[0]), member("2", relayers[1]), member("3", relayers[2])];
+    const registry = new RegistrySnapshot({
+      source: "dynamodb",
+      epochs: [
+        { epoch: 0, threshold: 2, members: genesis },
+        { epoch: 1, threshold: 3, members: genesis }
+      ],
+      keys: genesis.map(m => ({ ...m, status: "active", joinedEpoch: 0 }))
+    });
+
+    const oldEpoch = [await sign(relayers[0], "1", 0), await sign(relayers[1], "2", 0)];
+    expect(consensus.validateConsensus(eventData, oldEpoch, registry).hasConsensus).to.equal(true);
+
+    const mixed = [await sign(relayers[0], "1", 0), await sign(relayers[1], "2", 1)];
+    const result = consensus.validateConsensus(eventData, mixed, registry);
+    expect(result.requiredSignatures).to.equal(3);
+    expect(result.hasConsensus).to.equal(false);
+  });
+
+  describe("Cached snapshots", function () {
+    let relayerRegistry;
+    let dynamoService;
+    let transferHandler;
+    let saved;
+    let stored;
+
+    before(function () {
+      relayerRegistry = require("../backend/src/shared/services/relayerRegistry");
+      dynamoService = require("../backend/src/shared/services/dynamoService");
+      transferHandler = require("../backend/src/functions/executor/transferHandler");
+      saved = {
+        getRelayerRegistry: dynamoService.getRelayerRegistry,
+        getEventData: dynamoService.getEventData
+      };
+      dynamoService.getRelayerRegistry = async () => ({ epochs: [...stored.epochs.values()], keys: stored.keys });
+    });
+
+    after(function () {
+      dynamoService.getRelayerRegistry = saved.getRelayerRegistry;
+      dynamoService.getEventData = saved.getEventData;
+      relayerRegistry.cached = null;
+    });
+
+    it("Should stop counting a key revoked while the registry is cached", async function () {
+      const signatures = [await sign(relayers[0], "1", 0), await sign(relayers[1], "2", 1), await sign(relayers[2], "3", 1)];
+      dynamoService.getEventData = async () => ({ event: eventData, signatures });
+
+      // Warm the per-instance cache, then revoke the retired key behind it
+      stored = rotatedSnapshot();
+      expect((await relayerRegistry.getSnapshot()).getKey(relayers[0].address).status).to.equal("retiring");
+      stored = rotatedSnapshot("revoked");
+      expect((await relayerRegistry.getSnapshot()).getKey(relayers[0].address).status).to.equal("retiring");
+
+      const bundle = await transferHandler.getSignatureBundle(eventData);
+      expect(bundle.signers).to.have.members([relayers[1].address, relayers[2].address]);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Reorg Detection Tests
+ * Uses evm_snapshot/evm_revert to drop a TokensLocked log from the chain
+ */
+
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { checkLogCanonical, REORG_REASONS } = require("../backend/src/shared/utils/reorgDetector");
+
+describe("Reorg Detector", function () {
+  let token;
+  let bridge;
+  let owner;
+  let user;
+  const MIN_LOCK = ethers.parseEther("1");
+  const MAX_LOCK = ethers.parseEther("100000");
+
+  beforeEach(async function () {
+    [owner, user] = await ethers.getSigners();
+
+    const BEP20Token = await ethers.getContractFactory("BEP20Token");
+    token = await BEP20Token.deploy(owner.address);
+    await token.waitForDeployment();
+
+    const BSCBridge = await ethers.getContractFactory("BSCBridge");
+    bridge = await BSCBridge.deploy(
+      await token.getAddress(),
+      owner.address,
+      MIN_LOCK,
+      MAX_LOCK,
+      [owner.address],
+      1
+    );
+    await bridge.waitForDeployment();
+
+    await token.transfer(user.address, ethers.parseEther("1000"));
+    await token.connect(user).approve(await bridge.getAddress(), ethers.parseEther("1000"));
+  });
+
+  async function lockAndGetLogRef(amount) {
+    const tx = await bridge.connect(user).lockTokens(amount);
+    const receipt = await tx.wait();
+    const log = receipt.logs.find(l => {
+      try {
+        return bridge.interface.parseLog(l).name === "TokensLocked";
+      } catch {
+        return false;
+      }
+    });
+
+    return {
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+      logIndex: log.index
+    };
+  }
+
+  it("Should report a log on the canonical chain as canonical", async function () {
+    const logRef = await lockAndGetLogRef(ethers.parseEther("10"));
+
+    const result = await checkLogCanonical(ethers.provider, logRef);
+    expect(result.canonical).to.equal(true);
+    expect(result.orphaned).to.equal(false);
+  });
+
+  it("Should detect a lock dropped by a reorg", async function () {
+    const snapshotId = await network.provider.send("evm_snapshot");
+    const logRef = await lockAndGetLogRef(ethers.parseEther("10"));
+
+    // Drop the lock block and replace it with a different block at the same height
+    await network.provider.send("evm_revert", [snapshotId]);
+    await network.provider.send("evm_mine");
+
+    const result = await checkLogCanonical(ethers.provider, logRef);
+    expect(result.canonical).to.equal(false);
+    expect(result.reason).to.equal(REORG_REASONS.BLOCK_HASH_MISMATCH);
+    expect(result.orphaned).to.equal(true);
+  });
+
+  it("Should not orphan a lock whose block the provider has not reached", async function () {
+    const snapshotId = await network.provider.send("evm_snapshot");
+    const logRef = await lockAndGetLogRef(ethers.parseEther("10"));
+
+    await network.provider.send("evm_revert", [snapshotId]);
+
+    const result = await checkLogCanonical(ethers.provider, logRef);
+    expect(result.canonical).to.equal(false);
+    expect(result.reason).to.equal(REORG_REASONS.BLOCK_NOT_FOUND);
+    expect(result.orphaned).to.equal(false);
+  });
+
+  it("Should not orphan a transaction the provider cannot find", async function () {
+    const logRef = await lockAndGetLogRef(ethers.parseEther("10"));
+
+    const result = await checkLogCanonical(ethers.provider, { ...logRef, blockNumber: null, txHash: ethers.ZeroHash });
+    expect(result.canonical).to.equal(false);
+    expect(result.reason).to.equal(REORG_REASONS.TX_NOT_FOUND);
+    expect(result.orphaned).to.equal(false);
+  });
+
+  it("Should not orphan a log index that no longer matches the receipt", async function () {
+    const logRef = await lockAndGetLogRef(ethers.parseEther("10"));
+
+    const result = await checkLogCanonical(ethers.provider, { ...logRef, logIndex: 99 });
+    expect(result.canonical).to.equal(false);
+    expect(result.reason).to.equal(REORG_REASONS.LOG_NOT_FOUND);
+    expect(result.orphaned).to.equal(false);
+  });
+
+  describe("Across RPC providers", function () {
+    let web3Service;
+    let ProviderPool;
+    let chainConfig;
+    let originalPool;
+
+    // A provider that has not synced the lock block yet
+    const behind = {
+      getBlock: async () => null,
+      getTransactionReceipt: async () => null
+    };
+
+    before(function () {
+      web3Service = require("../backend/src/shared/services/web3Service");
+      ProviderPool = require("../backend/src/shared/services/providerPool");
+      chainConfig = require("../backend/src/shared/config/chains");
+      originalPool = web3Service.pools.arbitrum;
+    });
+
+    after(function () {
+      web3Service.pools.arbitrum = originalPool;
+    });
+
+    function usePool(providers, quorum) {
+      const pool = new ProviderPool("arbitrum", {
+        ...chainConfig.getConfigByChainKey("arbitrum"),
+        rpcUrls: providers.map((_, i) => `http://127.0.0.1:${8545 + i}`),
+        rpcQuorum: quorum
+      });
+      pool.entries.forEach((entry, i) => {
+        entry.provider = providers[i];
+      });
+      web3Service.pools.arbitrum = pool;
+    }
+
+    it("Should not orphan an event when one provider is behind", async function () {
+      const logRef = await lockAndGetLogRef(ethers.parseEther("10"));
+
+      usePool([behind, ethers.provider], 2);
+      let result = await web3Service.verifyEventCanonical("arbitrum", logRef);
+      expect(result.canonical).to.equal(false);
+      expect(result.orphaned).to.equal(false);
+      expect(result.reason).to.equal(REORG_REASONS.BLOCK_NOT_FOUND);
+
+      usePool([behind, ethers.provider], 1);
+      result = await web3Service.verifyEventCanonical("arbitrum", logRef);
+      expect(result.canonical).to.equal(true);
+
+      usePool([behind], 1);
+      result = await web3Service.verifyEventCanonical("arbitrum", logRef);
+      expect(result.orphaned).to.equal(false);
+    });
+
+    it("Should orphan a reorged event only when the quorum sees the new block", async function () {
+      const snapshotId = await network.provider.send("evm_snapshot");
+      const logRef = await lockAndGetLogRef(ethers.parseEther("10"));
+      await network.provider.send("evm_revert", [snapshotId]);
+      await network.provider.send("evm_mine");
+
+      usePool([behind, ethers.provider], 2);
+      let result = await web3Service.verifyEventCanonical("arbitrum", logRef);
+      expect(result.orphaned).to.equal(false);
+
+      usePool([ethers.provider, ethers.provider], 2);
+      result = await web3Service.verifyEventCanonical("arbitrum", logRef);
+      expect(result.orphaned).to.equal(true);
+      expect(result.reason).to.equal(REORG_REASONS.BLOCK_HASH_MISMATCH);
+    });
+  });
+});
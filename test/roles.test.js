@@ -0,0 +1,147 @@
+/**
+ * Bridge Role Tests
+ * Separate relayer admin, pauser, limits admin and rescuer roles on bridges and wrapped tokens
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("Bridge roles", function () {
+  let admin;
+  let relayerAdmin;
+  let guardian;
+  let limitsAdmin;
+  let rescuer;
+  let outsider;
+  let token;
+  let lockBridge;
+  let wrapped;
+  let mintBridge;
+
+  const tokens = (value) => ethers.parseEther(String(value));
+
+  beforeEach(async function () {
+    [admin, relayerAdmin, guardian, limitsAdmin, rescuer, outsider] = await ethers.getSigners();
+
+    const BEP20Token = await ethers.getContractFactory("BEP20Token");
+    token = await BEP20Token.deploy(admin.address);
+    const BSCBridge = await ethers.getContractFactory("BSCBridge");
+    lockBridge = await BSCBridge.deploy(await token.getAddress(), admin.address, 1n, tokens(100000), [admin.address], 1);
+
+    const WrappedToken = await ethers.getContractFactory("WrappedToken");
+    wrapped = await WrappedToken.deploy("Wrapped Cross-Chain Bridge Token", "wCCBT", admin.address, admin.address);
+    const EthereumBridge = await ethers.getContractFactory("EthereumBridge");
+    mintBridge = await EthereumBridge.deploy(await wrapped.getAddress(), admin.address, 1n, tokens(100000), [admin.address], 1);
+    await wrapped.setBridge(await mintBridge.getAddress());
+
+    // Hand each BSC bridge role to its own operator, as scripts/deploy.js does
+    const assignments = [
+      [await lockBridge.RELAYER_ADMIN_ROLE(), relayerAdmin],
+      [await lockBridge.PAUSER_ROLE(), guardian],
+      [await lockBridge.LIMITS_ADMIN_ROLE(), limitsAdmin],
+      [await lockBridge.RESCUER_ROLE(), rescuer]
+    ];
+    for (const [role, holder] of assignments) {
+      await lockBridge.grantRole(role, holder.address);
+      await lockBridge.renounceRole(role, admin.address);
+    }
+  });
+
+  async function expectUnauthorized(promise, contract, account) {
+    await expect(promise)
+      .to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount")
+      .withArgs(account.address, anyValue);
+  }
+
+  it("Should give the initial admin every role", async function () {
+    for (const name of ["DEFAULT_ADMIN_ROLE", "RELAYER_ADMIN_ROLE", "PAUSER_ROLE", "LIMITS_ADMIN_ROLE"]) {
+      expect(await mintBridge.hasRole(await mintBridge[name](), admin.address)).to.equal(true);
+    }
+    expect(await wrapped.hasRole(await wrapped.DEFAULT_ADMIN_ROLE(), admin.address)).to.equal(true);
+    expect(await wrapped.hasRole(await wrapped.PAUSER_ROLE(), admin.address)).to.equal(true);
+    expect(await wrapped.PAUSER_ROLE()).to.equal(await mintBridge.PAUSER_ROLE());
+  });
+
+  it("Should only let the guardian pause", async function () {
+    await expectUnauthorized(lockBridge.pause(), lockBridge, admin);
+    await expectUnauthorized(lockBridge.connect(limitsAdmin).pause(), lockBridge, limitsAdmin);
+
+    await lockBridge.connect(guardian).pause();
+    expect(await lockBridge.paused()).to.equal(true);
+    await lockBridge.connect(guardian).unpause();
+    expect(await lockBridge.paused()).to.equal(false);
+  });
+
+  it("Should only let the limits admin change limits", async function () {
+    const tokenAddress = await token.getAddress();
+
+    await expectUnauthorized(lockBridge.updateLimits(2n, tokens(10)), lockBridge, admin);
+    await expectUnauthorized(lockBridge.connect(guardian).setRateLimit(tokenAddress, 3600, tokens(10), 0), lockBridge, guardian);
+
+    await lockBridge.connect(limitsAdmin).updateLimits(2n, tokens(10));
+    await lockBridge.connect(limitsAdmin).updateTokenLimits(tokenAddress, 3n, tokens(20));
+    await lockBridge.connect(limitsAdmin).setRateLimit(tokenAddress, 3600, tokens(10), 0);
+    expect(await lockBridge.minLockAmount()).to.equal(3n);
+    expect((await lockBridge.rateLimits(tokenAddress)).globalCap).to.equal(tokens(10));
+  });
+
+  it("Should only let the relayer admin manage relayers", async function () {
+    await expectUnauthorized(lockBridge.addRelayer(outsider.address), lockBridge, admin);
+
+    await lockBridge.connect(relayerAdmin).addRelayer(outsider.address);
+    await lockBridge.connect(relayerAdmin).setThreshold(2);
+    expect(await lockBridge.isRelayer(outsider.address)).to.equal(true);
+    expect(await lockBridge.threshold()).to.equal(2n);
+  });
+
+  it("Should send rescued tokens to the rescuer", async function () {
+    await token.transfer(await lockBridge.getAddress(), tokens(50));
+
+    await expectUnauthorized(lockBridge.emergencyWithdraw(await token.getAddress(), tokens(50)), lockBridge, admin);
+    await lockBridge.connect(rescuer).emergencyWithdraw(await token.getAddress(), tokens(50));
+    expect(await token.balanceOf(rescuer.address)).to.equal(tokens(50));
+  });
+
+  it("Should keep token and fee management with the admin", async function () {
+    await expectUnauthorized(lockBridge.connect(limitsAdmin).setFeeCollector(outsider.address), lockBridge, limitsAdmin);
+    await expectUnauthorized(lockBridge.connect(limitsAdmin).removeToken(await token.getAddress()), lockBridge, limitsAdmin);
+    await expectUnauthorized(lockBridge.connect(guardian).grantRole(await lockBridge.PAUSER_ROLE(), outsider.address), lockBridge, guardian);
+
+    await lockBridge.setFeeCollector(outsider.address);
+    await lockBridge.revokeRole(await lockBridge.PAUSER_ROLE(), guardian.address);
+    await expectUnauthorized(lockBridge.connect(guardian).pause(), lockBridge, guardian);
+  });
+
+  it("Should separate the wrapped token's admin and pauser", async function () {
+    await wrapped.grantRole(await wrapped.PAUSER_ROLE(), guardian.address);
+    await wrapped.renounceRole(await wrapped.PAUSER_ROLE(), admin.address);
+
+    await expectUnauthorized(wrapped.pause(), wrapped, admin);
+    await expectUnauthorized(wrapped.connect(guardian).setBridge(outsider.address), wrapped, guardian);
+    await wrapped.connect(guardian).pause();
+    expect(await wrapped.paused()).to.equal(true);
+  });
+
+  it("Should deploy wrapped tokens through the factory, administered by the caller", async function () {
+    await expect(mintBridge.deployWrappedToken("Wrapped Second Token", "wSEC", 1n, tokens(50)))
+      .to.be.revertedWith("EthereumBridge: token factory not set");
+
+    const WrappedTokenFactory = await ethers.getContractFactory("WrappedTokenFactory");
+    const factory = await WrappedTokenFactory.deploy();
+    await expectUnauthorized(mintBridge.connect(outsider).setTokenFactory(await factory.getAddress()), mintBridge, outsider);
+    await mintBridge.setTokenFactory(await factory.getAddress());
+
+    await mintBridge.deployWrappedToken("Wrapped Second Token", "wSEC", 1n, tokens(50));
+    const [, deployed] = await mintBridge.getTokens();
+    const second = await ethers.getContractAt("WrappedToken", deployed);
+    expect(await second.bridge()).to.equal(await mintBridge.getAddress());
+    expect(await second.hasRole(await second.DEFAULT_ADMIN_ROLE(), admin.address)).to.equal(true);
+
+    // A token the factory made for another caller is not minted by this bridge
+    await factory.connect(outsider).createWrappedToken("Foreign", "FRN", outsider.address);
+    const [foreign] = (await factory.queryFilter(factory.filters.WrappedTokenCreated(null, outsider.address))).map(e => e.args.token);
+    await expect(mintBridge.addToken(foreign, 1n, tokens(50)))
+      .to.be.revertedWith("EthereumBridge: token not minted by this bridge");
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Relayer Signer Backend Tests
+ * Env, keystore and Web3Signer backends, the latter against the local stub
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const signers = require("../backend/src/shared/signers");
+const { createWeb3SignerStub } = require("../backend/scripts/web3signerStub");
+const { buildBridgeTransfer } = require("../backend/src/shared/utils/bridgeTypedData");
+
+describe("Relayer signer backends", function () {
+  const ENV_KEYS = [
+    "SIGNER_TYPE",
+    "RELAYER_ID",
+    "RELAYER_PRIVATE_KEY",
+    "RELAYER_1_PRIVATE_KEY",
+    "RELAYER_2_PRIVATE_KEY",
+    "RELAYER_KEYSTORE_PATH",
+    "RELAYER_KEYSTORE_PASSWORD",
+    "WEB3SIGNER_URL",
+    "RELAYER_SIGNER_ADDRESS"
+  ];
+  let savedEnv;
+  let relayerKey;
+  let otherKey;
+
+  beforeEach(function () {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    ENV_KEYS.forEach(key => delete process.env[key]);
+
+    relayerKey = ethers.Wallet.createRandom().privateKey;
+    otherKey = ethers.Wallet.createRandom().privateKey;
+    process.env.RELAYER_ID = "1";
+  });
+
+  afterEach(function () {
+    ENV_KEYS.forEach(key => {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+  });
+
+  describe("Process binding", function () {
+    it("Should load the process's own key", async function () {
+      process.env.RELAYER_1_PRIVATE_KEY = relayerKey;
+
+      const signer = await signers.createSigner("1");
+      expect(await signer.getAddress()).to.equal(new ethers.Wallet(relayerKey).address);
+    });
+
+    it("Should refuse to load another relayer's key", async function () {
+      process.env.RELAYER_1_PRIVATE_KEY = relayerKey;
+      process.env.RELAYER_2_PRIVATE_KEY = otherKey;
+
+      await expect(signers.createSigner("2")).to.be.rejectedWith("Relayer process may only load its own key");
+    });
+
+    it("Should refuse to sign without RELAYER_ID", async function () {
+      delete process.env.RELAYER_ID;
+      process.env.RELAYER_1_PRIVATE_KEY = relayerKey;
+
+      await expect(signers.createSigner("1")).to.be.rejectedWith("RELAYER_ID is not set");
+    });
+  });
+
+  describe("Keystore", function () {
+    let keystorePath;
+
+    beforeEach(async function () {
+      const wallet = new ethers.Wallet(relayerKey);
+      const json = await ethers.encryptKeystoreJson(
+        { address: wallet.address, privateKey: wallet.privateKey },
+        "correct horse",
+        { scrypt: { N: 1024 } }
+      );
+      keystorePath = path.join(os.tmpdir(), `relayer-keystore-${wallet.address}.json`);
+      fs.writeFileSync(keystorePath, json);
+
+      process.env.SIGNER_TYPE = "keystore";
+      process.env.RELAYER_KEYSTORE_PATH = keystorePath;
+    });
+
+    afterEach(function () {
+      fs.rmSync(keystorePath, { force: true });
+    });
+
+    it("Should decrypt the keystore with the right password", async function () {
+      process.env.RELAYER_KEYSTORE_PASSWORD = "correct horse";
+
+      const signer = await signers.createSigner("1");
+      expect(await signer.getAddress()).to.equal(new ethers.Wallet(relayerKey).address);
+    });
+
+    it("Should reject a wrong password", async function () {
+      process.env.RELAYER_KEYSTORE_PASSWORD = "battery staple";
+
+      await expect(signers.createSigner("1")).to.be.rejectedWith("Could not decrypt relayer keystore");
+    });
+  });
+
+  describe("Web3Signer", function () {
+    let server;
+    let relayerAddress;
+
+    beforeEach(async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      server = createWeb3SignerStub([relayerKey, otherKey], { chainId: Number(chainId) });
+      await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+      relayerAddress = new ethers.Wallet(relayerKey).address;
+      process.env.SIGNER_TYPE = "web3signer";
+      process.env.WEB3SIGNER_URL = `http://127.0.0.1:${server.address().port}`;
+      process.env.RELAYER_SIGNER_ADDRESS = relayerAddress;
+    });
+
+    afterEach(async function () {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it("Should produce attestations the bridge recovers", async function () {
+      const [owner] = await ethers.getSigners();
+      const WrappedToken = await ethers.getContractFactory("WrappedToken");
+      const wrapped = await WrappedToken.deploy("Wrapped Cross-Chain Bridge Token", "wCCBT", owner.address, owner.address);
+      const EthereumBridge = await ethers.getContractFactory("EthereumBridge");
+      const bridge = await EthereumBridge.deploy(
+        await wrapped.getAddress(), owner.address, 1n, ethers.parseEther("100000"), [relayerAddress], 1
+      );
+
+      const { chainId } = await ethers.provider.getNetwork();
+      const { domain, types, message } = buildBridgeTransfer({
+        eventId: ethers.id("event-1"),
+        txHash: ethers.id("tx-1"),
+        fromAddress: owner.address,
+        toAddress: owner.address,
+        destinationToken: await wrapped.getAddress(),
+        amount: ethers.parseEther("10").toString(),
+        nonce: "1"
+      }, { sourceChainId: 421614n, destinationChainId: chainId, verifyingContract: await bridge.getAddress() });
+
+      const signer = await signers.createSigner("1");
+      const signature = await signer.signTypedData(domain, types, message);
+
+      expect(await bridge.recoverAttester(message, signature)).to.equal(relayerAddress);
+    });
+
+    it("Should sign transactions that the chain accepts", async function () {
+      const [owner, recipient] = await ethers.getSigners();
+      await owner.sendTransaction({ to: relayerAddress, value: ethers.parseEther("1") });
+
+      const signer = await signers.createSigner("1");
+      const feeData = await ethers.provider.getFeeData();
+      const rawTransaction = await signer.signTransaction({
+        to: recipient.address,
+        value: 1000n,
+        nonce: 0,
+        gasLimit: 21000n,
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+      });
+      const txHash = await ethers.provider.send("eth_sendRawTransaction", [rawTransaction]);
+
+      const receipt = await ethers.provider.getTransactionReceipt(txHash);
+      expect(receipt.from).to.equal(relayerAddress);
+      expect(receipt.status).to.equal(1);
+    });
+
+    it("Should fail when the remote signer does not hold the key", async function () {
+      process.env.RELAYER_SIGNER_ADDRESS = ethers.Wallet.createRandom().address;
+
+      const signer = await signers.createSigner("1");
+      expect(await signer.checkHealth()).to.equal(false);
+      await expect(signer.signMessage("hello")).to.be.rejectedWith("Remote signer rejected request");
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Consensus Tier Tests
+ * Amount tiers: all relayers above the high-value amount, hold above the critical amount
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { SIGNATURE_VERSION } = require("../backend/src/shared/utils/bridgeTypedData");
+
+describe("Consensus tiers", function () {
+  const ENV_KEYS = [
+    "ETHEREUM_SEPOLIA_BRIDGE_ADDRESS",
+    "ARBITRUM_SEPOLIA_BRIDGE_ADDRESS",
+    "CONSENSUS_HIGH_VALUE_AMOUNT",
+    "CONSENSUS_CRITICAL_VALUE_AMOUNT",
+    "CONSENSUS_CRITICAL_DELAY_SECONDS"
+  ];
+  let savedEnv;
+  let consensusTiers;
+  let consensus;
+  let signingService;
+  let registry;
+  let relayers;
+
+  before(function () {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    process.env.ETHEREUM_SEPOLIA_BRIDGE_ADDRESS = "0x" + "ab".repeat(20);
+    process.env.ARBITRUM_SEPOLIA_BRIDGE_ADDRESS = "0x" + "cd".repeat(20);
+    process.env.CONSENSUS_HIGH_VALUE_AMOUNT = "1000";
+    process.env.CONSENSUS_CRITICAL_VALUE_AMOUNT = "100000";
+    process.env.CONSENSUS_CRITICAL_DELAY_SECONDS = "600";
+
+    consensusTiers = require("../backend/src/shared/config/consensusTiers");
+    consensusTiers.tiers = consensusTiers.loadTiers();
+    consensus = require("../backend/src/functions/validator/consensus");
+    signingService = require("../backend/src/shared/services/signingService");
+
+    const { RegistrySnapshot } = require("../backend/src/shared/services/relayerRegistry");
+    relayers = [1, 2, 3].map(() => ethers.Wallet.createRandom());
+    const members = relayers.map((wallet, i) => ({ relayerId: String(i + 1), address: wallet.address }));
+    registry = new RegistrySnapshot({
+      source: "dynamodb",
+      epochs: [{ epoch: 0, threshold: 2, members }],
+      keys: members.map(m => ({ ...m, status: "active", joinedEpoch: 0 }))
+    });
+  });
+
+  after(function () {
+    ENV_KEYS.forEach(key => {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+    consensusTiers.tiers = consensusTiers.loadTiers();
+  });
+
+  function eventFor(tokens) {
+    return {
+      eventId: ethers.id(`event-${tokens}`),
+      chain: "ARBITRUM",
+      status: "PENDING_MINT",
+      txHash: ethers.id("tx-1"),
+      fromAddress: relayers[0].address,
+      toAddress: relayers[0].address,
+      destinationToken: "0x3333333333333333333333333333333333333333",
+      amount: ethers.parseEther(tokens).toString(),
+      nonce: "1"
+    };
+  }
+
+  async function signAll(eventData, wallets, timestamp) {
+    const { domain, types, message } = signingService.buildTypedData(eventData);
+    return Promise.all(wallets.map(async (wallet, i) => ({
+      relayerId: String(i + 1),
+      signature: await wallet.signTypedData(domain, types, message),
+      signatureVersion: SIGNATURE_VERSION,
+      epoch: 0,
+      ...(timestamp && { timestamp })
+    })));
+  }
+
+  it("Should pick the highest tier the amount exceeds", function () {
+    expect(consensusTiers.getTierForAmount(ethers.parseEther("1000")).id).to.equal("standard");
+    expect(consensusTiers.getTierForAmount(ethers.parseEther("1000.5")).id).to.equal("high");
+    expect(consensusTiers.getTierForAmount(ethers.parseEther("250000")).id).to.equal("critical");
+  });
+
+  it("Should need the registry threshold for standard transfers", async function () {
+    const eventData = eventFor("10");
+    const result = await consensus.validateFullConsensus(eventData, await signAll(eventData, relayers.slice(0, 2)), registry);
+
+    expect(result.isValid).to.equal(true);
+    expect(consensus.determineAction(result, eventData.status)).to.include({ action: "MINT", tier: "standard" });
+  });
+
+  it("Should need all relayers above the high-value amount", async function () {
+    const eventData = eventFor("5000");
+    const result = await consensus.validateFullConsensus(eventData, await signAll(eventData, relayers.slice(0, 2)), registry);
+    const action = consensus.determineAction(result, eventData.status);
+
+    expect(result.requiredSignatures).to.equal(3);
+    expect(action).to.include({ action: "WAIT", tier: "high" });
+    expect(action.missing.signatures).to.equal(1);
+  });
+
+  it("Should hold critical transfers until the delay passes or an approval arrives", async function () {
+    const eventData = eventFor("200000");
+    const result = await consensus.validateFullConsensus(eventData, await signAll(eventData, relayers), registry);
+    const heldSince = new Date().toISOString();
+
+    const held = consensus.determineAction(result, eventData.status, { heldSince, approvals: [] });
+    expect(held).to.include({ action: "HOLD", tier: "critical" });
+    expect(held.missing).to.include({ signatures: 0, approvalOrDelay: true });
+    expect(new Date(held.releaseAt).getTime() - new Date(heldSince).getTime()).to.equal(600 * 1000);
+
+    const approved = consensus.determineAction(result, eventData.status, {
+      heldSince,
+      approvals: [{ approver: "ops" }]
+    });
+    expect(approved).to.include({ action: "MINT", approved: true });
+
+    const afterDelay = consensus.determineAction(result, eventData.status, {
+      heldSince,
+      approvals: [],
+      now: Date.now() + 601 * 1000
+    });
+    expect(afterDelay).to.include({ action: "MINT", approved: false });
+  });
+
+  it("Should release held transfers whose signatures aged past the limit during the hold", async function () {
+    const eventData = eventFor("200000");
+    const signedAt = Date.now() - 3 * 3600 * 1000;
+    const signatures = await signAll(eventData, relayers, new Date(signedAt).toISOString());
+    const heldSince = new Date(signedAt + 60 * 1000).toISOString();
+
+    // Fresh consensus on signatures this old is refused
+    const unheld = await consensus.validateFullConsensus(eventData, signatures, registry);
+    expect(unheld).to.include({ isValid: false, reason: "CONSENSUS_ERROR" });
+
+    // Held since they were fresh, the delay and late approvals can still release it
+    const result = await consensus.validateFullConsensus(eventData, signatures, registry, { heldSince });
+    expect(result.isValid).to.equal(true);
+    expect(consensus.determineAction(result, eventData.status, { heldSince, approvals: [] }))
+      .to.include({ action: "MINT", tier: "critical", approved: false });
+    expect(consensus.determineAction(result, eventData.status, { heldSince, approvals: [{ approver: "ops" }] }))
+      .to.include({ action: "MINT", approved: true });
+
+    // Signatures already expired when the hold started are still refused
+    const lateHold = new Date(signedAt + 31 * 60 * 1000).toISOString();
+    const expired = await consensus.validateFullConsensus(eventData, signatures, registry, { heldSince: lateHold });
+    expect(expired.isValid).to.equal(false);
+  });
+});
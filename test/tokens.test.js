@@ -0,0 +1,179 @@
+/**
+ * Token Registry Tests
+ * Several tokens share one bridge pair, each with its own limits and wrapped token
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { buildBridgeTransfer } = require("../backend/src/shared/utils/bridgeTypedData");
+
+describe("Token registry", function () {
+  let owner;
+  let user;
+  let relayer;
+  let defaultToken;
+  let secondToken;
+  let lockBridge;
+  let mintBridge;
+  let secondWrapped;
+
+  beforeEach(async function () {
+    [owner, user, relayer] = await ethers.getSigners();
+
+    const BEP20Token = await ethers.getContractFactory("BEP20Token");
+    defaultToken = await BEP20Token.deploy(owner.address);
+    secondToken = await BEP20Token.deploy(owner.address);
+    const BSCBridge = await ethers.getContractFactory("BSCBridge");
+    lockBridge = await BSCBridge.deploy(
+      await defaultToken.getAddress(), owner.address, 1n, ethers.parseEther("100000"), [relayer.address], 1
+    );
+
+    const WrappedToken = await ethers.getContractFactory("WrappedToken");
+    const wrapped = await WrappedToken.deploy("Wrapped Cross-Chain Bridge Token", "wCCBT", owner.address, owner.address);
+    const EthereumBridge = await ethers.getContractFactory("EthereumBridge");
+    mintBridge = await EthereumBridge.deploy(
+      await wrapped.getAddress(), owner.address, 1n, ethers.parseEther("100000"), [relayer.address], 1
+    );
+
+    const WrappedTokenFactory = await ethers.getContractFactory("WrappedTokenFactory");
+    const factory = await WrappedTokenFactory.deploy();
+    await mintBridge.setTokenFactory(await factory.getAddress());
+
+    await lockBridge.addToken(await secondToken.getAddress(), ethers.parseEther("5"), ethers.parseEther("50"));
+    await mintBridge.deployWrappedToken("Wrapped Second Token", "wSEC", ethers.parseEther("5"), ethers.parseEther("50"));
+    const [, deployed] = await mintBridge.getTokens();
+    secondWrapped = await ethers.getContractAt("WrappedToken", deployed);
+
+    await secondToken.transfer(user.address, ethers.parseEther("1000"));
+    await secondToken.connect(user).approve(await lockBridge.getAddress(), ethers.MaxUint256);
+  });
+
+  async function attest(bridge, fields) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const { domain, types, message } = buildBridgeTransfer({
+      txHash: ethers.id(`tx-${fields.eventId}`),
+      fromAddress: user.address,
+      toAddress: user.address,
+      nonce: "1",
+      ...fields
+    }, {
+      sourceChainId: 421614n,
+      destinationChainId: chainId,
+      verifyingContract: await bridge.getAddress()
+    });
+    return { transfer: message, signature: await relayer.signTypedData(domain, types, message) };
+  }
+
+  it("Should register tokens and deploy wrapped tokens bound to the bridge", async function () {
+    expect(await lockBridge.getTokens()).to.deep.equal([
+      await defaultToken.getAddress(), await secondToken.getAddress()
+    ]);
+    expect(await secondWrapped.symbol()).to.equal("wSEC");
+    expect(await secondWrapped.bridge()).to.equal(await mintBridge.getAddress());
+    expect(await mintBridge.isSupportedToken(await secondWrapped.getAddress())).to.equal(true);
+
+    await expect(lockBridge.addToken(user.address, 1n, 2n))
+      .to.be.revertedWith("BSCBridge: token is not a contract");
+    await expect(mintBridge.addToken(await secondToken.getAddress(), 1n, 2n))
+      .to.be.reverted;
+  });
+
+  it("Should lock a registered token within its own limits", async function () {
+    const secondAddress = await secondToken.getAddress();
+
+    await expect(lockBridge.connect(user).lockToken(secondAddress, ethers.parseEther("1"), user.address))
+      .to.be.revertedWith("BSCBridge: amount below minimum");
+    await expect(lockBridge.connect(user).lockToken(secondAddress, ethers.parseEther("60"), user.address))
+      .to.be.revertedWith("BSCBridge: amount exceeds maximum");
+
+    const receipt = await (await lockBridge.connect(user).lockToken(secondAddress, ethers.parseEther("10"), user.address)).wait();
+    const log = receipt.logs.map(l => lockBridge.interface.parseLog(l)).find(parsed => parsed && parsed.name === "TokensLocked");
+    expect(log.args.token).to.equal(secondAddress);
+    expect(await secondToken.balanceOf(await lockBridge.getAddress())).to.equal(ethers.parseEther("10"));
+  });
+
+  it("Should mint and burn the wrapped token named in the attestation", async function () {
+    const wrappedAddress = await secondWrapped.getAddress();
+    const { transfer, signature } = await attest(mintBridge, {
+      eventId: ethers.id("lock-1"),
+      destinationToken: wrappedAddress,
+      amount: ethers.parseEther("20").toString()
+    });
+
+    await expect(mintBridge.mintWrapped(transfer, [signature]))
+      .to.emit(mintBridge, "TokensMinted");
+    expect(await secondWrapped.balanceOf(user.address)).to.equal(ethers.parseEther("20"));
+
+    await expect(mintBridge.connect(user).burnToken(wrappedAddress, ethers.parseEther("20"), user.address))
+      .to.emit(mintBridge, "TokensBurned");
+    expect(await secondWrapped.balanceOf(user.address)).to.equal(0n);
+  });
+
+  it("Should refuse to mint a token the bridge does not know", async function () {
+    const { transfer, signature } = await attest(mintBridge, {
+      eventId: ethers.id("lock-2"),
+      destinationToken: await secondToken.getAddress(),
+      amount: ethers.parseEther("20").toString()
+    });
+
+    await expect(mintBridge.mintWrapped(transfer, [signature]))
+      .to.be.revertedWith("EthereumBridge: unknown token");
+  });
+
+  it("Should stop new locks of a removed token but still unlock it", async function () {
+    const secondAddress = await secondToken.getAddress();
+    await lockBridge.connect(user).lockToken(secondAddress, ethers.parseEther("10"), user.address);
+
+    await expect(lockBridge.removeToken(secondAddress))
+      .to.emit(lockBridge, "TokenRemoved")
+      .withArgs(secondAddress);
+    await expect(lockBridge.connect(user).lockToken(secondAddress, ethers.parseEther("10"), user.address))
+      .to.be.revertedWith("BSCBridge: token not supported");
+
+    const { transfer, signature } = await attest(lockBridge, {
+      eventId: ethers.id("burn-1"),
+      destinationToken: secondAddress,
+      amount: ethers.parseEther("10").toString()
+    });
+    await lockBridge.unlockTokens(transfer, [signature]);
+    expect(await secondToken.balanceOf(user.address)).to.equal(ethers.parseEther("1000"));
+  });
+
+  describe("Backend token routes", function () {
+    let tokenConfig;
+    let savedEnv;
+
+    before(function () {
+      tokenConfig = require("../backend/src/shared/config/tokens");
+      savedEnv = process.env.BRIDGE_TOKENS;
+    });
+
+    after(function () {
+      if (savedEnv === undefined) delete process.env.BRIDGE_TOKENS;
+      else process.env.BRIDGE_TOKENS = savedEnv;
+      tokenConfig.tokens = tokenConfig.loadTokens();
+    });
+
+    it("Should key events by route and token and resolve the destination token", async function () {
+      const arbitrum = "0x1111111111111111111111111111111111111111";
+      const ethereum = "0x2222222222222222222222222222222222222222";
+      process.env.BRIDGE_TOKENS = JSON.stringify([
+        { id: "SEC", symbol: "SEC", arbitrum, ethereum },
+        { id: "BAD", arbitrum: "not-an-address", ethereum }
+      ]);
+      tokenConfig.tokens = tokenConfig.loadTokens();
+
+      const route = require("../backend/src/shared/config/routes").getRoute("arbitrum-lock");
+      const resolved = tokenConfig.resolveTokenRoute(route, arbitrum);
+      expect(resolved).to.deep.equal({
+        key: "arbitrum-lock:SEC",
+        tokenId: "SEC",
+        sourceToken: ethers.getAddress(arbitrum),
+        destinationToken: ethers.getAddress(ethereum)
+      });
+      expect(tokenConfig.getToken("SEC").wrappedSymbol).to.equal("wSEC");
+      expect(tokenConfig.getToken("BAD")).to.equal(null);
+      expect(() => tokenConfig.resolveTokenRoute(route, ethereum)).to.throw("Token not configured for route");
+    });
+  });
+});